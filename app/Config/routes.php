@@ -380,6 +380,38 @@ return function (App $app, array $container) {
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
 
+    // Keyboard shortcut keymap of the signed-in admin (shortcuts.js)
+    $app->get('/admin/profile/shortcuts', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\AuthController(
+            $container['db'],
+            Twig::fromRequest($request),
+            new \App\Services\SettingsService($container['db'])
+        );
+        return $controller->shortcuts($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
+    $app->post('/admin/profile/shortcuts', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\AuthController(
+            $container['db'],
+            Twig::fromRequest($request),
+            new \App\Services\SettingsService($container['db'])
+        );
+        return $controller->saveShortcuts($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
+    // Heartbeat of open admin tabs: keeps the session alive and returns the CSRF token (session.js)
+    $app->get('/admin/session', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\AuthController(
+            $container['db'],
+            Twig::fromRequest($request),
+            new \App\Services\SettingsService($container['db'])
+        );
+        return $controller->session($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
     $app->get('/admin', function (Request $request, Response $response) {
         $controller = new \App\Controllers\Admin\DashboardController(Twig::fromRequest($request));
         return $controller->index($request, $response);
@@ -393,6 +425,46 @@ return function (App $app, array $container) {
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
 
+    // Resumable chunked uploads (large originals)
+    $app->post('/admin/albums/{id}/upload/sessions', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->openUploadSession($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->get('/admin/albums/{id}/upload/sessions/{uploadId}', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->uploadSessionStatus($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->post('/admin/albums/{id}/upload/sessions/{uploadId}', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->uploadChunk($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->post('/admin/albums/{id}/upload/sessions/{uploadId}/cancel', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->cancelUploadSession($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    // Source formats (HEIC/AVIF/TIFF) the server can decode
+    $app->get('/admin/upload/formats', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->decodeFormats($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    // Perceptual-hash duplicate lookup before upload
+    $app->post('/admin/albums/{id}/upload/duplicates', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->findDuplicates($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    // Upload from URL: fetch from an allowlisted host, the browser uploads the result
+    $app->post('/admin/albums/{id}/upload/url', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\UploadController($container['db']);
+        return $controller->importFromUrl($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
     // Settings: upload site logo
     $app->post('/admin/settings/logo-upload', function (Request $request, Response $response) use ($container) {
         $controller = new \App\Controllers\Admin\UploadController($container['db']);
@@ -405,6 +477,26 @@ return function (App $app, array $container) {
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
 
+    // Album picker and split view in the album editor
+    $app->get('/admin/api/albums', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\ApiController($container['db']);
+        return $controller->albums($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
+    $app->get('/admin/api/albums/{id}/images', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\ApiController($container['db']);
+        return $controller->albumImages($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
+    // Command palette search
+    $app->get('/admin/api/search', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\ApiController($container['db']);
+        return $controller->search($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
     $app->get('/admin/api/category/{id}', function (Request $request, Response $response, array $args) use ($container) {
         $controller = new \App\Controllers\Admin\ApiController($container['db']);
         return $controller->category($request, $response, $args);
@@ -432,6 +524,23 @@ return function (App $app, array $container) {
         return $controller->bulkDeleteImages($request, $response, $args);
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
+    // Undo of image deletes (soft-deleted images stay restorable for ImageTrashService::UNDO_WINDOW)
+    $app->post('/admin/albums/{id}/images/restore', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\AlbumsController($container['db'], Twig::fromRequest($request));
+        return $controller->restoreImages($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    // Move/copy images to another album (split view, "Move to album…")
+    $app->get('/admin/albums/{id}/images/grid', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\AlbumsController($container['db'], Twig::fromRequest($request));
+        return $controller->gridImages($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->post('/admin/albums/{id}/images/transfer', function (Request $request, Response $response, array $args) use ($container) {
+        $controller = new \App\Controllers\Admin\AlbumsController($container['db'], Twig::fromRequest($request));
+        return $controller->transferImages($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
     $app->post('/admin/albums/{id}/images/attach', function (Request $request, Response $response, array $args) use ($container) {
         $controller = new \App\Controllers\Admin\AlbumsController($container['db'], Twig::fromRequest($request));
         return $controller->attachExisting($request, $response, $args);
@@ -488,6 +597,20 @@ return function (App $app, array $container) {
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
 
+    // Command palette actions
+    $app->post('/admin/settings/clear-cache', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\SettingsController($container['db'], Twig::fromRequest($request));
+        return $controller->clearCache($request, $response);
+    })->add(new RateLimitMiddleware(10, 60))
+        ->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+            return $handler->handle($request); });
+
+    $app->post('/admin/settings/maintenance', function (Request $request, Response $response) use ($container) {
+        $controller = new \App\Controllers\Admin\SettingsController($container['db'], Twig::fromRequest($request));
+        return $controller->toggleMaintenance($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+
     $app->post('/admin/settings/generate-favicons', function (Request $request, Response $response) use ($container) {
         $controller = new \App\Controllers\Admin\SettingsController($container['db'], Twig::fromRequest($request));
         return $controller->generateFavicons($request, $response);
@@ -1518,6 +1641,25 @@ return function (App $app, array $container) {
         return $controller->index($request, $response);
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
+    // Filtered listing and facet counts (media-filters.js), saved filter views
+    $app->get('/admin/media/query', function (Request $request, Response $response) use ($container) {
+        $exifService = new \App\Services\ExifService($container['db']);
+        $controller = new \App\Controllers\Admin\MediaController($container['db'], Twig::fromRequest($request), $exifService);
+        return $controller->query($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->post('/admin/media/views', function (Request $request, Response $response) use ($container) {
+        $exifService = new \App\Services\ExifService($container['db']);
+        $controller = new \App\Controllers\Admin\MediaController($container['db'], Twig::fromRequest($request), $exifService);
+        return $controller->saveView($request, $response);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
+    $app->post('/admin/media/views/{id}/delete', function (Request $request, Response $response, array $args) use ($container) {
+        $exifService = new \App\Services\ExifService($container['db']);
+        $controller = new \App\Controllers\Admin\MediaController($container['db'], Twig::fromRequest($request), $exifService);
+        return $controller->deleteView($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
     $app->post('/admin/media/images/{id}/delete', function (Request $request, Response $response, array $args) use ($container) {
         $exifService = new \App\Services\ExifService($container['db']);
         $controller = new \App\Controllers\Admin\MediaController($container['db'], Twig::fromRequest($request), $exifService);
@@ -1530,6 +1672,12 @@ return function (App $app, array $container) {
         return $controller->update($request, $response, $args);
     })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
         return $handler->handle($request); });
+    $app->get('/admin/media/images/{id}/embed', function (Request $request, Response $response, array $args) use ($container) {
+        $exifService = new \App\Services\ExifService($container['db']);
+        $controller = new \App\Controllers\Admin\MediaController($container['db'], Twig::fromRequest($request), $exifService);
+        return $controller->embed($request, $response, $args);
+    })->add($container['db'] ? new AuthMiddleware($container['db']) : function ($request, $handler) {
+        return $handler->handle($request); });
     // EXIF Editor endpoints
     $app->get('/admin/media/images/{id}/exif', function (Request $request, Response $response, array $args) use ($container) {
         $exifService = new \App\Services\ExifService($container['db']);
@@ -5,14 +5,23 @@ namespace App\Controllers\Admin;
 use App\Controllers\BaseController;
 use App\Support\Database;
 use App\Services\CustomFieldService;
+use App\Services\ImageTransferService;
+use App\Services\ImageTrashService;
 use App\Services\SettingsService;
+use App\Services\UploadService;
+use App\Services\UrlImportService;
 use App\Support\Hooks;
+use App\Support\Logger;
 use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
 use Slim\Views\Twig;
 
 class AlbumsController extends BaseController
 {
+    // Above this many images the editor renders a windowed grid fed by gridImages()
+    private const VIRTUAL_GRID_THRESHOLD = 300;
+    private const GRID_PAGE_LIMIT = 500;
+
     private ?CustomFieldService $customFieldService = null;
 
     public function __construct(private Database $db, private Twig $view)
@@ -60,6 +69,8 @@ class AlbumsController extends BaseController
         $stmt->bindValue(':offset', $offset, \PDO::PARAM_INT);
         $stmt->execute();
         $rows = $stmt->fetchAll();
+        // Categories for draft albums created by folder import
+        $cats = $pdo->query('SELECT id, name, slug FROM categories ORDER BY COALESCE(parent_id, 0), sort_order, name')->fetchAll();
 
         $pages = (int)ceil(($total ?: 0) / $perPage);
         $pagination = [
@@ -76,6 +87,7 @@ class AlbumsController extends BaseController
             'pages' => $pages,
             'pagination' => $pagination,
             'order_mode' => $orderParam,
+            'categories' => $cats,
             'csrf' => $_SESSION['csrf'] ?? ''
         ]);
     }
@@ -173,6 +185,7 @@ class AlbumsController extends BaseController
         $albumPageTemplate = $this->normalizeAlbumPageTemplate((string)($d['album_page_template'] ?? ''));
         $tagIds = array_map('intval', (array)($d['tags'] ?? []));
         $allow_downloads = isset($d['allow_downloads']) ? 1 : 0;
+        $gpsPolicy = $this->normalizeGpsPolicy($d['gps_policy'] ?? null);
         $is_nsfw = isset($d['is_nsfw']) ? 1 : 0;
         $allow_template_switch = isset($d['allow_template_switch']) ? 1 : 0;
         $passwordRaw = (string)($d['password'] ?? '');
@@ -249,6 +262,7 @@ class AlbumsController extends BaseController
         }
         try {
             $albumId = (int)$pdo->lastInsertId();
+            $this->saveGpsPolicy($albumId, $gpsPolicy);
             // sync categories (pivot)
             if ($category_id > 0 || !empty($categoryIds)) {
                 $cats = array_unique(array_filter(array_map('intval', array_merge([$category_id], $categoryIds))));
@@ -466,28 +480,15 @@ class AlbumsController extends BaseController
             }
         }
 
-        $imgsStmt = $pdo->prepare("SELECT i.id, i.original_path, i.created_at, i.sort_order,
-                                   i.alt_text, i.caption, i.width, i.height,
-                                   i.camera_id, i.lens_id, i.film_id, i.developer_id, i.lab_id, i.location_id,
-                                   i.custom_camera, i.custom_lens, i.custom_film,
-                                   i.iso, i.shutter_speed, i.aperture,
-                                   COALESCE(iv.path, i.original_path) AS preview_path
-                                   FROM images i
-                                   LEFT JOIN image_variants iv ON iv.image_id = i.id AND iv.variant = 'sm'
-                                   WHERE i.album_id=:a
-                                   ORDER BY i.sort_order ASC, i.id ASC");
-        $imgsStmt->execute([':a'=>$id]);
-        $images = $imgsStmt->fetchAll();
-        
-        // Add base path to preview paths for subdirectory installations
-        foreach ($images as &$image) {
-            if (isset($image['preview_path']) && str_starts_with($image['preview_path'], '/')) {
-                $image['preview_path'] = $this->basePath . $image['preview_path'];
-            }
-            if (isset($image['original_path']) && str_starts_with($image['original_path'], '/')) {
-                $image['original_path'] = $this->basePath . $image['original_path'];
-            }
-        }
+        // Large albums get the windowed grid: cards are fetched page by page from gridImages()
+        $countStmt = $pdo->prepare('SELECT COUNT(*) FROM images WHERE album_id = :a');
+        $countStmt->execute([':a' => $id]);
+        $imagesTotal = (int)$countStmt->fetchColumn();
+        $virtualGrid = $imagesTotal > self::VIRTUAL_GRID_THRESHOLD;
+        [$images, $ratingsEnabled] = $virtualGrid
+            ? [[], $this->ratingsAvailable()]
+            : $this->loadGridImages($id);
+
         return $this->view->render($response, 'admin/albums/edit.twig', [
             'item' => $item,
             'categories' => $cats,
@@ -510,13 +511,145 @@ class AlbumsController extends BaseController
             'labIds' => $labIds,
             'locationIds' => $locationIds,
             'images' => $images,
+            'images_total' => $imagesTotal,
+            'virtual_grid' => $virtualGrid,
             'customFieldTypes' => $customFieldTypes,
             'customFieldValues' => $customFieldValues,
             'albumCustomFields' => $albumCustomFields,
+            'url_import_enabled' => (new UrlImportService($this->db))->isEnabled(),
+            'ratings_enabled' => $ratingsEnabled,
             'csrf' => $_SESSION['csrf'] ?? ''
         ]);
     }
 
+    /**
+     * Grid cards of an album in album order (all of them, or one page for the windowed grid).
+     * @return array{0: list<array>, 1: bool} images, whether the image-rating plugin is installed
+     */
+    private function loadGridImages(int $albumId, ?int $offset = null, ?int $limit = null): array
+    {
+        $pdo = $this->db->pdo();
+        $page = $limit !== null ? sprintf(' LIMIT %d OFFSET %d', $limit, (int)$offset) : '';
+        $imgsStmt = $pdo->prepare("SELECT i.id, i.original_path, i.created_at, i.sort_order,
+                                   i.title, i.alt_text, i.caption, i.width, i.height,
+                                   i.camera_id, i.lens_id, i.film_id, i.developer_id, i.lab_id, i.location_id,
+                                   i.custom_camera, i.custom_lens, i.custom_film,
+                                   i.iso, i.shutter_speed, i.aperture,
+                                   i.original_filename, i.date_original, i.exif_make, i.exif_model, i.exif_lens_model,
+                                   c.make AS camera_make, c.model AS camera_model, l.brand AS lens_brand, l.model AS lens_model,
+                                   COALESCE(iv.path, i.original_path) AS preview_path
+                                   FROM images i
+                                   LEFT JOIN image_variants iv ON iv.image_id = i.id AND iv.variant = 'sm'
+                                   LEFT JOIN cameras c ON c.id = i.camera_id
+                                   LEFT JOIN lenses l ON l.id = i.lens_id
+                                   WHERE i.album_id=:a
+                                   ORDER BY i.sort_order ASC, i.id ASC" . $page);
+        $imgsStmt->execute([':a'=>$albumId]);
+        $images = $imgsStmt->fetchAll();
+        if (!$images) {
+            return [[], $this->ratingsAvailable()];
+        }
+
+        // A page only needs the tags and ratings of its own images
+        $ids = array_map(fn($image) => (int)$image['id'], $images);
+        if ($limit !== null) {
+            $scope = 'i.id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')';
+            $bind = $ids;
+        } else {
+            $scope = 'i.album_id = ?';
+            $bind = [$albumId];
+        }
+
+        // Per-image tags for the image modal
+        $imageTags = [];
+        $imageTagStmt = $pdo->prepare("SELECT it.image_id, t.id, t.name FROM image_tag it
+                                       JOIN tags t ON t.id = it.tag_id
+                                       JOIN images i ON i.id = it.image_id
+                                       WHERE $scope ORDER BY t.name");
+        $imageTagStmt->execute($bind);
+        foreach ($imageTagStmt->fetchAll() as $row) {
+            $imageTags[(int)$row['image_id']][] = ['id' => (int)$row['id'], 'name' => $row['name']];
+        }
+        
+        // Average score from the image-rating plugin, for the grid's rating sort
+        $imageRatings = null;
+        try {
+            $ratingStmt = $pdo->prepare("SELECT r.image_id, AVG(r.rating) AS rating FROM plugin_image_ratings r
+                                         JOIN images i ON i.id = r.image_id
+                                         WHERE $scope GROUP BY r.image_id");
+            $ratingStmt->execute($bind);
+            $imageRatings = [];
+            foreach ($ratingStmt->fetchAll() as $row) {
+                $imageRatings[(int)$row['image_id']] = round((float)$row['rating'], 2);
+            }
+        } catch (\Throwable) {
+            // Rating plugin not installed
+        }
+
+        // Add base path to preview paths for subdirectory installations
+        foreach ($images as &$image) {
+            $image['tags'] = $imageTags[(int)$image['id']] ?? [];
+            $image['rating'] = $imageRatings[(int)$image['id']] ?? null;
+            // Sort keys for the grid: lookup name first, then the free-text field, then raw EXIF
+            $image['camera_label'] = trim(($image['camera_make'] ?? '') . ' ' . ($image['camera_model'] ?? ''))
+                ?: trim((string)($image['custom_camera'] ?? ''))
+                ?: trim(($image['exif_make'] ?? '') . ' ' . ($image['exif_model'] ?? ''));
+            $image['lens_label'] = trim(($image['lens_brand'] ?? '') . ' ' . ($image['lens_model'] ?? ''))
+                ?: trim((string)($image['custom_lens'] ?? ''))
+                ?: trim((string)($image['exif_lens_model'] ?? ''));
+            if (isset($image['preview_path']) && str_starts_with($image['preview_path'], '/')) {
+                $image['preview_path'] = $this->basePath . $image['preview_path'];
+            }
+            if (isset($image['original_path']) && str_starts_with($image['original_path'], '/')) {
+                $image['original_path'] = $this->basePath . $image['original_path'];
+            }
+        }
+        unset($image);
+        return [$images, $imageRatings !== null];
+    }
+
+    private function ratingsAvailable(): bool
+    {
+        try {
+            $this->db->pdo()->query('SELECT 1 FROM plugin_image_ratings LIMIT 1');
+            return true;
+        } catch (\Throwable) {
+            return false;
+        }
+    }
+
+    /**
+     * One page of grid cards for the windowed album grid (albums above VIRTUAL_GRID_THRESHOLD images).
+     */
+    public function gridImages(Request $request, Response $response, array $args): Response
+    {
+        $id = (int)($args['id'] ?? 0);
+        $params = $request->getQueryParams();
+        $offset = max(0, (int)($params['offset'] ?? 0));
+        $limit = min(self::GRID_PAGE_LIMIT, max(1, (int)($params['limit'] ?? self::GRID_PAGE_LIMIT)));
+        $pdo = $this->db->pdo();
+
+        $stmt = $pdo->prepare('SELECT id, cover_image_id FROM albums WHERE id = :id');
+        $stmt->execute([':id' => $id]);
+        $album = $stmt->fetch();
+        if (!$album) {
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.flash.album_not_found')]));
+            return $response->withStatus(404)->withHeader('Content-Type', 'application/json');
+        }
+        $count = $pdo->prepare('SELECT COUNT(*) FROM images WHERE album_id = :id');
+        $count->execute([':id' => $id]);
+
+        [$images] = $this->loadGridImages($id, $offset, $limit);
+        $response->getBody()->write(json_encode([
+            'items' => $images,
+            'total' => (int)$count->fetchColumn(),
+            'offset' => $offset,
+            'limit' => $limit,
+            'cover_image_id' => $album['cover_image_id'] !== null ? (int)$album['cover_image_id'] : null,
+        ]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
     public function updateImageMeta(Request $request, Response $response, array $args): Response
     {
         // CSRF validation
@@ -550,6 +683,9 @@ class AlbumsController extends BaseController
             'shutter_speed' => $d['shutter_speed'] ?? null,
             'aperture' => ($d['aperture'] ?? '') !== '' ? (float)$d['aperture'] : null,
         ];
+        if (array_key_exists('title', $d)) {
+            $fields['title'] = trim((string)$d['title']) ?: null;
+        }
 
         $setParts = [];
         $params = [];
@@ -562,6 +698,22 @@ class AlbumsController extends BaseController
         $sql = 'UPDATE images SET ' . implode(', ', $setParts) . ' WHERE id = :id AND album_id = :album';
         $pdo->prepare($sql)->execute($params);
 
+        // Image tags (the modal sends tags_submitted so an empty selection clears them)
+        if (!empty($d['tags_submitted'])) {
+            $owner = $pdo->prepare('SELECT 1 FROM images WHERE id = :id AND album_id = :album');
+            $owner->execute([':id' => $imageId, ':album' => $albumId]);
+            if ($owner->fetchColumn()) {
+                $pdo->prepare('DELETE FROM image_tag WHERE image_id = :i')->execute([':i' => $imageId]);
+                $tagSql = $this->db->insertIgnoreKeyword() . ' INTO image_tag(image_id, tag_id) SELECT :i, id FROM tags WHERE id = :t';
+                $tagStmt = $pdo->prepare($tagSql);
+                foreach (array_unique(array_map('intval', (array)($d['tags'] ?? []))) as $tagId) {
+                    if ($tagId > 0) {
+                        $tagStmt->execute([':i' => $imageId, ':t' => $tagId]);
+                    }
+                }
+            }
+        }
+
         $accept = $request->getHeaderLine('Accept');
         if (str_contains($accept, 'application/json')) {
             $response->getBody()->write(json_encode(['ok' => true]));
@@ -607,6 +759,7 @@ class AlbumsController extends BaseController
         $custom_template_id = $templateSelection['custom_template_id'];
         $albumPageTemplate = $this->normalizeAlbumPageTemplate((string)($d['album_page_template'] ?? ''));
         $allow_downloads = isset($d['allow_downloads']) ? 1 : 0;
+        $gpsPolicy = $this->normalizeGpsPolicy($d['gps_policy'] ?? null);
         $is_nsfw = isset($d['is_nsfw']) ? 1 : 0;
         $allow_template_switch = isset($d['allow_template_switch']) ? 1 : 0;
         $passwordRaw = (string)($d['password'] ?? '');
@@ -715,6 +868,7 @@ class AlbumsController extends BaseController
                 // ignore if column not present
             }
         }
+        $this->saveGpsPolicy($id, $gpsPolicy);
         try {
             // sync tags
             $pdo->prepare('DELETE FROM album_tag WHERE album_id=:a')->execute([':a'=>$id]);
@@ -866,12 +1020,16 @@ class AlbumsController extends BaseController
         $root = dirname(__DIR__, 2);
 
         // Get all original image paths
-        $stmt = $pdo->prepare('SELECT id, original_path FROM images WHERE album_id = ?');
+        $stmt = $pdo->prepare('SELECT id, original_path, source_path FROM images WHERE album_id = ?');
         $stmt->execute([$id]);
         $images = $stmt->fetchAll();
 
         foreach ($images as $img) {
             $files[] = $img['original_path'];
+            // HEIC/AVIF/TIFF uploads keep their source next to the JPEG master
+            if (!empty($img['source_path'])) {
+                $files[] = $img['source_path'];
+            }
             // Get variant paths for this image
             $vstmt = $pdo->prepare('SELECT path FROM image_variants WHERE image_id = ?');
             $vstmt->execute([(int)$img['id']]);
@@ -884,6 +1042,8 @@ class AlbumsController extends BaseController
         $stmt = $pdo->prepare('DELETE FROM albums WHERE id=:id');
         try {
             $stmt->execute([':id'=>$id]);
+            // Images deleted earlier and still undoable go with the album
+            (new ImageTrashService($this->db))->purgeExpired($id);
             $_SESSION['flash'][] = ['type' => 'success', 'message' => trans('admin.flash.album_deleted')];
 
             // Clean up files (best-effort, after successful DB deletion)
@@ -944,15 +1104,15 @@ class AlbumsController extends BaseController
 
         $albumId = (int)($args['id'] ?? 0);
         $imageId = (int)($args['imageId'] ?? 0);
-        // ensure image belongs to album
+        // ensure image belongs to album (0 clears the cover: undo of a first cover choice)
         $check = $this->db->pdo()->prepare('SELECT 1 FROM images WHERE id=:img AND album_id=:a');
         $check->execute([':img'=>$imageId, ':a'=>$albumId]);
-        if (!$check->fetchColumn()) {
+        if ($imageId !== 0 && !$check->fetchColumn()) {
             $_SESSION['flash'][] = ['type'=>'danger','message'=>trans('admin.flash.image_not_in_album')];
             return $response->withHeader('Location', $this->redirect('/admin/albums/'.$albumId.'/edit'))->withStatus(302);
         }
         $stmt = $this->db->pdo()->prepare('UPDATE albums SET cover_image_id=:img WHERE id=:id');
-        $stmt->execute([':img'=>$imageId, ':id'=>$albumId]);
+        $stmt->execute([':img'=>$imageId ?: null, ':id'=>$albumId]);
         $accept = $request->getHeaderLine('Accept');
         if (str_contains($accept, 'application/json')) {
             $response->getBody()->write(json_encode(['ok'=>true]));
@@ -1062,36 +1222,17 @@ class AlbumsController extends BaseController
 
         $albumId = (int)($args['id'] ?? 0);
         $imageId = (int)($args['imageId'] ?? 0);
-        $pdo = $this->db->pdo();
-        // ensure image belongs to album
-        $img = $pdo->prepare('SELECT id, original_path FROM images WHERE id=:img AND album_id=:a');
-        $img->execute([':img'=>$imageId, ':a'=>$albumId]);
-        $row = $img->fetch();
-        if (!$row) {
-            return $response->withStatus(404);
-        }
-        // collect variants
-        $vars = $pdo->prepare('SELECT path FROM image_variants WHERE image_id=:img');
-        $vars->execute([':img'=>$imageId]);
-        $variantPaths = array_column($vars->fetchAll() ?: [], 'path');
-        $pdo->beginTransaction();
+        // Soft delete: the image can be restored from the editor's undo history until the window expires
         try {
-            $pdo->prepare('DELETE FROM image_variants WHERE image_id=:img')->execute([':img'=>$imageId]);
-            $pdo->prepare('UPDATE albums SET cover_image_id=NULL WHERE id=:a AND cover_image_id=:img')->execute([':a'=>$albumId, ':img'=>$imageId]);
-            $pdo->prepare('DELETE FROM images WHERE id=:img AND album_id=:a')->execute([':img'=>$imageId, ':a'=>$albumId]);
-            $pdo->commit();
+            $trashed = (new ImageTrashService($this->db))->trash($albumId, [$imageId]);
         } catch (\Throwable $e) {
-            $pdo->rollBack();
+            Logger::error('AlbumsController: image delete failed', ['image_id' => $imageId, 'error' => $e->getMessage()], 'app');
             return $response->withStatus(500);
         }
-        // try unlink files (best-effort)
-        $root = dirname(__DIR__, 2);
-        @unlink($root . $row['original_path']);
-        foreach ($variantPaths as $p) {
-            $abs = str_starts_with((string)$p, '/media/') ? ($root . '/public' . $p) : ($root . $p);
-            @unlink($abs);
+        if (!$trashed) {
+            return $response->withStatus(404);
         }
-        $response->getBody()->write(json_encode(['ok'=>true]));
+        $response->getBody()->write(json_encode(['ok'=>true, 'ids'=>$trashed, 'undo_window'=>ImageTrashService::UNDO_WINDOW]));
         return $response->withHeader('Content-Type','application/json');
     }
 
@@ -1106,36 +1247,76 @@ class AlbumsController extends BaseController
         $data = json_decode((string)$request->getBody(), true) ?: [];
         $ids = array_map('intval', (array)($data['ids'] ?? []));
         if (!$ids) return $response->withStatus(400);
-        $pdo = $this->db->pdo();
-        // fetch originals and variant paths
-        $in = implode(',', array_fill(0, count($ids), '?'));
-        $stmt = $pdo->prepare("SELECT id, original_path FROM images WHERE album_id = ? AND id IN ($in)");
-        $stmt->execute(array_merge([$albumId], $ids));
-        $rows = $stmt->fetchAll() ?: [];
-        $variantStmt = $pdo->prepare("SELECT path FROM image_variants WHERE image_id = ?");
-        $files = [];
-        foreach ($rows as $r) {
-            $files[] = $r['original_path'];
-            $variantStmt->execute([(int)$r['id']]);
-            foreach ($variantStmt->fetchAll() ?: [] as $v) { $files[] = $v['path']; }
-        }
-        $pdo->beginTransaction();
         try {
-            $pdo->prepare('DELETE FROM image_variants WHERE image_id IN (' . $in . ')')->execute($ids);
-            $pdo->prepare('UPDATE albums SET cover_image_id=NULL WHERE id=? AND cover_image_id IN (' . $in . ')')
-                ->execute(array_merge([$albumId], $ids));
-            $pdo->prepare('DELETE FROM images WHERE album_id=? AND id IN (' . $in . ')')->execute(array_merge([$albumId], $ids));
-            $pdo->commit();
+            $trashed = (new ImageTrashService($this->db))->trash($albumId, $ids);
         } catch (\Throwable $e) {
-            $pdo->rollBack();
+            Logger::error('AlbumsController: bulk image delete failed', ['album_id' => $albumId, 'error' => $e->getMessage()], 'app');
             return $response->withStatus(500);
         }
-        $root = dirname(__DIR__, 2);
-        foreach ($files as $p) {
-            $abs = str_starts_with((string)$p, '/media/') ? ($root . '/public' . $p) : ($root . $p);
-            @unlink($abs);
+        $response->getBody()->write(json_encode(['ok'=>true, 'ids'=>$trashed, 'undo_window'=>ImageTrashService::UNDO_WINDOW]));
+        return $response->withHeader('Content-Type','application/json');
+    }
+
+    /**
+     * Undo of a (bulk) delete: bring trashed images back while their undo window lasts.
+     */
+    public function restoreImages(Request $request, Response $response, array $args): Response
+    {
+        // CSRF validation
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
         }
-        $response->getBody()->write(json_encode(['ok'=>true]));
+
+        $albumId = (int)($args['id'] ?? 0);
+        $data = json_decode((string)$request->getBody(), true) ?: [];
+        $ids = array_map('intval', (array)($data['ids'] ?? []));
+        if (!$ids) return $response->withStatus(400);
+        try {
+            $restored = (new ImageTrashService($this->db))->restore($albumId, $ids);
+        } catch (\Throwable $e) {
+            Logger::error('AlbumsController: image restore failed', ['album_id' => $albumId, 'error' => $e->getMessage()], 'app');
+            $response->getBody()->write(json_encode(['ok'=>false, 'error'=>$e->getMessage()]));
+            return $response->withStatus(500)->withHeader('Content-Type','application/json');
+        }
+        $missing = array_values(array_diff($ids, $restored));
+        $response->getBody()->write(json_encode(['ok'=>!$missing, 'restored'=>$restored, 'expired'=>$missing]));
+        return $response->withStatus($missing && !$restored ? 410 : 200)->withHeader('Content-Type','application/json');
+    }
+
+    /**
+     * Move or copy images of this album into another one (split view drops, "Move to album…").
+     * Body: {ids, target_album_id, mode: move|copy, position?}
+     */
+    public function transferImages(Request $request, Response $response, array $args): Response
+    {
+        // CSRF validation
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        $albumId = (int)($args['id'] ?? 0);
+        $data = json_decode((string)$request->getBody(), true) ?: [];
+        $ids = array_map('intval', (array)($data['ids'] ?? []));
+        $targetId = (int)($data['target_album_id'] ?? 0);
+        $mode = ($data['mode'] ?? 'move') === 'copy' ? 'copy' : 'move';
+        $position = isset($data['position']) && is_numeric($data['position']) ? (int)$data['position'] : null;
+        if (!$ids || $targetId <= 0) return $response->withStatus(400);
+
+        try {
+            $service = new ImageTransferService($this->db);
+            $result = $mode === 'copy'
+                ? $service->copy($albumId, $ids, $targetId, $position)
+                : $service->move($albumId, $ids, $targetId, $position);
+        } catch (\RuntimeException $e) {
+            $status = in_array($e->getCode(), [400, 404], true) ? $e->getCode() : 500;
+            $response->getBody()->write(json_encode(['ok'=>false, 'error'=>$e->getMessage()]));
+            return $response->withStatus($status)->withHeader('Content-Type','application/json');
+        } catch (\Throwable $e) {
+            Logger::error('AlbumsController: image transfer failed', ['album_id' => $albumId, 'target' => $targetId, 'mode' => $mode, 'error' => $e->getMessage()], 'app');
+            $response->getBody()->write(json_encode(['ok'=>false, 'error'=>$e->getMessage()]));
+            return $response->withStatus(500)->withHeader('Content-Type','application/json');
+        }
+        $response->getBody()->write(json_encode(['ok'=>true, 'mode'=>$mode, 'target_album_id'=>$targetId] + $result));
         return $response->withHeader('Content-Type','application/json');
     }
 
@@ -1264,6 +1445,24 @@ class AlbumsController extends BaseController
         }
     }
 
+    private function normalizeGpsPolicy(mixed $value): string
+    {
+        return in_array($value, UploadService::GPS_POLICIES, true) ? $value : 'keep';
+    }
+
+    /**
+     * GPS privacy policy used by the uploader for this album (column added in 1.2.0).
+     */
+    private function saveGpsPolicy(int $albumId, string $policy): void
+    {
+        try {
+            $this->db->pdo()->prepare('UPDATE albums SET gps_policy = :gp WHERE id = :id')
+                ->execute([':gp' => $policy, ':id' => $albumId]);
+        } catch (\Throwable) {
+            // Column may not exist before migration
+        }
+    }
+
     private function normalizeAlbumPageTemplate(string $value): ?string
     {
         $value = trim($value);
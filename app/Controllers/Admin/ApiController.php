@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace App\Controllers\Admin;
 use App\Controllers\BaseController;
+use App\Services\AdminSearchService;
 use App\Support\Database;
 use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
@@ -29,6 +30,73 @@ class ApiController extends BaseController
         return $response->withHeader('Content-Type','application/json');
     }
 
+    /**
+     * Album suggestions for TomSelect pickers (`exclude` leaves out the album being edited).
+     */
+    public function albums(Request $request, Response $response): Response
+    {
+        $params = $request->getQueryParams();
+        $q = trim((string)($params['q'] ?? ''));
+        $exclude = (int)($params['exclude'] ?? 0);
+        $sql = 'SELECT a.id, a.title, (SELECT COUNT(*) FROM images i WHERE i.album_id = a.id) AS image_count
+                FROM albums a WHERE a.id <> :exclude';
+        $bind = [':exclude' => $exclude];
+        if ($q !== '') {
+            $sql .= ' AND a.title LIKE :q';
+            $bind[':q'] = '%' . $q . '%';
+        }
+        $sql .= ' ORDER BY a.title LIMIT 20';
+        $stmt = $this->db->pdo()->prepare($sql);
+        $stmt->execute($bind);
+        $rows = array_map(fn($row) => ['id' => (int)$row['id'], 'title' => $row['title'], 'image_count' => (int)$row['image_count']], $stmt->fetchAll());
+        $response->getBody()->write(json_encode($rows));
+        return $response->withHeader('Content-Type','application/json');
+    }
+
+    /**
+     * One page of an album's images in album order, with their small preview.
+     */
+    public function albumImages(Request $request, Response $response, array $args): Response
+    {
+        $id = (int)($args['id'] ?? 0);
+        $params = $request->getQueryParams();
+        $offset = max(0, (int)($params['offset'] ?? 0));
+        $limit = min(500, max(1, (int)($params['limit'] ?? 200)));
+        $pdo = $this->db->pdo();
+
+        $album = $pdo->prepare('SELECT id, title FROM albums WHERE id = :id');
+        $album->execute([':id' => $id]);
+        $albumRow = $album->fetch();
+        if (!$albumRow) return $response->withStatus(404);
+
+        $count = $pdo->prepare('SELECT COUNT(*) FROM images WHERE album_id = :id');
+        $count->execute([':id' => $id]);
+
+        $stmt = $pdo->prepare("SELECT i.id, i.title, i.alt_text, i.width, i.height, iv.path AS preview_path
+                               FROM images i
+                               LEFT JOIN image_variants iv ON iv.image_id = i.id AND iv.variant = 'sm'
+                               WHERE i.album_id = :id
+                               ORDER BY i.sort_order ASC, i.id ASC
+                               LIMIT $limit OFFSET $offset");
+        $stmt->execute([':id' => $id]);
+        $items = array_map(fn($row) => [
+            'id' => (int)$row['id'],
+            'title' => $row['title'] ?: $row['alt_text'],
+            'width' => (int)$row['width'],
+            'height' => (int)$row['height'],
+            'preview_url' => $row['preview_path'] ? $this->basePath . $row['preview_path'] : null,
+        ], $stmt->fetchAll());
+
+        $response->getBody()->write(json_encode([
+            'album' => ['id' => (int)$albumRow['id'], 'title' => $albumRow['title']],
+            'items' => $items,
+            'total' => (int)$count->fetchColumn(),
+            'offset' => $offset,
+            'limit' => $limit,
+        ]));
+        return $response->withHeader('Content-Type','application/json');
+    }
+
     public function category(Request $request, Response $response, array $args): Response
     {
         $id = (int)($args['id'] ?? 0);
@@ -46,4 +114,15 @@ class ApiController extends BaseController
         $response->getBody()->write(json_encode($row));
         return $response->withHeader('Content-Type','application/json');
     }
+
+    /**
+     * Records matching the command palette query, grouped (albums, images, categories, tags, equipment).
+     */
+    public function search(Request $request, Response $response): Response
+    {
+        $q = mb_substr(trim((string)($request->getQueryParams()['q'] ?? '')), 0, 100);
+        $groups = (new AdminSearchService($this->db, $this->basePath))->search($q);
+        $response->getBody()->write(json_encode(['query' => $q, 'groups' => $groups]));
+        return $response->withHeader('Content-Type','application/json');
+    }
 }
@@ -47,22 +47,13 @@ class AuthController extends BaseController
         $password = (string)($data['password'] ?? '');
         $csrf = (string)($data['csrf'] ?? '');
         $rememberMe = !empty($data['remember_me']);
-        $adminLocale = $this->getAdminLocale();
 
         if (!is_string($csrf) || !isset($_SESSION['csrf']) || !hash_equals($_SESSION['csrf'], $csrf)) {
-            return $this->view->render($response, 'admin/login.twig', [
-                'error' => trans('admin.flash.csrf_invalid'),
-                'csrf' => $_SESSION['csrf'] ?? '',
-                'admin_locale' => $adminLocale
-            ]);
+            return $this->loginFailed($request, $response, trans('admin.flash.csrf_invalid'));
         }
 
         if ($email === '' || $password === '') {
-            return $this->view->render($response, 'admin/login.twig', [
-                'error' => trans('admin.flash.email_password_required'),
-                'csrf' => $_SESSION['csrf'] ?? '',
-                'admin_locale' => $adminLocale
-            ]);
+            return $this->loginFailed($request, $response, trans('admin.flash.email_password_required'));
         }
 
         $stmt = $this->db->pdo()->prepare('SELECT id, email, password_hash, role, is_active, first_name, last_name FROM users WHERE LOWER(email) = :email LIMIT 1');
@@ -70,29 +61,17 @@ class AuthController extends BaseController
         $user = $stmt->fetch();
 
         if (!$user || !password_verify($password, $user['password_hash'])) {
-            return $this->view->render($response, 'admin/login.twig', [
-                'error' => trans('admin.flash.invalid_credentials'),
-                'csrf' => $_SESSION['csrf'] ?? '',
-                'admin_locale' => $adminLocale
-            ]);
+            return $this->loginFailed($request, $response, trans('admin.flash.invalid_credentials'));
         }
 
         // Check if user is active
         if (!$user['is_active']) {
-            return $this->view->render($response, 'admin/login.twig', [
-                'error' => trans('admin.flash.account_deactivated'),
-                'csrf' => $_SESSION['csrf'] ?? '',
-                'admin_locale' => $adminLocale
-            ]);
+            return $this->loginFailed($request, $response, trans('admin.flash.account_deactivated'));
         }
 
         // Check if user has admin role for backend access
         if ($user['role'] !== 'admin') {
-            return $this->view->render($response, 'admin/login.twig', [
-                'error' => trans('admin.flash.access_denied_admin_only'),
-                'csrf' => $_SESSION['csrf'] ?? '',
-                'admin_locale' => $adminLocale
-            ]);
+            return $this->loginFailed($request, $response, trans('admin.flash.access_denied_admin_only'));
         }
 
         // Update last login timestamp
@@ -116,11 +95,47 @@ class AuthController extends BaseController
 
         $this->scheduleDailyVariantMaintenance();
 
+        // Signed in again from the session-expired dialog of an open admin tab
+        if ($this->isAjaxRequest($request)) {
+            $response->getBody()->write(json_encode(['ok' => true, 'csrf' => $_SESSION['csrf']]));
+            return $response->withHeader('Content-Type', 'application/json');
+        }
+
         return $response
             ->withHeader('Location', $this->redirect('/admin'))
             ->withStatus(302);
     }
 
+    /**
+     * Login form again with the error, or a JSON error for the session-expired dialog
+     */
+    private function loginFailed(Request $request, Response $response, string $error): Response
+    {
+        if ($this->isAjaxRequest($request)) {
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => $error, 'csrf' => $_SESSION['csrf'] ?? '']));
+            return $response->withStatus(422)->withHeader('Content-Type', 'application/json');
+        }
+        return $this->view->render($response, 'admin/login.twig', [
+            'error' => $error,
+            'csrf' => $_SESSION['csrf'] ?? '',
+            'admin_locale' => $this->getAdminLocale()
+        ]);
+    }
+
+    /**
+     * Heartbeat of open admin tabs (session.js): keeps the session alive while the admin
+     * is working and hands back the current CSRF token
+     */
+    public function session(Request $request, Response $response): Response
+    {
+        $response->getBody()->write(json_encode([
+            'ok' => true,
+            'csrf' => $_SESSION['csrf'] ?? '',
+            'lifetime' => (int)ini_get('session.gc_maxlifetime'),
+        ]));
+        return $response->withHeader('Content-Type', 'application/json')->withHeader('Cache-Control', 'no-store');
+    }
+
     /**
      * Generate and set remember token for persistent login
      */
@@ -355,6 +370,79 @@ class AuthController extends BaseController
         return $response->withHeader('Location', $_SERVER['HTTP_REFERER'] ?? $this->redirect('/admin'))->withStatus(302);
     }
 
+    /**
+     * Keyboard shortcut keymap of the signed-in user ("scope.id" => keys, "" when disabled).
+     */
+    public function shortcuts(Request $request, Response $response): Response
+    {
+        $keymap = [];
+        try {
+            $stmt = $this->db->pdo()->prepare('SELECT shortcuts FROM users WHERE id = :id');
+            $stmt->execute([':id' => (int)($_SESSION['admin_id'] ?? 0)]);
+            $decoded = json_decode((string)($stmt->fetchColumn() ?: ''), true);
+            $keymap = is_array($decoded) ? $decoded : [];
+        } catch (\Throwable $e) {
+            // Column missing until the 1.2.0 migration: defaults apply
+        }
+        $response->getBody()->write(json_encode(['keymap' => (object)$keymap]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    public function saveShortcuts(Request $request, Response $response): Response
+    {
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        $data = json_decode((string)$request->getBody(), true);
+        $keymap = $this->sanitizeKeymap(is_array($data) ? ($data['keymap'] ?? null) : null);
+        if ($keymap === null) {
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => 'Invalid keymap']));
+            return $response->withStatus(422)->withHeader('Content-Type', 'application/json');
+        }
+
+        try {
+            $now = $this->db->nowExpression();
+            $stmt = $this->db->pdo()->prepare("UPDATE users SET shortcuts = :shortcuts, updated_at = {$now} WHERE id = :id");
+            $stmt->execute([
+                ':shortcuts' => $keymap ? json_encode($keymap) : null,
+                ':id' => (int)$_SESSION['admin_id']
+            ]);
+        } catch (\Throwable $e) {
+            Logger::error('AuthController::saveShortcuts error', ['error' => $e->getMessage()], 'admin');
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.flash.error_generic')]));
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
+
+        $response->getBody()->write(json_encode(['ok' => true, 'keymap' => (object)$keymap]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Keymap entries as the admin bundle writes them (shortcuts.js), or null when malformed.
+     * Commands are registered by pages at runtime, so ids are checked for shape only.
+     *
+     * @return array<string, string>|null
+     */
+    private function sanitizeKeymap(mixed $keymap): ?array
+    {
+        if (!is_array($keymap) || count($keymap) > 200) {
+            return null;
+        }
+        $clean = [];
+        foreach ($keymap as $command => $keys) {
+            if (!is_string($command) || !preg_match('/^[a-z0-9_-]+\.[a-z0-9_.-]+$/', $command) || strlen($command) > 100) {
+                return null;
+            }
+            if (!is_string($keys) || strlen($keys) > 60 || preg_match('/[\x00-\x1F]/', $keys)) {
+                return null;
+            }
+            $clean[$command] = $keys;
+        }
+        ksort($clean);
+        return $clean;
+    }
+
     private function scheduleDailyVariantMaintenance(): void
     {
         $db = $this->db;
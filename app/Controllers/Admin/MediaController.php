@@ -5,7 +5,9 @@ namespace App\Controllers\Admin;
 
 use App\Controllers\BaseController;
 use App\Support\Database;
+use App\Support\Logger;
 use App\Services\ExifService;
+use App\Services\MediaQueryService;
 use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
 use Slim\Views\Twig;
@@ -21,13 +23,21 @@ class MediaController extends BaseController
     }
 
     private const PER_PAGE = 60;
+    private const MAX_VIEWS = 50;
 
     public function index(Request $request, Response $response): Response
     {
         $pdo = $this->db->pdo();
-        $q = trim((string)($request->getQueryParams()['q'] ?? ''));
-        $page = max(1, (int)($request->getQueryParams()['page'] ?? 1));
-        $offset = ($page - 1) * self::PER_PAGE;
+        $params = $request->getQueryParams();
+        $page = max(1, (int)($params['page'] ?? 1));
+        $media = new MediaQueryService($this->db);
+        $filters = $media->normalize($params);
+        $result = $media->query($filters, $page, self::PER_PAGE);
+
+        $partial = (string)($params['partial'] ?? '') === '1';
+        if ($partial) {
+            return $this->view->render($response, 'admin/media/_grid.twig', ['items' => $result['items']]);
+        }
 
         // Load albums list for attach action
         $albums = $pdo->query('SELECT id, title FROM albums ORDER BY created_at DESC LIMIT 500')->fetchAll() ?: [];
@@ -47,47 +57,8 @@ class MediaController extends BaseController
             // Locations table might not exist
         }
 
-        // Count total images for pagination
-        $countSql = 'SELECT COUNT(*) FROM images i';
-        $params = [];
-        if ($q !== '') {
-            $countSql .= ' WHERE i.alt_text LIKE :q OR i.caption LIKE :q OR i.original_path LIKE :q';
-            $params[':q'] = '%' . $q . '%';
-        }
-        $countStmt = $pdo->prepare($countSql);
-        $countStmt->execute($params);
-        $totalItems = (int)$countStmt->fetchColumn();
-        $totalPages = (int)ceil($totalItems / self::PER_PAGE);
-
-        // Use subquery to get exactly one preview variant per image (prefer webp > jpg > avif)
-        $sql = 'SELECT i.id, i.album_id, i.original_path, i.created_at, i.width, i.height, i.alt_text, i.caption,
-                       i.camera_id, i.lens_id, i.film_id, i.developer_id, i.lab_id, i.location_id,
-                       i.iso, i.shutter_speed, i.aperture,
-                       COALESCE((
-                           SELECT iv.path FROM image_variants iv
-                           WHERE iv.image_id = i.id AND iv.variant = \'sm\'
-                           -- Prefer webp for admin UI performance (smaller files, faster loading)
-                           ORDER BY CASE iv.format WHEN \'webp\' THEN 1 WHEN \'jpg\' THEN 2 ELSE 3 END
-                           LIMIT 1
-                       ), i.original_path) AS preview_path
-                FROM images i';
-        if ($q !== '') {
-            $sql .= ' WHERE i.alt_text LIKE :q OR i.caption LIKE :q OR i.original_path LIKE :q';
-        }
-        $sql .= ' ORDER BY i.id DESC LIMIT :limit OFFSET :offset';
-        $stmt = $pdo->prepare($sql);
-        if ($q !== '') {
-            $stmt->bindValue(':q', '%' . $q . '%', \PDO::PARAM_STR);
-        }
-        $stmt->bindValue(':limit', self::PER_PAGE, \PDO::PARAM_INT);
-        $stmt->bindValue(':offset', $offset, \PDO::PARAM_INT);
-        $stmt->execute();
-        $items = $stmt->fetchAll() ?: [];
-
-        $partial = (string)($request->getQueryParams()['partial'] ?? '') === '1';
-        $tpl = $partial ? 'admin/media/_grid.twig' : 'admin/media/index.twig';
-        return $this->view->render($response, $tpl, [
-            'items' => $items,
+        return $this->view->render($response, 'admin/media/index.twig', [
+            'items' => $result['items'],
             'albums' => $albums,
             'cameras' => $cameras,
             'lenses' => $lenses,
@@ -96,16 +67,149 @@ class MediaController extends BaseController
             'labs' => $labs,
             'locations' => $locations,
             'csrf' => $_SESSION['csrf'] ?? '',
+            'filters' => $filters,
+            'filter_query' => $media->toQuery($filters),
+            'facets' => $media->facets($filters),
+            'ratings_enabled' => $media->ratingsAvailable(),
+            'views' => $this->views(),
             'pagination' => [
-                'current_page' => $page,
-                'total_pages' => $totalPages,
-                'total_items' => $totalItems,
+                'current_page' => $result['page'],
+                'total_pages' => $result['total_pages'],
+                'total_items' => $result['total'],
                 'per_page' => self::PER_PAGE,
-                'query' => $q
+                'query' => $filters['q'] ?? ''
             ]
         ]);
     }
 
+    /**
+     * JSON counterpart of the library page: the matching images and the facet counts of the
+     * filters in the query string (same parameters as /admin/media). per_page=0 returns the
+     * counts only, which is what the filter bar asks for while filters are being picked.
+     */
+    public function query(Request $request, Response $response): Response
+    {
+        $params = $request->getQueryParams();
+        $media = new MediaQueryService($this->db);
+        $filters = $media->normalize($params);
+        $perPage = isset($params['per_page']) ? (int)$params['per_page'] : self::PER_PAGE;
+
+        try {
+            $result = $media->query($filters, (int)($params['page'] ?? 1), $perPage);
+            $facets = $media->facets($filters);
+        } catch (\Throwable $e) {
+            Logger::error('MediaController::query error', ['error' => $e->getMessage()], 'admin');
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.flash.error_generic')]));
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
+
+        $items = array_map(function (array $item): array {
+            $preview = (string)$item['preview_path'];
+            $item['preview_url'] = str_starts_with($preview, '/') ? $this->basePath . $preview : $preview;
+            unset($item['preview_path']);
+            return $item;
+        }, $result['items']);
+
+        $response->getBody()->write(json_encode([
+            'ok' => true,
+            'filters' => (object)$filters,
+            'query' => $media->toQuery($filters),
+            'items' => $items,
+            'total' => $result['total'],
+            'page' => $result['page'],
+            'per_page' => $result['per_page'],
+            'total_pages' => $result['total_pages'],
+            'facets' => $facets,
+        ], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Save the current filters as a named view of the signed-in admin. A view with the same
+     * name is replaced.
+     */
+    public function saveView(Request $request, Response $response): Response
+    {
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        $data = json_decode((string)$request->getBody(), true);
+        $name = trim((string)(is_array($data) && is_string($data['name'] ?? null) ? $data['name'] : ''));
+        $media = new MediaQueryService($this->db);
+        parse_str(is_array($data) && is_string($data['query'] ?? null) ? $data['query'] : '', $params);
+        $query = $media->toQuery($media->normalize($params));
+        if ($name === '' || mb_strlen($name) > 100 || $query === '') {
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.media.filters_view_invalid')]));
+            return $response->withStatus(422)->withHeader('Content-Type', 'application/json');
+        }
+
+        $userId = (int)$_SESSION['admin_id'];
+        try {
+            $pdo = $this->db->pdo();
+            $existing = $pdo->prepare('SELECT id FROM media_views WHERE user_id = :user AND name = :name');
+            $existing->execute([':user' => $userId, ':name' => $name]);
+            $id = $existing->fetchColumn();
+            if ($id !== false) {
+                $pdo->prepare('UPDATE media_views SET query = :query WHERE id = :id')
+                    ->execute([':query' => $query, ':id' => (int)$id]);
+            } else {
+                $count = $pdo->prepare('SELECT COUNT(*) FROM media_views WHERE user_id = :user');
+                $count->execute([':user' => $userId]);
+                if ((int)$count->fetchColumn() >= self::MAX_VIEWS) {
+                    $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.media.filters_view_limit')]));
+                    return $response->withStatus(422)->withHeader('Content-Type', 'application/json');
+                }
+                $pdo->prepare('INSERT INTO media_views (user_id, name, query) VALUES (:user, :name, :query)')
+                    ->execute([':user' => $userId, ':name' => $name, ':query' => $query]);
+            }
+        } catch (\Throwable $e) {
+            Logger::error('MediaController::saveView error', ['error' => $e->getMessage()], 'admin');
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => trans('admin.flash.error_generic')]));
+            return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+        }
+
+        $response->getBody()->write(json_encode(['ok' => true, 'views' => $this->views()], JSON_UNESCAPED_UNICODE));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    public function deleteView(Request $request, Response $response, array $args): Response
+    {
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        $stmt = $this->db->pdo()->prepare('DELETE FROM media_views WHERE id = :id AND user_id = :user');
+        $stmt->execute([':id' => (int)($args['id'] ?? 0), ':user' => (int)$_SESSION['admin_id']]);
+        if ($stmt->rowCount() === 0) {
+            $response->getBody()->write(json_encode(['ok' => false, 'error' => 'View not found']));
+            return $response->withStatus(404)->withHeader('Content-Type', 'application/json');
+        }
+
+        $response->getBody()->write(json_encode(['ok' => true, 'views' => $this->views()], JSON_UNESCAPED_UNICODE));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Saved views of the signed-in admin (none before the 1.2.0 migration).
+     *
+     * @return list<array{id: int, name: string, query: string}>
+     */
+    private function views(): array
+    {
+        try {
+            $stmt = $this->db->pdo()->prepare('SELECT id, name, query FROM media_views WHERE user_id = :user ORDER BY name');
+            $stmt->execute([':user' => (int)($_SESSION['admin_id'] ?? 0)]);
+            return array_map(fn(array $row) => [
+                'id' => (int)$row['id'],
+                'name' => (string)$row['name'],
+                'query' => (string)$row['query'],
+            ], $stmt->fetchAll() ?: []);
+        } catch (\Throwable) {
+            return [];
+        }
+    }
+
     public function delete(Request $request, Response $response, array $args): Response
     {
         // CSRF validation
@@ -117,14 +221,14 @@ class MediaController extends BaseController
         if ($id <= 0) return $response->withStatus(400);
         $pdo = $this->db->pdo();
         // Collect paths
-        $stmt = $pdo->prepare('SELECT id, original_path FROM images WHERE id = :id');
+        $stmt = $pdo->prepare('SELECT id, original_path, source_path FROM images WHERE id = :id');
         $stmt->execute([':id'=>$id]);
         $row = $stmt->fetch();
         if (!$row) return $response->withStatus(404);
         $varStmt = $pdo->prepare('SELECT path FROM image_variants WHERE image_id = :id');
         $varStmt->execute([':id'=>$id]);
-        $files = [$row['original_path']];
-        foreach ($varStmt->fetchAll() ?: [] as $v) { $files[] = $v['path']; }
+        $originals = array_filter([$row['original_path'], $row['source_path']]);
+        $variants = array_column($varStmt->fetchAll() ?: [], 'path');
         $pdo->beginTransaction();
         try {
             $pdo->prepare('DELETE FROM image_variants WHERE image_id = :id')->execute([':id'=>$id]);
@@ -136,7 +240,22 @@ class MediaController extends BaseController
             return $response->withStatus(500);
         }
         $root = dirname(__DIR__, 2);
-        foreach ($files as $p) {
+        // Copies made by ImageTransferService share their files: keep any still referenced
+        $inUse = $pdo->prepare('SELECT COUNT(*) FROM images WHERE original_path = ? OR source_path = ?');
+        foreach ($originals as $p) {
+            $inUse->execute([$p, $p]);
+            if ((int)$inUse->fetchColumn() > 0) {
+                continue;
+            }
+            $abs = str_starts_with((string)$p, '/media/') ? ($root . '/public' . $p) : ($root . $p);
+            @unlink($abs);
+        }
+        $variantInUse = $pdo->prepare('SELECT COUNT(*) FROM image_variants WHERE path = ?');
+        foreach ($variants as $p) {
+            $variantInUse->execute([$p]);
+            if ((int)$variantInUse->fetchColumn() > 0) {
+                continue;
+            }
             $abs = str_starts_with((string)$p, '/media/') ? ($root . '/public' . $p) : ($root . $p);
             @unlink($abs);
         }
@@ -205,6 +324,73 @@ class MediaController extends BaseController
         return $response->withHeader('Content-Type', 'application/json');
     }
 
+    /**
+     * Variant srcset, size, alt text and caption of an image, for the rich text editor's
+     * "Insert image" (media library figure). Images of protected albums are refused so their
+     * files do not end up on public pages.
+     */
+    public function embed(Request $request, Response $response, array $args): Response
+    {
+        $id = (int)($args['id'] ?? 0);
+        $pdo = $this->db->pdo();
+        $stmt = $pdo->prepare('SELECT i.id, i.width, i.height, i.alt_text, i.caption, i.title, i.original_path,
+                                      a.is_nsfw, a.password_hash
+                               FROM images i LEFT JOIN albums a ON a.id = i.album_id
+                               WHERE i.id = :id');
+        $stmt->execute([':id' => $id]);
+        $image = $stmt->fetch();
+        if (!$image) {
+            $response->getBody()->write(json_encode(['error' => 'Image not found']));
+            return $response->withStatus(404)->withHeader('Content-Type', 'application/json');
+        }
+        if (!empty($image['is_nsfw']) || !empty($image['password_hash'])) {
+            $response->getBody()->write(json_encode(['error' => trans('admin.media.embed_protected')]));
+            return $response->withStatus(403)->withHeader('Content-Type', 'application/json');
+        }
+
+        // One format for the whole srcset: jpg works everywhere, webp when there is no jpg
+        $variants = $pdo->prepare("SELECT variant, format, path, width FROM image_variants
+                                   WHERE image_id = :id AND variant <> 'blur' AND format IN ('jpg', 'webp')
+                                   ORDER BY width ASC");
+        $variants->execute([':id' => $id]);
+        $byFormat = [];
+        foreach ($variants->fetchAll() ?: [] as $variant) {
+            $byFormat[$variant['format']][] = $variant;
+        }
+        $chosen = $byFormat['jpg'] ?? $byFormat['webp'] ?? [];
+        $url = fn(string $path) => str_starts_with($path, '/') ? $this->basePath . $path : $path;
+
+        $srcset = [];
+        $src = null;
+        foreach ($chosen as $variant) {
+            $srcset[] = ['url' => $url((string)$variant['path']), 'width' => (int)$variant['width']];
+            if ($variant['variant'] === 'md' || $src === null) {
+                $src = $url((string)$variant['path']);
+            }
+        }
+        if ($src === null) {
+            // No variants yet (async generation): fall back to the original when it is public
+            $original = (string)$image['original_path'];
+            $src = str_starts_with($original, '/media/') ? $url($original) : null;
+        }
+        if ($src === null) {
+            $response->getBody()->write(json_encode(['error' => trans('admin.media.embed_no_variants')]));
+            return $response->withStatus(409)->withHeader('Content-Type', 'application/json');
+        }
+
+        $response->getBody()->write(json_encode([
+            'ok' => true,
+            'id' => (int)$image['id'],
+            'src' => $src,
+            'srcset' => $srcset,
+            'width' => (int)$image['width'],
+            'height' => (int)$image['height'],
+            'alt' => (string)($image['alt_text'] ?: ($image['title'] ?: '')),
+            'caption' => (string)($image['caption'] ?? ''),
+        ], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
     /**
      * Get EXIF data for an image (AJAX endpoint).
      */
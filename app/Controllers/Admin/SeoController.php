@@ -174,6 +174,9 @@ class SeoController extends BaseController
     {
         // CSRF validation
         if (!$this->validateCsrf($request)) {
+            if ($this->isAjaxRequest($request)) {
+                return $this->csrfErrorJson($response);
+            }
             $_SESSION['flash'][] = ['type' => 'danger', 'message' => 'Invalid CSRF token'];
             return $response->withHeader('Location', $this->redirect('/admin/seo'))->withStatus(302);
         }
@@ -191,6 +194,17 @@ class SeoController extends BaseController
             $sitemapService = new SitemapService($this->db, $baseUrl, $publicPath);
             $result = $sitemapService->generate();
 
+            // Command palette: JSON instead of a flash message
+            if ($this->isAjaxRequest($request)) {
+                $payload = json_encode([
+                    'success' => (bool)$result['success'],
+                    'message' => $result['success'] ? $result['message'] : null,
+                    'error' => $result['success'] ? null : $result['error'],
+                ]);
+                $response->getBody()->write($payload !== false ? $payload : '{"success":false}');
+                return $response->withHeader('Content-Type', 'application/json');
+            }
+
             if ($result['success']) {
                 $_SESSION['flash'][] = ['type' => 'success', 'message' => $result['message']];
             } else {
@@ -199,6 +213,10 @@ class SeoController extends BaseController
 
         } catch (\Throwable $e) {
             Logger::error('SeoController::generateSitemap error', ['error' => $e->getMessage()], 'admin');
+            if ($this->isAjaxRequest($request)) {
+                $response->getBody()->write(json_encode(['success' => false, 'error' => 'Error generating sitemap: ' . $e->getMessage()]));
+                return $response->withStatus(500)->withHeader('Content-Type', 'application/json');
+            }
             $_SESSION['flash'][] = ['type' => 'danger', 'message' => 'Error generating sitemap: ' . $e->getMessage()];
         }
 
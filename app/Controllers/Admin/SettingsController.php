@@ -4,6 +4,7 @@ declare(strict_types=1);
 namespace App\Controllers\Admin;
 use App\Controllers\BaseController;
 use App\Services\SettingsService;
+use App\Services\UrlImportService;
 use App\Support\Database;
 use App\Support\Hooks;
 use App\Support\Logger;
@@ -34,16 +35,7 @@ class SettingsController extends BaseController
         // Custom album page templates (from plugins)
         $albumPageTemplates = $this->getPluginAlbumPageTemplates();
 
-        // Check if maintenance-mode plugin is active
-        $maintenancePluginActive = false;
-        try {
-            $stmt = $this->db->pdo()->prepare('SELECT is_active FROM plugin_status WHERE slug = ? AND is_installed = 1');
-            $stmt->execute(['maintenance-mode']);
-            $pluginStatus = $stmt->fetch(\PDO::FETCH_ASSOC);
-            $maintenancePluginActive = $pluginStatus && $pluginStatus['is_active'];
-        } catch (\Throwable $e) {
-            // Plugin table doesn't exist yet
-        }
+        $maintenancePluginActive = $this->isMaintenancePluginActive();
 
         // Check compression availability
         $compressionAvailability = [
@@ -136,6 +128,7 @@ class SettingsController extends BaseController
         $svc->set('image.preview', $preview);
         $svc->set('image.breakpoints', $breakpoints);
         $svc->set('image.variants_async', $variantsAsync);
+        $svc->set(UrlImportService::SETTING, UrlImportService::normalizeHosts((string)($data['url_import_hosts'] ?? '')));
         $svc->set('lightbox.show_exif', $showExif);
         
         $galleryPageTemplate = (string)($data['gallery_page_template'] ?? 'classic');
@@ -357,6 +350,59 @@ class SettingsController extends BaseController
         return $response->withHeader('Location', $this->redirect('/admin/settings'))->withStatus(302);
     }
 
+    /**
+     * Clear regenerable file caches (storage/cache/*.cache) and in-memory settings (command palette).
+     */
+    public function clearCache(Request $request, Response $response): Response
+    {
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        $removed = 0;
+        foreach (glob(dirname(__DIR__, 3) . '/storage/cache/*.cache') ?: [] as $file) {
+            if (is_file($file) && @unlink($file)) {
+                $removed++;
+            }
+        }
+        (new SettingsService($this->db))->clearCache();
+        if (function_exists('opcache_reset')) {
+            opcache_reset();
+        }
+
+        $response->getBody()->write(json_encode([
+            'success' => true,
+            'message' => trans('admin.flash.cache_cleared', ['count' => $removed]),
+        ]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Switch maintenance mode on or off without the settings form (command palette).
+     */
+    public function toggleMaintenance(Request $request, Response $response): Response
+    {
+        if (!$this->validateCsrf($request)) {
+            return $this->csrfErrorJson($response);
+        }
+
+        if (!$this->isMaintenancePluginActive()) {
+            $response->getBody()->write(json_encode(['success' => false, 'error' => trans('admin.flash.maintenance_plugin_inactive')]));
+            return $response->withStatus(409)->withHeader('Content-Type', 'application/json');
+        }
+
+        $svc = new SettingsService($this->db);
+        $enabled = !(bool)$svc->get('maintenance.enabled', false);
+        $svc->set('maintenance.enabled', $enabled);
+
+        $response->getBody()->write(json_encode([
+            'success' => true,
+            'enabled' => $enabled,
+            'message' => trans($enabled ? 'admin.flash.maintenance_enabled' : 'admin.flash.maintenance_disabled'),
+        ]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
     public function updateLensfun(Request $request, Response $response): Response
     {
         // CSRF validation
@@ -744,6 +790,20 @@ class SettingsController extends BaseController
         return $response->withHeader('Location', $this->redirect('/admin/settings'))->withStatus(302);
     }
 
+    // Maintenance mode only takes effect through the maintenance-mode plugin
+    private function isMaintenancePluginActive(): bool
+    {
+        try {
+            $stmt = $this->db->pdo()->prepare('SELECT is_active FROM plugin_status WHERE slug = ? AND is_installed = 1');
+            $stmt->execute(['maintenance-mode']);
+            $pluginStatus = $stmt->fetch(\PDO::FETCH_ASSOC);
+            return $pluginStatus && $pluginStatus['is_active'];
+        } catch (\Throwable $e) {
+            // Plugin table doesn't exist yet
+            return false;
+        }
+    }
+
     /**
      * Load album page templates from plugins.
      *
@@ -3,8 +3,12 @@ declare(strict_types=1);
 
 namespace App\Controllers\Admin;
 use App\Controllers\BaseController;
+use App\Services\ChunkedUploadService;
 use App\Services\UploadService;
+use App\Services\ImageDecodeService;
 use App\Services\ImagesService;
+use App\Services\PerceptualHashService;
+use App\Services\UrlImportService;
 use App\Support\Database;
 use App\Support\Logger;
 use Psr\Http\Message\ResponseInterface as Response;
@@ -80,6 +84,19 @@ class UploadController extends BaseController
             return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
         }
 
+        $imageMeta = $this->readImageMeta((array) ($request->getParsedBody() ?? []));
+
+        return $this->ingestAndRespond($response, $albumId, $tmpPath, [], $imageMeta);
+    }
+
+    /**
+     * Ingest a file already persisted under storage/tmp and write the JSON upload payload.
+     * Shared by the single-request and the chunked upload paths.
+     * $imageMeta holds title/alt text/caption/tags entered in the upload review queue.
+     * $onSettled receives the success payload before it is sent, or null when the ingest failed.
+     */
+    private function ingestAndRespond(Response $response, int $albumId, string $tmpPath, array $extra = [], array $imageMeta = [], ?callable $onSettled = null): Response
+    {
         // Check if album needs blur generation (NSFW or password-protected)
         $needsBlur = false;
         try {
@@ -97,17 +114,61 @@ class UploadController extends BaseController
         }
 
         // Prepare array compatible with UploadService
-        $fArr = ['tmp_name' => $tmpPath, 'error' => $file->getError()];
+        // Temp files are named "<16 hex>-<client name>" by both upload paths
+        $fArr = ['tmp_name' => $tmpPath, 'error' => UPLOAD_ERR_OK, 'name' => preg_replace('/^[0-9a-f]{16}-/', '', basename($tmpPath))];
         try {
             $svc = new UploadService($this->db);
+
+            // Untouched HEIC/AVIF/TIFF sent after its browser-decoded master: store it, do not ingest
+            if (!empty($imageMeta['source_for'])) {
+                $source = $svc->attachSourceFile((int) $imageMeta['source_for'], $albumId, $tmpPath);
+                $payload = ['ok' => true, 'id' => $source['id'], 'image' => $source] + $extra;
+                if ($onSettled) {
+                    $onSettled($payload);
+                }
+                $response->getBody()->write(json_encode($payload));
+                return $response->withHeader('Content-Type', 'application/json');
+            }
+
             $meta = $svc->ingestAlbumUpload($albumId, $fArr);
 
+            if ($imageMeta && !empty($meta['id'])) {
+                try {
+                    $meta += $svc->applyImageMetadata((int) $meta['id'], $imageMeta);
+                } catch (\Throwable $metaError) {
+                    // The image itself is stored: metadata can still be edited from the image modal
+                    Logger::warning('UploadController: failed to apply upload metadata', [
+                        'image_id' => $meta['id'],
+                        'error' => $metaError->getMessage(),
+                    ], 'upload');
+                }
+            }
+
+            // Duplicate prompt answered "replace": the upload takes the place of the existing image
+            if (!empty($imageMeta['replace_image_id']) && !empty($meta['id'])) {
+                try {
+                    $svc->replaceImageWith((int) $imageMeta['replace_image_id'], (int) $meta['id']);
+                    $meta['id'] = (int) $imageMeta['replace_image_id'];
+                    $meta['replaced'] = true;
+                } catch (\Throwable $replaceError) {
+                    // Keep the upload as a new image rather than losing it
+                    Logger::warning('UploadController: failed to replace image', [
+                        'image_id' => $meta['id'],
+                        'replace_image_id' => $imageMeta['replace_image_id'],
+                        'error' => $replaceError->getMessage(),
+                    ], 'upload');
+                }
+            }
+
             // Also expose id at top-level for existing frontend logic
             $payload = [
                 'ok' => true,
                 'id' => $meta['id'] ?? null,
                 'image' => $meta,
-            ];
+            ] + $extra;
+            if ($onSettled) {
+                $onSettled($payload);
+            }
             $json = json_encode($payload);
             $response->getBody()->write($json);
             $response = $response->withHeader('Content-Type', 'application/json');
@@ -150,11 +211,306 @@ class UploadController extends BaseController
 
             return $response;
         } catch (\Throwable $e) {
+            if ($onSettled) {
+                $onSettled(null);
+            }
             $response->getBody()->write(json_encode(['ok' => false, 'error' => $e->getMessage()]));
             return $response->withStatus(400)->withHeader('Content-Type', 'application/json');
         }
     }
 
+    /**
+     * Open (or resume) a chunked upload session for a large original.
+     * Body: {name, size, fingerprint}. Returns the committed offset so the client
+     * can skip bytes the server already has.
+     */
+    public function openUploadSession(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        if (!$this->albumExists($albumId)) {
+            return $this->jsonError($response, 'Album not found', 404);
+        }
+
+        $data = (array) ($request->getParsedBody() ?? []);
+        $name = trim((string) ($data['name'] ?? ''));
+        $size = (int) ($data['size'] ?? 0);
+        $fingerprint = (string) ($data['fingerprint'] ?? '');
+        $imageMeta = $this->readImageMeta(is_array($data['meta'] ?? null) ? $data['meta'] : []);
+
+        try {
+            $session = (new ChunkedUploadService())->openSession($albumId, $name, $size, $fingerprint, $imageMeta);
+        } catch (\Throwable $e) {
+            return $this->jsonError($response, $e->getMessage(), 400);
+        }
+        if (!empty($session['complete'])) {
+            return $this->completedResponse($response, $session);
+        }
+
+        return $this->sessionResponse($response, $session);
+    }
+
+    public function uploadSessionStatus(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        $uploadId = (string) ($args['uploadId'] ?? '');
+        $chunks = new ChunkedUploadService();
+        $session = $chunks->getSession($uploadId);
+        if ($session === null) {
+            $completed = $chunks->getCompleted($uploadId);
+            if ($completed !== null && $completed['album_id'] === $albumId) {
+                return $this->completedResponse($response, $completed);
+            }
+        }
+        if ($session === null || $session['album_id'] !== $albumId) {
+            return $this->jsonError($response, 'Upload session not found', 404);
+        }
+
+        return $this->sessionResponse($response, $session);
+    }
+
+    /**
+     * Append one chunk (raw request body) at the offset given in the X-Upload-Offset header.
+     * The last chunk assembles the original and ingests it like a regular upload; the
+     * result stays available to a repeated final chunk whose first response was lost.
+     */
+    public function uploadChunk(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        $uploadId = (string) ($args['uploadId'] ?? '');
+        $chunks = new ChunkedUploadService();
+        $session = $chunks->getSession($uploadId);
+        if ($session === null) {
+            $completed = $chunks->getCompleted($uploadId);
+            if ($completed !== null && $completed['album_id'] === $albumId) {
+                return $this->completedResponse($response, $completed);
+            }
+        }
+        if ($session === null || $session['album_id'] !== $albumId) {
+            return $this->jsonError($response, 'Upload session not found', 404);
+        }
+
+        $offsetHeader = $request->getHeaderLine('X-Upload-Offset');
+        if ($offsetHeader === '' || !ctype_digit($offsetHeader)) {
+            return $this->jsonError($response, 'Missing upload offset', 400);
+        }
+
+        try {
+            $offset = $chunks->appendChunk($uploadId, (int) $offsetHeader, $request->getBody());
+        } catch (\RuntimeException $e) {
+            if ($e->getCode() === 409) {
+                // Client is out of sync: tell it where to continue from
+                $current = $chunks->getSession($uploadId);
+                return $this->sessionResponse($response, $current ?? $session, 409);
+            }
+            Logger::warning('UploadController: chunk rejected', [
+                'album_id' => $albumId,
+                'upload_id' => $uploadId,
+                'error' => $e->getMessage(),
+            ], 'upload');
+            return $this->jsonError($response, $e->getMessage(), 400);
+        }
+
+        if ($offset < $session['size']) {
+            return $this->sessionResponse($response, ['offset' => $offset] + $session);
+        }
+
+        try {
+            $tmpPath = $chunks->finalize($uploadId, dirname(__DIR__, 3) . '/storage/tmp');
+        } catch (\Throwable $e) {
+            Logger::error('UploadController: failed to assemble chunked upload', [
+                'upload_id' => $uploadId,
+                'error' => $e->getMessage(),
+            ], 'upload');
+            return $this->jsonError($response, $e->getMessage(), 400);
+        }
+
+        return $this->ingestAndRespond($response, $albumId, $tmpPath, [
+            'upload_id' => $uploadId,
+            'offset' => $session['size'],
+            'size' => $session['size'],
+            'complete' => true,
+        ], $session['image_meta'], static function (?array $payload) use ($chunks, $uploadId): void {
+            if ($payload === null) {
+                $chunks->abandon($uploadId);
+            } else {
+                $chunks->complete($uploadId, $payload);
+            }
+        });
+    }
+
+    /**
+     * Look up images that look like the files about to be uploaded.
+     * Body: {hashes: {key: dhash}}. Album images hashed before this feature existed
+     * are backfilled in small batches so repeated checks cover the whole album.
+     */
+    public function findDuplicates(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        if (!$this->albumExists($albumId)) {
+            return $this->jsonError($response, 'Album not found', 404);
+        }
+
+        $data = json_decode((string) $request->getBody(), true) ?: [];
+        $hashes = array_filter((array) ($data['hashes'] ?? []), 'is_string');
+        $phash = new PerceptualHashService($this->db);
+        try {
+            $phash->hashMissing($albumId);
+            $matches = $phash->findMatches(array_slice($hashes, 0, 500, true), $albumId);
+        } catch (\Throwable $e) {
+            // Never block uploads on the duplicate check (e.g. phash column not migrated yet)
+            Logger::warning('UploadController: duplicate lookup failed', ['album_id' => $albumId, 'error' => $e->getMessage()], 'upload');
+            $matches = [];
+        }
+
+        $response->getBody()->write(json_encode(['ok' => true, 'matches' => (object) $matches]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Fetch an image from an allowlisted host and return its bytes. The browser queues the
+     * result like a picked file, so it is uploaded and validated through the normal path.
+     */
+    public function importFromUrl(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        if (!$this->albumExists($albumId)) {
+            return $this->jsonError($response, 'Album not found', 404);
+        }
+
+        $data = json_decode((string) $request->getBody(), true) ?: [];
+        $url = trim((string) ($data['url'] ?? ''));
+        if ($url === '' || strlen($url) > 2048) {
+            return $this->jsonError($response, 'Invalid URL', 400);
+        }
+
+        $importer = new UrlImportService($this->db);
+        if (!$importer->isEnabled()) {
+            return $this->jsonError($response, 'URL import is disabled', 403);
+        }
+        try {
+            $file = $importer->fetch($url);
+        } catch (\RuntimeException $e) {
+            $status = $e->getCode() >= 400 && $e->getCode() < 600 ? $e->getCode() : 422;
+            return $this->jsonError($response, $e->getMessage(), $status);
+        }
+
+        $stream = fopen($file['path'], 'rb');
+        $body = $response->getBody();
+        while ($stream && !feof($stream)) {
+            $chunk = fread($stream, 8192);
+            if ($chunk === false) break;
+            $body->write($chunk);
+        }
+        if ($stream) fclose($stream);
+        @unlink($file['path']);
+
+        return $response
+            ->withHeader('Content-Type', $file['mime'])
+            ->withHeader('Content-Length', (string) $file['size'])
+            ->withHeader('X-File-Name', rawurlencode($file['name']))
+            ->withHeader('X-Content-Type-Options', 'nosniff')
+            ->withHeader('Cache-Control', 'no-store');
+    }
+
+    /**
+     * HEIC/AVIF/TIFF flavours this server decodes itself; the uploader converts the others in the browser.
+     */
+    public function decodeFormats(Request $request, Response $response): Response
+    {
+        $response->getBody()->write(json_encode(['ok' => true, 'formats' => ImageDecodeService::decodableFormats()]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    public function cancelUploadSession(Request $request, Response $response, array $args): Response
+    {
+        $albumId = (int) ($args['id'] ?? 0);
+        $chunks = new ChunkedUploadService();
+        $session = $chunks->getSession((string) ($args['uploadId'] ?? ''));
+        if ($session !== null && $session['album_id'] === $albumId) {
+            $chunks->discard($session['id']);
+        }
+        $response->getBody()->write(json_encode(['ok' => true]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    private function sessionResponse(Response $response, array $session, int $status = 200): Response
+    {
+        $response->getBody()->write(json_encode([
+            'ok' => $status < 400,
+            'upload_id' => $session['id'],
+            'offset' => $session['offset'],
+            'size' => $session['size'],
+            'chunk_size' => ChunkedUploadService::CHUNK_SIZE,
+            'complete' => false,
+        ]));
+        return $response->withStatus($status)->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Answer for a finalized session: the stored upload result, or a retryable 503
+     * while the last chunk is still being ingested.
+     */
+    private function completedResponse(Response $response, array $completed): Response
+    {
+        if ($completed['payload'] === null) {
+            return $this->jsonError($response, 'Upload is still being processed', 503)->withHeader('Retry-After', '2');
+        }
+        $response->getBody()->write(json_encode($completed['payload']));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+
+    private function jsonError(Response $response, string $message, int $status): Response
+    {
+        $response->getBody()->write(json_encode(['ok' => false, 'error' => $message]));
+        return $response->withStatus($status)->withHeader('Content-Type', 'application/json');
+    }
+
+    /**
+     * Pick the per-file metadata fields sent by the upload review queue, the GPS privacy
+     * step, the duplicate prompt and the browser-side format decoder.
+     */
+    private function readImageMeta(array $data): array
+    {
+        $imageMeta = [];
+        foreach (['title', 'alt_text', 'caption'] as $field) {
+            if (isset($data[$field]) && is_scalar($data[$field]) && trim((string) $data[$field]) !== '') {
+                $imageMeta[$field] = (string) $data[$field];
+            }
+        }
+        $tags = array_values(array_filter(array_map('intval', (array) ($data['tags'] ?? []))));
+        if ($tags) {
+            $imageMeta['tags'] = $tags;
+        }
+        // GPS decision taken in the browser (only sent when the file carried location data)
+        if (in_array($data['gps_policy'] ?? null, UploadService::GPS_POLICIES, true)) {
+            $imageMeta['gps_policy'] = $data['gps_policy'];
+        }
+        // Existing image chosen in the duplicate prompt
+        $replaceId = (int) ($data['replace_image_id'] ?? 0);
+        if ($replaceId > 0) {
+            $imageMeta['replace_image_id'] = $replaceId;
+        }
+        // Original HEIC/AVIF/TIFF whose master was decoded in the browser
+        $sourceFor = (int) ($data['source_for'] ?? 0);
+        if ($sourceFor > 0) {
+            $imageMeta['source_for'] = $sourceFor;
+        }
+
+        return $imageMeta;
+    }
+
+    private function albumExists(int $albumId): bool
+    {
+        try {
+            $check = $this->db->pdo()->prepare('SELECT id FROM albums WHERE id = :id');
+            $check->execute([':id' => $albumId]);
+            return (bool) $check->fetch();
+        } catch (\Throwable $e) {
+            Logger::error('UploadController: DB error checking album', ['error' => $e->getMessage()], 'upload');
+            return false;
+        }
+    }
+
     public function uploadSiteLogo(Request $request, Response $response): Response
     {
         // CSRF validation
@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace App\Controllers\Frontend;
 use App\Controllers\BaseController;
+use App\Services\ImageDecodeService;
 use App\Support\Database;
 use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
@@ -20,7 +21,7 @@ class DownloadController extends BaseController
         if ($id <= 0) return $response->withStatus(404);
         
         $pdo = $this->db->pdo();
-        $stmt = $pdo->prepare('SELECT i.id, i.original_path, i.mime, a.id as album_id, a.allow_downloads, a.password_hash, a.is_nsfw
+        $stmt = $pdo->prepare('SELECT i.id, i.original_path, i.mime, i.source_path, i.source_mime, a.id as album_id, a.allow_downloads, a.password_hash, a.is_nsfw
                                FROM images i JOIN albums a ON a.id = i.album_id WHERE i.id = :id');
         $stmt->execute([':id' => $id]);
         $row = $stmt->fetch();
@@ -45,7 +46,9 @@ class DownloadController extends BaseController
         }
         
         $root = dirname(__DIR__, 3);
-        $originalPath = (string)$row['original_path'];
+        // HEIC/AVIF/TIFF uploads are served as the untouched source, not the JPEG master
+        $hasSource = !empty($row['source_path']);
+        $originalPath = (string)($hasSource ? $row['source_path'] : $row['original_path']);
         
         // SECURITY: Comprehensive path traversal prevention
         // Remove all potential traversal sequences
@@ -82,17 +85,22 @@ class DownloadController extends BaseController
         $finfo = finfo_open(FILEINFO_MIME_TYPE);
         $detectedMime = finfo_file($finfo, $realPath);
         finfo_close($finfo);
+        if ($hasSource && !str_starts_with((string)$detectedMime, 'image/')) {
+            // Older libmagic reports HEIC/AVIF as application/octet-stream
+            $detectedMime = ImageDecodeService::sniffMime($realPath) ?? $detectedMime;
+        }
         
         $allowedMimes = [
             'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-            'image/bmp', 'image/tiff', 'image/svg+xml'
+            'image/bmp', 'image/tiff', 'image/svg+xml',
+            'image/heic', 'image/heif', 'image/avif'
         ];
         
         if (!in_array($detectedMime, $allowedMimes, true)) {
             return $response->withStatus(403);
         }
         
-        $mime = $row['mime'] ?: 'application/octet-stream';
+        $mime = ($hasSource ? $row['source_mime'] : $row['mime']) ?: 'application/octet-stream';
         
         // SECURITY: Comprehensive filename sanitization to prevent header injection
         $filename = basename($realPath);
@@ -4,6 +4,7 @@ declare(strict_types=1);
 namespace App\Extensions;
 
 use App\Middlewares\SecurityHeadersMiddleware;
+use App\Support\Sanitizer;
 use Twig\Extension\AbstractExtension;
 use Twig\TwigFilter;
 use Twig\TwigFunction;
@@ -39,11 +40,14 @@ class SecurityTwigExtension extends AbstractExtension
         }
         // Basic whitelist sanitizer without external deps
         $allowedTags = [
-            'p','a','strong','em','ul','ol','li','blockquote','h2','h3','h4','hr','br','span'
+            'p','a','strong','em','ul','ol','li','blockquote','h2','h3','h4','hr','br','span',
+            'figure','figcaption','img'
         ];
         $allowedAttrs = [
             'a' => ['href','rel','target'],
             'span' => ['class'],
+            // Media library figures (see Sanitizer::imageAttribute)
+            'img' => ['src','srcset','sizes','alt','width','height','loading'],
         ];
 
         // Strip dangerous protocols
@@ -74,6 +78,9 @@ class SecurityTwigExtension extends AbstractExtension
                     $parent->removeChild($node);
                     return; // children already reparented
                 }
+            } elseif (in_array($tag, ['img', 'figcaption'], true) && strtolower((string)$node->parentNode?->nodeName) !== 'figure') {
+                $node->parentNode?->removeChild($node);
+                return;
             } else {
                 // Filter attributes
                 if ($node->hasAttributes()) {
@@ -97,8 +104,20 @@ class SecurityTwigExtension extends AbstractExtension
                             // Normalize target
                             $node->setAttribute('rel', 'noopener noreferrer');
                         }
+                        if ($tag === 'img') {
+                            $clean = Sanitizer::imageAttribute($name, (string)$attr->nodeValue);
+                            if ($clean === null) {
+                                $node->removeAttributeNode($attr);
+                            } else {
+                                $node->setAttribute($name, $clean);
+                            }
+                        }
                     }
                 }
+                if ($tag === 'img' && !$node->hasAttribute('src')) {
+                    $node->parentNode?->removeChild($node);
+                    return;
+                }
             }
         }
         // Recurse on children (snapshot list as it may change)
@@ -109,6 +128,9 @@ class SecurityTwigExtension extends AbstractExtension
         foreach ($children as $child) {
             $this->sanitizeNode($child, $allowedTags, $allowedAttrs);
         }
+        if ($node instanceof \DOMElement && strtolower($node->nodeName) === 'figure' && $node->parentNode) {
+            Sanitizer::cleanFigure($node);
+        }
     }
 }
 
@@ -47,8 +47,7 @@ class AuthMiddleware implements MiddlewareInterface
         }
 
         if (empty($_SESSION['admin_id'])) {
-            $response = new \Slim\Psr7\Response(302);
-            return $response->withHeader('Location', $basePath . '/admin/login');
+            return $this->loginRequired($request, $basePath);
         }
 
         // Verify user still exists and is active
@@ -60,8 +59,7 @@ class AuthMiddleware implements MiddlewareInterface
             // User no longer exists, is inactive, or no longer admin - force logout
             $this->clearRememberToken((int)($_SESSION['admin_id'] ?? 0));
             session_destroy();
-            $response = new \Slim\Psr7\Response(302);
-            return $response->withHeader('Location', $basePath . '/admin/login');
+            return $this->loginRequired($request, $basePath);
         }
 
         // Update session with current user data
@@ -72,6 +70,30 @@ class AuthMiddleware implements MiddlewareInterface
         return $handler->handle($request);
     }
 
+    /**
+     * Redirect to the login page, or answer 401 to scripts so an open admin tab can
+     * sign in again in place (resources/js/admin/session.js) and keep its work
+     */
+    private function loginRequired(Request $request, string $basePath): Response
+    {
+        $accept = $request->getHeaderLine('Accept');
+        $requestedWith = $request->getHeaderLine('X-Requested-With');
+        $isScript = stripos($accept, 'application/json') !== false
+            || stripos($requestedWith, 'XMLHttpRequest') !== false
+            || $request->hasHeader('X-CSRF-Token');
+        if ($isScript) {
+            $response = new \Slim\Psr7\Response(401);
+            $response->getBody()->write(json_encode([
+                'ok' => false,
+                'error' => 'Authentication required',
+                'login_url' => $basePath . '/admin/login',
+            ]));
+            return $response->withHeader('Content-Type', 'application/json');
+        }
+        $response = new \Slim\Psr7\Response(302);
+        return $response->withHeader('Location', $basePath . '/admin/login');
+    }
+
     /**
      * Try to auto-login using remember token cookie
      */
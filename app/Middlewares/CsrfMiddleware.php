@@ -34,12 +34,14 @@ class CsrfMiddleware implements MiddlewareInterface
             $token = $parsed['csrf'] ?? $request->getHeaderLine('X-CSRF-Token');
             
             if (!is_string($token) || !hash_equals($_SESSION['csrf'], $token)) {
-                $response = new \Slim\Psr7\Response(400);
-                $accept = $request->getHeaderLine('Accept');
-                if (stripos($accept, 'application/json') !== false) {
-                    $response->getBody()->write(json_encode(['ok'=>false,'error'=>'Invalid CSRF token']));
-                    return $response->withHeader('Content-Type','application/json');
+                // Scripts get 419 with the current token, so a stale page can retry with it
+                // (the session expired or was renewed since the page was loaded)
+                if ($this->isAjax($request)) {
+                    $response = new \Slim\Psr7\Response(419);
+                    $response->getBody()->write(json_encode(['ok'=>false,'error'=>'Invalid CSRF token','csrf'=>$_SESSION['csrf']]));
+                    return $response->withHeader('Content-Type','application/json')->withHeader('X-CSRF-Token', $_SESSION['csrf']);
                 }
+                $response = new \Slim\Psr7\Response(400);
                 $response->getBody()->write('Invalid CSRF token');
                 return $response;
             }
@@ -53,4 +55,12 @@ class CsrfMiddleware implements MiddlewareInterface
         }
         return $response;
     }
+
+    // Browsers never add an X-CSRF-Token header to plain form posts: only scripts send one
+    private function isAjax(Request $request): bool
+    {
+        return stripos($request->getHeaderLine('Accept'), 'application/json') !== false
+            || stripos($request->getHeaderLine('X-Requested-With'), 'XMLHttpRequest') !== false
+            || $request->hasHeader('X-CSRF-Token');
+    }
 }
@@ -0,0 +1,182 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+use App\Support\Str;
+
+/**
+ * Record search behind the admin command palette (Ctrl/Cmd+K).
+ *
+ * Each kind of record is narrowed in SQL with a subsequence pattern ("nkf3" matches
+ * "%n%k%f%3%"), exact and prefix matches then shorter labels first, then ranked with Str::fuzzyScore() and cut to a few per group. Admin pages,
+ * settings sections and actions are not records: the palette ranks those itself.
+ */
+class AdminSearchService
+{
+    // Rows read per kind before ranking, and results kept per group
+    private const CANDIDATES = 50;
+    private const PER_GROUP = 6;
+
+    public function __construct(private Database $db, private string $basePath = '')
+    {
+    }
+
+    /**
+     * @return list<array{group: string, items: list<array{title: string, subtitle: string, url: string, icon: string, image?: ?string}>}>
+     */
+    public function search(string $query): array
+    {
+        $query = trim($query);
+        if ($query === '') {
+            return [];
+        }
+
+        $groups = [
+            'albums' => $this->albums($query),
+            'images' => $this->images($query),
+            'categories' => $this->simple($query, 'categories', 'name', '/admin/categories/%d/edit', 'fa-folder'),
+            'tags' => $this->simple($query, 'tags', 'name', '/admin/tags/%d/edit', 'fa-tag'),
+            'equipment' => $this->equipment($query),
+        ];
+
+        $result = [];
+        foreach ($groups as $group => $items) {
+            if ($items) {
+                $result[] = ['group' => $group, 'items' => $items];
+            }
+        }
+        return $result;
+    }
+
+    private function albums(string $query): array
+    {
+        $rows = $this->candidates(
+            'SELECT a.id, a.title, a.is_published, c.name AS category_name
+             FROM albums a LEFT JOIN categories c ON c.id = a.category_id
+             WHERE a.title LIKE :q ESCAPE \'!\'',
+            $query,
+            ['a.title']
+        );
+        return $this->rank($query, $rows, fn($row) => [$row['title']], fn($row) => [
+            'title' => (string)$row['title'],
+            'subtitle' => (string)($row['category_name'] ?? ''),
+            'url' => $this->basePath . '/admin/albums/' . (int)$row['id'] . '/edit',
+            'icon' => (int)$row['is_published'] === 1 ? 'fa-images' : 'fa-eye-slash',
+        ]);
+    }
+
+    private function images(string $query): array
+    {
+        $rows = $this->candidates(
+            "SELECT i.id, i.album_id, i.title, i.original_filename, i.original_path, a.title AS album_title,
+                    (SELECT iv.path FROM image_variants iv WHERE iv.image_id = i.id AND iv.variant = 'sm' LIMIT 1) AS preview_path
+             FROM images i JOIN albums a ON a.id = i.album_id
+             WHERE i.title LIKE :q ESCAPE '!' OR COALESCE(i.original_filename, i.original_path) LIKE :q2 ESCAPE '!'",
+            $query,
+            ["COALESCE(NULLIF(i.title, ''), i.original_filename, i.original_path)", 'COALESCE(i.original_filename, i.original_path)']
+        );
+        $filename = fn($row) => (string)($row['original_filename'] ?: basename((string)$row['original_path']));
+        return $this->rank($query, $rows, fn($row) => [(string)$row['title'], $filename($row)], fn($row) => [
+            'title' => (string)($row['title'] ?: $filename($row)),
+            'subtitle' => $row['title'] ? $filename($row) . ' · ' . $row['album_title'] : (string)$row['album_title'],
+            'url' => $this->basePath . '/admin/albums/' . (int)$row['album_id'] . '/edit',
+            'icon' => 'fa-image',
+            'image' => $row['preview_path'] ? $this->basePath . $row['preview_path'] : null,
+        ]);
+    }
+
+    private function simple(string $query, string $table, string $column, string $path, string $icon): array
+    {
+        $rows = $this->candidates("SELECT id, {$column} AS label FROM {$table} WHERE {$column} LIKE :q ESCAPE '!'", $query, [$column]);
+        return $this->rank($query, $rows, fn($row) => [$row['label']], fn($row) => [
+            'title' => (string)$row['label'],
+            'subtitle' => '',
+            'url' => $this->basePath . sprintf($path, (int)$row['id']),
+            'icon' => $icon,
+        ]);
+    }
+
+    private function equipment(string $query): array
+    {
+        $kinds = [
+            'cameras' => [$this->db->concatExpression('make', "' '", 'model'), 'fa-camera'],
+            'lenses' => [$this->db->concatExpression('brand', "' '", 'model'), 'fa-circle-dot'],
+            'films' => [$this->db->concatExpression('brand', "' '", 'name'), 'fa-film'],
+            'developers' => ['name', 'fa-flask'],
+            'labs' => ['name', 'fa-microscope'],
+            'locations' => ['name', 'fa-location-dot'],
+        ];
+        $rows = [];
+        foreach ($kinds as $table => [$label, $icon]) {
+            try {
+                foreach ($this->candidates("SELECT id, {$label} AS label FROM {$table} WHERE {$label} LIKE :q ESCAPE '!'", $query, [$label]) as $row) {
+                    $rows[] = $row + ['kind' => $table, 'icon' => $icon];
+                }
+            } catch (\Throwable) {
+                // Table not there yet (older installs)
+            }
+        }
+        return $this->rank($query, $rows, fn($row) => [$row['label']], fn($row) => [
+            'title' => (string)$row['label'],
+            'subtitle' => trans('admin.sidebar.' . $row['kind']),
+            'url' => $this->basePath . '/admin/' . $row['kind'] . '/' . (int)$row['id'] . '/edit',
+            'icon' => $row['icon'],
+        ]);
+    }
+
+    /**
+     * Rows matching the subsequence pattern, capped at CANDIDATES. Rows whose $labels
+     * (SQL expressions) equal or start with the query come first, then the shortest first
+     * label, so the cap does not drop the closest matches before ranking.
+     */
+    private function candidates(string $sql, string $query, array $labels): array
+    {
+        // One placeholder per use (:q, :q2…, :exact0, :prefix0…): prepares are not emulated
+        preg_match_all('~:q\d*\b~', $sql, $names);
+        $params = array_fill_keys(array_unique($names[0]), $this->pattern($query));
+        $exact = $prefix = [];
+        foreach (array_values($labels) as $i => $label) {
+            $exact[] = "{$label} LIKE :exact{$i} ESCAPE '!'";
+            $prefix[] = "{$label} LIKE :prefix{$i} ESCAPE '!'";
+            $params[":exact{$i}"] = $this->escapeLike($query);
+            $params[":prefix{$i}"] = $this->escapeLike($query) . '%';
+        }
+        $length = $this->db->isSqlite() ? 'LENGTH' : 'CHAR_LENGTH';
+        $order = ' ORDER BY CASE WHEN ' . implode(' OR ', $exact) . ' THEN 0 WHEN ' . implode(' OR ', $prefix) . ' THEN 1 ELSE 2 END, '
+            . "{$length}({$labels[0]})";
+
+        $stmt = $this->db->pdo()->prepare($sql . $order . ' LIMIT ' . self::CANDIDATES);
+        $stmt->execute($params);
+        return $stmt->fetchAll() ?: [];
+    }
+
+    // "nk f3" → "%n%k%f%3%", LIKE wildcards in the query escaped with "!"
+    private function pattern(string $query): string
+    {
+        $chars = mb_str_split(preg_replace('~\s+~u', '', $query) ?? '');
+        return '%' . implode('%', array_map(fn($char) => $this->escapeLike($char), $chars)) . '%';
+    }
+
+    private function escapeLike(string $text): string
+    {
+        return str_replace(['!', '%', '_'], ['!!', '!%', '!_'], $text);
+    }
+
+    /**
+     * Best-scoring rows first (each scored on its best field), mapped to palette items.
+     */
+    private function rank(string $query, array $rows, callable $fields, callable $item): array
+    {
+        $scored = [];
+        foreach ($rows as $row) {
+            $scores = array_filter(array_map(fn($text) => Str::fuzzyScore($query, (string)$text), $fields($row)), fn($score) => $score !== null);
+            if ($scores) {
+                $scored[] = [max($scores), $row];
+            }
+        }
+        usort($scored, fn($a, $b) => $b[0] <=> $a[0]);
+        return array_map(fn($entry) => $item($entry[1]), array_slice($scored, 0, self::PER_GROUP));
+    }
+}
@@ -0,0 +1,319 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Logger;
+use Psr\Http\Message\StreamInterface;
+use RuntimeException;
+
+/**
+ * Offset-based resumable uploads for large album originals.
+ *
+ * Each session is identified by a deterministic id derived from the album and the
+ * client-side file fingerprint, so re-adding the same file after a network drop or a
+ * page reload resumes from the bytes already on disk. Sessions live in storage/tmp/chunks
+ * as a JSON descriptor plus a .part file whose size is the committed offset.
+ *
+ * A finished session leaves a .done.json record with the upload's response for the
+ * same TTL, so a client whose last response was lost can still settle on the image.
+ */
+class ChunkedUploadService
+{
+    public const CHUNK_SIZE = 5 * 1024 * 1024;
+    public const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+    private const SESSION_TTL = 86400;
+
+    private string $dir;
+
+    public function __construct(?string $dir = null)
+    {
+        $this->dir = $dir ?? dirname(__DIR__, 2) . '/storage/tmp/chunks';
+        ImagesService::ensureDir($this->dir);
+    }
+
+    /**
+     * Create a session, or return the existing one for the same album + fingerprint.
+     * $imageMeta (title, alt text, caption, tags from the review queue) is kept with the
+     * session and applied once the file is ingested; reopening replaces it when given.
+     */
+    public function openSession(int $albumId, string $fileName, int $size, string $fingerprint, array $imageMeta = []): array
+    {
+        if ($size <= 0 || $size > UploadService::MAX_FILE_SIZE) {
+            throw new RuntimeException('File too large');
+        }
+        if ($fingerprint === '' || strlen($fingerprint) > 512) {
+            throw new RuntimeException('Invalid file fingerprint');
+        }
+
+        $this->purgeStale();
+
+        $id = hash('sha256', $albumId . '|' . $fingerprint);
+        $completed = $this->getCompleted($id);
+        if ($completed !== null) {
+            // Same file retried after its final response was lost: hand back the result.
+            // Different review-queue metadata means a deliberate new upload of the file.
+            if ($completed['album_id'] === $albumId && (!$imageMeta || $imageMeta === $completed['image_meta'])) {
+                return $completed;
+            }
+            @unlink($this->donePath($id));
+        }
+        $existing = $this->getSession($id);
+        if ($existing !== null && $existing['album_id'] === $albumId && $existing['size'] === $size) {
+            if ($imageMeta && $imageMeta !== $existing['image_meta']) {
+                $this->updateDescriptor($id, ['image_meta' => $imageMeta]);
+                $existing['image_meta'] = $imageMeta;
+            }
+            return $existing;
+        }
+        if ($existing !== null) {
+            $this->discard($id);
+        }
+
+        $meta = [
+            'id' => $id,
+            'album_id' => $albumId,
+            'name' => basename($fileName) ?: ('upload-' . time()),
+            'size' => $size,
+            'image_meta' => $imageMeta,
+            'created_at' => time(),
+            'updated_at' => time(),
+        ];
+        if (@file_put_contents($this->partPath($id), '') === false
+            || @file_put_contents($this->metaPath($id), json_encode($meta)) === false) {
+            throw new RuntimeException('Failed to create upload session');
+        }
+
+        return $meta + ['offset' => 0];
+    }
+
+    public function getSession(string $id): ?array
+    {
+        if (!$this->isValidId($id) || !is_file($this->metaPath($id))) {
+            return null;
+        }
+        $meta = json_decode((string) @file_get_contents($this->metaPath($id)), true);
+        if (!is_array($meta)) {
+            return null;
+        }
+        clearstatcache(true, $this->partPath($id));
+        $offset = is_file($this->partPath($id)) ? (int) filesize($this->partPath($id)) : 0;
+
+        return [
+            'id' => $id,
+            'album_id' => (int) ($meta['album_id'] ?? 0),
+            'name' => (string) ($meta['name'] ?? ''),
+            'size' => (int) ($meta['size'] ?? 0),
+            'image_meta' => is_array($meta['image_meta'] ?? null) ? $meta['image_meta'] : [],
+            'created_at' => (int) ($meta['created_at'] ?? 0),
+            'updated_at' => (int) ($meta['updated_at'] ?? 0),
+            'offset' => $offset,
+        ];
+    }
+
+    /**
+     * Append a chunk at the given offset and return the new committed offset.
+     *
+     * A mismatching offset means the client and server disagree (e.g. a chunk was
+     * acknowledged but the response was lost) and is thrown with code 409, so the
+     * caller can report the current offset and let the client continue from there.
+     */
+    public function appendChunk(string $id, int $offset, StreamInterface $body): int
+    {
+        $session = $this->getSession($id);
+        if ($session === null) {
+            throw new RuntimeException('Upload session not found');
+        }
+
+        $handle = @fopen($this->partPath($id), 'ab');
+        if ($handle === false) {
+            throw new RuntimeException('Failed to open upload session');
+        }
+
+        try {
+            if (!flock($handle, LOCK_EX)) {
+                throw new RuntimeException('Upload session is locked');
+            }
+            clearstatcache(true, $this->partPath($id));
+            $current = (int) filesize($this->partPath($id));
+            if ($offset !== $current) {
+                throw new RuntimeException('Upload offset mismatch', 409);
+            }
+
+            if ($body->isSeekable()) {
+                $body->rewind();
+            }
+            $written = 0;
+            while (!$body->eof()) {
+                $buffer = $body->read(1024 * 1024);
+                if ($buffer === '') {
+                    continue;
+                }
+                $written += strlen($buffer);
+                if ($written > self::MAX_CHUNK_SIZE || $current + $written > $session['size']) {
+                    ftruncate($handle, $current);
+                    throw new RuntimeException('Chunk exceeds declared file size');
+                }
+                if (fwrite($handle, $buffer) === false) {
+                    ftruncate($handle, $current);
+                    throw new RuntimeException('Disk write error');
+                }
+            }
+            fflush($handle);
+            flock($handle, LOCK_UN);
+        } finally {
+            fclose($handle);
+        }
+
+        $this->touch($id);
+
+        return $current + $written;
+    }
+
+    /**
+     * Move a completed upload out of the session directory and return its path.
+     * The session is replaced by a completed record without a payload until
+     * complete() stores the ingest result (or abandon() drops it on failure).
+     */
+    public function finalize(string $id, string $targetDir): string
+    {
+        $session = $this->getSession($id);
+        if ($session === null || $session['offset'] !== $session['size']) {
+            throw new RuntimeException('Incomplete upload');
+        }
+        ImagesService::ensureDir($targetDir);
+        $target = $targetDir . '/' . bin2hex(random_bytes(8)) . '-' . $session['name'];
+        if (!@rename($this->partPath($id), $target)) {
+            throw new RuntimeException('Failed to persist upload');
+        }
+        @file_put_contents($this->donePath($id), json_encode([
+            'album_id' => $session['album_id'],
+            'size' => $session['size'],
+            'image_meta' => $session['image_meta'],
+            'payload' => null,
+            'completed_at' => time(),
+        ]));
+        @unlink($this->metaPath($id));
+
+        return $target;
+    }
+
+    /**
+     * Store the response of a finalized upload so repeated requests can return it.
+     */
+    public function complete(string $id, array $payload): void
+    {
+        $record = $this->isValidId($id) ? json_decode((string) @file_get_contents($this->donePath($id)), true) : null;
+        if (is_array($record)) {
+            $record['payload'] = $payload;
+            @file_put_contents($this->donePath($id), json_encode($record));
+        }
+    }
+
+    /**
+     * Drop the completed record of an upload whose ingest failed.
+     */
+    public function abandon(string $id): void
+    {
+        if ($this->isValidId($id)) {
+            @unlink($this->donePath($id));
+        }
+    }
+
+    /**
+     * Completed record of a finalized session, shaped like a session with
+     * complete => true; payload is null while the upload is still being ingested.
+     */
+    public function getCompleted(string $id): ?array
+    {
+        if (!$this->isValidId($id) || !is_file($this->donePath($id))) {
+            return null;
+        }
+        $record = json_decode((string) @file_get_contents($this->donePath($id)), true);
+        if (!is_array($record)) {
+            return null;
+        }
+        $size = (int) ($record['size'] ?? 0);
+
+        return [
+            'id' => $id,
+            'album_id' => (int) ($record['album_id'] ?? 0),
+            'size' => $size,
+            'offset' => $size,
+            'image_meta' => is_array($record['image_meta'] ?? null) ? $record['image_meta'] : [],
+            'payload' => is_array($record['payload'] ?? null) ? $record['payload'] : null,
+            'completed_at' => (int) ($record['completed_at'] ?? 0),
+            'complete' => true,
+        ];
+    }
+
+    public function discard(string $id): void
+    {
+        if (!$this->isValidId($id)) {
+            return;
+        }
+        @unlink($this->partPath($id));
+        @unlink($this->metaPath($id));
+        @unlink($this->donePath($id));
+    }
+
+    /**
+     * Remove sessions not touched within the TTL so abandoned uploads do not fill the disk,
+     * and completed records past the same TTL.
+     */
+    public function purgeStale(): int
+    {
+        $removed = 0;
+        $cutoff = time() - self::SESSION_TTL;
+        foreach (glob($this->dir . '/*.json') ?: [] as $metaFile) {
+            if ((int) @filemtime($metaFile) >= $cutoff) {
+                continue;
+            }
+            if (str_ends_with($metaFile, '.done.json')) {
+                @unlink($metaFile);
+                continue;
+            }
+            $this->discard(basename($metaFile, '.json'));
+            $removed++;
+        }
+        if ($removed > 0) {
+            Logger::info('Purged stale upload sessions', ['count' => $removed], 'upload');
+        }
+
+        return $removed;
+    }
+
+    private function touch(string $id): void
+    {
+        $this->updateDescriptor($id, []);
+    }
+
+    private function updateDescriptor(string $id, array $changes): void
+    {
+        $meta = json_decode((string) @file_get_contents($this->metaPath($id)), true);
+        if (is_array($meta)) {
+            $meta = array_merge($meta, $changes, ['updated_at' => time()]);
+            @file_put_contents($this->metaPath($id), json_encode($meta));
+        }
+    }
+
+    private function isValidId(string $id): bool
+    {
+        return (bool) preg_match('/^[a-f0-9]{64}$/', $id);
+    }
+
+    private function metaPath(string $id): string
+    {
+        return $this->dir . '/' . $id . '.json';
+    }
+
+    private function partPath(string $id): string
+    {
+        return $this->dir . '/' . $id . '.part';
+    }
+
+    private function donePath(string $id): string
+    {
+        return $this->dir . '/' . $id . '.done.json';
+    }
+}
@@ -0,0 +1,140 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Logger;
+
+/**
+ * Source formats that browsers cannot show everywhere (HEIC/HEIF, AVIF, 8/16-bit TIFF).
+ *
+ * Such uploads are kept untouched as the image "source" (offered for download) and decoded
+ * to an 8-bit sRGB JPEG master, which becomes images.original_path and feeds the usual
+ * variant pipeline. Decoding uses Imagick when its delegates are installed, GD for AVIF.
+ * When the server cannot decode a format the browser converts the file before upload
+ * (resources/js/admin/format-decoder.js) and sends the source afterwards.
+ */
+class ImageDecodeService
+{
+    // Source MIME => stored extension
+    public const SOURCE_FORMATS = [
+        'image/heic' => '.heic',
+        'image/heif' => '.heif',
+        'image/avif' => '.avif',
+        'image/tiff' => '.tif',
+    ];
+    // Short names used by the uploader
+    private const FORMAT_NAMES = [
+        'image/heic' => 'heic',
+        'image/heif' => 'heif',
+        'image/avif' => 'avif',
+        'image/tiff' => 'tiff',
+    ];
+    private const MASTER_QUALITY = 92;
+
+    /**
+     * Identify a source format from the file header. fileinfo is not reliable for these:
+     * older libmagic versions report HEIC/AVIF as application/octet-stream.
+     */
+    public static function sniffMime(string $path): ?string
+    {
+        $header = @file_get_contents($path, false, null, 0, 32);
+        if ($header === false || strlen($header) < 12) {
+            return null;
+        }
+        if (str_starts_with($header, "II*\x00") || str_starts_with($header, "MM\x00*")) {
+            return 'image/tiff';
+        }
+        // ISO BMFF: box size, 'ftyp', major brand (compatible brands follow)
+        if (substr($header, 4, 4) !== 'ftyp') {
+            return null;
+        }
+        $brands = [substr($header, 8, 4)];
+        for ($offset = 16; $offset + 4 <= strlen($header); $offset += 4) {
+            $brands[] = substr($header, $offset, 4);
+        }
+        if (array_intersect($brands, ['avif', 'avis'])) {
+            return 'image/avif';
+        }
+        if (array_intersect($brands, ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'])) {
+            return 'image/heic';
+        }
+        if (array_intersect($brands, ['mif1', 'msf1'])) {
+            return 'image/heif';
+        }
+        return null;
+    }
+
+    /**
+     * Source formats this server can decode, as short names (heic, heif, avif, tiff).
+     */
+    public static function decodableFormats(): array
+    {
+        $formats = [];
+        if (class_exists(\Imagick::class)) {
+            try {
+                $supported = array_map('strtoupper', \Imagick::queryFormats());
+                $map = ['heic' => 'HEIC', 'heif' => 'HEIF', 'avif' => 'AVIF', 'tiff' => 'TIFF'];
+                foreach ($map as $name => $format) {
+                    if (in_array($format, $supported, true)) {
+                        $formats[] = $name;
+                    }
+                }
+            } catch (\Throwable $e) {
+                Logger::debug('ImageDecodeService: Imagick format query failed', ['error' => $e->getMessage()], 'upload');
+            }
+        }
+        if (!in_array('avif', $formats, true) && function_exists('imagecreatefromavif')) {
+            $formats[] = 'avif';
+        }
+        return $formats;
+    }
+
+    public static function canDecode(string $mime): bool
+    {
+        return isset(self::FORMAT_NAMES[$mime]) && in_array(self::FORMAT_NAMES[$mime], self::decodableFormats(), true);
+    }
+
+    /**
+     * Decode a source file to a JPEG master. Returns false when no decoder could read it.
+     */
+    public static function toJpegMaster(string $src, string $mime, string $dest): bool
+    {
+        if (class_exists(\Imagick::class)) {
+            try {
+                // First frame/page only: HEIC bursts and multi-page TIFFs keep their primary image
+                $im = new \Imagick($src . '[0]');
+                if ($mime !== 'image/tiff') {
+                    // libheif already applied the rotation: a leftover EXIF tag would rotate twice
+                    $im->setImageOrientation(\Imagick::ORIENTATION_TOPLEFT);
+                }
+                if ($im->getImageColorspace() === \Imagick::COLORSPACE_CMYK) {
+                    $im->transformImageColorspace(\Imagick::COLORSPACE_SRGB);
+                }
+                if ($im->getImageAlphaChannel()) {
+                    $im->setImageBackgroundColor('white');
+                    $im = $im->mergeImageLayers(\Imagick::LAYERMETHOD_FLATTEN);
+                }
+                $im->setImageDepth(8);
+                $im->setImageFormat('jpeg');
+                $im->setImageCompressionQuality(self::MASTER_QUALITY);
+                $ok = $im->writeImage($dest);
+                $im->clear();
+                if ($ok && is_file($dest)) {
+                    return true;
+                }
+            } catch (\Throwable $e) {
+                Logger::warning('ImageDecodeService: Imagick decode failed', ['mime' => $mime, 'error' => $e->getMessage()], 'upload');
+            }
+        }
+        if ($mime === 'image/avif' && function_exists('imagecreatefromavif')) {
+            $img = @imagecreatefromavif($src);
+            if ($img) {
+                $ok = imagejpeg($img, $dest, self::MASTER_QUALITY);
+                imagedestroy($img);
+                return $ok && is_file($dest);
+            }
+        }
+        return false;
+    }
+}
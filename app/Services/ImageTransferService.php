@@ -0,0 +1,206 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+use App\Support\Logger;
+use RuntimeException;
+
+/**
+ * Move or copy album images into another album (split view and "Move to album…" in the editor).
+ *
+ * A move only changes images.album_id, so the row keeps its id and with it captions, EXIF,
+ * tags, custom fields, ratings and analytics. A copy duplicates the row, its variants and its
+ * per-image relations under a new id and shares the files on disk, like attachExisting() does
+ * for the media library. Images whose file is already in the target album are skipped.
+ */
+class ImageTransferService
+{
+    // Per-image relations duplicated by copy(); statistics stay with the original image
+    private const COPY_RELATIONS = ['image_tag', 'image_location', 'image_custom_fields'];
+
+    public function __construct(private Database $db)
+    {
+    }
+
+    /**
+     * @param list<int> $imageIds
+     * @param int|null $position 0-based insert position in the target album (null = end)
+     * @return array{ids: list<int>, skipped: list<int>} ids in the target album, source ids skipped as duplicates
+     */
+    public function move(int $fromAlbumId, array $imageIds, int $toAlbumId, ?int $position = null): array
+    {
+        [$rows, $skipped] = $this->prepare($fromAlbumId, $imageIds, $toAlbumId);
+        if (!$rows) {
+            return ['ids' => [], 'skipped' => $skipped];
+        }
+
+        $pdo = $this->db->pdo();
+        $ids = array_map(fn($row) => (int)$row['id'], $rows);
+        $in = implode(',', array_fill(0, count($ids), '?'));
+        $pdo->beginTransaction();
+        try {
+            $pdo->prepare("UPDATE images SET album_id = ? WHERE album_id = ? AND id IN ($in)")
+                ->execute(array_merge([$toAlbumId, $fromAlbumId], $ids));
+            $pdo->prepare("UPDATE albums SET cover_image_id = NULL WHERE id = ? AND cover_image_id IN ($in)")
+                ->execute(array_merge([$fromAlbumId], $ids));
+            $this->placeAt($toAlbumId, $ids, $position);
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw $e;
+        }
+        $this->afterTransfer($toAlbumId);
+        return ['ids' => $ids, 'skipped' => $skipped];
+    }
+
+    /**
+     * @param list<int> $imageIds
+     * @return array{ids: list<int>, skipped: list<int>} ids of the new copies, source ids skipped as duplicates
+     */
+    public function copy(int $fromAlbumId, array $imageIds, int $toAlbumId, ?int $position = null): array
+    {
+        [$rows, $skipped] = $this->prepare($fromAlbumId, $imageIds, $toAlbumId);
+        if (!$rows) {
+            return ['ids' => [], 'skipped' => $skipped];
+        }
+
+        $pdo = $this->db->pdo();
+        $variants = $pdo->prepare('SELECT * FROM image_variants WHERE image_id = ?');
+        $relationTables = $this->existingTables(self::COPY_RELATIONS);
+        $newIds = [];
+        $pdo->beginTransaction();
+        try {
+            foreach ($rows as $row) {
+                $sourceId = (int)$row['id'];
+                unset($row['id']);
+                $row['album_id'] = $toAlbumId;
+                $row['created_at'] = date('Y-m-d H:i:s');
+                $this->insertRow('images', $row);
+                $newId = (int)$pdo->lastInsertId();
+                $newIds[] = $newId;
+
+                $variants->execute([$sourceId]);
+                foreach ($variants->fetchAll() ?: [] as $variant) {
+                    unset($variant['id']);
+                    $variant['image_id'] = $newId;
+                    $this->insertRow('image_variants', $variant);
+                }
+                foreach ($relationTables as $table) {
+                    $stmt = $pdo->prepare("SELECT * FROM $table WHERE image_id = ?");
+                    $stmt->execute([$sourceId]);
+                    foreach ($stmt->fetchAll() ?: [] as $relation) {
+                        unset($relation['id']);
+                        $relation['image_id'] = $newId;
+                        $this->insertRow($table, $relation);
+                    }
+                }
+            }
+            $this->placeAt($toAlbumId, $newIds, $position);
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw $e;
+        }
+        $this->afterTransfer($toAlbumId);
+        return ['ids' => $newIds, 'skipped' => $skipped];
+    }
+
+    /**
+     * Source rows to transfer (in album order) and ids skipped because the target already has the file.
+     * @return array{0: list<array>, 1: list<int>}
+     */
+    private function prepare(int $fromAlbumId, array $imageIds, int $toAlbumId): array
+    {
+        if ($fromAlbumId === $toAlbumId) {
+            throw new RuntimeException('Source and target album are the same', 400);
+        }
+        $pdo = $this->db->pdo();
+        $target = $pdo->prepare('SELECT 1 FROM albums WHERE id = ?');
+        $target->execute([$toAlbumId]);
+        if (!$target->fetchColumn()) {
+            throw new RuntimeException('Target album not found', 404);
+        }
+
+        $imageIds = array_values(array_unique(array_filter(array_map('intval', $imageIds))));
+        if (!$imageIds) {
+            return [[], []];
+        }
+        $in = implode(',', array_fill(0, count($imageIds), '?'));
+        $stmt = $pdo->prepare("SELECT * FROM images WHERE album_id = ? AND id IN ($in) ORDER BY sort_order ASC, id ASC");
+        $stmt->execute(array_merge([$fromAlbumId], $imageIds));
+
+        $existing = $pdo->prepare('SELECT 1 FROM images WHERE album_id = ? AND file_hash = ? LIMIT 1');
+        $rows = [];
+        $skipped = [];
+        foreach ($stmt->fetchAll() ?: [] as $row) {
+            $existing->execute([$toAlbumId, $row['file_hash']]);
+            if ($existing->fetchColumn()) {
+                $skipped[] = (int)$row['id'];
+                continue;
+            }
+            $rows[] = $row;
+        }
+        return [$rows, $skipped];
+    }
+
+    /**
+     * Put $ids at $position in the album's order (same numbering as the reorder endpoint).
+     */
+    private function placeAt(int $albumId, array $ids, ?int $position): void
+    {
+        $pdo = $this->db->pdo();
+        $stmt = $pdo->prepare('SELECT id FROM images WHERE album_id = ? ORDER BY sort_order ASC, id ASC');
+        $stmt->execute([$albumId]);
+        $moving = array_flip($ids);
+        $order = array_values(array_filter(array_map('intval', $stmt->fetchAll(\PDO::FETCH_COLUMN) ?: []), fn($id) => !isset($moving[$id])));
+        $position = $position === null ? count($order) : max(0, min($position, count($order)));
+        array_splice($order, $position, 0, $ids);
+
+        $update = $pdo->prepare('UPDATE images SET sort_order = ? WHERE id = ? AND album_id = ?');
+        foreach ($order as $sort => $id) {
+            $update->execute([$sort, $id, $albumId]);
+        }
+    }
+
+    /**
+     * Protected albums (NSFW or password) need blurred previews for images coming in.
+     */
+    private function afterTransfer(int $albumId): void
+    {
+        try {
+            $stmt = $this->db->pdo()->prepare('SELECT is_nsfw, password_hash FROM albums WHERE id = ?');
+            $stmt->execute([$albumId]);
+            $album = $stmt->fetch() ?: [];
+            if (!empty($album['is_nsfw']) || !empty($album['password_hash'])) {
+                (new UploadService($this->db))->generateBlurredVariantsForAlbum($albumId);
+            }
+        } catch (\Throwable $e) {
+            Logger::warning('ImageTransferService: blur generation failed', ['album_id' => $albumId, 'error' => $e->getMessage()], 'upload');
+        }
+    }
+
+    private function existingTables(array $tables): array
+    {
+        $found = [];
+        foreach ($tables as $table) {
+            try {
+                $this->db->pdo()->query("SELECT 1 FROM $table LIMIT 1");
+                $found[] = $table;
+            } catch (\Throwable) {
+                // optional table (older schemas)
+            }
+        }
+        return $found;
+    }
+
+    private function insertRow(string $table, array $row): void
+    {
+        $row = array_filter($row, fn($key) => is_string($key) && preg_match('/^[a-z0-9_]+$/', $key), ARRAY_FILTER_USE_KEY);
+        $columns = array_keys($row);
+        $sql = "INSERT INTO $table (" . implode(', ', $columns) . ')'
+            . ' VALUES (' . implode(', ', array_fill(0, count($columns), '?')) . ')';
+        $this->db->pdo()->prepare($sql)->execute(array_values($row));
+    }
+}
@@ -0,0 +1,255 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+use App\Support\Logger;
+use RuntimeException;
+
+/**
+ * Soft delete for album images, backing undo in the album editor.
+ *
+ * A deleted image leaves the images table right away (so no listing, gallery or sitemap
+ * query has to filter it), but its row, variants and relations are kept as JSON in
+ * image_trash and its files stay on disk for UNDO_WINDOW seconds. restore() puts
+ * everything back under the same id; expired entries are purged lazily on the next
+ * delete/restore and by maintenance:run, which is when files are unlinked.
+ */
+class ImageTrashService
+{
+    public const UNDO_WINDOW = 900;
+    // Per-image relations captured with the row; missing tables are skipped
+    private const RELATION_TABLES = ['image_tag', 'image_location', 'image_custom_fields', 'plugin_image_ratings'];
+
+    public function __construct(private Database $db)
+    {
+    }
+
+    /**
+     * Move images of an album to the trash.
+     * @param list<int> $imageIds
+     * @return list<int> ids actually trashed
+     */
+    public function trash(int $albumId, array $imageIds): array
+    {
+        $this->purgeExpired();
+        $imageIds = array_values(array_unique(array_filter(array_map('intval', $imageIds))));
+        if (!$imageIds) {
+            return [];
+        }
+
+        $pdo = $this->db->pdo();
+        $in = implode(',', array_fill(0, count($imageIds), '?'));
+        $stmt = $pdo->prepare("SELECT * FROM images WHERE album_id = ? AND id IN ($in)");
+        $stmt->execute(array_merge([$albumId], $imageIds));
+        $rows = $stmt->fetchAll() ?: [];
+        if (!$rows) {
+            return [];
+        }
+
+        $cover = $pdo->prepare('SELECT cover_image_id FROM albums WHERE id = ?');
+        $cover->execute([$albumId]);
+        $coverId = (int)$cover->fetchColumn();
+
+        $variants = $pdo->prepare('SELECT * FROM image_variants WHERE image_id = ?');
+        $now = time();
+        $insert = $pdo->prepare('INSERT INTO image_trash (image_id, album_id, payload, deleted_at, expires_at) VALUES (?, ?, ?, ?, ?)');
+        $trashed = array_map(fn($row) => (int)$row['id'], $rows);
+        $tin = implode(',', array_fill(0, count($trashed), '?'));
+
+        $pdo->beginTransaction();
+        try {
+            foreach ($rows as $row) {
+                $id = (int)$row['id'];
+                $variants->execute([$id]);
+                $payload = [
+                    'image' => $row,
+                    'variants' => $variants->fetchAll() ?: [],
+                    'relations' => $this->readRelations($id),
+                    'was_cover' => $coverId === $id,
+                ];
+                $insert->execute([
+                    $id,
+                    $albumId,
+                    json_encode($payload, JSON_UNESCAPED_SLASHES | JSON_THROW_ON_ERROR),
+                    date('Y-m-d H:i:s', $now),
+                    date('Y-m-d H:i:s', $now + self::UNDO_WINDOW),
+                ]);
+            }
+            foreach ($this->existingRelationTables() as $table) {
+                $pdo->prepare("DELETE FROM $table WHERE image_id IN ($tin)")->execute($trashed);
+            }
+            $pdo->prepare("DELETE FROM image_variants WHERE image_id IN ($tin)")->execute($trashed);
+            $pdo->prepare("UPDATE albums SET cover_image_id = NULL WHERE id = ? AND cover_image_id IN ($tin)")
+                ->execute(array_merge([$albumId], $trashed));
+            $pdo->prepare("DELETE FROM images WHERE album_id = ? AND id IN ($tin)")->execute(array_merge([$albumId], $trashed));
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw $e;
+        }
+        return $trashed;
+    }
+
+    /**
+     * Bring trashed images back (same id, variants, tags, position, cover).
+     * @param list<int> $imageIds
+     * @return list<int> ids restored; expired or unknown ids are left out
+     */
+    public function restore(int $albumId, array $imageIds): array
+    {
+        $this->purgeExpired();
+        $imageIds = array_values(array_unique(array_filter(array_map('intval', $imageIds))));
+        if (!$imageIds) {
+            return [];
+        }
+
+        $pdo = $this->db->pdo();
+        $in = implode(',', array_fill(0, count($imageIds), '?'));
+        $stmt = $pdo->prepare("SELECT id, image_id, payload FROM image_trash WHERE album_id = ? AND image_id IN ($in) ORDER BY id DESC");
+        $stmt->execute(array_merge([$albumId], $imageIds));
+        $entries = $stmt->fetchAll() ?: [];
+
+        $restored = [];
+        $pdo->beginTransaction();
+        try {
+            foreach ($entries as $entry) {
+                $imageId = (int)$entry['image_id'];
+                if (in_array($imageId, $restored, true)) {
+                    continue;
+                }
+                $payload = json_decode((string)$entry['payload'], true);
+                if (!is_array($payload) || empty($payload['image'])) {
+                    continue;
+                }
+                $this->insertRow('images', $payload['image']);
+                foreach ($payload['variants'] ?? [] as $variant) {
+                    unset($variant['id']);
+                    $this->insertRow('image_variants', $variant);
+                }
+                foreach ($payload['relations'] ?? [] as $table => $relationRows) {
+                    if (!in_array($table, self::RELATION_TABLES, true)) {
+                        continue;
+                    }
+                    foreach ($relationRows as $relation) {
+                        $this->insertRow($table, $relation, true);
+                    }
+                }
+                if (!empty($payload['was_cover'])) {
+                    $pdo->prepare('UPDATE albums SET cover_image_id = ? WHERE id = ? AND cover_image_id IS NULL')->execute([$imageId, $albumId]);
+                }
+                $pdo->prepare('DELETE FROM image_trash WHERE image_id = ? AND album_id = ?')->execute([$imageId, $albumId]);
+                $restored[] = $imageId;
+            }
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw new RuntimeException('Restore failed: ' . $e->getMessage());
+        }
+        return $restored;
+    }
+
+    /**
+     * Permanently remove expired entries (or every entry of $albumId) and their files.
+     * Originals are content-addressed and copies share variants, so files still referenced stay.
+     */
+    public function purgeExpired(?int $albumId = null): int
+    {
+        $pdo = $this->db->pdo();
+        try {
+            if ($albumId !== null) {
+                $stmt = $pdo->prepare('SELECT id, payload FROM image_trash WHERE album_id = ?');
+                $stmt->execute([$albumId]);
+            } else {
+                $stmt = $pdo->prepare('SELECT id, payload FROM image_trash WHERE expires_at <= ?');
+                $stmt->execute([date('Y-m-d H:i:s')]);
+            }
+            $entries = $stmt->fetchAll() ?: [];
+        } catch (\Throwable $e) {
+            // image_trash not migrated yet
+            return 0;
+        }
+
+        $root = dirname(__DIR__, 2);
+        $delete = $pdo->prepare('DELETE FROM image_trash WHERE id = ?');
+        $inUse = $pdo->prepare('SELECT COUNT(*) FROM images WHERE original_path = ?');
+        $variantInUse = $pdo->prepare('SELECT COUNT(*) FROM image_variants WHERE path = ?');
+        $purged = 0;
+        foreach ($entries as $entry) {
+            $delete->execute([(int)$entry['id']]);
+            $purged++;
+            $payload = json_decode((string)$entry['payload'], true) ?: [];
+            $image = $payload['image'] ?? [];
+            foreach (['original_path', 'source_path'] as $column) {
+                $path = $image[$column] ?? null;
+                if (empty($path)) {
+                    continue;
+                }
+                $inUse->execute([$path]);
+                if ((int)$inUse->fetchColumn() === 0) {
+                    @unlink($root . $path);
+                }
+            }
+            foreach ($payload['variants'] ?? [] as $variant) {
+                $p = (string)($variant['path'] ?? '');
+                if ($p === '') {
+                    continue;
+                }
+                $variantInUse->execute([$p]);
+                if ((int)$variantInUse->fetchColumn() > 0) {
+                    continue;
+                }
+                $abs = str_starts_with($p, '/media/') ? ($root . '/public' . $p) : ($root . $p);
+                @unlink($abs);
+            }
+        }
+        if ($purged > 0) {
+            Logger::info('ImageTrashService: purged trashed images', ['count' => $purged, 'album_id' => $albumId], 'upload');
+        }
+        return $purged;
+    }
+
+    private function readRelations(int $imageId): array
+    {
+        $relations = [];
+        foreach ($this->existingRelationTables() as $table) {
+            $stmt = $this->db->pdo()->prepare("SELECT * FROM $table WHERE image_id = ?");
+            $stmt->execute([$imageId]);
+            $rows = $stmt->fetchAll() ?: [];
+            if ($rows) {
+                $relations[$table] = $rows;
+            }
+        }
+        return $relations;
+    }
+
+    private function existingRelationTables(): array
+    {
+        static $tables = null;
+        if ($tables === null) {
+            $tables = [];
+            foreach (self::RELATION_TABLES as $table) {
+                try {
+                    $this->db->pdo()->query("SELECT 1 FROM $table LIMIT 1");
+                    $tables[] = $table;
+                } catch (\Throwable) {
+                    // optional table (plugins, older schemas)
+                }
+            }
+        }
+        return $tables;
+    }
+
+    private function insertRow(string $table, array $row, bool $ignore = false): void
+    {
+        $row = array_filter($row, fn($key) => is_string($key) && preg_match('/^[a-z0-9_]+$/', $key), ARRAY_FILTER_USE_KEY);
+        if (!$row) {
+            return;
+        }
+        $columns = array_keys($row);
+        $sql = ($ignore ? $this->db->insertIgnoreKeyword() : 'INSERT') . " INTO $table (" . implode(', ', $columns) . ')'
+            . ' VALUES (' . implode(', ', array_fill(0, count($columns), '?')) . ')';
+        $this->db->pdo()->prepare($sql)->execute(array_values($row));
+    }
+}
@@ -0,0 +1,367 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+
+/**
+ * Filtered listing of the media library. The page (admin/media), its JSON query endpoint and
+ * saved views all go through here, so the grid and the counts in the filter bar agree.
+ *
+ * Filters come from the query string (normalize()): text, equipment and location ids, taken
+ * date range, orientation, album (or images whose album is gone), missing metadata, size of
+ * the original and average score from the image-rating plugin. The counts of a facet are
+ * computed with every other filter applied, so they tell what picking a value would give.
+ */
+class MediaQueryService
+{
+    // Facets filtering on a lookup id column of images
+    public const ID_FACETS = [
+        'camera' => 'camera_id',
+        'lens' => 'lens_id',
+        'film' => 'film_id',
+        'developer' => 'developer_id',
+        'lab' => 'lab_id',
+        'location' => 'location_id',
+    ];
+    public const MISSING = ['alt', 'caption', 'title', 'tags', 'camera', 'lens', 'location', 'date'];
+    public const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+    public const MAX_PER_PAGE = 200;
+
+    // Images of older installs measured from disk per request when a size filter is used
+    private const MEASURE_BATCH = 2000;
+    private const MB = 1048576;
+
+    private ?bool $ratings = null;
+
+    public function __construct(private Database $db)
+    {
+    }
+
+    /**
+     * Filters from query parameters. Unknown, malformed and empty values are dropped;
+     * list filters accept repeated (camera[]=1&camera[]=2) or comma-separated values.
+     *
+     * @return array<string, mixed>
+     */
+    public function normalize(array $params): array
+    {
+        $filters = [];
+        $q = trim((string)(is_string($params['q'] ?? null) ? $params['q'] : ''));
+        if ($q !== '') {
+            $filters['q'] = mb_substr($q, 0, 200);
+        }
+        foreach (array_keys(self::ID_FACETS) as $facet) {
+            $ids = array_values(array_unique(array_filter(array_map('intval', $this->values($params[$facet] ?? null)), fn($id) => $id > 0)));
+            if ($ids) {
+                $filters[$facet] = $ids;
+            }
+        }
+        foreach (['date_from', 'date_to'] as $key) {
+            $date = (string)(is_string($params[$key] ?? null) ? $params[$key] : '');
+            if (preg_match('~^\d{4}-\d{2}-\d{2}$~', $date)) {
+                $filters[$key] = $date;
+            }
+        }
+        $orientation = $params['orientation'] ?? '';
+        if (in_array($orientation, self::ORIENTATIONS, true)) {
+            $filters['orientation'] = $orientation;
+        }
+        $album = (string)(is_scalar($params['album'] ?? null) ? $params['album'] : '');
+        if ($album === 'orphaned') {
+            $filters['album'] = 'orphaned';
+        } elseif (ctype_digit($album) && (int)$album > 0) {
+            $filters['album'] = (int)$album;
+        }
+        $missing = array_values(array_intersect(self::MISSING, $this->values($params['missing'] ?? null)));
+        if ($missing) {
+            $filters['missing'] = $missing;
+        }
+        // Sizes in MB
+        foreach (['size_min', 'size_max'] as $key) {
+            $size = $params[$key] ?? '';
+            if (is_numeric($size) && (float)$size >= 0) {
+                $filters[$key] = round((float)$size, 2);
+            }
+        }
+        $rating = (string)(is_scalar($params['rating'] ?? null) ? $params['rating'] : '');
+        if ($this->ratingsAvailable() && ($rating === 'unrated' || in_array($rating, ['1', '2', '3', '4', '5'], true))) {
+            $filters['rating'] = $rating === 'unrated' ? 'unrated' : (int)$rating;
+        }
+        return $filters;
+    }
+
+    /**
+     * Filters as a query string (pagination links, saved views).
+     */
+    public function toQuery(array $filters): string
+    {
+        return http_build_query($filters, '', '&', PHP_QUERY_RFC3986);
+    }
+
+    public function ratingsAvailable(): bool
+    {
+        if ($this->ratings === null) {
+            try {
+                $this->db->pdo()->query('SELECT 1 FROM plugin_image_ratings LIMIT 1');
+                $this->ratings = true;
+            } catch (\Throwable) {
+                $this->ratings = false;
+            }
+        }
+        return $this->ratings;
+    }
+
+    /**
+     * One page of matching images, newest first.
+     *
+     * @return array{items: list<array>, total: int, page: int, per_page: int, total_pages: int}
+     */
+    public function query(array $filters, int $page = 1, int $perPage = 60): array
+    {
+        $this->measureSizes($filters);
+        $pdo = $this->db->pdo();
+        [$where, $bind] = $this->conditions($filters);
+
+        $count = $pdo->prepare('SELECT COUNT(*) FROM images i' . $where);
+        $count->execute($bind);
+        $total = (int)$count->fetchColumn();
+        $perPage = max(0, min(self::MAX_PER_PAGE, $perPage));
+        $page = max(1, $page);
+
+        $items = [];
+        if ($perPage > 0 && $total > 0) {
+            // Exactly one preview variant per image (prefer webp > jpg > avif)
+            $stmt = $pdo->prepare('SELECT i.id, i.album_id, i.original_path, i.original_filename, i.file_size, i.created_at,
+                       i.date_original, i.width, i.height, i.title, i.alt_text, i.caption,
+                       i.camera_id, i.lens_id, i.film_id, i.developer_id, i.lab_id, i.location_id,
+                       i.iso, i.shutter_speed, i.aperture, i.custom_camera, i.custom_lens, i.custom_film,
+                       COALESCE((
+                           SELECT iv.path FROM image_variants iv
+                           WHERE iv.image_id = i.id AND iv.variant = \'sm\'
+                           ORDER BY CASE iv.format WHEN \'webp\' THEN 1 WHEN \'jpg\' THEN 2 ELSE 3 END
+                           LIMIT 1
+                       ), i.original_path) AS preview_path
+                FROM images i' . $where . ' ORDER BY i.id DESC LIMIT :limit OFFSET :offset');
+            foreach ($bind as $name => $value) {
+                $stmt->bindValue($name, $value, is_int($value) ? \PDO::PARAM_INT : \PDO::PARAM_STR);
+            }
+            $stmt->bindValue(':limit', $perPage, \PDO::PARAM_INT);
+            $stmt->bindValue(':offset', ($page - 1) * $perPage, \PDO::PARAM_INT);
+            $stmt->execute();
+            $items = $stmt->fetchAll() ?: [];
+        }
+
+        return [
+            'items' => $items,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $perPage,
+            'total_pages' => $perPage > 0 ? (int)ceil($total / $perPage) : 0,
+        ];
+    }
+
+    /**
+     * Matches per facet value, each facet counted with the other filters applied.
+     *
+     * @return array<string, array<string, int>> facet => value => count
+     */
+    public function facets(array $filters): array
+    {
+        $this->measureSizes($filters);
+        $facets = [];
+        foreach (self::ID_FACETS as $facet => $column) {
+            $facets[$facet] = $this->counts($filters, $facet, "i.{$column}", "i.{$column} IS NOT NULL");
+        }
+        $facets['orientation'] = $this->counts(
+            $filters,
+            'orientation',
+            "CASE WHEN i.width > i.height THEN 'landscape' WHEN i.width < i.height THEN 'portrait' ELSE 'square' END"
+        );
+        $facets['album'] = $this->counts($filters, 'album', 'i.album_id');
+        $orphaned = $this->counts(['album' => 'orphaned'] + $filters, null, "'orphaned'");
+        $facets['album']['orphaned'] = $orphaned['orphaned'] ?? 0;
+
+        // Missing metadata: one pass, each flag counted with the other filters (not the missing ones)
+        [$where, $bind] = $this->conditions($filters, 'missing');
+        $sums = [];
+        foreach (self::MISSING as $key) {
+            $sums[] = "SUM(CASE WHEN {$this->missingCondition($key)} THEN 1 ELSE 0 END) AS missing_{$key}";
+        }
+        $stmt = $this->db->pdo()->prepare('SELECT ' . implode(', ', $sums) . ' FROM images i' . $where);
+        $stmt->execute($bind);
+        $row = $stmt->fetch() ?: [];
+        foreach (self::MISSING as $key) {
+            $facets['missing'][$key] = (int)($row['missing_' . $key] ?? 0);
+        }
+        return $facets;
+    }
+
+    /**
+     * @return array<string, int>
+     */
+    private function counts(array $filters, ?string $except, string $expression, ?string $extra = null): array
+    {
+        [$where, $bind] = $this->conditions($filters, $except);
+        if ($extra !== null) {
+            $where .= ($where === '' ? ' WHERE ' : ' AND ') . $extra;
+        }
+        $stmt = $this->db->pdo()->prepare("SELECT {$expression} AS value, COUNT(*) AS n FROM images i{$where} GROUP BY {$expression}");
+        $stmt->execute($bind);
+        $counts = [];
+        foreach ($stmt->fetchAll() ?: [] as $row) {
+            $counts[(string)$row['value']] = (int)$row['n'];
+        }
+        return $counts;
+    }
+
+    /**
+     * WHERE clause of the filters (all but $except) and its parameters. Every placeholder is
+     * used once: prepares are not emulated.
+     *
+     * @return array{0: string, 1: array<string, mixed>}
+     */
+    private function conditions(array $filters, ?string $except = null): array
+    {
+        $where = [];
+        $bind = [];
+        if ($except !== 'q' && isset($filters['q'])) {
+            $pattern = '%' . str_replace(['!', '%', '_'], ['!!', '!%', '!_'], $filters['q']) . '%';
+            $fields = ['i.title', 'i.alt_text', 'i.caption', 'i.original_filename', 'i.original_path'];
+            $likes = [];
+            foreach ($fields as $n => $field) {
+                $likes[] = "{$field} LIKE :q{$n} ESCAPE '!'";
+                $bind[":q{$n}"] = $pattern;
+            }
+            $where[] = '(' . implode(' OR ', $likes) . ')';
+        }
+        foreach (self::ID_FACETS as $facet => $column) {
+            if ($except === $facet || empty($filters[$facet])) {
+                continue;
+            }
+            $names = [];
+            foreach ($filters[$facet] as $n => $id) {
+                $names[] = ":{$facet}{$n}";
+                $bind[":{$facet}{$n}"] = (int)$id;
+            }
+            $where[] = "i.{$column} IN (" . implode(', ', $names) . ')';
+        }
+        if ($except !== 'date') {
+            // Taken date (EXIF "2024:05:01 18:30:00"), else the upload date
+            $taken = "COALESCE(REPLACE(SUBSTR(i.date_original, 1, 10), ':', '-'), SUBSTR(i.created_at, 1, 10))";
+            if (isset($filters['date_from'])) {
+                $where[] = "{$taken} >= :date_from";
+                $bind[':date_from'] = $filters['date_from'];
+            }
+            if (isset($filters['date_to'])) {
+                $where[] = "{$taken} <= :date_to";
+                $bind[':date_to'] = $filters['date_to'];
+            }
+        }
+        if ($except !== 'orientation' && isset($filters['orientation'])) {
+            $where[] = match ($filters['orientation']) {
+                'landscape' => 'i.width > i.height',
+                'portrait' => 'i.width < i.height',
+                default => 'i.width = i.height',
+            };
+        }
+        if ($except !== 'album' && isset($filters['album'])) {
+            if ($filters['album'] === 'orphaned') {
+                $where[] = 'NOT EXISTS (SELECT 1 FROM albums a WHERE a.id = i.album_id)';
+            } else {
+                $where[] = 'i.album_id = :album';
+                $bind[':album'] = (int)$filters['album'];
+            }
+        }
+        if ($except !== 'missing') {
+            foreach ($filters['missing'] ?? [] as $key) {
+                $where[] = $this->missingCondition($key);
+            }
+        }
+        if ($except !== 'size' && (isset($filters['size_min']) || isset($filters['size_max']))) {
+            // 0: the file could not be measured (measureSizes), its size is unknown
+            $where[] = 'i.file_size > 0';
+            if (isset($filters['size_min'])) {
+                $where[] = 'i.file_size >= :size_min';
+                $bind[':size_min'] = (int)round($filters['size_min'] * self::MB);
+            }
+            if (isset($filters['size_max'])) {
+                $where[] = 'i.file_size <= :size_max';
+                $bind[':size_max'] = (int)round($filters['size_max'] * self::MB);
+            }
+        }
+        if ($except !== 'rating' && isset($filters['rating'])) {
+            if ($filters['rating'] === 'unrated') {
+                $where[] = 'NOT EXISTS (SELECT 1 FROM plugin_image_ratings r WHERE r.image_id = i.id)';
+            } else {
+                $where[] = '(SELECT AVG(r.rating) FROM plugin_image_ratings r WHERE r.image_id = i.id) >= :rating';
+                $bind[':rating'] = (int)$filters['rating'];
+            }
+        }
+        return [$where ? ' WHERE ' . implode(' AND ', $where) : '', $bind];
+    }
+
+    private function missingCondition(string $key): string
+    {
+        $blank = fn(string $column) => "({$column} IS NULL OR TRIM({$column}) = '')";
+        return match ($key) {
+            'alt' => $blank('i.alt_text'),
+            'caption' => $blank('i.caption'),
+            'title' => $blank('i.title'),
+            'tags' => 'NOT EXISTS (SELECT 1 FROM image_tag it WHERE it.image_id = i.id)',
+            'camera' => '(i.camera_id IS NULL AND ' . $blank('i.custom_camera') . ')',
+            'lens' => '(i.lens_id IS NULL AND ' . $blank('i.custom_lens') . ')',
+            'location' => 'i.location_id IS NULL',
+            'date' => 'i.date_original IS NULL',
+        };
+    }
+
+    /**
+     * file_size is recorded on upload since 1.2.0: older images are measured from disk the
+     * first time a size filter needs them (a batch per request on very large libraries).
+     * Files missing on disk get 0, so each image is looked at once and the batches move on.
+     */
+    private function measureSizes(array $filters): void
+    {
+        if (!isset($filters['size_min']) && !isset($filters['size_max'])) {
+            return;
+        }
+        $pdo = $this->db->pdo();
+        $rows = $pdo->query('SELECT id, original_path FROM images WHERE file_size IS NULL LIMIT ' . self::MEASURE_BATCH)->fetchAll() ?: [];
+        if (!$rows) {
+            return;
+        }
+        $root = dirname(__DIR__, 2);
+        $update = $pdo->prepare('UPDATE images SET file_size = :size WHERE id = :id');
+        $pdo->beginTransaction();
+        try {
+            foreach ($rows as $row) {
+                $path = (string)$row['original_path'];
+                $size = @filesize($root . $path);
+                if ($size === false) {
+                    $size = @filesize($root . '/public' . $path);
+                }
+                $update->execute([':size' => $size === false ? 0 : $size, ':id' => (int)$row['id']]);
+            }
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw $e;
+        }
+    }
+
+    /**
+     * @return list<string>
+     */
+    private function values(mixed $value): array
+    {
+        if (is_string($value)) {
+            $value = explode(',', $value);
+        }
+        if (!is_array($value)) {
+            return [];
+        }
+        return array_values(array_filter(array_map(fn($item) => is_scalar($item) ? trim((string)$item) : '', $value), fn($item) => $item !== ''));
+    }
+}
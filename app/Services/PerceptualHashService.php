@@ -0,0 +1,219 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+use App\Support\Logger;
+
+/**
+ * Perceptual hashes (dHash) used to spot re-uploads of the same frame.
+ *
+ * The image is reduced to 9x8 grayscale pixels and every bit tells whether a pixel is
+ * brighter than its right neighbour, giving 64 bits stored as 16 hex chars in images.phash.
+ * Re-exports, recompression and resizing keep the hash within a few bits, so matches use
+ * the Hamming distance. The browser computes the same hash for incoming files
+ * (resources/js/admin/duplicate-check.js): keep both implementations in sync.
+ */
+class PerceptualHashService
+{
+    // Maximum Hamming distance (out of 64 bits) for two images to count as the same frame
+    public const MATCH_DISTANCE = 8;
+    // Album images without a hash are hashed on demand, in batches of this size
+    private const BACKFILL_BATCH = 100;
+    // Hashes per library prefilter query (4 placeholders each)
+    private const PREFILTER_CHUNK = 50;
+
+    public function __construct(private Database $db)
+    {
+    }
+
+    public static function isValidHash(mixed $hash): bool
+    {
+        return is_string($hash) && preg_match('/^[0-9a-f]{16}$/', $hash) === 1;
+    }
+
+    /**
+     * dHash of an image file, or null when GD is missing or the file cannot be decoded.
+     */
+    public static function fromFile(string $path): ?string
+    {
+        if (!extension_loaded('gd') || !is_file($path)) {
+            return null;
+        }
+        $info = @getimagesize($path);
+        if (!$info) {
+            return null;
+        }
+        $src = match ($info['mime'] ?? '') {
+            'image/jpeg' => @imagecreatefromjpeg($path),
+            'image/png' => @imagecreatefrompng($path),
+            'image/webp' => function_exists('imagecreatefromwebp') ? @imagecreatefromwebp($path) : false,
+            default => false,
+        };
+        if (!$src) {
+            return null;
+        }
+
+        // imagecopyresampled averages the covered area, like the browser side does
+        $small = imagecreatetruecolor(9, 8);
+        imagecopyresampled($small, $src, 0, 0, 0, 0, 9, 8, imagesx($src), imagesy($src));
+        imagedestroy($src);
+
+        $bits = '';
+        for ($y = 0; $y < 8; $y++) {
+            $row = [];
+            for ($x = 0; $x < 9; $x++) {
+                $rgb = imagecolorat($small, $x, $y);
+                $row[] = 0.299 * (($rgb >> 16) & 0xFF) + 0.587 * (($rgb >> 8) & 0xFF) + 0.114 * ($rgb & 0xFF);
+            }
+            for ($x = 0; $x < 8; $x++) {
+                $bits .= $row[$x] > $row[$x + 1] ? '1' : '0';
+            }
+        }
+        imagedestroy($small);
+
+        $hex = '';
+        foreach (str_split($bits, 4) as $nibble) {
+            $hex .= dechex(bindec($nibble));
+        }
+        return $hex;
+    }
+
+    public static function distance(string $a, string $b): int
+    {
+        $distance = 0;
+        for ($i = 0; $i < 16; $i++) {
+            $xor = hexdec($a[$i]) ^ hexdec($b[$i]);
+            $distance += substr_count(decbin($xor), '1');
+        }
+        return $distance;
+    }
+
+    /**
+     * Hash and store images that have none yet (uploaded before hashes existed).
+     * The small preview is used when available: it decodes much faster than the original.
+     * $afterId lets batch callers move past images that cannot be decoded.
+     * @return array{hashed:int, last_id:int} last_id is 0 when nothing was left to hash
+     */
+    public function hashMissing(?int $albumId = null, int $limit = self::BACKFILL_BATCH, int $afterId = 0): array
+    {
+        $pdo = $this->db->pdo();
+        $sql = "SELECT i.id, i.original_path,
+                       (SELECT iv.path FROM image_variants iv WHERE iv.image_id = i.id AND iv.variant = 'sm' LIMIT 1) AS preview_path
+                FROM images i WHERE i.phash IS NULL AND i.id > ?";
+        $params = [$afterId];
+        if ($albumId !== null) {
+            $sql .= ' AND i.album_id = ?';
+            $params[] = $albumId;
+        }
+        $sql .= ' ORDER BY i.id ASC';
+        if ($limit > 0) {
+            $sql .= ' LIMIT ' . $limit;
+        }
+        $stmt = $pdo->prepare($sql);
+        $stmt->execute($params);
+
+        $root = dirname(__DIR__, 2);
+        $update = $pdo->prepare('UPDATE images SET phash = ? WHERE id = ?');
+        $hashed = 0;
+        $lastId = 0;
+        foreach ($stmt->fetchAll() ?: [] as $row) {
+            $lastId = (int)$row['id'];
+            $candidates = [];
+            if (!empty($row['preview_path'])) {
+                $candidates[] = $root . '/public' . $row['preview_path'];
+            }
+            $candidates[] = $root . $row['original_path'];
+            $hash = null;
+            foreach ($candidates as $path) {
+                if ($hash = self::fromFile($path)) {
+                    break;
+                }
+            }
+            if ($hash === null) {
+                Logger::debug('PerceptualHashService: cannot hash image', ['image_id' => $row['id']], 'upload');
+                continue;
+            }
+            $update->execute([$hash, (int)$row['id']]);
+            $hashed++;
+        }
+        return ['hashed' => $hashed, 'last_id' => $lastId];
+    }
+
+    /**
+     * Images across the library whose hash is close to one of $hashes.
+     * Matches in $albumId come first, then by distance.
+     *
+     * The album is compared in full. Elsewhere in the library, only images sharing a quarter
+     * of one of the hashes (16 bits, exact) are compared: a distance of 3 or less always
+     * leaves a quarter untouched, and re-exports of the same frame are within that.
+     * @param array<string,string> $hashes client key => hash
+     * @return array<string,list<array>> client key => matches
+     */
+    public function findMatches(array $hashes, int $albumId, int $maxDistance = self::MATCH_DISTANCE): array
+    {
+        $hashes = array_filter($hashes, [self::class, 'isValidHash']);
+        if (!$hashes) {
+            return [];
+        }
+
+        $pdo = $this->db->pdo();
+        $select = "SELECT i.id, i.album_id, i.phash, i.title, i.alt_text, i.width, i.height,
+                          a.title AS album_title,
+                          (SELECT iv.path FROM image_variants iv WHERE iv.image_id = i.id AND iv.variant = 'sm' LIMIT 1) AS preview_url
+                   FROM images i JOIN albums a ON a.id = i.album_id
+                   WHERE i.phash IS NOT NULL";
+        $stmt = $pdo->prepare($select . ' AND i.album_id = :album');
+        $stmt->execute([':album' => $albumId]);
+        $rows = [];
+        foreach ($stmt->fetchAll() ?: [] as $row) {
+            $rows[(int)$row['id']] = $row;
+        }
+
+        // Library candidates, in chunks to stay below the placeholder limit of SQLite
+        foreach (array_chunk(array_values(array_unique($hashes)), self::PREFILTER_CHUNK) as $chunk) {
+            $quarters = [];
+            $params = [':album' => $albumId];
+            for ($q = 0; $q < 4; $q++) {
+                $names = [];
+                foreach ($chunk as $n => $hash) {
+                    $names[] = ":h{$q}_{$n}";
+                    $params[":h{$q}_{$n}"] = substr($hash, $q * 4, 4);
+                }
+                $quarters[] = 'SUBSTR(i.phash, ' . ($q * 4 + 1) . ', 4) IN (' . implode(', ', $names) . ')';
+            }
+            $stmt = $pdo->prepare($select . ' AND i.album_id <> :album AND (' . implode(' OR ', $quarters) . ')');
+            $stmt->execute($params);
+            foreach ($stmt->fetchAll() ?: [] as $row) {
+                $rows[(int)$row['id']] = $row;
+            }
+        }
+
+        $matches = [];
+        foreach ($hashes as $key => $hash) {
+            foreach ($rows as $row) {
+                $distance = self::distance($hash, $row['phash']);
+                if ($distance > $maxDistance) {
+                    continue;
+                }
+                $matches[$key][] = [
+                    'id' => (int)$row['id'],
+                    'album_id' => (int)$row['album_id'],
+                    'album_title' => $row['album_title'],
+                    'title' => $row['title'] ?: $row['alt_text'],
+                    'width' => (int)$row['width'],
+                    'height' => (int)$row['height'],
+                    'preview_url' => $row['preview_url'],
+                    'distance' => $distance,
+                    'same_album' => (int)$row['album_id'] === $albumId,
+                ];
+            }
+            if (!empty($matches[$key])) {
+                usort($matches[$key], fn($a, $b) => [$b['same_album'], $a['distance']] <=> [$a['same_album'], $b['distance']]);
+                $matches[$key] = array_slice($matches[$key], 0, 5);
+            }
+        }
+        return $matches;
+    }
+}
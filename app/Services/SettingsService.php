@@ -85,6 +85,7 @@ class SettingsService
             'image.breakpoints' => ['sm' => 768, 'md' => 1200, 'lg' => 1920, 'xl' => 2560, 'xxl' => 3840],
             'image.preview' => ['width' => 480, 'height' => null],
             'image.variants_async' => true,
+            'upload.url_hosts' => [], // hosts allowed for "upload from URL"
             'gallery.default_template_id' => null,
             'site.title' => 'Cimaise',
             'site.logo' => null,
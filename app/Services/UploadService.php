@@ -13,6 +13,11 @@ class UploadService
 {
     use RegistersImageVariants;
 
+    // Large medium-format/scan originals arrive through chunked uploads
+    public const MAX_FILE_SIZE = 200 * 1024 * 1024;
+    // Album GPS privacy policies, applied in the browser before upload
+    public const GPS_POLICIES = ['keep', 'fuzz', 'strip'];
+
     private array $allowed = ['image/jpeg'=>'.jpg','image/png'=>'.png', 'image/webp'=>'.webp'];
     
     // Magic number signatures for image validation
@@ -39,7 +44,7 @@ class UploadService
         
         // 2. Check file size (prevent DoS attacks)
         $fileSize = filesize($filePath);
-        if ($fileSize === false || $fileSize > 50 * 1024 * 1024) { // 50MB limit
+        if ($fileSize === false || $fileSize > self::MAX_FILE_SIZE) {
             throw new RuntimeException('File too large');
         }
         
@@ -52,6 +57,12 @@ class UploadService
         $detectedMime = finfo_file($finfo, $filePath);
         finfo_close($finfo);
         
+        // HEIC/AVIF/TIFF sources are recognised by their header; dimensions are checked on the decoded master
+        $sourceMime = ImageDecodeService::sniffMime($filePath);
+        if ($sourceMime !== null) {
+            return $sourceMime;
+        }
+
         if (!$detectedMime || !isset($this->allowed[$detectedMime])) {
             throw new RuntimeException('Unsupported file type: ' . ($detectedMime ?: 'unknown'));
         }
@@ -114,7 +125,7 @@ class UploadService
         $mime = $this->validateImageFile($tmp);
         
         $hash = sha1_file($tmp) ?: bin2hex(random_bytes(20));
-        $ext = $this->allowed[$mime];
+        $ext = $this->allowed[$mime] ?? ImageDecodeService::SOURCE_FORMATS[$mime];
         $storageDir = dirname(__DIR__, 2) . '/storage/originals';
         ImagesService::ensureDir($storageDir);
         $dest = $storageDir . '/' . $hash . $ext;
@@ -139,6 +150,28 @@ class UploadService
             @unlink($dest);
             throw new RuntimeException('File validation failed after upload: ' . $e->getMessage());
         }
+
+        // HEIC/AVIF/TIFF: keep the upload as the downloadable source, continue with a JPEG master
+        $sourceRel = null;
+        $sourceMime = null;
+        if (isset(ImageDecodeService::SOURCE_FORMATS[$mime])) {
+            $master = $storageDir . '/' . $hash . '.jpg';
+            if (!ImageDecodeService::toJpegMaster($dest, $mime, $master)) {
+                @unlink($dest);
+                throw new RuntimeException(sprintf('This server cannot decode %s files', strtoupper(ltrim(ImageDecodeService::SOURCE_FORMATS[$mime], '.'))), 415);
+            }
+            try {
+                $this->validateImageFile($master);
+            } catch (RuntimeException $e) {
+                @unlink($master);
+                @unlink($dest);
+                throw new RuntimeException('Decoded image is not valid: ' . $e->getMessage());
+            }
+            $sourceRel = str_replace(dirname(__DIR__, 2), '', $dest);
+            $sourceMime = $mime;
+            $dest = $master;
+            $mime = 'image/jpeg';
+        }
         
         [$width, $height] = getimagesize($dest) ?: [0,0];
         // Extract EXIF and map lookups (best effort)
@@ -225,6 +258,36 @@ class UploadService
         ]);
         $imageId = (int)$pdo->lastInsertId();
 
+        // Client file name, for sorting and display in the album editor (column added in 1.2.0)
+        $clientName = trim(basename(str_replace('\\', '/', (string)($file['name'] ?? ''))));
+        if ($clientName !== '') {
+            try {
+                $pdo->prepare('UPDATE images SET original_filename = ? WHERE id = ?')
+                    ->execute([mb_substr($clientName, 0, 255), $imageId]);
+            } catch (\Throwable $e) {
+                Logger::warning('UploadService: failed to record original file name', ['image_id' => $imageId, 'error' => $e->getMessage()], 'upload');
+            }
+        }
+
+        // Size of the file as uploaded, for the media library size filter (column added in 1.2.0)
+        $uploadedSize = @filesize($sourceRel !== null ? dirname(__DIR__, 2) . $sourceRel : $dest);
+        if ($uploadedSize !== false) {
+            try {
+                $pdo->prepare('UPDATE images SET file_size = ? WHERE id = ?')->execute([$uploadedSize, $imageId]);
+            } catch (\Throwable $e) {
+                Logger::warning('UploadService: failed to record file size', ['image_id' => $imageId, 'error' => $e->getMessage()], 'upload');
+            }
+        }
+
+        if ($sourceRel !== null) {
+            try {
+                $pdo->prepare('UPDATE images SET source_path = ?, source_mime = ? WHERE id = ?')
+                    ->execute([$sourceRel, $sourceMime, $imageId]);
+            } catch (\Throwable $e) {
+                Logger::warning('UploadService: failed to record image source', ['image_id' => $imageId, 'error' => $e->getMessage()], 'upload');
+            }
+        }
+
         // Generate preview and full variants set
         $mediaDir = dirname(__DIR__, 2) . '/public/media';
         ImagesService::ensureDir($mediaDir);
@@ -250,6 +313,16 @@ class UploadService
             $previewRel = null;
         }
 
+        // Perceptual hash for duplicate detection (best effort: column may not exist before migration)
+        try {
+            $phash = PerceptualHashService::fromFile($preview ?: $dest);
+            if ($phash !== null) {
+                $pdo->prepare('UPDATE images SET phash = ? WHERE id = ?')->execute([$phash, $imageId]);
+            }
+        } catch (\Throwable $e) {
+            Logger::warning('UploadService: failed to store perceptual hash', ['image_id' => $imageId, 'error' => $e->getMessage()], 'upload');
+        }
+
         // PERFORMANCE: Variant generation moved to controller after response flush.
         // ingestAlbumUpload() only generates sm preview for immediate UI feedback.
         // Full variants are generated:
@@ -267,7 +340,7 @@ class UploadService
                 ->execute([':imageId' => $imageId, ':albumId' => $albumId]);
         }
 
-        return ['id'=>$imageId,'path'=>$dest,'mime'=>$mime,'width'=>$width,'height'=>$height,'preview_url'=>$previewRel];
+        return ['id'=>$imageId,'path'=>$dest,'mime'=>$mime,'width'=>$width,'height'=>$height,'preview_url'=>$previewRel,'source_mime'=>$sourceMime];
     }
 
     private function resizeWithImagick(string $src, string $dest, int $targetW, string $format, int $quality): bool
@@ -350,7 +423,183 @@ class UploadService
         imagedestroy($srcImg); imagedestroy($dst);
         return (bool)$ok;
     }
-    
+
+    /**
+     * Apply metadata entered in the upload review queue to a freshly ingested image.
+     * Empty fields are skipped; tags are limited to ids that already exist.
+     * gps_policy records what the uploader did with location data found in the file.
+     * @param array{title?:string, alt_text?:string, caption?:string, tags?:array, gps_policy?:string} $meta
+     */
+    public function applyImageMetadata(int $imageId, array $meta): array
+    {
+        $pdo = $this->db->pdo();
+        $applied = [];
+
+        // Lengths match the MySQL column sizes
+        foreach (['title' => 255, 'alt_text' => 200, 'caption' => 300] as $column => $maxLength) {
+            $value = trim(strip_tags((string)($meta[$column] ?? '')));
+            if ($value !== '') {
+                $applied[$column] = mb_substr($value, 0, $maxLength);
+            }
+        }
+        if (in_array($meta['gps_policy'] ?? null, self::GPS_POLICIES, true)) {
+            $applied['gps_policy'] = $meta['gps_policy'];
+        }
+        if ($applied) {
+            $sets = implode(', ', array_map(fn($column) => $column . ' = :' . $column, array_keys($applied)));
+            $params = [':id' => $imageId];
+            foreach ($applied as $column => $value) {
+                $params[':' . $column] = $value;
+            }
+            $pdo->prepare('UPDATE images SET ' . $sets . ' WHERE id = :id')->execute($params);
+        }
+
+        $tagIds = array_values(array_unique(array_filter(array_map('intval', (array)($meta['tags'] ?? [])))));
+        if ($tagIds) {
+            $placeholders = implode(',', array_fill(0, count($tagIds), '?'));
+            $stmt = $pdo->prepare('SELECT id FROM tags WHERE id IN (' . $placeholders . ')');
+            $stmt->execute($tagIds);
+            $existing = array_map('intval', $stmt->fetchAll(\PDO::FETCH_COLUMN));
+            $insert = $pdo->prepare($this->db->insertIgnoreKeyword() . ' INTO image_tag(image_id, tag_id) VALUES (:i, :t)');
+            foreach ($existing as $tagId) {
+                $insert->execute([':i' => $imageId, ':t' => $tagId]);
+            }
+            $applied['tags'] = $existing;
+        }
+
+        return $applied;
+    }
+
+    /**
+     * Store the untouched HEIC/AVIF/TIFF file of an image whose JPEG master was decoded
+     * in the browser (the server had no decoder for the format).
+     */
+    public function attachSourceFile(int $imageId, int $albumId, string $tmpPath): array
+    {
+        $pdo = $this->db->pdo();
+        $stmt = $pdo->prepare('SELECT id, source_path FROM images WHERE id = ? AND album_id = ?');
+        $stmt->execute([$imageId, $albumId]);
+        $image = $stmt->fetch();
+        if (!$image) {
+            @unlink($tmpPath);
+            throw new RuntimeException('Image not found', 404);
+        }
+        if (!empty($image['source_path'])) {
+            @unlink($tmpPath);
+            throw new RuntimeException('Image already has a source file', 409);
+        }
+
+        $mime = is_file($tmpPath) ? ImageDecodeService::sniffMime($tmpPath) : null;
+        if ($mime === null || filesize($tmpPath) > self::MAX_FILE_SIZE) {
+            @unlink($tmpPath);
+            throw new RuntimeException('Unsupported source file');
+        }
+
+        $hash = sha1_file($tmpPath) ?: bin2hex(random_bytes(20));
+        $storageDir = dirname(__DIR__, 2) . '/storage/originals';
+        ImagesService::ensureDir($storageDir);
+        $dest = $storageDir . '/' . $hash . ImageDecodeService::SOURCE_FORMATS[$mime];
+        if (!@rename($tmpPath, $dest)) {
+            @unlink($tmpPath);
+            throw new RuntimeException('Failed to store source file');
+        }
+        $sourceRel = str_replace(dirname(__DIR__, 2), '', $dest);
+        $pdo->prepare('UPDATE images SET source_path = ?, source_mime = ? WHERE id = ?')->execute([$sourceRel, $mime, $imageId]);
+
+        return ['id' => $imageId, 'source_mime' => $mime];
+    }
+
+    /**
+     * Move a freshly ingested upload onto an existing image of the same album
+     * ("replace" in the duplicate prompt). The existing row keeps its id, so position,
+     * title, alt text, caption, tags, custom fields, cover and statistics stay attached;
+     * the file, its EXIF-derived columns and its variants come from the new upload,
+     * whose temporary row is then deleted. Text filled in for the upload replaces the
+     * kept text and its tags are added. Missing variants are regenerated afterwards.
+     */
+    public function replaceImageWith(int $targetId, int $sourceId): void
+    {
+        $pdo = $this->db->pdo();
+        $stmt = $pdo->prepare('SELECT * FROM images WHERE id = ?');
+        $stmt->execute([$targetId]);
+        $target = $stmt->fetch();
+        $stmt->execute([$sourceId]);
+        $source = $stmt->fetch();
+        if (!$target || !$source || $targetId === $sourceId) {
+            throw new RuntimeException('Image to replace not found', 404);
+        }
+        if ((int)$target['album_id'] !== (int)$source['album_id']) {
+            throw new RuntimeException('Only images of the same album can be replaced', 400);
+        }
+
+        $fileColumns = [
+            'original_path', 'file_hash', 'width', 'height', 'mime', 'exif',
+            'camera_id', 'lens_id', 'iso', 'shutter_speed', 'aperture',
+            'exif_make', 'exif_model', 'exif_lens_maker', 'exif_lens_model', 'software',
+            'focal_length', 'exposure_bias', 'flash', 'white_balance', 'exposure_program',
+            'metering_mode', 'exposure_mode', 'date_original', 'color_space', 'contrast',
+            'saturation', 'sharpness', 'scene_capture_type', 'light_source',
+            'gps_lat', 'gps_lng', 'gps_policy', 'artist', 'copyright', 'phash',
+            'source_path', 'source_mime', 'original_filename', 'file_size',
+        ];
+        // Older schemas may lack some of the columns
+        $fileColumns = array_values(array_filter($fileColumns, fn($column) => array_key_exists($column, $source)));
+
+        $variants = $pdo->prepare('SELECT path FROM image_variants WHERE image_id = ?');
+        $variants->execute([$targetId]);
+        $oldFiles = array_column($variants->fetchAll() ?: [], 'path');
+
+        $pdo->beginTransaction();
+        try {
+            $pdo->prepare('DELETE FROM image_variants WHERE image_id = ?')->execute([$targetId]);
+            $pdo->prepare('UPDATE image_variants SET image_id = ? WHERE image_id = ?')->execute([$targetId, $sourceId]);
+            $sets = implode(', ', array_map(fn($column) => $column . ' = :' . $column, $fileColumns));
+            $params = [':id' => $targetId];
+            foreach ($fileColumns as $column) {
+                $params[':' . $column] = $source[$column];
+            }
+            $pdo->prepare('UPDATE images SET ' . $sets . ' WHERE id = :id')->execute($params);
+            // Text and tags given in the upload review win over the kept ones (applyImageMetadata
+            // wrote them to the new row, which is deleted below and takes its image_tag rows along)
+            foreach (['title', 'alt_text', 'caption'] as $column) {
+                if (array_key_exists($column, $source) && trim((string)$source[$column]) !== '') {
+                    $pdo->prepare('UPDATE images SET ' . $column . ' = ? WHERE id = ?')->execute([$source[$column], $targetId]);
+                }
+            }
+            $pdo->prepare($this->db->insertIgnoreKeyword() . ' INTO image_tag(image_id, tag_id) SELECT ?, tag_id FROM image_tag WHERE image_id = ?')
+                ->execute([$targetId, $sourceId]);
+            $pdo->prepare('UPDATE albums SET cover_image_id = ? WHERE cover_image_id = ?')->execute([$targetId, $sourceId]);
+            $pdo->prepare('DELETE FROM images WHERE id = ?')->execute([$sourceId]);
+            $pdo->commit();
+        } catch (\Throwable $e) {
+            $pdo->rollBack();
+            throw $e;
+        }
+
+        // Remove the replaced files (best-effort); originals are content-addressed and may be shared
+        $root = dirname(__DIR__, 2);
+        foreach (['original_path', 'source_path'] as $column) {
+            $old = $target[$column] ?? null;
+            if (empty($old) || $old === ($source[$column] ?? null)) {
+                continue;
+            }
+            $shared = $pdo->prepare('SELECT COUNT(*) FROM images WHERE ' . $column . ' = ?');
+            $shared->execute([$old]);
+            if ((int)$shared->fetchColumn() === 0) {
+                @unlink($root . $old);
+            }
+        }
+        // Copies made by ImageTransferService share their variant files with the source image
+        $variantInUse = $pdo->prepare('SELECT COUNT(*) FROM image_variants WHERE path = ?');
+        foreach ($oldFiles as $path) {
+            $variantInUse->execute([$path]);
+            if ((int)$variantInUse->fetchColumn() > 0) {
+                continue;
+            }
+            @unlink(str_starts_with((string)$path, '/media/') ? ($root . '/public' . $path) : ($root . $path));
+        }
+    }
+
     /**
      * Generate variants for an image that was uploaded in fast mode
      * Returns array with statistics: ['generated' => int, 'failed' => int, 'skipped' => int]
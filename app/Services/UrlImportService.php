@@ -0,0 +1,203 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Support\Database;
+use App\Support\Logger;
+use RuntimeException;
+
+/**
+ * Server-side download for "upload from URL" in the album editor.
+ *
+ * Only hosts listed in the upload.url_hosts setting can be fetched (typically a local or
+ * intranet file server), and every redirect target is checked again. The downloaded file
+ * is not ingested here: the controller hands it back to the browser, which adds it to the
+ * normal Uppy queue so it goes through the same checks and upload path as any other file.
+ *
+ * Allowlist entries are host names, optionally with a port (nas.local:8080) or a leading
+ * wildcard for subdomains (*.studio.lan).
+ */
+class UrlImportService
+{
+    public const SETTING = 'upload.url_hosts';
+    private const MAX_REDIRECTS = 3;
+    private const TIMEOUT = 60;
+    private const IMAGE_MIMES = ['image/jpeg' => '.jpg', 'image/png' => '.png', 'image/webp' => '.webp'];
+
+    public function __construct(private Database $db)
+    {
+    }
+
+    /**
+     * Clean allowlist input (textarea lines or array) into lowercase host[:port] entries.
+     * @return list<string>
+     */
+    public static function normalizeHosts(string|array $input): array
+    {
+        $lines = is_array($input) ? $input : preg_split('/[\s,]+/', $input);
+        $hosts = [];
+        foreach ($lines ?: [] as $line) {
+            $host = strtolower(trim((string)$line));
+            // Accept pasted URLs: keep only the authority part
+            $host = preg_replace('#^[a-z][a-z0-9+.-]*://#', '', $host);
+            $host = explode('/', $host, 2)[0];
+            if ($host !== '' && preg_match('/^(\*\.)?[a-z0-9]([a-z0-9.-]*[a-z0-9])?(:\d{1,5})?$/', $host)) {
+                $hosts[] = $host;
+            }
+        }
+        return array_values(array_unique($hosts));
+    }
+
+    /**
+     * @return list<string>
+     */
+    public function allowedHosts(): array
+    {
+        $value = (new SettingsService($this->db))->get(self::SETTING, []);
+        return self::normalizeHosts(is_array($value) ? $value : (string)$value);
+    }
+
+    public function isEnabled(): bool
+    {
+        return $this->allowedHosts() !== [];
+    }
+
+    public function isAllowed(string $url): bool
+    {
+        $parts = parse_url($url);
+        $scheme = strtolower((string)($parts['scheme'] ?? ''));
+        $host = strtolower((string)($parts['host'] ?? ''));
+        if (!in_array($scheme, ['http', 'https'], true) || $host === '' || isset($parts['user']) || isset($parts['pass'])) {
+            return false;
+        }
+        $host = trim($host, '[]');
+        $port = (int)($parts['port'] ?? ($scheme === 'https' ? 443 : 80));
+
+        foreach ($this->allowedHosts() as $entry) {
+            $entryPort = null;
+            if (preg_match('/^(.+):(\d+)$/', $entry, $m)) {
+                [$entry, $entryPort] = [$m[1], (int)$m[2]];
+            }
+            if ($entryPort !== null && $entryPort !== $port) {
+                continue;
+            }
+            if (str_starts_with($entry, '*.')) {
+                if (str_ends_with($host, substr($entry, 1))) {
+                    return true;
+                }
+            } elseif ($host === $entry) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Download an image into storage/tmp. The caller owns (and must delete) the returned path.
+     * @return array{path:string, name:string, mime:string, size:int}
+     */
+    public function fetch(string $url): array
+    {
+        if (!function_exists('curl_init')) {
+            throw new RuntimeException('URL import requires the cURL extension');
+        }
+        if (!$this->isAllowed($url)) {
+            throw new RuntimeException('Host not allowed', 403);
+        }
+
+        $dir = dirname(__DIR__, 2) . '/storage/tmp';
+        ImagesService::ensureDir($dir);
+        $path = tempnam($dir, 'url_');
+        if ($path === false) {
+            throw new RuntimeException('Cannot create temporary file');
+        }
+
+        try {
+            $current = $url;
+            for ($redirects = 0; ; $redirects++) {
+                [$status, $location] = $this->download($current, $path);
+                if ($status >= 300 && $status < 400 && $location !== '') {
+                    // Redirects are followed by hand so each target is checked against the allowlist
+                    if ($redirects >= self::MAX_REDIRECTS || !$this->isAllowed($location)) {
+                        throw new RuntimeException('Redirect to a host that is not allowed', 403);
+                    }
+                    $current = $location;
+                    continue;
+                }
+                if ($status !== 200) {
+                    throw new RuntimeException('Remote server answered HTTP ' . $status, 502);
+                }
+                break;
+            }
+
+            $finfo = finfo_open(FILEINFO_MIME_TYPE);
+            $mime = (string)finfo_file($finfo, $path);
+            finfo_close($finfo);
+            $mime = ImageDecodeService::sniffMime($path) ?? $mime;
+            $ext = self::IMAGE_MIMES[$mime] ?? ImageDecodeService::SOURCE_FORMATS[$mime] ?? null;
+            if ($ext === null) {
+                throw new RuntimeException('The URL does not point to a supported image', 415);
+            }
+
+            return ['path' => $path, 'name' => self::fileName($current, $ext), 'mime' => $mime, 'size' => (int)filesize($path)];
+        } catch (\Throwable $e) {
+            @unlink($path);
+            Logger::warning('UrlImportService: import failed', ['url' => $url, 'error' => $e->getMessage()], 'upload');
+            throw $e;
+        }
+    }
+
+    /**
+     * One request without following redirects; the body is written to $path, capped at the upload size limit.
+     * @return array{0:int, 1:string} HTTP status and redirect target
+     */
+    private function download(string $url, string $path): array
+    {
+        $fh = fopen($path, 'wb');
+        if ($fh === false) {
+            throw new RuntimeException('Cannot write temporary file');
+        }
+        $ch = curl_init();
+        curl_setopt_array($ch, [
+            CURLOPT_URL => $url,
+            CURLOPT_FILE => $fh,
+            CURLOPT_FOLLOWLOCATION => false,
+            CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+            CURLOPT_CONNECTTIMEOUT => 10,
+            CURLOPT_TIMEOUT => self::TIMEOUT,
+            CURLOPT_USERAGENT => 'Cimaise/1.0',
+            CURLOPT_SSL_VERIFYPEER => true,
+            CURLOPT_MAXFILESIZE => UploadService::MAX_FILE_SIZE,
+            // MAXFILESIZE relies on Content-Length: also stop streamed bodies that grow too large
+            CURLOPT_NOPROGRESS => false,
+            CURLOPT_XFERINFOFUNCTION => static fn($ch, int $total, int $downloaded): int => $downloaded > UploadService::MAX_FILE_SIZE ? 1 : 0,
+        ]);
+        $ok = curl_exec($ch);
+        $status = (int)curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $location = (string)(curl_getinfo($ch, CURLINFO_REDIRECT_URL) ?: '');
+        $error = curl_error($ch);
+        $errno = curl_errno($ch);
+        curl_close($ch);
+        fclose($fh);
+
+        if ($ok === false) {
+            if ($errno === CURLE_FILESIZE_EXCEEDED || $errno === CURLE_ABORTED_BY_CALLBACK) {
+                throw new RuntimeException('File too large', 413);
+            }
+            throw new RuntimeException('Download failed: ' . $error, 502);
+        }
+        return [$status, $location];
+    }
+
+    /**
+     * File name from the last URL path segment, with an extension matching the content.
+     */
+    private static function fileName(string $url, string $ext): string
+    {
+        $base = rawurldecode(basename((string)(parse_url($url, PHP_URL_PATH) ?? '')));
+        $base = preg_replace('/[^\w.\- ]+/u', '_', $base) ?? '';
+        $stem = trim(pathinfo($base, PATHINFO_FILENAME), ' ._');
+        return ($stem !== '' ? mb_substr($stem, 0, 120) : 'image-' . date('Ymd-His')) . $ext;
+    }
+}
@@ -209,4 +209,10 @@ class Database
     {
         return $this->isSqlite ? 'INSERT OR REPLACE' : 'REPLACE';
     }
+
+    // Helper for portable string concatenation
+    public function concatExpression(string ...$expressions): string
+    {
+        return $this->isSqlite ? '(' . implode(' || ', $expressions) . ')' : 'CONCAT(' . implode(', ', $expressions) . ')';
+    }
 }
@@ -5,6 +5,11 @@ namespace App\Support;
 
 final class Sanitizer
 {
+    // Inline photos inserted from the media library: <figure><img …><figcaption>…</figcaption></figure>.
+    // img and figcaption are only kept inside a figure, and a figure only keeps those two.
+    private const FIGURE_ONLY = ['img', 'figcaption'];
+    private const IMG_ATTRIBUTES = ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'];
+
     /**
      * Sanitize HTML content, allowing a safe subset of tags and attributes.
      * This prevents XSS by parsing the HTML and rebuilding it with a whitelist.
@@ -17,11 +22,13 @@ final class Sanitizer
 
         $allowedTags = [
             'p', 'br', 'strong', 'em', 'b', 'i', 'ul', 'ol', 'li',
-            'blockquote', 'h2', 'h3', 'h4', 'hr', 'a'
+            'blockquote', 'h2', 'h3', 'h4', 'hr', 'a',
+            'figure', 'figcaption', 'img'
         ];
 
         $allowedAttributes = [
-            'a' => ['href', 'title', 'target', 'rel']
+            'a' => ['href', 'title', 'target', 'rel'],
+            'img' => self::IMG_ATTRIBUTES
         ];
 
         // Use DOMDocument to parse HTML to prevent regex-based bypasses
@@ -54,7 +61,12 @@ final class Sanitizer
         }
 
         if ($node->nodeType === XML_ELEMENT_NODE) {
-            if (!in_array(strtolower($node->nodeName), $allowedTags)) {
+            $tag = strtolower($node->nodeName);
+            if (!in_array($tag, $allowedTags)) {
+                $node->parentNode->removeChild($node);
+                return;
+            }
+            if (in_array($tag, self::FIGURE_ONLY, true) && strtolower((string)$node->parentNode?->nodeName) !== 'figure') {
                 $node->parentNode->removeChild($node);
                 return;
             }
@@ -72,9 +84,94 @@ final class Sanitizer
                         if (!preg_match('~^(https?://|mailto:|/|#)~i', $url)) {
                             $node->removeAttribute($attr->name);
                         }
+                    } elseif ($tag === 'img') {
+                        $clean = self::imageAttribute($attrName, $attr->value);
+                        if ($clean === null) {
+                            $node->removeAttribute($attr->name);
+                        } else {
+                            $node->setAttribute($attrName, $clean);
+                        }
+                    }
+                }
+            }
+
+            if ($tag === 'img' && !$node->hasAttribute('src')) {
+                $node->parentNode->removeChild($node);
+            } elseif ($tag === 'figure') {
+                self::cleanFigure($node);
+            }
+        }
+    }
+
+    /**
+     * Validated value of an <img> attribute in rich text, or null to drop it.
+     * Image URLs must be site paths or http(s); srcset keeps only "url NNNw" candidates.
+     */
+    public static function imageAttribute(string $name, string $value): ?string
+    {
+        $value = trim($value);
+        switch (strtolower($name)) {
+            case 'src':
+                return self::isImageUrl($value) ? $value : null;
+            case 'srcset':
+                $candidates = [];
+                foreach (explode(',', $value) as $candidate) {
+                    if (preg_match('~^(\S+)\s+(\d{1,5}w)$~', trim($candidate), $m) && self::isImageUrl($m[1])) {
+                        $candidates[] = $m[1] . ' ' . $m[2];
                     }
                 }
+                return $candidates ? implode(', ', $candidates) : null;
+            case 'sizes':
+                return preg_match('~^[a-z0-9()\s,.:%-]{1,200}$~i', $value) ? $value : null;
+            case 'width':
+            case 'height':
+                return preg_match('~^\d{1,5}$~', $value) ? $value : null;
+            case 'loading':
+                return $value === 'lazy' ? 'lazy' : null;
+            case 'alt':
+                return $value;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Only files of the media library, as MediaController::embed links them (base path +
+     * /media/…): images from other hosts would be loaded by every visitor of the page.
+     */
+    private static function isImageUrl(string $url): bool
+    {
+        $prefix = preg_quote(self::basePath(), '~');
+        return (bool)preg_match('~^' . $prefix . '/media/(?!.*\.\.)[^\s"\'<>?#]+$~', $url);
+    }
+
+    // Base path of the site, as BaseController::getBasePath() computes it
+    private static function basePath(): string
+    {
+        $basePath = dirname((string)($_SERVER['SCRIPT_NAME'] ?? '/'));
+        $basePath = in_array($basePath, ['/', '\\', '.'], true) ? '' : $basePath;
+        if (str_ends_with($basePath, '/public')) {
+            $basePath = substr($basePath, 0, -7);
+        }
+        return $basePath;
+    }
+
+    /**
+     * A figure keeps its img and figcaption only; without an image it is dropped.
+     */
+    public static function cleanFigure(\DOMElement $figure): void
+    {
+        for ($i = $figure->childNodes->length - 1; $i >= 0; $i--) {
+            $child = $figure->childNodes->item($i);
+            $keep = $child->nodeType === XML_ELEMENT_NODE
+                ? in_array(strtolower($child->nodeName), self::FIGURE_ONLY, true)
+                : $child->nodeType === XML_TEXT_NODE && trim($child->textContent) === '';
+            if (!$keep) {
+                $figure->removeChild($child);
             }
         }
+        if ($figure->getElementsByTagName('img')->length === 0) {
+            $figure->parentNode->removeChild($figure);
+        }
     }
 }
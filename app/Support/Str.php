@@ -13,5 +13,47 @@ final class Str
         $value = preg_replace('~-+~', '-', $value) ?? $value; // collapse dashes
         return trim($value, '-');
     }
-}
 
+    /**
+     * Fuzzy match score of $query in $text (case-insensitive): every query character must
+     * appear in order. Runs of consecutive characters, word starts and a literal match score
+     * higher, shorter texts slightly higher. Null when the query does not match.
+     */
+    public static function fuzzyScore(string $query, string $text): ?int
+    {
+        $query = trim(preg_replace('~\s+~u', ' ', mb_strtolower($query)) ?? '');
+        $needle = mb_str_split(str_replace(' ', '', $query));
+        if (!$needle) {
+            return 0;
+        }
+        $haystack = mb_strtolower($text);
+        $chars = mb_str_split($haystack);
+        $count = count($chars);
+        $score = 0;
+        $pos = 0;
+        $previous = -2;
+        foreach ($needle as $char) {
+            while ($pos < $count && $chars[$pos] !== $char) {
+                $pos++;
+            }
+            if ($pos >= $count) {
+                return null;
+            }
+            $score += 1;
+            if ($pos === $previous + 1) {
+                $score += 5; // consecutive
+            }
+            if ($pos === 0 || !preg_match('~[\p{L}\p{N}]~u', $chars[$pos - 1])) {
+                $score += 3; // word start
+            }
+            $previous = $pos++;
+        }
+        $literal = mb_strpos($haystack, $query);
+        if ($literal === 0) {
+            $score += 20;
+        } elseif ($literal !== false) {
+            $score += 10;
+        }
+        return $score * 100 - min($count, 99);
+    }
+}
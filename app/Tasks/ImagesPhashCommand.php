@@ -0,0 +1,60 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Tasks;
+
+use App\Services\PerceptualHashService;
+use App\Support\Database;
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+
+#[AsCommand(name: 'images:phash')]
+class ImagesPhashCommand extends Command
+{
+    public function __construct(private Database $db)
+    {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this->setDescription('Compute missing perceptual hashes used for duplicate detection on upload')
+             ->addOption('album', 'a', InputOption::VALUE_OPTIONAL, 'Process only images from specific album ID')
+             ->addOption('batch', 'b', InputOption::VALUE_OPTIONAL, 'Images hashed per batch', '200');
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $albumId = $input->getOption('album') !== null ? (int)$input->getOption('album') : null;
+        $batch = max(1, (int)$input->getOption('batch'));
+
+        if (!extension_loaded('gd')) {
+            $output->writeln('<error>The GD extension is required to compute perceptual hashes.</error>');
+            return Command::FAILURE;
+        }
+
+        $output->writeln('<info>Computing perceptual hashes...</info>');
+        try {
+            $service = new PerceptualHashService($this->db);
+            $total = 0;
+            $lastId = 0;
+            // Images that cannot be decoded stay NULL: the id cursor moves past them
+            do {
+                $result = $service->hashMissing($albumId, $batch, $lastId);
+                $lastId = $result['last_id'];
+                $total += $result['hashed'];
+                if ($lastId > 0) {
+                    $output->writeln("  {$total} image(s) hashed (up to id {$lastId})");
+                }
+            } while ($lastId > 0);
+            $output->writeln("<info>✓ Done: {$total} image(s) hashed</info>");
+            return Command::SUCCESS;
+        } catch (\Throwable $e) {
+            $output->writeln('<error>Error: ' . $e->getMessage() . '</error>');
+            return Command::FAILURE;
+        }
+    }
+}
@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace App\Tasks;
 
+use App\Services\ImageTrashService;
 use App\Services\VariantMaintenanceService;
 use App\Services\SettingsService;
 use App\Support\Database;
@@ -16,7 +17,8 @@ use Symfony\Component\Console\Output\OutputInterface;
  * Maintenance command for cron-based variant generation.
  *
  * Generates missing image variants and blur variants for protected albums
- * (NSFW and password-protected).
+ * (NSFW and password-protected), and removes the files of deleted images
+ * whose undo window has expired.
  *
  * Recommended cron setup (daily at 3 AM):
  *   0 3 * * * cd /path/to/cimaise && php bin/console maintenance:run --quiet-mode
@@ -45,6 +47,7 @@ The <info>maintenance:run</info> command runs daily maintenance tasks:
 This command:
   - Generates missing image variants for all enabled formats and breakpoints
   - Generates blur variants for NSFW and password-protected albums
+  - Purges deleted images whose undo window has expired
   - Uses file-based locking to prevent concurrent execution
   - Tracks last run date to avoid duplicate runs
 
@@ -80,6 +83,7 @@ HELP
             }
 
             $maintenanceService->runDaily();
+            $purged = (new ImageTrashService($this->db))->purgeExpired();
 
             if (!$quiet) {
                 $output->writeln('<info>Maintenance tasks completed successfully.</info>');
@@ -87,6 +91,7 @@ HELP
                 $output->writeln('Tasks performed:');
                 $output->writeln('  - Generated missing image variants');
                 $output->writeln('  - Generated blur variants for NSFW/password-protected albums');
+                $output->writeln("  - Purged {$purged} deleted image(s) past the undo window");
             }
 
             return Command::SUCCESS;
@@ -0,0 +1,66 @@
+-- Migration: 1.2.0
+-- Database: MySQL
+-- Description: Per-image title and tags (set from the upload review queue or the image modal),
+--              per-album GPS privacy policy and the GPS decision recorded per image,
+--              perceptual hash for duplicate detection on upload,
+--              untouched HEIC/AVIF/TIFF source kept next to its JPEG master,
+--              trash table backing undo of image deletes in the album editor,
+--              client file name of uploads (album editor sorting),
+--              per-user keyboard shortcut keymap,
+--              original file size and saved filter views of the media library
+
+ALTER TABLE `images` ADD COLUMN `title` VARCHAR(255) NULL AFTER `mime`;
+
+CREATE TABLE IF NOT EXISTS `image_tag` (
+    `image_id` INT UNSIGNED NOT NULL,
+    `tag_id` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`image_id`, `tag_id`),
+    KEY `idx_image_tag_tag` (`tag_id`),
+    CONSTRAINT `fk_image_tag_image` FOREIGN KEY (`image_id`) REFERENCES `images`(`id`) ON DELETE CASCADE,
+    CONSTRAINT `fk_image_tag_tag` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- GPS privacy: album policy applied in the browser, and what was applied to each upload
+ALTER TABLE `albums` ADD COLUMN `gps_policy` ENUM('keep','fuzz','strip') NOT NULL DEFAULT 'keep' AFTER `is_nsfw`;
+ALTER TABLE `images` ADD COLUMN `gps_policy` VARCHAR(10) NULL AFTER `gps_lng`;
+
+-- Perceptual hash (dHash, 16 hex chars) for duplicate detection; existing images are hashed on demand
+ALTER TABLE `images` ADD COLUMN `phash` CHAR(16) NULL AFTER `file_hash`;
+
+-- HEIC/AVIF/TIFF uploads: original_path holds the JPEG master, the untouched upload is offered for download
+ALTER TABLE `images` ADD COLUMN `source_path` VARCHAR(255) NULL AFTER `original_path`;
+ALTER TABLE `images` ADD COLUMN `source_mime` VARCHAR(60) NULL AFTER `source_path`;
+
+-- File name as uploaded (originals are stored under their content hash)
+ALTER TABLE `images` ADD COLUMN `original_filename` VARCHAR(255) NULL AFTER `source_mime`;
+
+-- Deleted album images kept restorable for the editor's undo window (see ImageTrashService)
+CREATE TABLE IF NOT EXISTS `image_trash` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `image_id` INT UNSIGNED NOT NULL,
+  `album_id` INT UNSIGNED NOT NULL,
+  `payload` MEDIUMTEXT NOT NULL,
+  `deleted_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_image_trash_album` (`album_id`, `image_id`),
+  KEY `idx_image_trash_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Keyboard shortcut keymap of each admin (JSON, "scope.id" => keys; NULL for the defaults)
+ALTER TABLE `users` ADD COLUMN `shortcuts` TEXT NULL AFTER `remember_token_expires_at`;
+
+-- Size of the original in bytes (media library filter); older images are measured on demand
+ALTER TABLE `images` ADD COLUMN `file_size` BIGINT UNSIGNED NULL AFTER `original_filename`;
+
+-- Named filter sets of the media library, per admin (query: the filter query string)
+CREATE TABLE IF NOT EXISTS `media_views` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` INT UNSIGNED NOT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `query` TEXT NOT NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `idx_media_views_user_name` (`user_id`, `name`),
+  CONSTRAINT `fk_media_views_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,64 @@
+-- Migration: 1.2.0
+-- Database: SQLite
+-- Description: Per-image title and tags (set from the upload review queue or the image modal),
+--              per-album GPS privacy policy and the GPS decision recorded per image,
+--              perceptual hash for duplicate detection on upload,
+--              untouched HEIC/AVIF/TIFF source kept next to its JPEG master,
+--              trash table backing undo of image deletes in the album editor,
+--              client file name of uploads (album editor sorting),
+--              per-user keyboard shortcut keymap,
+--              original file size and saved filter views of the media library
+
+ALTER TABLE images ADD COLUMN title TEXT DEFAULT NULL;
+
+CREATE TABLE IF NOT EXISTS image_tag (
+    image_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY (image_id, tag_id),
+    FOREIGN KEY (image_id) REFERENCES images(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_image_tag_tag ON image_tag(tag_id);
+
+-- GPS privacy: album policy applied in the browser, and what was applied to each upload
+ALTER TABLE albums ADD COLUMN gps_policy TEXT NOT NULL DEFAULT 'keep' CHECK(gps_policy IN ('keep', 'fuzz', 'strip'));
+ALTER TABLE images ADD COLUMN gps_policy TEXT DEFAULT NULL;
+
+-- Perceptual hash (dHash, 16 hex chars) for duplicate detection; existing images are hashed on demand
+ALTER TABLE images ADD COLUMN phash TEXT DEFAULT NULL;
+
+-- HEIC/AVIF/TIFF uploads: original_path holds the JPEG master, the untouched upload is offered for download
+ALTER TABLE images ADD COLUMN source_path TEXT DEFAULT NULL;
+ALTER TABLE images ADD COLUMN source_mime TEXT DEFAULT NULL;
+
+-- File name as uploaded (originals are stored under their content hash)
+ALTER TABLE images ADD COLUMN original_filename TEXT DEFAULT NULL;
+
+-- Deleted album images kept restorable for the editor's undo window (see ImageTrashService)
+CREATE TABLE IF NOT EXISTS image_trash (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  image_id INTEGER NOT NULL,
+  album_id INTEGER NOT NULL,
+  payload TEXT NOT NULL,
+  deleted_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_image_trash_album ON image_trash(album_id, image_id);
+CREATE INDEX IF NOT EXISTS idx_image_trash_expires ON image_trash(expires_at);
+
+-- Keyboard shortcut keymap of each admin (JSON, "scope.id" => keys; NULL for the defaults)
+ALTER TABLE users ADD COLUMN shortcuts TEXT DEFAULT NULL;
+
+-- Size of the original in bytes (media library filter); older images are measured on demand
+ALTER TABLE images ADD COLUMN file_size INTEGER DEFAULT NULL;
+
+-- Named filter sets of the media library, per admin (query: the filter query string)
+CREATE TABLE IF NOT EXISTS media_views (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  query TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, name),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
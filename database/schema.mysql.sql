@@ -21,6 +21,7 @@ CREATE TABLE IF NOT EXISTS `users` (
   `last_login` DATETIME NULL,
   `remember_token` VARCHAR(64) NULL,
   `remember_token_expires_at` DATETIME NULL,
+  `shortcuts` TEXT NULL,
   `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
   `updated_at` DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -192,6 +193,8 @@ CREATE TABLE IF NOT EXISTS `albums` (
   -- JSON array of labs: ["Lab Name"]
   `custom_labs` TEXT NULL,
   `is_nsfw` TINYINT(1) NOT NULL DEFAULT 0,
+  -- GPS handling applied in the browser before upload: keep, fuzz (city level) or strip
+  `gps_policy` ENUM('keep','fuzz','strip') NOT NULL DEFAULT 'keep',
   `seo_title` VARCHAR(255) NULL,
   `seo_description` TEXT NULL,
   `seo_keywords` TEXT NULL,
@@ -235,10 +238,16 @@ CREATE TABLE IF NOT EXISTS `images` (
   `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
   `album_id` INT UNSIGNED NOT NULL,
   `original_path` VARCHAR(255) NOT NULL,
+  `source_path` VARCHAR(255) NULL,
+  `source_mime` VARCHAR(60) NULL,
+  `original_filename` VARCHAR(255) NULL,
+  `file_size` BIGINT UNSIGNED NULL,
   `file_hash` CHAR(40) NOT NULL,
+  `phash` CHAR(16) NULL,
   `width` INT NOT NULL,
   `height` INT NOT NULL,
   `mime` VARCHAR(60) NOT NULL,
+  `title` VARCHAR(255) NULL,
   `alt_text` VARCHAR(200) NULL,
   `caption` VARCHAR(300) NULL,
   `exif` JSON NULL,
@@ -278,6 +287,7 @@ CREATE TABLE IF NOT EXISTS `images` (
   `light_source` SMALLINT DEFAULT NULL,
   `gps_lat` DECIMAL(10,6) DEFAULT NULL,
   `gps_lng` DECIMAL(10,6) DEFAULT NULL,
+  `gps_policy` VARCHAR(10) DEFAULT NULL,
   `artist` VARCHAR(255) DEFAULT NULL,
   `copyright` VARCHAR(500) DEFAULT NULL,
   `exif_make` VARCHAR(255) DEFAULT NULL,
@@ -340,6 +350,40 @@ CREATE TABLE IF NOT EXISTS `album_tag` (
   CONSTRAINT `fk_album_tag_tag` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS `image_tag` (
+  `image_id` INT UNSIGNED NOT NULL,
+  `tag_id` INT UNSIGNED NOT NULL,
+  PRIMARY KEY (`image_id`, `tag_id`),
+  KEY `idx_image_tag_tag` (`tag_id`),
+  CONSTRAINT `fk_image_tag_image` FOREIGN KEY (`image_id`) REFERENCES `images`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_image_tag_tag` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Deleted album images kept restorable for the editor's undo window (see ImageTrashService)
+CREATE TABLE IF NOT EXISTS `image_trash` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `image_id` INT UNSIGNED NOT NULL,
+  `album_id` INT UNSIGNED NOT NULL,
+  `payload` MEDIUMTEXT NOT NULL,
+  `deleted_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_image_trash_album` (`album_id`, `image_id`),
+  KEY `idx_image_trash_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Named filter sets of the media library, per admin (query: the filter query string)
+CREATE TABLE IF NOT EXISTS `media_views` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `user_id` INT UNSIGNED NOT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `query` TEXT NOT NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `idx_media_views_user_name` (`user_id`, `name`),
+  CONSTRAINT `fk_media_views_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE IF NOT EXISTS `album_category` (
   `album_id` INT UNSIGNED NOT NULL,
   `category_id` INT UNSIGNED NOT NULL,
@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS users (
   last_login TEXT,
   remember_token TEXT,
   remember_token_expires_at TEXT,
+  shortcuts TEXT,
   created_at TEXT DEFAULT CURRENT_TIMESTAMP,
   updated_at TEXT
 );
@@ -233,6 +234,8 @@ CREATE TABLE IF NOT EXISTS albums (
   robots_follow INTEGER DEFAULT 1,
   is_nsfw INTEGER NOT NULL DEFAULT 0,
   allow_template_switch INTEGER NOT NULL DEFAULT 0,
+  -- GPS handling applied in the browser before upload: keep, fuzz (city level) or strip
+  gps_policy TEXT NOT NULL DEFAULT 'keep' CHECK(gps_policy IN ('keep', 'fuzz', 'strip')),
   created_at TEXT DEFAULT CURRENT_TIMESTAMP,
   updated_at TEXT,
   CHECK ((template_id IS NULL) OR (custom_template_id IS NULL)),
@@ -264,10 +267,16 @@ CREATE TABLE IF NOT EXISTS images (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   album_id INTEGER NOT NULL,
   original_path TEXT NOT NULL,
+  source_path TEXT DEFAULT NULL,
+  source_mime TEXT DEFAULT NULL,
+  original_filename TEXT DEFAULT NULL,
+  file_size INTEGER DEFAULT NULL,
   file_hash TEXT NOT NULL,
+  phash TEXT DEFAULT NULL,
   width INTEGER NOT NULL,
   height INTEGER NOT NULL,
   mime TEXT NOT NULL,
+  title TEXT DEFAULT NULL,
   alt_text TEXT,
   caption TEXT,
   exif TEXT,
@@ -307,6 +316,7 @@ CREATE TABLE IF NOT EXISTS images (
   light_source INTEGER DEFAULT NULL,
   gps_lat REAL DEFAULT NULL,
   gps_lng REAL DEFAULT NULL,
+  gps_policy TEXT DEFAULT NULL,
   artist TEXT DEFAULT NULL,
   copyright TEXT DEFAULT NULL,
   exif_make TEXT DEFAULT NULL,
@@ -368,6 +378,38 @@ CREATE TABLE IF NOT EXISTS album_tag (
 );
 CREATE INDEX IF NOT EXISTS idx_album_tag_tag ON album_tag(tag_id);
 
+CREATE TABLE IF NOT EXISTS image_tag (
+  image_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (image_id, tag_id),
+  FOREIGN KEY (image_id) REFERENCES images(id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_image_tag_tag ON image_tag(tag_id);
+
+-- Deleted album images kept restorable for the editor's undo window (see ImageTrashService)
+CREATE TABLE IF NOT EXISTS image_trash (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  image_id INTEGER NOT NULL,
+  album_id INTEGER NOT NULL,
+  payload TEXT NOT NULL,
+  deleted_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_image_trash_album ON image_trash(album_id, image_id);
+CREATE INDEX IF NOT EXISTS idx_image_trash_expires ON image_trash(expires_at);
+
+-- Named filter sets of the media library, per admin (query: the filter query string)
+CREATE TABLE IF NOT EXISTS media_views (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  query TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, name),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 CREATE TABLE IF NOT EXISTS album_category (
   album_id INTEGER NOT NULL,
   category_id INTEGER NOT NULL,
@@ -1,7 +1,28 @@
 import Uppy from '@uppy/core'
 // We avoid rendering Uppy UI; we keep our own area
 import XHRUpload from '@uppy/xhr-upload'
-import Compressor from '@uppy/compressor'
+import { t, tf, debugLog, getCsrf, extractUploadErrorMessage, loadTagOptions } from './js/admin/utils.js'
+import { fileFingerprint, getPendingUploads, forgetPendingUpload } from './js/admin/resumable-upload.js'
+import { getAlbumUploader, getRecoveredUploads, onUploadsChange, UPLOAD_CHUNK_SIZE } from './js/admin/upload-manager.js'
+import { initUploadTray } from './js/admin/upload-tray.js'
+import { createUploadReview, isReviewEnabled, setReviewEnabled } from './js/admin/upload-review.js'
+import { initFolderImport } from './js/admin/folder-import.js'
+import { metadataBadges } from './js/admin/metadata-privacy.js'
+import { filesFromClipboard, urlFromClipboard, fetchUrlImport } from './js/admin/upload-sources.js'
+import { createAlbumHistory } from './js/admin/edit-history.js'
+import { gridOrder, selectedIds, applyOrder, multiDragHandlers, initGridReorder, decorateCards } from './js/admin/grid-reorder.js'
+import { sortedIds, reversedIds, shuffledIds } from './js/admin/grid-sort.js'
+import { transferGroup, onTransferDrop, initAlbumTransfer, destroyAlbumTransfer } from './js/admin/album-transfer.js'
+import { createVirtualGrid } from './js/admin/virtual-grid.js'
+import { registerMediaPlugin, MEDIA_PLUGIN, FIGURE_ELEMENTS } from './js/admin/tinymce-media.js'
+import { registerMarkdownPlugin, MARKDOWN_PLUGIN } from './js/admin/tinymce-markdown.js'
+import { initFormAutosave, destroyFormAutosave } from './js/admin/form-autosave.js'
+import { initDirtyGuard, destroyDirtyGuard, confirmLeave } from './js/admin/dirty-guard.js'
+import { initCommandPalette } from './js/admin/command-palette.js'
+import { registerShortcuts } from './js/admin/shortcuts.js'
+import { initGlobalShortcuts } from './js/admin/global-shortcuts.js'
+import { initSession, xhrUploadOptions } from './js/admin/session.js'
+import { initMediaFilters } from './js/admin/media-filters.js'
 import TomSelect from 'tom-select'
 import 'tom-select/dist/css/tom-select.css'
 import Sortable from 'sortablejs'
@@ -19,66 +40,22 @@ import 'tinymce/skins/content/default/content.css'
 // Import GSAP for animations
 import { gsap } from 'gsap'
 
-// Admin JS i18n helpers (translations injected in admin/_layout.twig)
-const t = (key) => {
-  try {
-    if (typeof window !== 'undefined' && typeof window.adminT === 'function') {
-      return window.adminT(key);
-    }
-  } catch (e) {}
-  return key;
-};
-const tf = (key, params = {}) => {
-  try {
-    if (typeof window !== 'undefined' && typeof window.adminTf === 'function') {
-      return window.adminTf(key, params);
-    }
-  } catch (e) {}
-  let out = t(key);
-  try {
-    Object.keys(params || {}).forEach((k) => {
-      out = String(out).replaceAll(`{${k}}`, String(params[k]));
-    });
-  } catch (e) {}
-  return out;
-};
-
-// Debug logger (disabled unless window.__ADMIN_DEBUG is true)
-const debugLog = (...args) => {
-  try {
-    if (typeof window !== 'undefined' && window.__ADMIN_DEBUG) {
-      console.log(...args);
-    }
-  } catch (e) {}
-};
-
 const UPLOAD_COMPLETION_HIDE_DELAY = 2500;
 const UPLOAD_ERROR_HIDE_DELAY = 3000;
 
-const extractUploadErrorMessage = (error, response) => {
-  let msg = t('admin.upload.upload_error');
-  if (response && response.body) {
-    msg = response.body.error || response.body.message || msg;
-  } else if (response && response.response) {
-    const text = response.responseText || response.response || '';
-    try {
-      const parsed = JSON.parse(text);
-      msg = parsed.error || parsed.message || msg;
-    } catch (e) {}
-  }
-  if (error && error.message && (!msg || msg === 'Upload error')) {
-    msg = error.message;
-  }
-  return msg;
-};
-
 /**
- * Initialize the custom image upload area: configures an Uppy instance (XHRUpload with CSRF),
- * builds a hidden file input, enables drag-and-drop, renders a total + per-file progress panel,
+ * Initialize the custom image upload area: configures an Uppy instance (resumable chunked uploads
+ * with CSRF), builds a hidden file input, enables drag-and-drop, renders a total + per-file progress panel,
  * and wires event handlers to surface progress, errors, and completion (which triggers gallery refresh).
+ * Uploads interrupted by a network drop or a reload are listed in the panel and resume from the last
+ * committed chunk when the same file is added again. Each row can be paused, cancelled or retried; failed
+ * files stay listed with their server message, next to "retry all failed" and a CSV error report.
+ * With "review before upload" on (#upload-review-toggle),
+ * files are staged in #upload-review for per-file metadata before being handed to Uppy.
  *
  * This function is idempotent for the same area element (guards against double initialization).
- * It registers the Uppy instance on window.uppyInstances for external cleanup and uses the following
+ * The Uppy instance comes from the upload manager and keeps uploading across SPA navigation; page
+ * listeners are registered on window.uploadAreaBindings for external cleanup. It uses the following
  * DOM elements/ids when present or created: #uppy (area), #upload-progress (progress panel),
  * #upload-file-list, #upload-bar-total, #upload-counter, and #upload-status.
  */
@@ -91,38 +68,31 @@ function initUppyAreaUpload() {
   area._uppyInitialized = true;
   
   const endpoint = area.dataset.endpoint;
-  const csrf = area.dataset.csrf;
-  const uppy = new Uppy({
-    autoProceed: true,
-    restrictions: {
-      // Keep client restrictions aligned with server-side validation
-      allowedFileTypes: ['image/jpeg', 'image/png', 'image/webp']
-    }
-  })
-    // Compress images client-side before upload (reduces upload time significantly)
-    // Note: PNG to JPEG conversion loses transparency. convertSize set high to reduce unwanted conversions.
-    .use(Compressor, {
-      quality: 0.85,
-      maxWidth: 4000,
-      maxHeight: 4000,
-      convertTypes: ['image/png'],  // Convert PNG to JPEG for smaller uploads
-      convertSize: 2000000  // Only convert PNGs larger than 2MB (reduces unwanted transparency loss)
-    })
-    .use(XHRUpload, {
-      endpoint,
-      fieldName: 'file',
-      limit: 3,  // Upload 3 files in parallel for faster bulk uploads
-      timeout: 120000,  // 2 minute timeout per file
-      headers: {
-        'X-CSRF-Token': csrf,
-        'X-Requested-With': 'XMLHttpRequest',
-        'Accept': 'application/json'
-      }
+  // The Uppy instance belongs to the upload manager and outlives this page;
+  // only the listeners below are page-scoped
+  const uppy = getAlbumUploader({
+    albumId: area.dataset.albumId,
+    endpoint,
+    title: document.querySelector('#album-form input[name="title"]')?.value || '',
+    gpsPolicy: area.dataset.gpsPolicy
+  });
+  // Follow the album form: a changed GPS policy applies to files not yet processed
+  const gpsSelect = document.getElementById('gps_policy');
+  let gpsPolicy = gpsSelect?.value || area.dataset.gpsPolicy || 'keep';
+  if (gpsSelect) {
+    gpsSelect.addEventListener('change', () => {
+      gpsPolicy = gpsSelect.value;
+      getAlbumUploader({ albumId: area.dataset.albumId, endpoint, gpsPolicy });
     });
+    getAlbumUploader({ albumId: area.dataset.albumId, endpoint, gpsPolicy });
+  }
 
-  // Track instance globally for proper cleanup on SPA re-inits
-  if (!window.uppyInstances) window.uppyInstances = [];
-  window.uppyInstances.push(uppy);
+  // Track listeners globally so cleanupExistingInstances() can detach them on SPA re-inits
+  if (!window.uploadAreaBindings) window.uploadAreaBindings = [];
+  const on = (event, handler) => {
+    uppy.on(event, handler);
+    window.uploadAreaBindings.push(() => uppy.off(event, handler));
+  };
 
   // Create progress indicator with file list
   let progressEl = document.getElementById('upload-progress');
@@ -165,24 +135,50 @@ function initUppyAreaUpload() {
     input = document.createElement('input');
     input.type = 'file';
     input.multiple = true;
-    input.accept = 'image/*';
+    input.accept = 'image/*,.heic,.heif,.hif,.avif,.tif,.tiff';
     input.style.display = 'none';
     input.classList.add('uppy-input');
     area.appendChild(input);
   }
 
+  // Optional "review before upload" queue: files wait there for title/alt/caption/tags
+  const reviewToggle = document.getElementById('upload-review-toggle');
+  const reviewEl = document.getElementById('upload-review');
+  const review = reviewEl ? createUploadReview(reviewEl, {
+    gpsPolicy: () => gpsPolicy,
+    onCommit: (file, meta) => {
+      try { uppy.addFile({ source: 'review', name: file.name, type: file.type, data: file, meta }); } catch(e) {}
+    }
+  }) : null;
+  if (review) window.uploadAreaBindings.push(() => review.destroy());
+  if (reviewToggle) {
+    reviewToggle.checked = isReviewEnabled();
+    reviewToggle.addEventListener('change', () => setReviewEnabled(reviewToggle.checked));
+  }
+
+  const addFiles = (files, source) => {
+    const existing = new Set(uppy.getFiles().map(f=>`${f.name}|${f.size}`));
+    const fresh = Array.from(files).filter((f) => {
+      const key = `${f.name}|${f.size}`;
+      if (existing.has(key)) { if (window.showToast) window.showToast(tf('admin.upload.file_already_added', { name: f.name }), 'error'); return false; }
+      return true;
+    });
+    if (review && reviewToggle?.checked) {
+      review.stage(fresh);
+      return;
+    }
+    fresh.forEach((f) => {
+      try { uppy.addFile({ source, name: f.name, type: f.type, data: f }); } catch(e) {}
+    });
+  };
+
   // Store click handler to detach on cleanup and prevent duplicates
   const clickHandler = () => input.click();
   area._uppyClickHandler = clickHandler;
   area.addEventListener('click', clickHandler);
   input.addEventListener('change', () => {
     if (!input.files) return;
-    const existing = new Set(uppy.getFiles().map(f=>`${f.name}|${f.size}`));
-    Array.from(input.files).forEach((f) => {
-      const key = `${f.name}|${f.size}`;
-      if (existing.has(key)) { if (window.showToast) window.showToast(tf('admin.upload.file_already_added', { name: f.name }), 'error'); return; }
-      try { uppy.addFile({ source: 'file-input', name: f.name, type: f.type, data: f }); } catch(e) {}
-    });
+    addFiles(input.files, 'file-input');
     input.value = '';
   });
 
@@ -192,15 +188,61 @@ function initUppyAreaUpload() {
   area.addEventListener('drop', (e) => {
     e.preventDefault();
     area.classList.remove('bg-gray-100');
-    const files = Array.from(e.dataTransfer?.files || []);
-    const existing = new Set(uppy.getFiles().map(f=>`${f.name}|${f.size}`));
-    files.forEach((f) => {
-      const key = `${f.name}|${f.size}`;
-      if (existing.has(key)) { if (window.showToast) window.showToast(tf('admin.upload.file_already_added', { name: f.name }), 'error'); return; }
-      try { uppy.addFile({ source: 'drag-drop', name: f.name, type: f.type, data: f }); } catch(e) {}
-    });
+    addFiles(e.dataTransfer?.files || [], 'drag-drop');
   });
 
+  // Upload from URL (only rendered when hosts are allowlisted in settings): the server
+  // fetches the file and the browser queues it like a picked one
+  const urlEnabled = area.dataset.urlImport === '1';
+  const importUrl = async (url) => {
+    if (window.showToast) window.showToast(t('admin.upload.url_fetching'), 'info');
+    try {
+      addFiles([await fetchUrlImport(endpoint, url)], 'url');
+      return true;
+    } catch (err) {
+      if (window.showToast) window.showToast(err.message, 'error');
+      return false;
+    }
+  };
+  const urlButton = document.getElementById('upload-from-url');
+  const urlForm = document.getElementById('upload-url-form');
+  const urlInput = document.getElementById('upload-url-input');
+  if (urlButton && urlForm && urlInput) {
+    urlButton.addEventListener('click', () => {
+      urlForm.classList.toggle('hidden');
+      if (!urlForm.classList.contains('hidden')) urlInput.focus();
+    });
+    urlForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const url = urlInput.value.trim();
+      if (!/^https?:\/\//i.test(url)) {
+        if (window.showToast) window.showToast(t('admin.upload.url_invalid'), 'error');
+        return;
+      }
+      urlForm.querySelector('button[type="submit"]').disabled = true;
+      if (await importUrl(url)) urlInput.value = '';
+      urlForm.querySelector('button[type="submit"]').disabled = false;
+    });
+  }
+
+  // Paste images (screenshots, copied files) or an image URL anywhere on the page
+  const pasteHandler = (e) => {
+    if (!document.body.contains(area)) return;
+    const files = filesFromClipboard(e);
+    if (files.length) {
+      e.preventDefault();
+      addFiles(files, 'clipboard');
+      return;
+    }
+    const url = urlEnabled ? urlFromClipboard(e) : null;
+    if (url) {
+      e.preventDefault();
+      importUrl(url);
+    }
+  };
+  document.addEventListener('paste', pasteHandler);
+  window.uploadAreaBindings.push(() => document.removeEventListener('paste', pasteHandler));
+
   // Helper to create file progress element
   function createFileProgressEl(file) {
     // Sanitize filename to prevent XSS
@@ -214,16 +256,125 @@ function initUppyAreaUpload() {
           <i class="fas fa-image text-gray-400 mr-1"></i>${safeName}
         </span>
         <span class="text-xs text-gray-500 file-status"></span>
+        <span class="file-actions flex items-center ml-1"></span>
       </div>
       <div class="w-full bg-gray-100 rounded-full h-1">
         <div class="file-bar bg-gray-400 h-1 rounded-full transition-all duration-150" style="width: 0%"></div>
       </div>
+      <div class="file-error text-[11px] text-red-600 mt-1 break-words empty:hidden"></div>
+      <div class="file-meta flex flex-wrap gap-1 mt-1 empty:hidden"></div>
     `;
     const statusEl = div.querySelector('.file-status');
     if (statusEl) statusEl.textContent = t('admin.upload.queued');
+    if (file.meta?.image_info) div.querySelector('.file-meta').innerHTML = metadataBadges(file.meta.image_info, file.meta.gps_policy || gpsPolicy);
+    renderFileActions(file.id, div);
     return div;
   }
 
+  // Per-file controls: pause/resume while queued or uploading, retry once failed, cancel until done
+  const actionButton = (action, icon, label) => {
+    const title = label.replace(/"/g, '&quot;');
+    return `<button type="button" class="w-6 h-6 inline-flex items-center justify-center rounded text-gray-500 hover:text-black hover:bg-gray-100" data-upload-action="${action}" title="${title}" aria-label="${title}"><i class="fas ${icon} text-xs"></i></button>`;
+  };
+  function renderFileActions(fileId, div = document.getElementById(`file-prog-${fileId}`)) {
+    const el = div?.querySelector('.file-actions');
+    const file = uppy.getFile(fileId);
+    if (!el || !file) return;
+    let html = '';
+    if (file.error) {
+      html = actionButton('retry', 'fa-redo', t('admin.upload.retry'));
+    } else if (!file.progress?.uploadComplete) {
+      html = file.isPaused
+        ? actionButton('resume', 'fa-play', t('admin.upload.resume'))
+        : actionButton('pause', 'fa-pause', t('admin.upload.pause'));
+    }
+    if (!file.progress?.uploadComplete) html += actionButton('cancel', 'fa-times', t('admin.common.cancel'));
+    el.innerHTML = html;
+    const errorEl = div.querySelector('.file-error');
+    if (errorEl) errorEl.textContent = file.error ? (uploadFailures.get(fileId)?.message || file.error) : '';
+  }
+
+  // Failed files stay in the panel with their server message until retried or cancelled
+  const uploadFailures = new Map();
+  let failureBar = progressEl.querySelector('#upload-failed-actions');
+  if (!failureBar) {
+    failureBar = document.createElement('div');
+    failureBar.id = 'upload-failed-actions';
+    failureBar.className = 'hidden flex flex-wrap items-center gap-2 pt-2 border-t border-gray-200';
+    failureBar.innerHTML = `
+      <span class="text-xs text-red-600 flex-1" data-failed-count></span>
+      <button type="button" class="btn-secondary text-xs px-2 py-1" data-upload-action="retry-failed"><i class="fas fa-redo mr-1"></i><span></span></button>
+      <button type="button" class="btn-secondary text-xs px-2 py-1" data-upload-action="error-report"><i class="fas fa-file-download mr-1"></i><span></span></button>
+      <button type="button" class="btn-secondary text-xs px-2 py-1" data-upload-action="dismiss-failed"><i class="fas fa-times mr-1"></i><span></span></button>
+    `;
+    failureBar.querySelector('[data-upload-action="retry-failed"] span').textContent = t('admin.upload.retry_failed');
+    failureBar.querySelector('[data-upload-action="error-report"] span').textContent = t('admin.upload.error_report');
+    failureBar.querySelector('[data-upload-action="dismiss-failed"] span').textContent = t('admin.upload.dismiss_failed');
+    (progressEl.querySelector('#upload-file-list')?.parentElement || progressEl).appendChild(failureBar);
+  }
+
+  const failedFiles = () => uppy.getFiles().filter((f) => f.error);
+  function updateFailureBar() {
+    const failed = failedFiles();
+    failureBar.classList.toggle('hidden', failed.length === 0);
+    const countEl = failureBar.querySelector('[data-failed-count]');
+    if (countEl) countEl.textContent = tf('admin.upload.failed_count', { count: failed.length });
+  }
+
+  function downloadErrorReport() {
+    const rows = [['file', 'size', 'error', 'http_status', 'time']];
+    failedFiles().forEach((file) => {
+      const failure = uploadFailures.get(file.id) || {};
+      rows.push([file.name, file.size ?? '', failure.message || file.error, failure.status ?? '', failure.time || '']);
+    });
+    const csv = rows.map((row) => row.map((value) => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `upload-errors-album-${area.dataset.albumId}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const panelClickHandler = (e) => {
+    const button = e.target.closest('[data-upload-action]');
+    if (!button) return;
+    const fileId = button.closest('[id^="file-prog-"]')?.id.slice('file-prog-'.length);
+    switch (button.dataset.uploadAction) {
+      case 'pause':
+      case 'resume': if (uppy.getFile(fileId)) uppy.pauseResume(fileId); break;
+      case 'retry': if (uppy.getFile(fileId)) uppy.retryUpload(fileId); break;
+      case 'cancel': if (uppy.getFile(fileId)) uppy.removeFile(fileId); break;
+      case 'retry-failed': uppy.retryAll(); break;
+      case 'error-report': downloadErrorReport(); break;
+      case 'dismiss-failed': failedFiles().forEach((f) => uppy.removeFile(f.id)); break;
+    }
+  };
+  progressEl.addEventListener('click', panelClickHandler);
+  window.uploadAreaBindings.push(() => progressEl.removeEventListener('click', panelClickHandler));
+
+  // Camera/lens/date/GPS badges once the metadata has been read; files carrying GPS
+  // are summed up in a single warning so a large batch does not flood the toasts
+  let gpsWarnCount = 0;
+  let gpsWarnTimer = null;
+  on('metadata:inspected', (file, info) => {
+    const metaEl = document.querySelector(`#file-prog-${file.id} .file-meta`);
+    if (metaEl) metaEl.innerHTML = metadataBadges(info, gpsPolicy);
+    // Sources of converted files were already counted through their master
+    if (!info?.gps || file.meta?.source_for) return;
+    gpsWarnCount++;
+    clearTimeout(gpsWarnTimer);
+    gpsWarnTimer = setTimeout(() => {
+      if (window.showToast) window.showToast(tf('admin.upload.gps_found_warning', { count: gpsWarnCount, policy: t(`admin.upload.gps_${gpsPolicy}`) }), gpsPolicy === 'keep' ? 'error' : 'success');
+      gpsWarnCount = 0;
+    }, 500);
+  });
+  on('metadata:source-skipped', (file) => {
+    if (window.showToast) window.showToast(tf('admin.upload.gps_source_skipped', { name: file.name }), 'success');
+  });
+
   // Helper to update file progress
   function updateFileEl(fileId, percent, status, isError = false, isComplete = false) {
     const div = document.getElementById(`file-prog-${fileId}`);
@@ -244,6 +395,71 @@ function initUppyAreaUpload() {
     }
   }
 
+  const isUploading = () => uppy.getFiles().some((f) => f.progress?.uploadStarted && !f.progress?.uploadComplete && !f.error);
+
+  // Rows for uploads interrupted by a network drop or a reload; they disappear once the same
+  // file is added again (the upload then resumes from the last committed chunk)
+  function createPendingEl(entry) {
+    const percent = entry.size > 0 ? Math.floor((entry.offset / entry.size) * 100) : 0;
+    const div = document.createElement('div');
+    div.dataset.pendingKey = entry.key;
+    div.className = 'bg-amber-50 border border-amber-200 rounded p-2';
+    div.innerHTML = `
+      <div class="flex items-center justify-between mb-1">
+        <span class="text-xs text-gray-700 truncate flex-1 mr-2">
+          <i class="fas fa-pause-circle text-amber-500 mr-1"></i><span class="pending-name"></span>
+        </span>
+        <span class="text-xs text-amber-700 file-status"></span>
+        <button type="button" class="pending-discard ml-2 text-gray-400 hover:text-red-600 text-xs"><i class="fas fa-times"></i></button>
+      </div>
+      <div class="w-full bg-amber-100 rounded-full h-1">
+        <div class="bg-amber-500 h-1 rounded-full" style="width: ${percent}%"></div>
+      </div>
+      <div class="text-[11px] text-gray-500 mt-1 pending-hint"></div>
+    `;
+    div.querySelector('.pending-name').textContent = entry.name;
+    div.querySelector('.file-status').textContent = tf('admin.upload.interrupted_at', { percent });
+    div.querySelector('.pending-hint').textContent = t('admin.upload.resume_hint');
+    const discardBtn = div.querySelector('.pending-discard');
+    discardBtn.title = t('admin.upload.discard_partial');
+    discardBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      fetch(`${endpoint}/sessions/${encodeURIComponent(entry.uploadId)}/cancel`, {
+        method: 'POST',
+        headers: { 'X-CSRF-Token': getCsrf(), 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' }
+      }).catch(() => {});
+      forgetPendingUpload(entry.key);
+      div.remove();
+      if (!isUploading() && !document.querySelector('#upload-file-list [data-pending-key]')) {
+        progressEl.classList.add('hidden');
+      }
+    });
+    return div;
+  }
+
+  function renderPendingUploads() {
+    const listEl = document.getElementById('upload-file-list');
+    if (!listEl) return;
+    listEl.querySelectorAll('[data-pending-key]').forEach((el) => el.remove());
+    const recoveredKeys = new Set(getRecoveredUploads().map((item) => `${item.endpoint}|${fileFingerprint({ name: item.name, type: item.type, data: item.file })}`));
+    const pending = getPendingUploads(endpoint).filter((entry) => !recoveredKeys.has(entry.key));
+    if (!pending.length) {
+      if (!isUploading() && !uppy.getFiles().length) progressEl.classList.add('hidden');
+      return;
+    }
+    pending.forEach((entry) => listEl.appendChild(createPendingEl(entry)));
+    if (!isUploading()) {
+      progressEl.classList.remove('hidden');
+      const statusEl = document.getElementById('upload-status');
+      if (statusEl) statusEl.textContent = tf('admin.upload.resume_pending', { count: pending.length });
+      const spinnerEl = document.getElementById('upload-spinner');
+      if (spinnerEl) {
+        spinnerEl.className = 'rounded-full h-5 w-5 bg-amber-500 flex items-center justify-center text-white text-xs';
+        spinnerEl.innerHTML = '<i class="fas fa-pause"></i>';
+      }
+    }
+  }
+
   // Helper to update total progress
   function updateTotalProgress() {
     const files = uppy.getFiles();
@@ -256,9 +472,13 @@ function initUppyAreaUpload() {
   }
 
   // Progress event handlers
-  uppy.on('file-added', (file) => {
+  on('file-added', (file) => {
     const listEl = document.getElementById('upload-file-list');
     if (listEl) {
+      const pendingKey = `${endpoint}|${fileFingerprint(file)}`;
+      listEl.querySelectorAll('[data-pending-key]').forEach((el) => {
+        if (el.dataset.pendingKey === pendingKey) el.remove();
+      });
       listEl.appendChild(createFileProgressEl(file));
     }
     fileProgressMap.set(file.id, 0);
@@ -266,40 +486,125 @@ function initUppyAreaUpload() {
   });
 
   // Show compression status when compressor is processing
-  uppy.on('preprocess-progress', (file, progress) => {
+  on('preprocess-progress', (file, progress) => {
     if (progress.mode === 'indeterminate') {
       const statusEl = document.getElementById('upload-status');
       if (statusEl) statusEl.textContent = tf('admin.upload.compressing', { name: file.name });
     }
   });
 
-  uppy.on('upload-start', () => {
+  on('restriction-failed', (file, error) => {
+    if (window.showToast) window.showToast(error?.message || t('admin.upload.upload_error'), 'error');
+  });
+
+  on('upload-start', () => {
     progressEl.classList.remove('hidden');
     const statusEl = document.getElementById('upload-status');
     if (statusEl) statusEl.textContent = t('admin.upload.starting_upload');
+    const spinnerEl = document.getElementById('upload-spinner');
+    if (spinnerEl) {
+      spinnerEl.className = 'animate-spin rounded-full h-5 w-5 border-b-2 border-black';
+      spinnerEl.innerHTML = '';
+    }
     updateTotalProgress();
   });
 
-  uppy.on('upload-progress', (file, progress) => {
+  // Files continued from a previous partial upload keep a "resumed" marker next to their progress
+  const resumedFiles = new Set();
+  on('resumable:resumed', (file, offset) => {
+    resumedFiles.add(file.id);
+    const percentage = Math.floor((offset / file.size) * 100);
+    updateFileEl(file.id, percentage, tf('admin.upload.resuming_from', { percent: percentage }));
+  });
+
+  on('resumable:retrying', (file, attempt, delay) => {
+    const seconds = Math.ceil(delay / 1000);
+    updateFileEl(file.id, fileProgressMap.get(file.id) || 0, tf('admin.upload.retrying', { seconds, attempt }));
+    const statusEl = document.getElementById('upload-status');
+    if (statusEl) statusEl.textContent = navigator.onLine === false ? t('admin.upload.waiting_for_network') : tf('admin.upload.retrying', { seconds, attempt });
+  });
+
+  // Pause/resume comes from the upload tray
+  on('upload-pause', (file, isPaused) => {
+    const percentage = fileProgressMap.get(file.id) || 0;
+    updateFileEl(file.id, percentage, isPaused ? t('admin.upload.paused') : `${percentage}%`);
+    renderFileActions(file.id);
+  });
+  ['pause-all', 'resume-all'].forEach((event) => on(event, () => uppy.getFiles().forEach((f) => {
+    if (f.progress?.uploadComplete || f.error) return;
+    const percentage = fileProgressMap.get(f.id) || 0;
+    updateFileEl(f.id, percentage, f.isPaused ? t('admin.upload.paused') : `${percentage}%`);
+    renderFileActions(f.id);
+  })));
+
+  // Retried files go back to the queue: clear their failure and reopen the panel
+  const resetFailed = (file) => {
+    uploadFailures.delete(file.id);
+    updateFileEl(file.id, fileProgressMap.get(file.id) || 0, t('admin.upload.queued'));
+    renderFileActions(file.id);
+  };
+  on('upload-retry', (file) => {
+    resetFailed(file);
+    updateFailureBar();
+    progressEl.classList.remove('hidden');
+  });
+  on('retry-all', (files) => {
+    files.forEach(resetFailed);
+    updateFailureBar();
+    progressEl.classList.remove('hidden');
+  });
+
+  on('upload-progress', (file, progress) => {
     const percentage = Math.round((progress.bytesUploaded / progress.bytesTotal) * 100);
-    updateFileEl(file.id, percentage, `${percentage}%`);
+    let label = `${percentage}%`;
+    if (progress.bytesTotal > UPLOAD_CHUNK_SIZE) {
+      const chunks = Math.ceil(progress.bytesTotal / UPLOAD_CHUNK_SIZE);
+      const chunk = Math.min(Math.floor(progress.bytesUploaded / UPLOAD_CHUNK_SIZE) + 1, chunks);
+      label = tf('admin.upload.chunk_progress', { percent: percentage, chunk, chunks });
+    }
+    if (resumedFiles.has(file.id)) label += ` · ${t('admin.upload.resumed')}`;
+    updateFileEl(file.id, percentage, label);
     fileProgressMap.set(file.id, percentage);
 
     const statusEl = document.getElementById('upload-status');
     if (statusEl) statusEl.textContent = tf('admin.upload.uploading_file', { name: file.name });
   });
 
-  uppy.on('upload-success', (file) => {
-    updateFileEl(file.id, 100, t('admin.upload.completed') + ' ✓', false, true);
+  // Files skipped in the duplicate prompt (or removed from the tray) leave the list
+  on('file-removed', (file) => {
+    document.getElementById(`file-prog-${file.id}`)?.remove();
+    fileProgressMap.delete(file.id);
+    uploadFailures.delete(file.id);
+    updateFailureBar();
+    updateTotalProgress();
+    if (!uppy.getFiles().length && !document.querySelector('#upload-file-list [data-pending-key]')) progressEl.classList.add('hidden');
+  });
+
+  on('upload-success', (file) => {
+    const done = file.meta?.replace_image_id ? t('admin.upload.duplicate_replaced') : t('admin.upload.completed');
+    updateFileEl(file.id, 100, done + ' ✓', false, true);
     fileProgressMap.set(file.id, 100);
+    renderFileActions(file.id);
     updateTotalProgress();
   });
 
-  uppy.on('complete', (result) => {
+  on('complete', (result) => {
     const statusEl = document.getElementById('upload-status');
     const spinnerEl = document.getElementById('upload-spinner');
 
     const count = result.successful?.length || 0;
+    refreshGalleryArea();
+
+    // Keep the panel open while failed files wait for a retry, a cancel or the error report
+    const failed = failedFiles().length;
+    if (failed) {
+      if (statusEl) statusEl.textContent = tf('admin.upload.completed_with_failures', { count, failed });
+      if (spinnerEl) spinnerEl.className = 'rounded-full h-5 w-5 bg-red-500 flex items-center justify-center text-white text-xs';
+      if (spinnerEl) spinnerEl.innerHTML = '<i class="fas fa-exclamation"></i>';
+      updateFailureBar();
+      return;
+    }
+
     if (statusEl) statusEl.textContent = tf('admin.upload.completed_summary', { count });
     if (spinnerEl) spinnerEl.className = 'rounded-full h-5 w-5 bg-green-500 flex items-center justify-center text-white text-xs';
     if (spinnerEl) spinnerEl.innerHTML = '<i class="fas fa-check"></i>';
@@ -310,40 +615,76 @@ function initUppyAreaUpload() {
       const listEl = document.getElementById('upload-file-list');
       if (listEl) listEl.innerHTML = '';
       fileProgressMap.clear();
+      resumedFiles.clear();
       // Reset spinner
       if (spinnerEl) {
         spinnerEl.className = 'animate-spin rounded-full h-5 w-5 border-b-2 border-black';
         spinnerEl.innerHTML = '';
       }
+      renderPendingUploads();
     }, UPLOAD_COMPLETION_HIDE_DELAY);
-
-    refreshGalleryArea();
   });
 
   // Surface server-side errors (400, etc.) instead of generic network error
-  uppy.on('upload-error', (file, error, response) => {
+  on('upload-error', (file, error, response) => {
     const msg = extractUploadErrorMessage(error, response);
 
+    uploadFailures.set(file.id, { message: msg, status: response?.status ?? error?.response?.status, time: new Date().toISOString() });
+
     // Update individual file progress to show error
     updateFileEl(file.id, 100, t('admin.common.error') + ' ✗', true, false);
+    renderFileActions(file.id);
+    updateFailureBar();
     updateTotalProgress();
 
     if (window.showToast) window.showToast(msg, 'error');
     console.error('Upload error:', msg, { file, error, response });
   });
 
-  uppy.on('error', (error) => {
+  on('error', (error) => {
     const statusEl = document.getElementById('upload-status');
     if (statusEl) statusEl.textContent = t('admin.common.error');
     try { console.error('[Upload error]', error); } catch (e) {}
+    if (failedFiles().length) {
+      updateFailureBar();
+      return;
+    }
 
     setTimeout(() => {
       if (progressEl) progressEl.classList.add('hidden');
       const listEl = document.getElementById('upload-file-list');
       if (listEl) listEl.innerHTML = '';
       fileProgressMap.clear();
+      renderPendingUploads();
     }, UPLOAD_ERROR_HIDE_DELAY);
   });
+
+  // Uploads may still be running from a previous visit to this page: restore their rows
+  const listEl = document.getElementById('upload-file-list');
+  uppy.getFiles().forEach((file) => {
+    if (!listEl) return;
+    listEl.appendChild(createFileProgressEl(file));
+    const percent = file.progress?.uploadComplete ? 100 : (file.progress?.percentage || 0);
+    fileProgressMap.set(file.id, percent);
+    if (file.progress?.uploadComplete) updateFileEl(file.id, 100, t('admin.upload.completed') + ' ✓', false, true);
+    else if (file.error) updateFileEl(file.id, percent, t('admin.common.error') + ' ✗', true, false);
+    else if (file.isPaused) updateFileEl(file.id, percent, t('admin.upload.paused'));
+    else if (file.progress?.uploadStarted) updateFileEl(file.id, percent, `${percent}%`);
+  });
+  updateFailureBar();
+  if (isUploading() || failedFiles().length) {
+    progressEl.classList.remove('hidden');
+    updateTotalProgress();
+  }
+
+  renderPendingUploads();
+  // Recovered queue records are offered by the upload tray; refresh once loaded so they are not listed twice
+  let lastRecovered = getRecoveredUploads();
+  window.uploadAreaBindings.push(onUploadsChange(() => {
+    if (getRecoveredUploads() === lastRecovered) return;
+    lastRecovered = getRecoveredUploads();
+    if (!isUploading()) renderPendingUploads();
+  }));
 }
 
 // Initialize all TomSelect fields if present
@@ -384,16 +725,13 @@ function initTomSelects() {
     }
   };
 
-  // Tags with async suggestions
-  make('#album-tags', {
+  // Tags with async suggestions (album form and image modal)
+  make('#album-tags, #f-tags', {
     ...common,
     valueField: 'id',
     labelField: 'name',
     searchField: 'name',
-    load: (q, cb) => {
-      fetch(`${window.basePath || ''}/admin/api/tags?q=${encodeURIComponent(q || '')}`, { headers: { 'Accept': 'application/json' }})
-        .then(r => r.ok ? r.json() : []).then(cb).catch(() => cb());
-    }
+    load: loadTagOptions
   });
 
   // Simple multi/selects
@@ -439,30 +777,49 @@ function initSortableGrid() {
     delete grid._sortableInstance;
   }
   
+  // Order as last saved on the server: the "before" state of the next recorded reorder
+  grid._savedOrder = gridOrder(grid);
+
+  // Drag, keyboard moves, "move selection" and the Save order button all persist through here
+  const saveOrder = async (ids, message = t('admin.common.order_saved')) => {
+    const rel = grid.dataset.reorderEndpoint || '';
+    const endpoint = rel.startsWith('/') ? `${window.basePath}${rel}` : `${window.basePath}/${rel}`;
+    try {
+      const res = await fetch(endpoint, { 
+        method:'POST', 
+        headers:{ 
+          'Content-Type':'application/json', 
+          'X-CSRF-Token': getCsrf(), 
+          'Accept':'application/json' 
+        }, 
+        body: JSON.stringify({ order: ids }) 
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      window.albumHistory?.recordReorder(grid._savedOrder, ids);
+      grid._savedOrder = ids;
+      if (window.showToast) window.showToast(message, 'success');
+    } catch(error) {
+      console.error('Failed to save order:', error);
+      if (window.showToast) window.showToast(t('admin.common.order_save_error'), 'error');
+    }
+  };
+
   try {
+    const multiDrag = multiDragHandlers(grid);
     const sortableInstance = new Sortable(grid, {
       animation: 150,
       draggable: '[data-id]',
-      onEnd: async () => {
-        const ids = Array.from(grid.querySelectorAll('[data-id]')).map(el=>el.getAttribute('data-id'));
-        const rel = grid.dataset.reorderEndpoint || '';
-        const endpoint = rel.startsWith('/') ? `${window.basePath}${rel}` : `${window.basePath}/${rel}`;
-        try {
-          await fetch(endpoint, { 
-            method:'POST', 
-            headers:{ 
-              'Content-Type':'application/json', 
-              'X-CSRF-Token': grid.dataset.csrf, 
-              'Accept':'application/json' 
-            }, 
-            body: JSON.stringify({ order: ids }) 
-          });
-          if (window.showToast) window.showToast(t('admin.common.order_saved'), 'success');
-        } catch(error) {
-          console.error('Failed to save order:', error);
-          if (window.showToast) window.showToast(t('admin.common.order_save_error'), 'error');
-        }
-      }
+      group: transferGroup(),
+      onStart: (evt) => {
+        grid._virtual?.startDrag();
+        multiDrag.onStart(evt);
+      },
+      onEnd: (evt) => {
+        grid._virtual?.endDrag(evt.to === grid);
+        const ids = multiDrag.onEnd(evt);
+        if (ids && ids.join(',') !== grid._savedOrder.join(',')) saveOrder(ids);
+      },
+      onAdd: onTransferDrop
     });
     
     // Store instance for cleanup
@@ -475,49 +832,35 @@ function initSortableGrid() {
     console.error('Failed to initialize Sortable:', e);
   }
 
+  initGridReorder(grid, { save: saveOrder });
+
   const sortSelect = document.getElementById('sort-images');
   if (sortSelect && !sortSelect._sortInitialized) {
     sortSelect._sortInitialized = true;
-    const parseDate = (s) => new Date(s || '1970-01-01T00:00:00Z').getTime();
-    function sortGridBy(mode){
-      const cards = Array.from(grid.children);
-      cards.sort((a,b) => {
-        switch(mode){
-          case 'created_newest': return parseDate(b.dataset.created) - parseDate(a.dataset.created);
-          case 'created_oldest': return parseDate(a.dataset.created) - parseDate(b.dataset.created);
-          case 'id_asc': return (parseInt(a.dataset.id,10)||0) - (parseInt(b.dataset.id,10)||0);
-          case 'id_desc': return (parseInt(b.dataset.id,10)||0) - (parseInt(a.dataset.id,10)||0);
-          default: return 0;
-        }
-      });
-      cards.forEach(c => grid.appendChild(c));
+    // "Manual" goes back to the saved order; other modes only rearrange until Save order
+    async function sortGridBy(mode){
+      if (mode === 'manual') {
+        applyOrder(grid, grid._savedOrder || gridOrder(grid));
+        return;
+      }
+      sortSelect.disabled = true;
+      try {
+        applyOrder(grid, await sortedIds(grid, mode));
+      } finally {
+        sortSelect.disabled = false;
+      }
     }
     sortSelect.addEventListener('change', (e)=> sortGridBy(e.target.value));
+    document.getElementById('sort-reverse')?.addEventListener('click', () => applyOrder(grid, reversedIds(grid)));
+    document.getElementById('sort-shuffle')?.addEventListener('click', () => applyOrder(grid, shuffledIds(grid)));
   }
 
   const saveBtn = document.getElementById('save-order');
   if (saveBtn && !saveBtn._saveInitialized) {
     saveBtn._saveInitialized = true;
-    saveBtn.addEventListener('click', async (e)=>{
+    saveBtn.addEventListener('click', (e)=>{
       e.preventDefault();
-      const ids = Array.from(grid.querySelectorAll('[data-id]')).map(el=>el.getAttribute('data-id'));
-      const rel = grid.dataset.reorderEndpoint || '';
-      const endpoint = rel.startsWith('/') ? `${window.basePath}${rel}` : `${window.basePath}/${rel}`;
-      try {
-        await fetch(endpoint, { 
-          method:'POST', 
-          headers:{ 
-            'Content-Type':'application/json', 
-            'X-CSRF-Token': grid.dataset.csrf, 
-            'Accept':'application/json' 
-          }, 
-          body: JSON.stringify({ order: ids }) 
-        });
-        if (window.showToast) window.showToast(t('admin.common.order_saved_manual'), 'success');
-      } catch(error) {
-        console.error('Failed to save order manually:', error);
-        if (window.showToast) window.showToast(t('admin.common.order_save_error'), 'error');
-      }
+      saveOrder(gridOrder(grid), t('admin.common.order_saved_manual'));
     });
   }
 }
@@ -542,13 +885,15 @@ function initTinyMCE() {
     console.warn('Failed to remove TinyMCE instances:', e);
   }
   
+  registerMediaPlugin(tinymce);
+  registerMarkdownPlugin(tinymce);
   tinymce.init({
     selector: 'textarea.richtext',
     menubar: false,
     statusbar: true,
     branding: false,
-    plugins: 'link lists autoresize',
-    toolbar: 'undo redo | blocks | bold italic underline strikethrough | alignleft aligncenter alignright | bullist numlist | blockquote | link | removeformat',
+    plugins: `link lists autoresize ${MEDIA_PLUGIN} ${MARKDOWN_PLUGIN}`,
+    toolbar: `undo redo | blocks | bold italic underline strikethrough | alignleft aligncenter alignright | bullist numlist | blockquote | link ${MEDIA_PLUGIN} | removeformat`,
     block_formats: `${t('admin.tinymce.paragraph')}=p; ${t('admin.tinymce.subtitle')}=h3; ${t('admin.tinymce.section_title')}=h2; ${t('admin.tinymce.note')}=h4`,
     default_link_target: '_blank',
     link_default_protocol: 'https',
@@ -568,13 +913,15 @@ function initTinyMCE() {
       } 
       a{color:#000; text-decoration:underline} 
       blockquote{border-left:3px solid #e5e7eb; margin:1rem 0; padding-left:.75rem; color:#444}
+      figure{margin:1.5rem 0} figure img{display:block; max-width:100%; height:auto}
+      figcaption{font-size:.875rem; color:#666; margin-top:.5rem}
       
       /* TinyMCE UI Styles */
       .tox .tox-toolbar__group { display: flex !important; }
       .tox .tox-toolbar { display: flex !important; flex-wrap: wrap; }
       .tox .tox-editor-header { display: block !important; }
     `,
-    valid_elements: 'p,br,strong/b,em/i,u,s,ul,ol,li,blockquote,a[href|target|rel],h2,h3,h4,hr',
+    valid_elements: `p,br,strong/b,em/i,u,s,ul,ol,li,blockquote,a[href|target|rel],h2,h3,h4,hr,${FIGURE_ELEMENTS}`,
     height: 700,
     min_height: 500,
     max_height: 1000,
@@ -611,13 +958,24 @@ window.AdminInit = function() {
   cleanupExistingInstances();
   
   // Initialize components in order
+  initSession();
+  initUploadTray();
+  initGlobalShortcuts();
+  initCommandPalette();
   initTomSelects();
+  initMediaFilters();
   initUppyAreaUpload();
+  initFolderImport();
   initLogoUpload();
   initFaviconSourceUpload();
+  initVirtualGrid();
   initSortableGrid();
   bindGridButtons();
+  initAlbumHistory();
+  initSplitView();
   initTinyMCE();
+  initFormAutosave();
+  initDirtyGuard();
   initMediaModalOnEdit();
   initTooltips();
   initDropdowns();
@@ -629,6 +987,10 @@ window.AdminInit = function() {
 // Cleanup function to remove existing instances
 function cleanupExistingInstances() {
   try {
+    // Autosave reads the editors one last time: before they are removed
+    destroyFormAutosave();
+    destroyDirtyGuard();
+    
     // Cleanup TomSelect instances
     document.querySelectorAll('.ts-control').forEach(el => {
       const input = el.previousElementSibling;
@@ -664,6 +1026,12 @@ function cleanupExistingInstances() {
       window.uppyInstances = [];
     }
     
+    // Detach page-scoped listeners from the upload manager's Uppy instances (uploads keep running)
+    if (window.uploadAreaBindings) {
+      window.uploadAreaBindings.forEach((off) => { try { off(); } catch(e) {} });
+      window.uploadAreaBindings = [];
+    }
+    
     // Cleanup Sortable instances
     if (window.sortableInstances) {
       window.sortableInstances.forEach(sortable => {
@@ -672,6 +1040,17 @@ function cleanupExistingInstances() {
       window.sortableInstances = [];
     }
     
+    // Undo history and split view belong to the album being edited
+    if (window.albumHistory) {
+      try { window.albumHistory.destroy(); } catch(e) {}
+      window.albumHistory = null;
+    }
+    destroyAlbumTransfer();
+    if (virtualGrid) {
+      try { virtualGrid.destroy(); } catch(e) {}
+      virtualGrid = null;
+    }
+    
     // Reset initialization flags
     document.querySelectorAll('#sort-images').forEach(el => {
       delete el._sortInitialized;
@@ -731,14 +1110,15 @@ function initLogoUpload(){
   if (!area || !hidden) return;
   if (area._uppyInitialized) return; area._uppyInitialized = true;
   const endpoint = area.dataset.endpoint;
-  const csrf = area.dataset.csrf;
   const uppy = new Uppy({
     autoProceed: true,
     restrictions: { allowedFileTypes: ['image/png','image/jpeg','image/webp'] }
   }).use(XHRUpload, {
     endpoint,
     fieldName: 'file',
-    headers: { 'X-CSRF-Token': csrf, 'X-Requested-With':'XMLHttpRequest', 'Accept':'application/json' }
+    headers: { 'X-Requested-With':'XMLHttpRequest', 'Accept':'application/json' },
+    // CSRF token set per request, retried after the session is restored
+    ...xhrUploadOptions()
   });
   if (!window.uppyInstances) window.uppyInstances = [];
   window.uppyInstances.push(uppy);
@@ -809,14 +1189,15 @@ function initFaviconSourceUpload(){
   if (!area || !hidden) return;
   if (area._uppyInitialized) return; area._uppyInitialized = true;
   const endpoint = area.dataset.endpoint;
-  const csrf = area.dataset.csrf;
   const uppy = new Uppy({
     autoProceed: true,
     restrictions: { allowedFileTypes: ['image/png','image/jpeg','image/webp'] }
   }).use(XHRUpload, {
     endpoint,
     fieldName: 'file',
-    headers: { 'X-CSRF-Token': csrf, 'X-Requested-With':'XMLHttpRequest', 'Accept':'application/json' }
+    headers: { 'X-Requested-With':'XMLHttpRequest', 'Accept':'application/json' },
+    // CSRF token set per request, retried after the session is restored
+    ...xhrUploadOptions()
   });
   if (!window.uppyInstances) window.uppyInstances = [];
   window.uppyInstances.push(uppy);
@@ -1063,8 +1444,6 @@ function initMediaModalOnEdit() {
   });
 }
 
-function getCsrf(){ const el = document.querySelector('input[name="csrf"]'); return el ? el.value : ''; }
-
 // Refresh only the gallery grid after uploads (smooth, no flicker)
 async function refreshGalleryArea() {
   try {
@@ -1082,6 +1461,18 @@ async function refreshGalleryArea() {
     existingGrid.style.transition = 'opacity 0.15s ease';
     existingGrid.style.opacity = '0.6';
 
+    // Windowed grid: reload the card data instead of the page
+    if (existingGrid._virtual) {
+      const total = await existingGrid._virtual.load();
+      updateSelectAllCount(total);
+      initSortableGrid();
+      bindGridButtons();
+      rebindBulkSelection();
+      rebindImageModalHandlers();
+      existingGrid.style.opacity = '1';
+      return;
+    }
+
     // Fetch the updated content
     debugLog('🌐 Fetching updated page content...');
     const res = await fetch(window.location.href, { headers: { 'Accept': 'text/html' }});
@@ -1100,6 +1491,8 @@ async function refreshGalleryArea() {
       existingGrid.innerHTML = newGrid.innerHTML;
       // Update dataset attributes
       Object.assign(existingGrid.dataset, newGrid.dataset);
+      // The album grew past the windowed grid threshold
+      initVirtualGrid();
 
       // Update bulk actions count if they exist
       if (newBulkActions) {
@@ -1142,10 +1535,54 @@ async function refreshGalleryArea() {
   }
 }
 
+// Windowed grid for very large albums: cards come from the JSON endpoint once loaded
+let virtualGrid = null;
+function initVirtualGrid() {
+  const grid = document.getElementById('images-grid');
+  if (!grid || !grid.dataset.virtual || grid._virtual) return;
+  virtualGrid = createVirtualGrid(grid, {
+    onRender: (cards) => {
+      decorateCards(cards);
+      bindGridButtons();
+    }
+  });
+  virtualGrid.load().then((total) => {
+    updateSelectAllCount(total);
+    initSortableGrid();
+    rebindBulkSelection();
+  }).catch((e) => {
+    console.error('Failed to load album images:', e);
+    if (window.showToast) window.showToast(t('admin.albums.grid_load_error'), 'error');
+  });
+}
+
+function updateSelectAllCount(count) {
+  const label = document.getElementById('select-all')?.closest('label');
+  const text = label?.lastChild;
+  if (text && text.nodeType === Node.TEXT_NODE) text.textContent = ` ${tf('admin.albums.select_all_images', { count })}`;
+}
+
+// Undo/redo for grid and modal edits on the album edit page
+function initAlbumHistory() {
+  const grid = document.getElementById('images-grid');
+  if (!grid || !grid.dataset.albumId) return;
+  const rel = grid.dataset.reorderEndpoint || '';
+  window.albumHistory = createAlbumHistory({
+    albumId: grid.dataset.albumId,
+    reorderEndpoint: rel.startsWith('/') ? `${window.basePath || ''}${rel}` : `${window.basePath || ''}/${rel}`,
+    onApplied: () => refreshGalleryArea()
+  });
+}
+
+// Split view and "Move to album…" on the album edit page
+function initSplitView() {
+  const grid = document.getElementById('images-grid');
+  if (grid) initAlbumTransfer(grid);
+}
+
 function bindGridButtons() {
   const grid = document.getElementById('images-grid');
   if (!grid) return;
-  const csrf = document.querySelector('input[name="csrf"]')?.value || '';
   const albumId = grid.dataset.albumId;
 
   // Bind cover buttons
@@ -1155,9 +1592,13 @@ function bindGridButtons() {
     btn.addEventListener('click', async (e) => {
       e.preventDefault(); e.stopPropagation();
       const id = btn.getAttribute('data-cover-id');
+      const previousId = grid._virtual
+        ? (grid._virtual.coverId() || 0)
+        : (grid.querySelector('[data-cover-id].bg-green-600')?.getAttribute('data-cover-id') || 0);
       try {
-        const res = await fetch(`${window.basePath || ''}/admin/albums/${albumId}/cover/${id}`, { method:'POST', headers: { 'X-CSRF-Token': csrf, 'Accept': 'application/json' }});
+        const res = await fetch(`${window.basePath || ''}/admin/albums/${albumId}/cover/${id}`, { method:'POST', headers: { 'X-CSRF-Token': getCsrf(), 'Accept': 'application/json' }});
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        window.albumHistory?.recordCover(previousId, id);
         if (window.refreshGalleryArea) await window.refreshGalleryArea();
         if (window.showToast) window.showToast(t('admin.albums.cover_set'), 'success');
       } catch (err) {
@@ -1178,8 +1619,10 @@ function bindGridButtons() {
       if(!confirm(t('admin.albums.delete_image_confirm'))) return;
       const id = btn.getAttribute('data-delete-id');
       try {
-        const res = await fetch(`${window.basePath || ''}/admin/albums/${albumId}/images/${id}/delete`, { method:'POST', headers: { 'X-CSRF-Token': csrf, 'Accept': 'application/json' }});
+        const res = await fetch(`${window.basePath || ''}/admin/albums/${albumId}/images/${id}/delete`, { method:'POST', headers: { 'X-CSRF-Token': getCsrf(), 'Accept': 'application/json' }});
         if (res.ok) {
+          const data = await res.json().catch(() => ({}));
+          window.albumHistory?.recordDelete([id], data.undo_window);
           btn.closest('[data-id]')?.remove();
           if (window.refreshGalleryArea) await window.refreshGalleryArea();
           if (window.showToast) window.showToast(t('admin.albums.image_deleted'), 'success');
@@ -1199,18 +1642,17 @@ function bindGridButtons() {
 }
 
 function rebindBulkSelection() {
-  // Re-bind bulk selection checkbox events
+  const grid = document.getElementById('images-grid');
+  if (!grid) return;
   function updateBulk() { 
     const bulkBtn = document.getElementById('bulk-delete');
-    const getSelectedIds = () => Array.from(document.querySelectorAll('[data-select-id]:checked')).map(cb=>cb.getAttribute('data-select-id'));
-    const any = getSelectedIds().length > 0; 
-    if (bulkBtn) bulkBtn.disabled = !any; 
+    if (bulkBtn) bulkBtn.disabled = selectedIds(grid).length === 0;
   }
   
-  document.querySelectorAll('[data-select-id]').forEach(cb => {
-    cb.removeEventListener('change', updateBulk); // Remove old listeners
-    cb.addEventListener('change', updateBulk);
-  });
+  // Delegated to the grid: cards are replaced on refresh (and on scroll in the windowed grid)
+  if (grid._bulkSelectHandler) grid.removeEventListener('change', grid._bulkSelectHandler);
+  grid._bulkSelectHandler = (e) => { if (e.target.matches('[data-select-id]')) updateBulk(); };
+  grid.addEventListener('change', grid._bulkSelectHandler);
   
   updateBulk(); // Update initial state
 }
@@ -1241,7 +1683,11 @@ function rebindImageModalHandlers() {
     
     // Get image data and open modal
     const imageId = box.getAttribute('data-id');
+    let tags = [];
+    try { tags = JSON.parse(box.getAttribute('data-tags') || '[]'); } catch (err) {}
     const data = {
+      title: box.getAttribute('data-title'),
+      tags,
       alt_text: box.getAttribute('data-alt_text'),
       caption: box.getAttribute('data-caption'),
       camera_id: box.getAttribute('data-camera_id'),
@@ -1272,6 +1718,14 @@ function rebindImageModalHandlers() {
 // Expose functions globally for use in templates
 window.bindGridButtons = bindGridButtons;
 window.rebindBulkSelection = rebindBulkSelection;
+// Asked by the admin layout before SPA navigation (unsaved form changes)
+window.AdminDirty = { confirmLeave };
+// Page scripts register their shortcuts here: register(scope, commands) → unregister
+window.AdminShortcuts = { register: registerShortcuts };
 
 // Do not auto-run AdminInit here.
-// The admin layout owns bootstrap and SPA re-initialization (see admin/_layout.twig).
+// The admin layout owns bootstrap and SPA re-initialization (see admin/_layout.twig):
+// the bundle's widgets are the "core" page module, mounted on every page.
+if (window.AdminPages) {
+  window.AdminPages.define('core', { mount: () => window.AdminInit(), unmount: cleanupExistingInstances });
+}
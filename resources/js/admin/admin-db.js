@@ -0,0 +1,74 @@
+/**
+ * The admin's IndexedDB database ("cimaise-admin"), shared by its stores.
+ *
+ * Every store is created here, in one upgrade path: modules opening the database at
+ * different versions would block each other. Bump DB_VERSION when adding a store.
+ * openDb() resolves null when IndexedDB is unavailable (private mode, quota errors);
+ * callers fall back to keeping their data in memory only.
+ */
+const DB_NAME = 'cimaise-admin';
+const DB_VERSION = 2;
+
+export const UPLOAD_QUEUE_STORE = 'uploadQueue';
+export const DRAFTS_STORE = 'drafts';
+
+let dbPromise = null;
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(UPLOAD_QUEUE_STORE)) {
+          const store = db.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id' });
+          store.createIndex('albumId', 'albumId', { unique: false });
+        }
+        // Form drafts, keyed by entity ("album:12", "page:about")
+        if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+          db.createObjectStore(DRAFTS_STORE, { keyPath: 'key' });
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Another tab upgrading the database: let it, the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      // Failures may be transient (a blocking tab, a full disk): the next call tries again
+      const fail = () => {
+        dbPromise = null;
+        resolve(null);
+      };
+      req.onerror = fail;
+      req.onblocked = fail;
+    } catch (e) {
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+/**
+ * One request in a transaction on `storeName`; resolves with its result, or `fallback`.
+ */
+export async function run(storeName, mode, fn, fallback) {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : fallback);
+      tx.onerror = () => resolve(fallback);
+      tx.onabort = () => resolve(fallback);
+    } catch (e) {
+      resolve(fallback);
+    }
+  });
+}
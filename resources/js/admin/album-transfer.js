@@ -0,0 +1,234 @@
+/**
+ * Moving and copying images between albums from the album editor.
+ *
+ * Split view opens a second album (#split-panel) next to the grid; both grids share the
+ * Sortable group TRANSFER_GROUP, so cards dragged across are moved (or, in copy mode, cloned)
+ * into the other album at the drop position. "Move to album…" in the bulk actions bar sends
+ * the ticked images to an album picked with TomSelect. Everything goes through
+ * POST /admin/albums/{from}/images/transfer (App\Services\ImageTransferService).
+ */
+import TomSelect from 'tom-select'
+import Sortable from 'sortablejs'
+import { t, tf, getCsrf } from './utils.js'
+import { selectedIds } from './grid-reorder.js'
+
+// Sortable group shared by the album grid and the split panel
+export const TRANSFER_GROUP = 'album-images';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+let state = null;
+
+export async function transferImages(fromAlbumId, ids, targetAlbumId, mode, position = null) {
+  const res = await fetch(`${window.basePath || ''}/admin/albums/${fromAlbumId}/images/transfer`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': getCsrf() },
+    credentials: 'same-origin',
+    body: JSON.stringify({ ids, target_album_id: targetAlbumId, mode, position })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function albumPicker(select, excludeId) {
+  if (select.tomselect) select.tomselect.destroy();
+  return new TomSelect(select, {
+    valueField: 'id',
+    labelField: 'title',
+    searchField: ['title'],
+    maxItems: 1,
+    preload: 'focus',
+    load: (q, cb) => {
+      fetch(`${window.basePath || ''}/admin/api/albums?q=${encodeURIComponent(q || '')}&exclude=${encodeURIComponent(excludeId)}`, { headers: { 'Accept': 'application/json' } })
+        .then((r) => (r.ok ? r.json() : [])).then(cb).catch(() => cb());
+    },
+    render: {
+      option: (item) => `<div>${escapeHtml(item.title)} <span class="text-gray-400 text-xs">${escapeHtml(tf('admin.albums.album_image_count', { count: item.image_count }))}</span></div>`,
+      item: (item) => `<div>${escapeHtml(item.title)}</div>`
+    }
+  });
+}
+
+function toast(result) {
+  if (!window.showToast) return;
+  const key = result.mode === 'copy' ? 'admin.albums.transfer_copied' : 'admin.albums.transfer_moved';
+  window.showToast(tf(key, { count: result.ids.length }), 'success');
+  if (result.skipped?.length) {
+    window.showToast(tf('admin.albums.transfer_skipped', { count: result.skipped.length }), 'info');
+  }
+}
+
+// Ids a drag carries: the whole selection when the dragged card is part of it
+function draggedIds(grid, item) {
+  const id = item.getAttribute('data-id');
+  const selected = selectedIds(grid);
+  return selected.length > 1 && selected.includes(id) ? selected : [id];
+}
+
+async function loadSplitAlbum(albumId) {
+  const splitGrid = state.splitGrid;
+  splitGrid.dataset.albumId = albumId || '';
+  splitGrid.innerHTML = '';
+  if (!albumId) return;
+  splitGrid.setAttribute('aria-busy', 'true');
+  try {
+    const items = [];
+    let offset = 0;
+    let total = Infinity;
+    while (offset < total) {
+      const res = await fetch(`${window.basePath || ''}/admin/api/albums/${albumId}/images?offset=${offset}&limit=500`, { headers: { 'Accept': 'application/json' } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const page = await res.json();
+      items.push(...page.items);
+      total = page.total;
+      offset += page.limit;
+      if (!page.items.length) break;
+    }
+    // A newer selection may have replaced this album while loading
+    if (splitGrid.dataset.albumId !== String(albumId)) return;
+    splitGrid.innerHTML = items.length
+      ? items.map((item) => `
+        <div class="aspect-square overflow-hidden rounded border bg-gray-100 cursor-move" data-id="${item.id}" title="${escapeHtml(item.title || '')}">
+          ${item.preview_url ? `<img src="${escapeHtml(item.preview_url)}" class="w-full h-full object-cover" alt="${escapeHtml(item.title || '')}" loading="lazy">` : ''}
+        </div>`).join('')
+      : `<p class="col-span-full text-center text-gray-500 text-sm py-6" data-empty>${escapeHtml(t('admin.albums.no_images'))}</p>`;
+  } catch (err) {
+    console.error('Split view load failed:', err);
+    splitGrid.innerHTML = `<p class="col-span-full text-center text-red-600 text-sm py-6" data-empty>${escapeHtml(t('admin.albums.split_load_error'))}</p>`;
+  } finally {
+    splitGrid.removeAttribute('aria-busy');
+  }
+}
+
+const splitMode = () => document.querySelector('input[name="split-mode"]:checked')?.value === 'copy' ? 'copy' : 'move';
+
+/**
+ * Sortable `group` for the album grid: cards dragged to the split panel are cloned in copy mode.
+ */
+export function transferGroup() {
+  return { name: TRANSFER_GROUP, pull: (to) => (to.el.id === 'split-grid' && splitMode() === 'copy' ? 'clone' : true), put: true };
+}
+
+/**
+ * onAdd handler for both grids: a card arrived from the other album.
+ */
+export async function onTransferDrop(evt) {
+  if (!state) return;
+  const { grid, splitGrid, albumId } = state;
+  const otherAlbumId = splitGrid.dataset.albumId;
+  if (!otherAlbumId) {
+    // No album open in the split panel yet: put the card back
+    if (evt.pullMode === 'clone') evt.item.remove();
+    else evt.from.insertBefore(evt.item, evt.from.children[evt.oldIndex] || null);
+    return;
+  }
+  const intoSplit = evt.to === splitGrid;
+  const fromAlbum = intoSplit ? albumId : otherAlbumId;
+  const toAlbum = intoSplit ? otherAlbumId : albumId;
+  const ids = intoSplit ? draggedIds(grid, evt.item) : [evt.item.getAttribute('data-id')];
+  const mode = splitMode();
+  // Position among the target's images (the dropped card itself is still in the DOM);
+  // the windowed grid only renders part of the album from offset() on
+  const rendered = evt.to === grid && grid._virtual ? grid._virtual.offset() : 0;
+  const position = rendered + Array.from(evt.to.querySelectorAll('[data-id]')).indexOf(evt.item);
+  // Both grids are re-rendered from the server once the transfer is done
+  evt.item.remove();
+  try {
+    const result = await transferImages(fromAlbum, ids, toAlbum, mode, position);
+    toast(result);
+    window.albumHistory?.recordTransfer({ fromAlbumId: fromAlbum, toAlbumId: toAlbum, ids: result.ids, mode, orderBefore: grid._savedOrder });
+  } catch (err) {
+    console.error('Image transfer failed:', err);
+    if (window.showToast) window.showToast(t('admin.albums.transfer_failed'), 'error');
+  }
+  await Promise.all([loadSplitAlbum(otherAlbumId), window.refreshGalleryArea?.()]);
+}
+
+export function initAlbumTransfer(grid) {
+  destroyAlbumTransfer();
+  const splitPanel = document.getElementById('split-panel');
+  const splitGrid = document.getElementById('split-grid');
+  const toggle = document.getElementById('split-view-toggle');
+  const albumId = grid.dataset.albumId;
+  if (!albumId) return;
+  const cleanups = [];
+  const on = (el, event, handler) => {
+    if (!el) return;
+    el.addEventListener(event, handler);
+    cleanups.push(() => el.removeEventListener(event, handler));
+  };
+
+  state = { grid, splitGrid, albumId, cleanups };
+
+  // Split view
+  if (splitPanel && splitGrid && toggle) {
+    let picker = null;
+    let sortable = null;
+    const open = (show) => {
+      splitPanel.classList.toggle('hidden', !show);
+      toggle.setAttribute('aria-expanded', String(show));
+      if (show && !picker) {
+        picker = albumPicker(document.getElementById('split-album-select'), albumId);
+        picker.on('change', (value) => loadSplitAlbum(value));
+        sortable = new Sortable(splitGrid, {
+          group: { name: TRANSFER_GROUP, pull: () => (splitMode() === 'copy' ? 'clone' : true), put: true },
+          animation: 150,
+          draggable: '[data-id]',
+          sort: false,
+          onAdd: onTransferDrop
+        });
+        cleanups.push(() => { try { picker.destroy(); } catch (e) {} try { sortable.destroy(); } catch (e) {} });
+      }
+      if (show) picker.focus();
+    };
+    on(toggle, 'click', () => open(splitPanel.classList.contains('hidden')));
+    on(document.getElementById('split-close'), 'click', () => open(false));
+  }
+
+  // "Move to album…" bulk action
+  const moveBtn = document.getElementById('bulk-move-album');
+  const movePanel = document.getElementById('move-album-panel');
+  const confirmBtn = document.getElementById('move-album-confirm');
+  if (moveBtn && movePanel && confirmBtn) {
+    let picker = null;
+    const show = (visible) => {
+      movePanel.classList.toggle('hidden', !visible);
+      moveBtn.setAttribute('aria-expanded', String(visible));
+      if (visible && !picker) {
+        picker = albumPicker(document.getElementById('move-album-select'), albumId);
+        picker.on('change', (value) => { confirmBtn.disabled = !value; });
+        cleanups.push(() => { try { picker.destroy(); } catch (e) {} });
+      }
+      if (visible) picker.focus();
+    };
+    on(moveBtn, 'click', () => show(movePanel.classList.contains('hidden')));
+    on(document.getElementById('move-album-cancel'), 'click', () => show(false));
+    on(confirmBtn, 'click', async () => {
+      const target = picker?.getValue();
+      const ids = selectedIds(grid);
+      if (!target || !ids.length) return;
+      const mode = document.querySelector('input[name="move-album-mode"]:checked')?.value === 'copy' ? 'copy' : 'move';
+      confirmBtn.disabled = true;
+      try {
+        const result = await transferImages(albumId, ids, target, mode);
+        toast(result);
+        window.albumHistory?.recordTransfer({ fromAlbumId: albumId, toAlbumId: target, ids: result.ids, mode, orderBefore: grid._savedOrder });
+        show(false);
+        await window.refreshGalleryArea?.();
+        if (splitGrid?.dataset.albumId === String(target)) await loadSplitAlbum(target);
+      } catch (err) {
+        console.error('Image transfer failed:', err);
+        if (window.showToast) window.showToast(t('admin.albums.transfer_failed'), 'error');
+      } finally {
+        confirmBtn.disabled = !picker?.getValue();
+      }
+    });
+  }
+}
+
+export function destroyAlbumTransfer() {
+  if (!state) return;
+  state.cleanups.forEach((off) => { try { off(); } catch (e) {} });
+  state = null;
+}
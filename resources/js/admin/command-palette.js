@@ -0,0 +1,338 @@
+/**
+ * Command palette (Ctrl/Cmd+K, rebindable in the shortcut keymap): one search box for admin pages, settings sections,
+ * actions and records.
+ *
+ * Pages come from the sidebar; settings sections and actions are listed below. These are
+ * ranked here with fuzzyScore(), the scoring of Str::fuzzyScore() on the server, while
+ * records (albums, images, categories, tags, equipment) come ranked from /admin/api/search.
+ * Results open through the SPA loader (window.AdminNavigate, admin layout).
+ */
+import { t, getCsrf } from './utils.js'
+import { registerShortcuts, onShortcutsChange, keysOf, keysText } from './shortcuts.js'
+
+const SEARCH_DELAY = 150;
+const LOCAL_LIMIT = 8;
+
+// Cards of the settings page (ids in admin/settings.twig)
+const SETTINGS_SECTIONS = [
+  ['settings-site', 'admin.settings.site_config'],
+  ['settings-image-formats', 'admin.settings.image_formats'],
+  ['settings-breakpoints', 'admin.settings.breakpoints'],
+  ['settings-gallery-page-template', 'admin.settings.gallery_page_template'],
+  ['settings-gallery-template', 'admin.settings.default_gallery_template'],
+  ['settings-lightbox', 'admin.settings.lightbox_settings'],
+  ['settings-navigation', 'admin.settings.navigation_settings'],
+  ['settings-nsfw', 'admin.privacy.nsfw_warning'],
+  ['settings-recaptcha', 'admin.settings.recaptcha_title'],
+  ['settings-performance', 'admin.settings.performance'],
+  ['settings-frontend', 'admin.settings.frontend_title'],
+  ['settings-pwa', 'admin.settings.pwa_title'],
+  ['settings-debug', 'admin.settings.debug_title'],
+  ['settings-cache', 'admin.settings.performance_cache_title'],
+  ['settings-maintenance', 'admin.maintenance.title'],
+  ['settings-variants', 'admin.settings.generate_variants'],
+  ['settings-lensfun', 'admin.settings.lensfun_database'],
+];
+
+const ACTIONS = [
+  { label: 'admin.palette.action_sitemap', icon: 'fa-sitemap', action: '/admin/seo/sitemap' },
+  { label: 'admin.palette.action_variants', icon: 'fa-images', action: '/admin/settings/generate-images' },
+  { label: 'admin.palette.action_cache', icon: 'fa-broom', action: '/admin/settings/clear-cache' },
+  { label: 'admin.palette.action_maintenance', icon: 'fa-hard-hat', action: '/admin/settings/maintenance', confirm: 'admin.palette.confirm_maintenance' },
+];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+let palette = null;
+let bound = false;
+
+/**
+ * Fuzzy match score of `query` in `text`, null when some query character is missing.
+ * Same rules as Str::fuzzyScore(): consecutive characters, word starts and a literal
+ * match score higher, shorter texts slightly higher.
+ */
+function fuzzyScore(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const needle = Array.from(q.replace(/ /g, ''));
+  if (!needle.length) return 0;
+  const haystack = String(text || '').toLowerCase();
+  const chars = Array.from(haystack);
+  let score = 0;
+  let pos = 0;
+  let previous = -2;
+  for (const char of needle) {
+    while (pos < chars.length && chars[pos] !== char) pos++;
+    if (pos >= chars.length) return null;
+    score += 1;
+    if (pos === previous + 1) score += 5;
+    if (pos === 0 || !/[\p{L}\p{N}]/u.test(chars[pos - 1])) score += 3;
+    previous = pos++;
+  }
+  const literal = haystack.indexOf(q);
+  if (literal === 0) score += 20;
+  else if (literal > 0) score += 10;
+  return score * 100 - Math.min(chars.length, 99);
+}
+
+function localGroups(query) {
+  const basePath = window.basePath || '';
+  const pages = Array.from(document.querySelectorAll('#sidebar [data-spa-link]')).map((link) => ({
+    title: link.textContent.replace(/\s+/g, ' ').trim(),
+    subtitle: '',
+    icon: Array.from(link.querySelector('i')?.classList || []).find((c) => c.startsWith('fa-') && c !== 'fa-fw') || 'fa-file',
+    url: link.getAttribute('href'),
+  }));
+  const settingsLabel = document.querySelector('#sidebar [data-spa-link][href$="/admin/settings"]')?.textContent.trim() || '';
+  const settings = SETTINGS_SECTIONS.map(([id, key]) => ({
+    title: t(key),
+    subtitle: settingsLabel,
+    icon: 'fa-cog',
+    url: `${basePath}/admin/settings#${id}`,
+  }));
+  const actions = ACTIONS.map((action) => ({ ...action, title: t(action.label), subtitle: '', url: null }));
+
+  const rank = (items) => {
+    if (!query) return items.slice(0, LOCAL_LIMIT);
+    return items
+      .map((item) => ({ item, score: fuzzyScore(query, item.title) }))
+      .filter((entry) => entry.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, LOCAL_LIMIT)
+      .map((entry) => entry.item);
+  };
+  return [
+    { group: 'actions', items: rank(actions) },
+    { group: 'pages', items: rank(pages) },
+    { group: 'settings', items: query ? rank(settings) : [] },
+  ].filter((group) => group.items.length);
+}
+
+async function runAction(item) {
+  if (item.confirm && !confirm(t(item.confirm))) return;
+  try {
+    const response = await fetch((window.basePath || '') + item.action, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        'X-CSRF-Token': getCsrf(),
+      },
+      credentials: 'same-origin',
+    });
+    const data = await response.json().catch(() => ({}));
+    const ok = response.ok && data.success !== false && data.ok !== false;
+    window.showToast?.(ok ? (data.message || t('admin.palette.action_done')) : (data.error || t('admin.palette.action_failed')), ok ? 'success' : 'error');
+    // An open settings form must not put the previous state back on save
+    if (ok && typeof data.enabled === 'boolean') {
+      const checkbox = document.querySelector('input[name="maintenance_enabled"]');
+      if (checkbox) checkbox.checked = data.enabled;
+    }
+  } catch (e) {
+    window.showToast?.(t('admin.palette.action_failed'), 'error');
+  }
+}
+
+function createPalette() {
+  const overlay = document.createElement('div');
+  overlay.className = 'hidden fixed inset-0 z-[70] bg-black/50 flex items-start justify-center p-4 pt-[12vh]';
+  overlay.innerHTML = `
+    <div class="bg-white rounded-lg shadow-xl w-full max-w-xl overflow-hidden" role="dialog" aria-modal="true" aria-label="${escapeHtml(t('admin.palette.title'))}">
+      <div class="flex items-center gap-3 px-4 border-b border-gray-200">
+        <i class="fas fa-search text-gray-400"></i>
+        <input type="text" class="flex-1 py-3 text-base border-0 focus:ring-0 focus:outline-none" placeholder="${escapeHtml(t('admin.palette.placeholder'))}"
+               role="combobox" aria-expanded="true" aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        <i class="fas fa-spinner fa-spin text-gray-400 hidden" data-palette-loading></i>
+      </div>
+      <ul id="command-palette-results" class="max-h-[60vh] overflow-y-auto py-2" role="listbox"></ul>
+      <div class="flex gap-4 px-4 py-2 border-t border-gray-200 bg-gray-50 text-xs text-gray-500">
+        <span><kbd class="font-sans">↑↓</kbd> ${escapeHtml(t('admin.palette.hint_move'))}</span>
+        <span><kbd class="font-sans">↵</kbd> ${escapeHtml(t('admin.palette.hint_open'))}</span>
+        <span><kbd class="font-sans">Esc</kbd> ${escapeHtml(t('admin.palette.hint_close'))}</span>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const input = overlay.querySelector('input');
+  const list = overlay.querySelector('[role="listbox"]');
+  const loading = overlay.querySelector('[data-palette-loading]');
+  let items = [];
+  let active = 0;
+  let timer = null;
+  let controller = null;
+  let previousFocus = null;
+
+  const setActive = (index) => {
+    if (!items.length) return;
+    active = (index + items.length) % items.length;
+    list.querySelectorAll('[role="option"]').forEach((el, i) => {
+      const selected = i === active;
+      el.setAttribute('aria-selected', String(selected));
+      el.classList.toggle('bg-gray-100', selected);
+      if (selected) el.scrollIntoView({ block: 'nearest' });
+    });
+    input.setAttribute('aria-activedescendant', `command-palette-option-${active}`);
+  };
+
+  const render = (groups) => {
+    items = [];
+    if (!groups.length) {
+      list.innerHTML = `<li class="px-4 py-6 text-center text-sm text-gray-500">${escapeHtml(t('admin.palette.no_results'))}</li>`;
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    list.innerHTML = groups.map(({ group, items: groupItems }) => `
+      <li role="presentation" class="px-4 pt-3 pb-1 text-[11px] font-semibold uppercase tracking-wider text-gray-400">${escapeHtml(t(`admin.palette.group_${group}`))}</li>
+      ${groupItems.map((item) => {
+        const index = items.push(item) - 1;
+        const visual = item.image
+          ? `<img src="${escapeHtml(item.image)}" alt="" class="w-8 h-8 rounded object-cover bg-gray-100">`
+          : `<span class="w-8 h-8 rounded bg-gray-100 flex items-center justify-center text-gray-500"><i class="fas ${escapeHtml(item.icon || 'fa-circle')} text-sm"></i></span>`;
+        return `
+          <li id="command-palette-option-${index}" role="option" aria-selected="false" data-index="${index}" class="mx-2 px-2 py-2 rounded flex items-center gap-3 cursor-pointer">
+            ${visual}
+            <span class="min-w-0 flex-1">
+              <span class="block text-sm text-gray-900 truncate">${escapeHtml(item.title)}</span>
+              ${item.subtitle ? `<span class="block text-xs text-gray-500 truncate">${escapeHtml(item.subtitle)}</span>` : ''}
+            </span>
+            ${item.action ? `<span class="text-[11px] text-gray-400">${escapeHtml(t('admin.palette.run'))}</span>` : ''}
+          </li>`;
+      }).join('')}`).join('');
+    setActive(0);
+  };
+
+  const search = async () => {
+    const query = input.value.trim();
+    const local = localGroups(query);
+    controller?.abort();
+    if (!query) {
+      loading.classList.add('hidden');
+      render(local);
+      return;
+    }
+    render(local);
+    controller = new AbortController();
+    const { signal } = controller;
+    loading.classList.remove('hidden');
+    try {
+      const response = await fetch(`${window.basePath || ''}/admin/api/search?q=${encodeURIComponent(query)}`, {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin',
+        signal,
+      });
+      const data = response.ok ? await response.json() : { groups: [] };
+      if (signal.aborted) return;
+      render([...local, ...(data.groups || [])]);
+    } catch (e) {
+      if (e.name !== 'AbortError') render(local);
+    } finally {
+      if (!signal.aborted) loading.classList.add('hidden');
+    }
+  };
+
+  const close = () => {
+    if (overlay.classList.contains('hidden')) return;
+    clearTimeout(timer);
+    controller?.abort();
+    overlay.classList.add('hidden');
+    if (previousFocus?.isConnected) previousFocus.focus();
+  };
+
+  const run = (index) => {
+    const item = items[index];
+    if (!item) return;
+    close();
+    if (item.action) {
+      runAction(item);
+    } else if (window.AdminNavigate) {
+      window.AdminNavigate(item.url);
+    } else {
+      window.location.href = item.url;
+    }
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(search, SEARCH_DELAY);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+    }
+  });
+  list.addEventListener('mousemove', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option && Number(option.dataset.index) !== active) setActive(Number(option.dataset.index));
+  });
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) run(Number(option.dataset.index));
+  });
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  return {
+    open() {
+      if (!overlay.classList.contains('hidden')) {
+        input.select();
+        return;
+      }
+      previousFocus = document.activeElement;
+      overlay.classList.remove('hidden');
+      input.value = '';
+      search();
+      input.focus();
+    },
+    close,
+    isOpen: () => !overlay.classList.contains('hidden'),
+  };
+}
+
+function openCommandPalette() {
+  if (!palette) palette = createPalette();
+  palette.open();
+}
+
+// The header button shows the user's binding (shortcut keymap)
+function paintShortcut() {
+  const keys = keysOf('global.palette');
+  document.querySelectorAll('[data-command-palette-key]').forEach((el) => {
+    el.textContent = keysText(keys);
+    el.classList.toggle('hidden', !keys);
+  });
+}
+
+/**
+ * Register the Ctrl/Cmd+K shortcut and bind the header button, once per page load.
+ */
+export function initCommandPalette() {
+  if (bound) return;
+  bound = true;
+
+  registerShortcuts('global', [{
+    id: 'palette',
+    keys: 'mod+k',
+    label: 'admin.shortcuts.cmd_palette',
+    // Also from the search box and other fields (not inside the text editor: its link dialog)
+    inputs: true,
+    run: () => {
+      if (palette?.isOpen()) palette.close();
+      else openCommandPalette();
+    }
+  }]);
+  onShortcutsChange(paintShortcut);
+  paintShortcut();
+
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('[data-command-palette]')) openCommandPalette();
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * Unsaved-changes guard for admin forms.
+ *
+ * Every POST form of the page keeps the values it was rendered with (form-fields.js,
+ * TinyMCE and TomSelect fields included). Once one is edited and differs from them,
+ * leaving asks first: SPA navigation and browser back/forward through confirmLeave(),
+ * called by the admin layout, with "stay", "leave without saving" and "save and
+ * continue"; a reload or a closed tab through the browser's own prompt. Forms saved
+ * another way (modal editors, settings that save on change) opt out with data-dirty-ignore.
+ */
+import tinymce from 'tinymce/tinymce'
+import { t } from './utils.js'
+import { readFields, changedNames } from './form-fields.js'
+
+const EDITOR_EVENTS = 'input change undo redo';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+let entries = [];
+let cleanups = [];
+// A form posted the usual way: the page unloads without asking
+let submitting = false;
+// Forms submitted by "save and continue" stay on the page
+let saving = false;
+let prompt = null;
+
+const entryFor = (el) => {
+  const form = el?.form || el?.closest?.('form');
+  return form ? entries.find((entry) => entry.form === form) : null;
+};
+
+const isDirty = (entry) => entry.touched
+  && entry.form.isConnected
+  && changedNames(entry.form, entry.saved, readFields(entry.form)).length > 0;
+
+function dirtyForms() {
+  return entries.filter(isDirty).map((entry) => entry.form);
+}
+
+// Flash messages the saved form's response page would have shown
+function flashMessages(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('#flash-messages [data-flash-type]')).map((el) => ({
+    type: el.getAttribute('data-flash-type'),
+    message: el.textContent.replace(/\s+/g, ' ').trim()
+  }));
+}
+
+/**
+ * Post a form the way its submit button would, without leaving the page.
+ * Resolves true when the server accepted it.
+ */
+async function saveForm(form) {
+  if (!form.reportValidity()) return false;
+  // The form's own submit handlers (validation, fields they fill in) run first
+  saving = true;
+  let cancelled;
+  try {
+    cancelled = !form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  } finally {
+    saving = false;
+  }
+  if (cancelled) return false;
+
+  tinymce.triggerSave();
+  let response;
+  try {
+    response = await fetch(form.action, { method: 'POST', body: new FormData(form), credentials: 'same-origin' });
+  } catch (e) {
+    window.showToast?.(t('admin.unsaved.save_failed'), 'error');
+    return false;
+  }
+  if (!response.ok || new URL(response.url, window.location.href).pathname.endsWith('/admin/login')) {
+    window.showToast?.(t('admin.unsaved.save_failed'), 'error');
+    return false;
+  }
+  const messages = flashMessages(await response.text());
+  const errors = messages.filter((m) => m.type === 'danger' || m.type === 'error');
+  if (errors.length) {
+    errors.forEach((m) => window.showToast?.(m.message, 'error'));
+    return false;
+  }
+  messages.forEach((m) => window.showToast?.(m.message, m.type === 'warning' ? 'warning' : 'success'));
+  const entry = entries.find((e) => e.form === form);
+  if (entry) Object.assign(entry, { saved: readFields(form), touched: false });
+  return true;
+}
+
+function askToLeave(forms) {
+  return new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+    const overlay = document.createElement('div');
+    overlay.className = 'fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'unsaved-prompt-title');
+    overlay.setAttribute('aria-describedby', 'unsaved-prompt-text');
+    overlay.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div class="px-5 py-4">
+          <h3 id="unsaved-prompt-title" class="text-lg font-semibold text-gray-900"><i class="fas fa-exclamation-triangle text-yellow-500 mr-2"></i>${escapeHtml(t('admin.unsaved.title'))}</h3>
+          <p id="unsaved-prompt-text" class="text-sm text-gray-600 mt-2">${escapeHtml(t('admin.unsaved.message'))}</p>
+        </div>
+        <div class="flex flex-wrap justify-end gap-2 px-5 py-3 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          <button type="button" class="btn-secondary text-sm" data-unsaved="stay">${escapeHtml(t('admin.unsaved.stay'))}</button>
+          <button type="button" class="btn-secondary text-sm text-red-700" data-unsaved="leave">${escapeHtml(t('admin.unsaved.leave'))}</button>
+          <button type="button" class="btn-primary text-sm" data-unsaved="save">${escapeHtml(t('admin.unsaved.save_continue'))}</button>
+        </div>
+      </div>`;
+
+    let busy = false;
+    const close = (result) => {
+      document.removeEventListener('keydown', onKey, true);
+      overlay.remove();
+      if (!result && previousFocus?.isConnected) previousFocus.focus();
+      resolve(result);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape' && !busy) {
+        e.preventDefault();
+        close(false);
+      }
+    };
+
+    overlay.addEventListener('click', async (e) => {
+      const action = e.target.closest('[data-unsaved]')?.getAttribute('data-unsaved');
+      if (!action || busy) return;
+      if (action !== 'save') {
+        close(action === 'leave');
+        return;
+      }
+      busy = true;
+      const button = e.target.closest('[data-unsaved]');
+      overlay.querySelectorAll('[data-unsaved]').forEach((btn) => { btn.disabled = true; });
+      button.innerHTML = `<i class="fas fa-spinner fa-spin mr-1"></i>${escapeHtml(t('admin.unsaved.saving'))}`;
+      let saved = true;
+      for (const form of forms) {
+        if (!(await saveForm(form))) {
+          saved = false;
+          break;
+        }
+      }
+      close(saved);
+    });
+    document.addEventListener('keydown', onKey, true);
+
+    document.body.appendChild(overlay);
+    overlay.querySelector('[data-unsaved="save"]').focus();
+  });
+}
+
+/**
+ * Resolves true when the page may be left: nothing is unsaved, or the user chose to
+ * leave anyway or saved successfully.
+ */
+export function confirmLeave() {
+  if (prompt) return prompt;
+  const forms = dirtyForms();
+  if (!forms.length) return Promise.resolve(true);
+  prompt = askToLeave(forms).finally(() => { prompt = null; });
+  return prompt;
+}
+
+export function initDirtyGuard() {
+  destroyDirtyGuard();
+  const root = document.getElementById('page-content') || document;
+  entries = Array.from(root.querySelectorAll('form[method="post" i]:not([data-dirty-ignore])'))
+    .map((form) => ({ form, saved: readFields(form), touched: false }));
+  if (!entries.length) return;
+
+  const on = (target, event, handler, options) => {
+    target.addEventListener(event, handler, options);
+    cleanups.push(() => target.removeEventListener(event, handler, options));
+  };
+  const touch = (e) => {
+    const entry = entryFor(e.target);
+    if (entry) entry.touched = true;
+  };
+  on(document, 'input', touch, true);
+  on(document, 'change', touch, true);
+  on(document, 'submit', (e) => {
+    if (!saving && !e.defaultPrevented && entryFor(e.target)) submitting = true;
+  });
+  on(window, 'beforeunload', (e) => {
+    if (submitting || !dirtyForms().length) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+
+  const boundEditors = new WeakSet();
+  const bindEditor = (editor) => {
+    const entry = editor && entryFor(editor.getElement());
+    if (!entry || boundEditors.has(editor)) return;
+    boundEditors.add(editor);
+    const onEdit = () => { entry.touched = true; };
+    editor.on(EDITOR_EVENTS, onEdit);
+    cleanups.push(() => { try { editor.off(EDITOR_EVENTS, onEdit); } catch (e) {} });
+  };
+  (tinymce.get() || []).forEach(bindEditor);
+  const onAddEditor = (e) => bindEditor(e.editor);
+  tinymce.on('AddEditor', onAddEditor);
+  cleanups.push(() => tinymce.off('AddEditor', onAddEditor));
+}
+
+export function destroyDirtyGuard() {
+  cleanups.forEach((off) => { try { off(); } catch (e) {} });
+  cleanups = [];
+  entries = [];
+  submitting = false;
+}
@@ -0,0 +1,32 @@
+/**
+ * IndexedDB persistence for autosaved form drafts (form-autosave.js).
+ *
+ * One record per entity: { key, path, savedAt, submittedAt, fields }, where `fields` are
+ * the form's [name, value] pairs as typed. The restore prompt compares them with the
+ * values the page was rendered with, read when the form is attached. Without IndexedDB
+ * every helper resolves to its fallback and drafts are simply not kept.
+ */
+import { run as runIn, DRAFTS_STORE as STORE } from './admin-db.js'
+
+// Drafts nobody came back to are dropped after a month
+const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const run = (mode, fn, fallback) => runIn(STORE, mode, fn, fallback);
+
+export function getDraft(key) {
+  return run('readonly', (store) => store.get(key), null).then((draft) => draft || null);
+}
+
+export function putDraft(draft) {
+  return run('readwrite', (store) => store.put(draft), null);
+}
+
+export function deleteDraft(key) {
+  return run('readwrite', (store) => store.delete(key), null);
+}
+
+export async function purgeOldDrafts() {
+  const drafts = await run('readonly', (store) => store.getAll(), []);
+  const limit = Date.now() - DRAFT_MAX_AGE;
+  await Promise.all((drafts || []).filter((draft) => (draft.savedAt || 0) < limit).map((draft) => deleteDraft(draft.key)));
+}
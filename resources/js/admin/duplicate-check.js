@@ -0,0 +1,240 @@
+/**
+ * Perceptual-hash duplicate check for album uploads.
+ *
+ * DuplicateCheck is an Uppy pre-processor: before a batch is sent it computes a dHash
+ * for each file (same algorithm as App\Services\PerceptualHashService), asks the server
+ * for similar images in the album and across the library, and lets the user decide per
+ * file: skip it, replace the matching image of this album (the server keeps its id, so
+ * position, caption, tags and statistics stay), or upload it as a new image.
+ *
+ * Decisions are stored in file.meta (duplicate_checked, replace_image_id) so recovered
+ * uploads are not asked again and ResumableUpload forwards the replacement target.
+ */
+import { BasePlugin } from '@uppy/core'
+import { t, tf } from './utils.js'
+
+// Sampling grid: 9x8 blocks of 8x8 pixels, averaged like GD's imagecopyresampled
+const GRID_W = 9;
+const GRID_H = 8;
+const BLOCK = 8;
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * 64-bit difference hash of an image Blob as 16 hex chars.
+ */
+export async function computeDHash(blob) {
+  const width = GRID_W * BLOCK;
+  const height = GRID_H * BLOCK;
+  let bitmap;
+  try {
+    // Let the decoder downscale: avoids holding a full-size bitmap for large originals
+    bitmap = await createImageBitmap(blob, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+  } catch (e) {
+    bitmap = await createImageBitmap(blob);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const luma = [];
+  for (let gy = 0; gy < GRID_H; gy++) {
+    for (let gx = 0; gx < GRID_W; gx++) {
+      let sum = 0;
+      for (let y = gy * BLOCK; y < (gy + 1) * BLOCK; y++) {
+        for (let x = gx * BLOCK; x < (gx + 1) * BLOCK; x++) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+      }
+      luma.push(sum / (BLOCK * BLOCK));
+    }
+  }
+
+  let bits = '';
+  for (let y = 0; y < GRID_H; y++) {
+    for (let x = 0; x < GRID_W - 1; x++) {
+      bits += luma[y * GRID_W + x] > luma[y * GRID_W + x + 1] ? '1' : '0';
+    }
+  }
+  return bits.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join('');
+}
+
+// One prompt at a time: batches added while a prompt is open wait their turn
+let promptChain = Promise.resolve();
+
+/**
+ * Ask what to do with each file that has look-alikes.
+ * items: [{ file, matches }] → Map(fileId → { action: 'skip'|'replace'|'new', imageId? })
+ */
+export function promptDuplicates(items) {
+  const run = () => new Promise((resolve) => {
+    const basePath = window.basePath || '';
+    const urls = [];
+    const overlay = document.createElement('div');
+    overlay.className = 'fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'duplicate-prompt-title');
+
+    const rows = items.map(({ file, matches }, index) => {
+      const url = URL.createObjectURL(file.data);
+      urls.push(url);
+      const target = matches.find((m) => m.same_album);
+      const others = matches.map((m) => `
+        <figure class="w-20 flex-shrink-0" title="${escapeHtml(m.album_title)}">
+          ${m.preview_url ? `<img src="${escapeHtml(basePath + m.preview_url)}" alt="" class="w-20 h-20 object-cover rounded bg-gray-100">` : '<div class="w-20 h-20 rounded bg-gray-100"></div>'}
+          <figcaption class="text-[11px] text-gray-600 truncate mt-1">${escapeHtml(m.same_album ? t('admin.upload.duplicate_this_album') : m.album_title)}</figcaption>
+        </figure>`).join('');
+      const choice = (action, label, enabled = true) => `
+        <label class="inline-flex items-center gap-1.5 text-sm ${enabled ? '' : 'opacity-40'}">
+          <input type="radio" name="dup-${index}" value="${action}" ${action === 'skip' ? 'checked' : ''} ${enabled ? '' : 'disabled'} class="text-black focus:ring-black">
+          ${escapeHtml(label)}
+        </label>`;
+      return `
+        <li class="p-4 space-y-3" data-dup-index="${index}" data-replace-id="${target ? target.id : ''}">
+          <div class="flex items-start gap-3">
+            <figure class="w-20 flex-shrink-0">
+              <img src="${url}" alt="" class="w-20 h-20 object-cover rounded ring-2 ring-black">
+              <figcaption class="text-[11px] text-gray-900 truncate mt-1" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</figcaption>
+            </figure>
+            <i class="fas fa-equals text-gray-400 mt-8"></i>
+            <div class="flex gap-2 overflow-x-auto">${others}</div>
+          </div>
+          <div class="flex flex-wrap gap-4">
+            ${choice('skip', t('admin.upload.duplicate_skip'))}
+            ${choice('replace', t('admin.upload.duplicate_replace'), !!target)}
+            ${choice('new', t('admin.upload.duplicate_new'))}
+          </div>
+        </li>`;
+    }).join('');
+
+    overlay.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div class="px-5 py-4 border-b border-gray-200">
+          <h3 id="duplicate-prompt-title" class="text-lg font-semibold text-gray-900">${escapeHtml(tf('admin.upload.duplicate_title', { count: items.length }))}</h3>
+          <p class="text-sm text-gray-600 mt-1">${escapeHtml(t('admin.upload.duplicate_intro'))}</p>
+        </div>
+        <ul class="divide-y divide-gray-200 overflow-y-auto flex-1">${rows}</ul>
+        <div class="flex flex-wrap items-center gap-2 px-5 py-3 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          <span class="text-xs text-gray-500 mr-1">${escapeHtml(t('admin.upload.duplicate_all'))}</span>
+          <button type="button" class="btn-secondary text-sm" data-dup-all="skip">${escapeHtml(t('admin.upload.duplicate_skip'))}</button>
+          <button type="button" class="btn-secondary text-sm" data-dup-all="replace">${escapeHtml(t('admin.upload.duplicate_replace'))}</button>
+          <button type="button" class="btn-secondary text-sm" data-dup-all="new">${escapeHtml(t('admin.upload.duplicate_new'))}</button>
+          <button type="button" class="btn-primary text-sm ml-auto" data-dup-confirm>${escapeHtml(t('admin.upload.duplicate_continue'))}</button>
+        </div>
+      </div>`;
+
+    const finish = () => {
+      const decisions = new Map();
+      overlay.querySelectorAll('[data-dup-index]').forEach((row) => {
+        const { file } = items[Number(row.dataset.dupIndex)];
+        const action = row.querySelector('input[type="radio"]:checked')?.value || 'skip';
+        decisions.set(file.id, action === 'replace' ? { action, imageId: Number(row.dataset.replaceId) } : { action });
+      });
+      overlay.remove();
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      resolve(decisions);
+    };
+
+    overlay.addEventListener('click', (e) => {
+      const all = e.target.closest('[data-dup-all]');
+      if (all) {
+        overlay.querySelectorAll(`input[type="radio"][value="${all.dataset.dupAll}"]:not(:disabled)`).forEach((radio) => { radio.checked = true; });
+        return;
+      }
+      if (e.target.closest('[data-dup-confirm]')) finish();
+    });
+
+    document.body.appendChild(overlay);
+    overlay.querySelector('[data-dup-confirm]').focus();
+  });
+
+  const result = promptChain.then(run);
+  promptChain = result.catch(() => {});
+  return result;
+}
+
+export default class DuplicateCheck extends BasePlugin {
+  constructor(uppy, opts) {
+    super(uppy, {
+      endpoint: '',
+      headers: {},
+      resolve: promptDuplicates,
+      ...opts
+    });
+    this.id = this.opts.id || 'DuplicateCheck';
+    this.type = 'modifier';
+    this.prepareUpload = this.prepareUpload.bind(this);
+  }
+
+  install() {
+    this.uppy.addPreProcessor(this.prepareUpload);
+  }
+
+  uninstall() {
+    this.uppy.removePreProcessor(this.prepareUpload);
+  }
+
+  async lookup(hashes) {
+    const headers = typeof this.opts.headers === 'function' ? this.opts.headers() : this.opts.headers;
+    const res = await fetch(`${this.opts.endpoint}/duplicates`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+      credentials: 'same-origin',
+      body: JSON.stringify({ hashes })
+    });
+    if (!res.ok) throw new Error(`Duplicate lookup failed (${res.status})`);
+    return (await res.json()).matches || {};
+  }
+
+  async prepareUpload(fileIDs) {
+    const files = this.uppy.getFilesByIds(fileIDs).filter((file) => !file.meta.duplicate_checked && !file.error);
+    if (!files.length) return;
+
+    // One file at a time keeps memory bounded when a batch holds large originals
+    const hashes = {};
+    for (const file of files) {
+      this.uppy.emit('preprocess-progress', file, { mode: 'indeterminate', message: t('admin.upload.duplicate_checking') });
+      try {
+        hashes[file.id] = await computeDHash(file.data);
+      } catch (e) {
+        this.uppy.log(`[DuplicateCheck] cannot hash ${file.name}: ${e.message}`, 'warning');
+      }
+    }
+
+    // The check is advisory: a failed lookup must not block the upload
+    let matches = {};
+    if (Object.keys(hashes).length) {
+      try {
+        matches = await this.lookup(hashes);
+      } catch (e) {
+        this.uppy.log(`[DuplicateCheck] ${e.message}`, 'warning');
+      }
+    }
+
+    const duplicates = files
+      .filter((file) => this.uppy.getFile(file.id) && matches[file.id]?.length)
+      .map((file) => ({ file: this.uppy.getFile(file.id), matches: matches[file.id] }));
+    const decisions = duplicates.length ? await this.opts.resolve(duplicates) : new Map();
+
+    files.forEach((file) => {
+      if (!this.uppy.getFile(file.id)) return;
+      const decision = decisions.get(file.id) || { action: 'new' };
+      if (decision.action === 'skip') {
+        this.uppy.removeFile(file.id);
+        return;
+      }
+      const meta = { duplicate_checked: true };
+      if (decision.action === 'replace' && decision.imageId) meta.replace_image_id = decision.imageId;
+      this.uppy.setFileMeta(file.id, meta);
+      this.uppy.emit('duplicate:resolved', this.uppy.getFile(file.id), decision);
+      this.uppy.emit('preprocess-complete', this.uppy.getFile(file.id));
+    });
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Undo/redo for image edits in the album editor.
+ *
+ * Every change made from the grid or the image modal (reorder, cover, metadata, deletes)
+ * is recorded as an entry with undo/redo functions that replay the opposite request.
+ * Deletes are soft on the server (ImageTrashService): their undo restores the images and
+ * is only offered while the server keeps them (undo_window returned by the delete call).
+ *
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes (shortcuts of the "album-edit"
+ * scope), except while typing in a field (native text undo wins there).
+ * #history-undo / #history-redo mirror the stack state.
+ */
+import { t, tf, getCsrf } from './utils.js'
+import { registerShortcuts } from './shortcuts.js'
+
+const HISTORY_LIMIT = 100;
+// Image fields saved by the modal form (data-* attributes on each grid card)
+const META_FIELDS = [
+  'title', 'alt_text', 'caption', 'camera_id', 'lens_id', 'film_id', 'developer_id', 'lab_id', 'location_id',
+  'custom_camera', 'custom_lens', 'custom_film', 'iso', 'shutter_speed', 'aperture'
+];
+
+/**
+ * Snapshot of a grid card's editable metadata (used as before/after state of a modal save).
+ */
+export function readCardMeta(card) {
+  const meta = {};
+  META_FIELDS.forEach((field) => { meta[field] = card?.getAttribute(`data-${field}`) || ''; });
+  let tags = [];
+  try { tags = JSON.parse(card?.getAttribute('data-tags') || '[]'); } catch (e) {}
+  meta.tags = tags.map((tag) => Number(tag.id)).filter(Boolean);
+  return meta;
+}
+
+/**
+ * Generic bounded undo/redo stack. Entries: { label, undo(), redo(), expiresAt? }.
+ */
+export function createEditHistory({ limit = HISTORY_LIMIT, onChange = () => {} } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let busy = false;
+
+  const dropExpired = (stack) => {
+    const now = Date.now();
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].expiresAt && stack[i].expiresAt <= now) stack.splice(i, 1);
+    }
+  };
+
+  const run = async (from, to, action) => {
+    dropExpired(from);
+    const entry = from.pop();
+    if (!entry || busy) {
+      if (entry) from.push(entry);
+      return null;
+    }
+    busy = true;
+    onChange();
+    try {
+      await entry[action]();
+      to.push(entry);
+      return entry;
+    } catch (err) {
+      // A failed replay leaves the entry out: the server state no longer matches it
+      throw err;
+    } finally {
+      busy = false;
+      onChange();
+    }
+  };
+
+  return {
+    push(entry) {
+      undoStack.push(entry);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      onChange();
+    },
+    undo: () => run(undoStack, redoStack, 'undo'),
+    redo: () => run(redoStack, undoStack, 'redo'),
+    canUndo: () => { dropExpired(undoStack); return !busy && undoStack.length > 0; },
+    canRedo: () => { dropExpired(redoStack); return !busy && redoStack.length > 0; },
+    peekUndo: () => undoStack[undoStack.length - 1] || null,
+    peekRedo: () => redoStack[redoStack.length - 1] || null,
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      onChange();
+    }
+  };
+}
+
+/**
+ * History bound to one album: record* helpers build entries that call the album endpoints.
+ * onApplied runs after every undo/redo (the editor refreshes its grid).
+ */
+export function createAlbumHistory({ albumId, reorderEndpoint, onApplied = () => {} }) {
+  const base = `${window.basePath || ''}/admin/albums/${albumId}`;
+  const undoBtn = document.getElementById('history-undo');
+  const redoBtn = document.getElementById('history-redo');
+
+  const post = async (url, body, json = true) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'X-CSRF-Token': getCsrf(),
+        'Accept': 'application/json',
+        ...(json ? { 'Content-Type': 'application/json' } : {})
+      },
+      credentials: 'same-origin',
+      body: json ? JSON.stringify(body) : body
+    });
+    const data = await res.json().catch(() => ({}));
+    // A partial restore answers 200 with ok:false; only the status decides failure here
+    if (!res.ok) {
+      const err = new Error(data.error || `HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  };
+
+  const saveOrder = (order) => post(reorderEndpoint, { order });
+  const saveCover = (imageId) => post(`${base}/cover/${imageId || 0}`);
+  const saveMeta = (imageId, meta) => {
+    const form = new FormData();
+    META_FIELDS.forEach((field) => form.append(field, meta[field] ?? ''));
+    form.append('tags_submitted', '1');
+    (meta.tags || []).forEach((id) => form.append('tags[]', String(id)));
+    return post(`${base}/images/${imageId}/update`, form, false);
+  };
+
+  const updateButtons = () => {
+    const set = (btn, enabled, entry, key) => {
+      if (!btn) return;
+      btn.disabled = !enabled;
+      const label = entry && enabled ? tf(key, { action: entry.label }) : t(key === 'admin.albums.undo_action' ? 'admin.albums.undo' : 'admin.albums.redo');
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+    };
+    set(undoBtn, history.canUndo(), history.peekUndo(), 'admin.albums.undo_action');
+    set(redoBtn, history.canRedo(), history.peekRedo(), 'admin.albums.redo_action');
+  };
+
+  const history = createEditHistory({ onChange: () => updateButtons() });
+
+  const apply = async (action) => {
+    try {
+      const entry = await history[action]();
+      if (!entry) return;
+      await onApplied();
+      if (window.showToast) window.showToast(tf(action === 'undo' ? 'admin.albums.undone' : 'admin.albums.redone', { action: entry.label }), 'success');
+    } catch (err) {
+      console.error(`History ${action} failed:`, err);
+      const key = err.status === 410 ? 'admin.albums.undo_expired' : 'admin.albums.undo_failed';
+      if (window.showToast) window.showToast(t(key), 'error');
+      await onApplied();
+    }
+  };
+
+  const unregisterShortcuts = registerShortcuts('album-edit', [
+    { id: 'undo', keys: 'mod+z', label: 'admin.shortcuts.cmd_undo', run: () => apply('undo') },
+    { id: 'redo', keys: 'mod+shift+z, mod+y', label: 'admin.shortcuts.cmd_redo', run: () => apply('redo') }
+  ]);
+  const undoClick = () => apply('undo');
+  const redoClick = () => apply('redo');
+  undoBtn?.addEventListener('click', undoClick);
+  redoBtn?.addEventListener('click', redoClick);
+  // Expired delete entries disappear from the buttons without user action
+  const expiryTimer = setInterval(updateButtons, 30000);
+  updateButtons();
+
+  return {
+    readCardMeta,
+    undo: () => apply('undo'),
+    redo: () => apply('redo'),
+
+    recordReorder(before, after) {
+      if (before.join(',') === after.join(',')) return;
+      history.push({ label: t('admin.albums.history_reorder'), undo: () => saveOrder(before), redo: () => saveOrder(after) });
+    },
+
+    recordCover(previousId, nextId) {
+      if (String(previousId || 0) === String(nextId || 0)) return;
+      history.push({ label: t('admin.albums.history_cover'), undo: () => saveCover(previousId), redo: () => saveCover(nextId) });
+    },
+
+    recordMeta(imageId, before, after) {
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      history.push({ label: t('admin.albums.history_meta'), undo: () => saveMeta(imageId, before), redo: () => saveMeta(imageId, after) });
+    },
+
+    recordDelete(ids, undoWindow) {
+      const imageIds = ids.map(Number).filter(Boolean);
+      if (!imageIds.length) return;
+      const windowMs = (Number(undoWindow) || 0) * 1000;
+      const entry = {
+        label: tf('admin.albums.history_delete', { count: imageIds.length }),
+        expiresAt: windowMs ? Date.now() + windowMs : undefined,
+        undo: async () => {
+          await post(`${base}/images/restore`, { ids: imageIds });
+          entry.expiresAt = undefined;
+        },
+        redo: async () => {
+          const data = await post(`${base}/images/bulk-delete`, { ids: imageIds });
+          const again = (Number(data.undo_window) || 0) * 1000;
+          entry.expiresAt = again ? Date.now() + again : undefined;
+        }
+      };
+      history.push(entry);
+    },
+
+    // Images moved or copied to another album (split view, "Move to album…")
+    recordTransfer({ fromAlbumId, toAlbumId, ids, mode, orderBefore = null }) {
+      const imageIds = ids.map(Number).filter(Boolean);
+      if (!imageIds.length) return;
+      const albumUrl = (id) => `${window.basePath || ''}/admin/albums/${id}`;
+      const move = (from, to) => post(`${albumUrl(from)}/images/transfer`, { ids: imageIds, target_album_id: to, mode: 'move' });
+      if (mode === 'copy') {
+        // Undo trashes the copies; redo restores them while the trash keeps them
+        history.push({
+          label: tf('admin.albums.history_copy', { count: imageIds.length }),
+          undo: () => post(`${albumUrl(toAlbumId)}/images/bulk-delete`, { ids: imageIds }),
+          redo: () => post(`${albumUrl(toAlbumId)}/images/restore`, { ids: imageIds })
+        });
+        return;
+      }
+      history.push({
+        label: tf('admin.albums.history_move', { count: imageIds.length }),
+        undo: async () => {
+          await move(toAlbumId, fromAlbumId);
+          if (orderBefore && String(fromAlbumId) === String(albumId)) await saveOrder(orderBefore);
+        },
+        redo: () => move(fromAlbumId, toAlbumId)
+      });
+    },
+
+    destroy() {
+      unregisterShortcuts();
+      undoBtn?.removeEventListener('click', undoClick);
+      redoBtn?.removeEventListener('click', redoClick);
+      clearInterval(expiryTimer);
+      history.clear();
+    }
+  };
+}
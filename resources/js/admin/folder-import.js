@@ -0,0 +1,302 @@
+/**
+ * Folder import on the albums index (#folder-import).
+ *
+ * A dropped or picked directory tree is scanned client-side; every folder that directly
+ * contains JPG/PNG/WebP files becomes one planned album titled after the folder. The
+ * plan is shown for review (titles editable, folders can be excluded, one category for
+ * all), and only on confirmation each album is created as a draft through the regular
+ * JSON store endpoint and its images are queued on the upload manager, so progress
+ * continues in the upload tray while the user moves on.
+ */
+import { t, tf, getCsrf } from './utils.js'
+import { getAlbumUploader } from './upload-manager.js'
+
+// Keep aligned with the upload manager restrictions
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif', 'image/tiff'];
+const IMAGE_EXT = /\.(jpe?g|png|webp|heic|heif|hif|avif|tiff?)$/i;
+const IMAGE_MIME_BY_EXT = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+  heic: 'image/heic', heif: 'image/heif', hif: 'image/heif', avif: 'image/avif', tif: 'image/tiff', tiff: 'image/tiff'
+};
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const isImage = (file) => IMAGE_TYPES.includes(file.type) || (!file.type && IMAGE_EXT.test(file.name));
+const isHidden = (name) => name.startsWith('.') || name === 'Thumbs.db';
+const imageType = (file) => file.type || IMAGE_MIME_BY_EXT[file.name.split('.').pop().toLowerCase()] || '';
+
+/**
+ * Collects files per directory path. Files outside any folder are counted as skipped.
+ */
+function createPlanBuilder() {
+  const groups = new Map();
+  let skipped = 0;
+  return {
+    add(dirPath, file) {
+      if (isHidden(file.name)) return;
+      if (!dirPath || !isImage(file)) { skipped++; return; }
+      if (!groups.has(dirPath)) {
+        groups.set(dirPath, { path: dirPath, title: dirPath.split('/').pop(), files: [], include: true });
+      }
+      groups.get(dirPath).files.push(file);
+    },
+    result() {
+      const albums = Array.from(groups.values()).sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+      albums.forEach((album) => album.files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true })));
+      return { albums, skipped };
+    }
+  };
+}
+
+// Drag & drop: FileSystemEntry API (webkitGetAsEntry)
+async function readDirectoryEntries(dirEntry) {
+  const reader = dirEntry.createReader();
+  const entries = [];
+  // readEntries() returns at most ~100 entries per call
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+}
+
+async function collectEntry(entry, parentPath, builder) {
+  if (isHidden(entry.name)) return;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    builder.add(parentPath, file);
+  } else if (entry.isDirectory) {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    for (const child of await readDirectoryEntries(entry)) {
+      await collectEntry(child, path, builder);
+    }
+  }
+}
+
+// Picker: File System Access API (showDirectoryPicker)
+async function collectHandle(handle, path, builder) {
+  for await (const child of handle.values()) {
+    if (isHidden(child.name)) continue;
+    if (child.kind === 'file') {
+      builder.add(path, await child.getFile());
+    } else if (child.kind === 'directory') {
+      await collectHandle(child, `${path}/${child.name}`, builder);
+    }
+  }
+}
+
+/**
+ * Wire the folder import area on the albums index. Safe to call on every AdminInit.
+ */
+export function initFolderImport() {
+  const root = document.getElementById('folder-import');
+  if (!root || root._folderImportInitialized) return;
+  root._folderImportInitialized = true;
+
+  const drop = document.getElementById('folder-import-drop');
+  const chooseBtn = document.getElementById('folder-import-choose');
+  const input = document.getElementById('folder-import-input');
+  const planEl = document.getElementById('folder-import-plan');
+  const rowsEl = document.getElementById('folder-import-rows');
+  const summaryEl = document.getElementById('folder-import-summary');
+  const categoryEl = document.getElementById('folder-import-category');
+  const createBtn = planEl.querySelector('[data-folder-import="create"]');
+  const cancelBtn = planEl.querySelector('[data-folder-import="cancel"]');
+
+  let plan = null;
+  let running = false;
+
+  const included = () => (plan ? plan.albums.filter((album) => album.include && album.files.length) : []);
+
+  function updateActions() {
+    const count = included().length;
+    createBtn.textContent = tf('admin.albums.folder_plan_create', { count });
+    createBtn.disabled = running || count === 0;
+    cancelBtn.disabled = running;
+    const images = included().reduce((sum, album) => sum + album.files.length, 0);
+    let summary = tf('admin.albums.folder_plan_summary', { albums: count, images });
+    if (plan?.skipped) summary += ` · ${tf('admin.albums.folder_plan_skipped', { count: plan.skipped })}`;
+    summaryEl.textContent = summary;
+  }
+
+  function renderPlan() {
+    if (!plan.albums.length) {
+      planEl.classList.add('hidden');
+      if (window.showToast) window.showToast(t('admin.albums.folder_plan_empty'), 'error');
+      return;
+    }
+    rowsEl.innerHTML = plan.albums.map((album, index) => `
+      <tr data-index="${index}">
+        <td class="px-3 py-2"><input type="checkbox" data-plan-include ${album.include ? 'checked' : ''} aria-label="${escapeHtml(t('admin.albums.folder_plan_include'))}"></td>
+        <td class="px-3 py-2"><input type="text" class="form-input w-full text-sm" data-plan-title value="${escapeHtml(album.title)}" aria-label="${escapeHtml(t('admin.albums.title_field'))}"></td>
+        <td class="px-3 py-2 text-xs text-gray-500"><code>${escapeHtml(album.path)}</code></td>
+        <td class="px-3 py-2 text-sm text-gray-700 text-right">${album.files.length}</td>
+        <td class="px-3 py-2 text-xs text-gray-500" data-plan-status></td>
+      </tr>`).join('');
+    planEl.classList.remove('hidden');
+    updateActions();
+    planEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function setStatus(index, html) {
+    const cell = rowsEl.querySelector(`tr[data-index="${index}"] [data-plan-status]`);
+    if (cell) cell.innerHTML = html;
+  }
+
+  async function createAlbum(album, categoryId) {
+    const response = await fetch(root.dataset.createEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': getCsrf() || root.dataset.csrf
+      },
+      // Same defaults as the create form, but unpublished
+      body: JSON.stringify({ title: album.title, category_id: categoryId, categories: [categoryId], show_date: 1 })
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data?.ok || !data.id) {
+      throw new Error(data?.error || data?.message || `HTTP ${response.status}`);
+    }
+    return data;
+  }
+
+  async function runPlan() {
+    const categoryId = parseInt(categoryEl.value, 10);
+    if (!categoryId) {
+      if (window.showToast) window.showToast(t('admin.albums.folder_plan_category_required'), 'error');
+      categoryEl.focus();
+      return;
+    }
+    const albums = included();
+    if (albums.some((album) => !album.title.trim())) {
+      if (window.showToast) window.showToast(t('admin.flash.title_category_required'), 'error');
+      return;
+    }
+
+    running = true;
+    updateActions();
+    rowsEl.querySelectorAll('input').forEach((el) => { el.disabled = true; });
+    let created = 0;
+
+    for (const album of albums) {
+      const index = plan.albums.indexOf(album);
+      setStatus(index, `<i class="fas fa-circle-notch fa-spin mr-1"></i>${escapeHtml(t('admin.albums.folder_plan_creating'))}`);
+      try {
+        const result = await createAlbum({ ...album, title: album.title.trim() }, categoryId);
+        const base = window.basePath || '';
+        const uppy = getAlbumUploader({
+          albumId: result.id,
+          endpoint: `${base}/admin/albums/${result.id}/upload`,
+          title: album.title.trim()
+        });
+        album.files.forEach((file) => {
+          try {
+            uppy.addFile({ source: 'folder-import', name: file.name, type: imageType(file), data: file });
+          } catch (e) {
+            // Restriction failures (size/type) are skipped; the rest of the folder still uploads
+          }
+        });
+        created++;
+        setStatus(index, `<span class="text-green-700"><i class="fas fa-check mr-1"></i>${escapeHtml(t('admin.albums.folder_plan_created'))}</span>
+          <a href="${escapeHtml(result.redirect || `${base}/admin/albums/${result.id}/edit`)}" class="ml-2 underline">${escapeHtml(t('admin.common.edit'))}</a>`);
+      } catch (e) {
+        setStatus(index, `<span class="text-red-600" title="${escapeHtml(e.message)}"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(t('admin.albums.folder_plan_failed'))}</span>`);
+      }
+    }
+
+    running = false;
+    plan = null;
+    createBtn.classList.add('hidden');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = t('admin.common.close');
+    if (window.showToast) window.showToast(tf('admin.albums.folder_plan_done', { count: created }), created ? 'success' : 'error');
+  }
+
+  async function buildPlan(collect) {
+    drop.classList.add('opacity-60', 'pointer-events-none');
+    try {
+      const builder = createPlanBuilder();
+      await collect(builder);
+      plan = builder.result();
+      createBtn.classList.remove('hidden');
+      cancelBtn.textContent = t('admin.common.cancel');
+      renderPlan();
+    } catch (e) {
+      if (e?.name !== 'AbortError') {
+        console.error('Folder import failed:', e);
+        if (window.showToast) window.showToast(t('admin.albums.folder_plan_read_error'), 'error');
+      }
+    } finally {
+      drop.classList.remove('opacity-60', 'pointer-events-none');
+    }
+  }
+
+  drop.addEventListener('dragover', (e) => { e.preventDefault(); drop.classList.add('bg-gray-100'); });
+  drop.addEventListener('dragleave', () => { drop.classList.remove('bg-gray-100'); });
+  drop.addEventListener('drop', (e) => {
+    e.preventDefault();
+    drop.classList.remove('bg-gray-100');
+    if (running) return;
+    // Entries must be taken synchronously: the DataTransfer is emptied once the handler returns
+    const entries = Array.from(e.dataTransfer?.items || [])
+      .map((item) => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    buildPlan(async (builder) => {
+      for (const entry of entries) await collectEntry(entry, '', builder);
+    });
+  });
+
+  chooseBtn.addEventListener('click', async () => {
+    if (running) return;
+    if (typeof window.showDirectoryPicker === 'function') {
+      let handle;
+      try {
+        handle = await window.showDirectoryPicker({ mode: 'read' });
+      } catch (e) {
+        return; // picker dismissed
+      }
+      buildPlan((builder) => collectHandle(handle, handle.name, builder));
+      return;
+    }
+    input.click();
+  });
+
+  // Fallback picker (<input webkitdirectory>): paths come from webkitRelativePath
+  input.addEventListener('change', () => {
+    const files = Array.from(input.files || []);
+    input.value = '';
+    if (!files.length) return;
+    buildPlan(async (builder) => {
+      files.forEach((file) => {
+        const parts = (file.webkitRelativePath || file.name).split('/');
+        parts.pop();
+        if (parts.some(isHidden)) return;
+        builder.add(parts.join('/'), file);
+      });
+    });
+  });
+
+  rowsEl.addEventListener('input', (e) => {
+    const row = e.target.closest('tr[data-index]');
+    const album = row && plan ? plan.albums[Number(row.dataset.index)] : null;
+    if (!album || !e.target.matches('[data-plan-title]')) return;
+    album.title = e.target.value;
+    updateActions();
+  });
+  rowsEl.addEventListener('change', (e) => {
+    if (!e.target.matches('[data-plan-include]')) return;
+    const row = e.target.closest('tr[data-index]');
+    const album = row && plan ? plan.albums[Number(row.dataset.index)] : null;
+    if (album) album.include = e.target.checked;
+    updateActions();
+  });
+
+  createBtn.addEventListener('click', () => { if (plan && !running) runPlan(); });
+  cancelBtn.addEventListener('click', () => {
+    if (running) return;
+    plan = null;
+    rowsEl.innerHTML = '';
+    planEl.classList.add('hidden');
+  });
+}
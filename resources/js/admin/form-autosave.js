@@ -0,0 +1,247 @@
+/**
+ * Autosave and crash recovery for admin forms.
+ *
+ * Forms marked data-autosave="<entity>" ("album:12", "page:about") keep what is typed,
+ * TinyMCE content included, in IndexedDB (draft-store.js) a second after every change and
+ * when the page goes away, so an expired session or a full reload does not lose it.
+ * Reopening the form with a draft that differs from what the server rendered shows a
+ * "restore unsaved draft from <time>?" banner, with a word diff of every changed field
+ * against the saved version. Autosave is paused until the draft is restored or discarded.
+ *
+ * A draft matching the saved version is dropped (the save went through). The create form
+ * of an entity is superseded by its edit form: data-autosave-supersedes="album:new" drops
+ * that draft once submitted with the title this entity now has. CSRF, password, file and
+ * hidden fields are never stored, nor anything inside [data-autosave-ignore].
+ */
+import tinymce from 'tinymce/tinymce'
+import { t, tf } from './utils.js'
+import { getDraft, putDraft, deleteDraft, purgeOldDrafts } from './draft-store.js'
+import { trackedFields, readFields, writeFields, richText, changedNames } from './form-fields.js'
+
+const SAVE_DELAY = 1000;
+const EDITOR_EVENTS = 'input change undo redo';
+// Word diffs are quadratic: longer texts are shown whole, old version struck out
+const DIFF_MAX_CELLS = 400000;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+let instances = [];
+
+function fieldLabel(el) {
+  const label = el.labels?.[0] || el.closest('div')?.querySelector('label');
+  const text = (label?.textContent || '').replace(/\s+/g, ' ').replace(/\*$/, '').trim();
+  return text || el.getAttribute('placeholder') || el.name;
+}
+
+// Readable value of a field: option and checkbox labels, rich text as text
+function displayValue(form, name, fields) {
+  const values = fields.filter(([field]) => field === name).map(([, value]) => value);
+  const elements = trackedFields(form).filter((el) => el.name === name);
+  const first = elements[0];
+  if (!first) return values.join(', ');
+  if (first.tagName === 'SELECT') {
+    return values.map((value) => Array.from(first.options).find((option) => option.value === value)?.text.trim() || value).join(', ');
+  }
+  if (first.type === 'checkbox' || first.type === 'radio') {
+    return elements.filter((el) => values.includes(el.value)).map((el) => (el.closest('label')?.textContent || el.value).trim()).join(', ');
+  }
+  return values.map((value) => (first.classList.contains('richtext') ? richText(value) : value)).join('\n');
+}
+
+/**
+ * Word diff of two texts as HTML: removed words in <del>, added ones in <ins>.
+ */
+function wordDiff(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const del = (text) => `<del class="bg-red-100 text-red-800">${escapeHtml(text)}</del>`;
+  const ins = (text) => `<ins class="bg-green-100 text-green-800 no-underline">${escapeHtml(text)}</ins>`;
+  if (a.length * b.length > DIFF_MAX_CELLS) return `${del(before)} ${ins(after)}`;
+
+  // Longest common subsequence lengths, from the end
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = a[i] === b[j] ? lcs[(i + 1) * cols + j + 1] + 1 : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push(escapeHtml(a[i]));
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      out.push(del(a[i++]));
+    } else {
+      out.push(ins(b[j++]));
+    }
+  }
+  while (i < a.length) out.push(del(a[i++]));
+  while (j < b.length) out.push(ins(b[j++]));
+  return out.join('');
+}
+
+function renderDiff(form, names, saved, draft) {
+  const empty = `<span class="text-gray-400">${escapeHtml(t('admin.drafts.empty'))}</span>`;
+  const legend = `
+    <p class="text-xs text-gray-600 flex gap-4">
+      <span><del class="bg-red-100 text-red-800">${escapeHtml(t('admin.drafts.saved_version'))}</del></span>
+      <span><ins class="bg-green-100 text-green-800 no-underline">${escapeHtml(t('admin.drafts.draft_version'))}</ins></span>
+    </p>`;
+  return legend + names.map((name) => {
+    const el = trackedFields(form).find((field) => field.name === name);
+    const before = displayValue(form, name, saved);
+    const after = displayValue(form, name, draft);
+    return `
+      <div class="bg-white border border-gray-200 rounded p-3">
+        <div class="text-xs font-medium text-gray-700 mb-1">${escapeHtml(el ? fieldLabel(el) : name)}</div>
+        <div class="text-sm text-gray-900 leading-relaxed whitespace-pre-wrap break-words">${before || after ? wordDiff(before, after) : empty}</div>
+      </div>`;
+  }).join('');
+}
+
+function formatTime(timestamp) {
+  try {
+    return new Date(timestamp).toLocaleString(document.documentElement.lang || undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  } catch (e) {
+    return new Date(timestamp).toLocaleString();
+  }
+}
+
+function attach(form) {
+  const key = form.dataset.autosave;
+  const saved = readFields(form);
+  const cleanups = [];
+  const boundEditors = new WeakSet();
+  let timer = null;
+  // A draft from an earlier visit waits for restore/discard before anything is overwritten
+  let pending = false;
+  let banner = null;
+
+  const on = (target, event, handler) => {
+    target.addEventListener(event, handler);
+    cleanups.push(() => target.removeEventListener(event, handler));
+  };
+
+  const save = (submitted = false) => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending) return;
+    const fields = readFields(form);
+    if (!changedNames(form, saved, fields).length) {
+      deleteDraft(key);
+      return;
+    }
+    putDraft({ key, path: window.location.pathname, savedAt: Date.now(), submittedAt: submitted ? Date.now() : null, fields });
+  };
+  const schedule = () => {
+    if (pending) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => save(), SAVE_DELAY);
+  };
+
+  const bindEditor = (editor) => {
+    if (!editor || boundEditors.has(editor) || !form.contains(editor.getElement())) return;
+    boundEditors.add(editor);
+    editor.on(EDITOR_EVENTS, schedule);
+    cleanups.push(() => { try { editor.off(EDITOR_EVENTS, schedule); } catch (e) {} });
+  };
+  (tinymce.get() || []).forEach(bindEditor);
+  const onAddEditor = (e) => bindEditor(e.editor);
+  tinymce.on('AddEditor', onAddEditor);
+  cleanups.push(() => tinymce.off('AddEditor', onAddEditor));
+
+  on(form, 'input', schedule);
+  on(form, 'change', schedule);
+  on(form, 'submit', () => save(true));
+  const onPageHide = () => { if (timer) save(); };
+  on(window, 'pagehide', onPageHide);
+
+  const closeBanner = () => {
+    pending = false;
+    banner?.remove();
+    banner = null;
+  };
+
+  const offer = (draft, names) => {
+    pending = true;
+    banner = document.createElement('div');
+    banner.className = 'mb-6 rounded-lg border border-yellow-300 bg-yellow-50 p-4';
+    banner.setAttribute('role', 'alert');
+    banner.innerHTML = `
+      <div class="flex flex-wrap items-center justify-between gap-3">
+        <p class="text-sm text-yellow-900"><i class="fas fa-history mr-2"></i>${escapeHtml(tf('admin.drafts.found', { time: formatTime(draft.savedAt) }))}</p>
+        <div class="flex flex-wrap gap-2">
+          <button type="button" class="btn-secondary text-sm" data-draft-compare aria-expanded="false">${escapeHtml(t('admin.drafts.compare'))}</button>
+          <button type="button" class="btn-primary text-sm" data-draft-restore>${escapeHtml(t('admin.drafts.restore'))}</button>
+          <button type="button" class="btn-secondary text-sm" data-draft-discard>${escapeHtml(t('admin.drafts.discard'))}</button>
+        </div>
+      </div>
+      <div class="hidden mt-4 space-y-3" data-draft-diff></div>`;
+    form.parentNode.insertBefore(banner, form);
+
+    const diff = banner.querySelector('[data-draft-diff]');
+    banner.addEventListener('click', (e) => {
+      const compare = e.target.closest('[data-draft-compare]');
+      if (compare) {
+        const show = diff.classList.contains('hidden');
+        if (show && !diff.innerHTML) diff.innerHTML = renderDiff(form, names, saved, draft.fields);
+        diff.classList.toggle('hidden', !show);
+        compare.setAttribute('aria-expanded', String(show));
+        compare.textContent = t(show ? 'admin.drafts.hide_compare' : 'admin.drafts.compare');
+      } else if (e.target.closest('[data-draft-restore]')) {
+        closeBanner();
+        writeFields(form, draft.fields);
+        save();
+        if (window.showToast) window.showToast(t('admin.drafts.restored'), 'success');
+      } else if (e.target.closest('[data-draft-discard]')) {
+        closeBanner();
+        deleteDraft(key);
+        if (window.showToast) window.showToast(t('admin.drafts.discarded'), 'info');
+      }
+    });
+  };
+
+  (async () => {
+    const supersedes = form.dataset.autosaveSupersedes;
+    if (supersedes) {
+      const created = await getDraft(supersedes);
+      const title = (fields) => (fields.find(([name]) => name === 'title')?.[1] || '').trim();
+      if (created?.submittedAt && title(created.fields) && title(created.fields) === title(saved)) await deleteDraft(supersedes);
+    }
+    const draft = await getDraft(key);
+    if (!draft || !form.isConnected) return;
+    const names = changedNames(form, saved, draft.fields || []);
+    if (!names.length) {
+      deleteDraft(key);
+      return;
+    }
+    offer(draft, names);
+  })();
+
+  return {
+    destroy() {
+      // Leaving the page (SPA navigation) keeps the last keystrokes
+      if (timer) save();
+      cleanups.forEach((off) => { try { off(); } catch (e) {} });
+      banner?.remove();
+    }
+  };
+}
+
+export function initFormAutosave() {
+  destroyFormAutosave();
+  const forms = document.querySelectorAll('form[data-autosave]');
+  if (!forms.length) return;
+  purgeOldDrafts();
+  instances = Array.from(forms).map(attach);
+}
+
+export function destroyFormAutosave() {
+  instances.forEach((instance) => { try { instance.destroy(); } catch (e) {} });
+  instances = [];
+}
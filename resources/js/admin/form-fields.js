@@ -0,0 +1,91 @@
+/**
+ * Reading, writing and comparing the values of admin forms, TinyMCE and TomSelect
+ * fields included. Shared by autosave (form-autosave.js) and the unsaved-changes
+ * guard (dirty-guard.js).
+ */
+import tinymce from 'tinymce/tinymce'
+
+const SKIPPED_TYPES = ['hidden', 'password', 'file', 'submit', 'button', 'reset', 'image'];
+
+/**
+ * Fields a form submits that are worth keeping: CSRF, password, file and hidden inputs are
+ * left out, and so is anything inside [data-autosave-ignore] (saved on its own).
+ */
+export const trackedFields = (form) => Array.from(form.elements).filter((el) => el.name
+  && el.name !== 'csrf'
+  && !SKIPPED_TYPES.includes(el.type)
+  && !el.closest('[data-autosave-ignore]'));
+
+const editorFor = (el) => (tinymce.get() || []).find((editor) => editor.getElement() === el) || null;
+
+/**
+ * The form's values as [name, value] pairs, in document order (checked boxes and
+ * selected options only, like a submit).
+ */
+export function readFields(form) {
+  const fields = [];
+  trackedFields(form).forEach((el) => {
+    const editor = editorFor(el);
+    if (editor?.initialized) editor.save();
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      if (el.checked) fields.push([el.name, el.value]);
+    } else if (el.type === 'select-multiple') {
+      Array.from(el.selectedOptions).forEach((option) => fields.push([el.name, option.value]));
+    } else {
+      fields.push([el.name, el.value]);
+    }
+  });
+  return fields;
+}
+
+export function writeFields(form, fields) {
+  const values = new Map();
+  fields.forEach(([name, value]) => values.set(name, [...(values.get(name) || []), value]));
+  const position = new Map();
+  trackedFields(form).forEach((el) => {
+    const list = values.get(el.name) || [];
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      el.checked = list.includes(el.value);
+    } else if (el.type === 'select-multiple') {
+      Array.from(el.options).forEach((option) => { option.selected = list.includes(option.value); });
+      el.tomselect?.setValue(list, true);
+    } else {
+      // Repeated names (excerpt fields of several languages) are restored in order
+      const index = position.get(el.name) || 0;
+      position.set(el.name, index + 1);
+      el.value = list[index] ?? '';
+      el.tomselect?.setValue(el.value, true);
+      // Editors still loading pick the value up from the textarea
+      const editor = editorFor(el);
+      if (editor?.initialized) editor.setContent(el.value);
+    }
+    // Dependent UI (password box, slug preview) follows the restored values
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+// Rich text is compared by its text and images: TinyMCE and the server sanitizer
+// serialize the same content differently
+export function richText(html) {
+  const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+  const images = Array.from(doc.querySelectorAll('img')).map((img) => `[${img.getAttribute('src') || ''}]`);
+  return [doc.body.textContent.replace(/\s+/g, ' ').trim(), ...images].join(' ').trim();
+}
+
+function normalized(form, fields) {
+  const rich = new Set(Array.from(form.querySelectorAll('textarea.richtext')).map((el) => el.name));
+  const values = new Map();
+  fields.forEach(([name, value]) => {
+    const text = rich.has(name) ? richText(value) : String(value).trim();
+    values.set(name, [...(values.get(name) || []), text]);
+  });
+  return values;
+}
+
+// Names whose values differ between two field lists
+export function changedNames(form, a, b) {
+  const left = normalized(form, a);
+  const right = normalized(form, b);
+  return [...new Set([...left.keys(), ...right.keys()])]
+    .filter((name) => JSON.stringify(left.get(name) || []) !== JSON.stringify(right.get(name) || []));
+}
@@ -0,0 +1,140 @@
+/**
+ * HEIC/HEIF, AVIF and TIFF support for album uploads.
+ *
+ * The server keeps these files untouched as the image source (offered for download) and
+ * decodes them to a JPEG master when it has a decoder (App\Services\ImageDecodeService).
+ * For formats it cannot read, FormatDecoder converts the file in the browser before upload
+ * (createImageBitmap → canvas → JPEG) and, once the master is stored, uploads the untouched
+ * file as its source (file.meta.source_for = image id). Files neither side can decode fail
+ * with an explanatory error instead of reaching the server.
+ */
+import { BasePlugin } from '@uppy/core'
+import { tf } from './utils.js'
+
+export const SOURCE_TYPES = { heic: 'image/heic', heif: 'image/heif', avif: 'image/avif', tiff: 'image/tiff' };
+const SOURCE_EXTENSIONS = { heic: 'heic', heif: 'heif', hif: 'heif', avif: 'avif', tif: 'tiff', tiff: 'tiff' };
+// Uppy restriction entries: browsers often report an empty type for HEIC, so extensions are listed too
+export const SOURCE_FILE_TYPES = [...Object.values(SOURCE_TYPES), ...Object.keys(SOURCE_EXTENSIONS).map((ext) => `.${ext}`)];
+// Largest canvas Safari accepts; bigger sources get a downscaled master (the source stays full size)
+const MAX_CANVAS_PIXELS = 16777216;
+const MASTER_QUALITY = 0.92;
+
+/**
+ * heic|heif|avif|tiff for source formats, null for anything else.
+ */
+export function sourceFormatOf(file) {
+  const type = String(file.type || '').toLowerCase();
+  const byType = Object.keys(SOURCE_TYPES).find((format) => SOURCE_TYPES[format] === type || type === `${SOURCE_TYPES[format]}-sequence`);
+  if (byType) return byType;
+  if (type && !type.startsWith('application/')) return null;
+  const ext = String(file.name || '').split('.').pop().toLowerCase();
+  return SOURCE_EXTENSIONS[ext] || null;
+}
+
+let serverFormats = null;
+
+/**
+ * Formats the server decodes itself (cached for the session once known).
+ */
+export function serverDecodableFormats() {
+  if (!serverFormats) {
+    serverFormats = fetch(`${window.basePath || ''}/admin/upload/formats`, { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' })
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+      .then((data) => data.formats || [])
+      .catch(() => {
+        serverFormats = null; // ask again next time
+        return [];
+      });
+  }
+  return serverFormats;
+}
+
+/**
+ * Decode an image Blob with the browser and re-encode it as a JPEG master.
+ * Rejects when the browser has no decoder for the format.
+ */
+export async function decodeToJpeg(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, Math.sqrt(MAX_CANVAS_PIXELS / (bitmap.width * bitmap.height)));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha: flatten on white like the server does
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const jpeg = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', MASTER_QUALITY));
+  canvas.width = canvas.height = 0;
+  if (!jpeg) throw new Error('JPEG encoding failed');
+  return jpeg;
+}
+
+export default class FormatDecoder extends BasePlugin {
+  constructor(uppy, opts) {
+    super(uppy, opts);
+    this.id = this.opts.id || 'FormatDecoder';
+    this.type = 'modifier';
+    // file id → untouched source waiting for its master to be stored
+    this.sources = new Map();
+    this.prepareUpload = this.prepareUpload.bind(this);
+    this.onUploadSuccess = this.onUploadSuccess.bind(this);
+    this.onFileRemoved = this.onFileRemoved.bind(this);
+  }
+
+  install() {
+    this.uppy.addPreProcessor(this.prepareUpload);
+    this.uppy.on('upload-success', this.onUploadSuccess);
+    this.uppy.on('file-removed', this.onFileRemoved);
+  }
+
+  uninstall() {
+    this.uppy.removePreProcessor(this.prepareUpload);
+    this.uppy.off('upload-success', this.onUploadSuccess);
+    this.uppy.off('file-removed', this.onFileRemoved);
+  }
+
+  async prepareUpload(fileIDs) {
+    const files = this.uppy.getFilesByIds(fileIDs)
+      .filter((file) => !file.error && !file.meta.source_for && !file.meta.source_format && sourceFormatOf(file));
+    if (!files.length) return;
+
+    const decodable = await serverDecodableFormats();
+    for (const file of files) {
+      const format = sourceFormatOf(file);
+      if (decodable.includes(format)) {
+        this.uppy.setFileMeta(file.id, { source_format: format });
+        continue;
+      }
+      this.uppy.emit('preprocess-progress', file, { mode: 'indeterminate', message: tf('admin.upload.converting', { format: format.toUpperCase() }) });
+      try {
+        const master = await decodeToJpeg(file.data);
+        this.sources.set(file.id, { name: file.name, type: SOURCE_TYPES[format], data: file.data });
+        this.uppy.setFileState(file.id, { data: master, size: master.size, type: 'image/jpeg' });
+        this.uppy.setFileMeta(file.id, { source_format: format, type: 'image/jpeg' });
+        this.uppy.emit('preprocess-complete', this.uppy.getFile(file.id));
+      } catch (err) {
+        this.uppy.log(`[FormatDecoder] ${file.name}: ${err.message}`, 'warning');
+        this.uppy.emit('upload-error', this.uppy.getFile(file.id), new Error(tf('admin.upload.format_unsupported', { format: format.toUpperCase() })));
+      }
+    }
+  }
+
+  onUploadSuccess(file, response) {
+    const source = file && this.sources.get(file.id);
+    if (!source) return;
+    this.sources.delete(file.id);
+    const imageId = Number(response?.body?.id);
+    if (!imageId) return;
+    try {
+      this.uppy.addFile({ source: 'format-decoder', name: source.name, type: source.type, data: source.data, meta: { source_for: imageId, duplicate_checked: true } });
+    } catch (e) {
+      this.uppy.log(`[FormatDecoder] cannot queue source of ${source.name}: ${e.message}`, 'warning');
+    }
+  }
+
+  onFileRemoved(file) {
+    this.sources.delete(file.id);
+  }
+}
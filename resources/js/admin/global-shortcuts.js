@@ -0,0 +1,68 @@
+/**
+ * Shortcuts available on every admin page: "g" sequences to the main sections, "n" for a
+ * new album, "s" to save the form being edited (also Ctrl/Cmd+S, which works while typing)
+ * and "?" for the cheat sheet.
+ * Pages add their own through window.AdminShortcuts.register(scope, commands).
+ */
+import { t } from './utils.js'
+import { initShortcuts, registerShortcuts } from './shortcuts.js'
+import { toggleShortcutSheet } from './shortcut-sheet.js'
+
+let bound = false;
+
+const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select';
+
+function navigate(path) {
+  const url = `${window.basePath || ''}${path}`;
+  if (window.AdminNavigate) window.AdminNavigate(url);
+  else window.location.href = url;
+}
+
+/**
+ * The form "save" submits: the one holding focus, else the one in an open modal, else
+ * the page's largest. Only visible POST forms with fields count (not delete buttons).
+ */
+function formToSave() {
+  const forms = Array.from(document.querySelectorAll('#page-content form[method="post" i]'))
+    .filter((form) => form.getClientRects().length && form.querySelector(FIELDS));
+  const active = document.activeElement;
+  return forms.find((form) => form.contains(active))
+    || forms.find((form) => form.closest('.fixed'))
+    || forms.sort((a, b) => b.querySelectorAll(FIELDS).length - a.querySelectorAll(FIELDS).length)[0]
+    || null;
+}
+
+function saveForm() {
+  const form = formToSave();
+  if (!form) {
+    window.showToast?.(t('admin.shortcuts.nothing_to_save'), 'info');
+    return;
+  }
+  const submitter = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+  form.requestSubmit(submitter && submitter.form === form ? submitter : undefined);
+}
+
+/**
+ * Start listening for shortcuts and register the global commands, once per page load.
+ */
+export function initGlobalShortcuts() {
+  if (bound) return;
+  bound = true;
+  initShortcuts();
+  registerShortcuts('global', [
+    { id: 'go_dashboard', keys: 'g d', label: 'admin.shortcuts.cmd_go_dashboard', run: () => navigate('/admin') },
+    { id: 'go_albums', keys: 'g a', label: 'admin.shortcuts.cmd_go_albums', run: () => navigate('/admin/albums') },
+    { id: 'go_media', keys: 'g m', label: 'admin.shortcuts.cmd_go_media', run: () => navigate('/admin/media') },
+    { id: 'go_pages', keys: 'g p', label: 'admin.shortcuts.cmd_go_pages', run: () => navigate('/admin/pages') },
+    { id: 'go_settings', keys: 'g s', label: 'admin.shortcuts.cmd_go_settings', run: () => navigate('/admin/settings') },
+    { id: 'new_album', keys: 'n', label: 'admin.shortcuts.cmd_new_album', run: () => navigate('/admin/albums/create') },
+    // Plain "s" never fires in a field; Ctrl/Cmd+S also saves from inside one
+    { id: 'save', keys: 's, mod+s', label: 'admin.shortcuts.cmd_save', inputs: true, run: saveForm },
+    { id: 'help', keys: '?', label: 'admin.shortcuts.cmd_help', run: toggleShortcutSheet }
+  ]);
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-shortcut-sheet]')) return;
+    e.preventDefault();
+    toggleShortcutSheet();
+  });
+}
@@ -0,0 +1,327 @@
+/**
+ * Multi-select and keyboard reordering for the album image grid.
+ *
+ * Works on top of the Sortable grid: cards whose [data-select-id] checkbox is ticked move
+ * together (dragging one of them, or the "move selection" controls), and any focused card
+ * can be picked up with Space, moved with the arrow keys/Home/End, dropped with Space or
+ * Enter and put back with Escape. Every finished move is saved by the caller's save(ids),
+ * and announced in #grid-reorder-status for screen readers.
+ *
+ * On the windowed grid of large albums (virtual-grid.js) order and selection come from
+ * grid._virtual rather than the rendered cards, so every move covers the whole album.
+ */
+import { t, tf } from './utils.js'
+
+export const gridOrder = (grid) => (grid._virtual
+  ? grid._virtual.order()
+  : Array.from(grid.querySelectorAll('[data-id]')).map((el) => el.getAttribute('data-id')));
+
+export const selectedIds = (grid) => (grid._virtual
+  ? grid._virtual.selectedIds()
+  : Array.from(grid.querySelectorAll('[data-select-id]:checked')).map((cb) => cb.getAttribute('data-select-id')));
+
+/**
+ * New order with `ids` moved as one block (in their current relative order) to `index`
+ * (0-based position of the block's first item in the resulting order).
+ */
+export function moveBlock(order, ids, index) {
+  const moving = new Set(ids.map(String));
+  const block = order.filter((id) => moving.has(id));
+  const rest = order.filter((id) => !moving.has(id));
+  const at = Math.max(0, Math.min(index, rest.length));
+  return [...rest.slice(0, at), ...block, ...rest.slice(at)];
+}
+
+/**
+ * Reorder the grid's cards in place to match `ids`.
+ */
+export function applyOrder(grid, ids) {
+  if (grid._virtual) {
+    grid._virtual.setOrder(ids);
+    return;
+  }
+  const cards = new Map(Array.from(grid.querySelectorAll('[data-id]')).map((el) => [el.getAttribute('data-id'), el]));
+  ids.forEach((id) => {
+    const card = cards.get(String(id));
+    if (card) grid.appendChild(card);
+  });
+}
+
+// Cards per row, for Up/Down moves (the grid is responsive)
+function columnCount(grid) {
+  const cards = grid.querySelectorAll('[data-id]');
+  if (!cards.length) return 1;
+  const top = cards[0].offsetTop;
+  let cols = 0;
+  for (const card of cards) {
+    if (card.offsetTop !== top) break;
+    cols++;
+  }
+  return Math.max(1, cols);
+}
+
+function announce(message) {
+  const region = document.getElementById('grid-reorder-status');
+  if (!region) return;
+  // Clear first so repeating the same text is read again
+  region.textContent = '';
+  setTimeout(() => { region.textContent = message; }, 50);
+}
+
+/**
+ * Sortable hooks that drag every selected card along with the one being dragged.
+ */
+export function multiDragHandlers(grid) {
+  let group = null;
+  return {
+    onStart(evt) {
+      const id = evt.item.getAttribute('data-id');
+      const selected = selectedIds(grid);
+      group = selected.length > 1 && selected.includes(id) ? selected : null;
+      if (group) {
+        group.forEach((other) => {
+          if (other !== id) grid.querySelector(`[data-id="${other}"]`)?.classList.add('opacity-40');
+        });
+      }
+    },
+    // Returns the order to save, with the dragged selection gathered at the drop point,
+    // or null when the cards were dropped into another list (split view)
+    onEnd(evt) {
+      if (evt.to !== grid) {
+        group?.forEach((other) => grid.querySelector(`[data-id="${other}"]`)?.classList.remove('opacity-40'));
+        group = null;
+        return null;
+      }
+      const order = gridOrder(grid);
+      if (!group) return order;
+      const id = evt.item.getAttribute('data-id');
+      const others = new Set(group.filter((other) => other !== id));
+      const next = order.filter((other) => !others.has(other));
+      // The dragged card's drop spot takes the whole selection, in its order from before the drag
+      next.splice(next.indexOf(id), 1, ...group);
+      group.forEach((other) => grid.querySelector(`[data-id="${other}"]`)?.classList.remove('opacity-40'));
+      group = null;
+      applyOrder(grid, next);
+      return next;
+    }
+  };
+}
+
+/**
+ * Focus and screen reader attributes of grid cards (the windowed grid calls this for new cards).
+ */
+export function decorateCards(cards) {
+  cards.forEach((card) => {
+    card.setAttribute('tabindex', '0');
+    card.setAttribute('aria-roledescription', t('admin.albums.reorder_card_role'));
+    card.setAttribute('aria-describedby', 'grid-reorder-help');
+    const name = card.getAttribute('data-title') || card.getAttribute('data-alt_text') || `#${card.getAttribute('data-id')}`;
+    card.setAttribute('aria-label', name);
+  });
+}
+
+/**
+ * Keyboard reordering and "move selection" controls. save(ids, message) persists an order;
+ * it is only called for finished moves (drop, not every arrow press).
+ */
+export function initGridReorder(grid, { save }) {
+  if (grid._reorderKeyHandler) grid.removeEventListener('keydown', grid._reorderKeyHandler);
+  if (grid._reorderBlurHandler) grid.removeEventListener('focusout', grid._reorderBlurHandler);
+
+  const total = () => gridOrder(grid).length;
+  const positionOf = (id) => gridOrder(grid).indexOf(String(id)) + 1;
+
+  decorateCards(Array.from(grid.querySelectorAll('[data-id]')));
+
+  // Picked-up state: ids moving, order to restore on Escape
+  let grabbed = null;
+  // Moving a focused node blurs it: those focusouts are not the user leaving the grid
+  let rearranging = false;
+  const rearrange = (ids, focusId) => {
+    rearranging = true;
+    applyOrder(grid, ids);
+    grid._virtual?.reveal(focusId);
+    grid.querySelector(`[data-id="${focusId}"]`)?.focus();
+    rearranging = false;
+  };
+
+  const setGrabbed = (value) => {
+    grid.querySelectorAll('[data-id][aria-grabbed]').forEach((card) => {
+      card.removeAttribute('aria-grabbed');
+      card.classList.remove('ring-2', 'ring-black');
+    });
+    grabbed = value;
+    grabbed?.ids.forEach((id) => {
+      const card = grid.querySelector(`[data-id="${id}"]`);
+      card?.setAttribute('aria-grabbed', 'true');
+      card?.classList.add('ring-2', 'ring-black');
+    });
+  };
+
+  const moveGrabbed = (index, focusId) => {
+    rearrange(moveBlock(gridOrder(grid), grabbed.ids, index), focusId);
+    announce(tf('admin.albums.reorder_moved', { position: positionOf(grabbed.ids[0]), total: total() }));
+  };
+
+  const keyHandler = (e) => {
+    const card = e.target;
+    if (!card.matches?.('[data-id]') || e.ctrlKey || e.metaKey || e.altKey) return;
+    const id = card.getAttribute('data-id');
+
+    if (!grabbed) {
+      if (e.key === ' ') {
+        e.preventDefault();
+        const selected = selectedIds(grid);
+        const ids = selected.length > 1 && selected.includes(id) ? selected : [id];
+        const before = gridOrder(grid);
+        // A scattered selection becomes one block where its first card is
+        const start = Math.min(...ids.map((other) => before.indexOf(other)));
+        rearrange(moveBlock(before, ids, start), id);
+        setGrabbed({ ids: gridOrder(grid).filter((other) => ids.includes(other)), before });
+        announce(tf('admin.albums.reorder_grabbed', { count: ids.length, position: positionOf(grabbed.ids[0]), total: total() }));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        card.querySelector('.aspect-square')?.click();
+      }
+      return;
+    }
+
+    const start = positionOf(grabbed.ids[0]) - 1;
+    const last = total() - grabbed.ids.length;
+    switch (e.key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        moveGrabbed(start - 1, id);
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        moveGrabbed(Math.min(last, start + 1), id);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        moveGrabbed(start - columnCount(grid), id);
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        moveGrabbed(Math.min(last, start + columnCount(grid)), id);
+        break;
+      case 'Home':
+        e.preventDefault();
+        moveGrabbed(0, id);
+        break;
+      case 'End':
+        e.preventDefault();
+        moveGrabbed(last, id);
+        break;
+      case ' ':
+      case 'Enter': {
+        e.preventDefault();
+        const { ids, before } = grabbed;
+        setGrabbed(null);
+        const order = gridOrder(grid);
+        const message = tf('admin.albums.reorder_dropped', { count: ids.length, position: positionOf(ids[0]), total: total() });
+        announce(message);
+        if (order.join(',') !== before.join(',')) save(order, message);
+        break;
+      }
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        rearrange(grabbed.before, id);
+        setGrabbed(null);
+        announce(t('admin.albums.reorder_cancelled'));
+        break;
+      default:
+        // Tab out of the grid mid-move puts the cards back (see focusout)
+    }
+  };
+
+  const blurHandler = (e) => {
+    if (!grabbed || rearranging || grid.contains(e.relatedTarget)) return;
+    applyOrder(grid, grabbed.before);
+    setGrabbed(null);
+    announce(t('admin.albums.reorder_cancelled'));
+  };
+
+  grid._reorderKeyHandler = keyHandler;
+  grid._reorderBlurHandler = blurHandler;
+  grid.addEventListener('keydown', keyHandler);
+  grid.addEventListener('focusout', blurHandler);
+
+  bindMoveControls(grid, save);
+}
+
+// "Move selection to start / end / position N" in the bulk actions bar
+function bindMoveControls(grid, save) {
+  const bar = document.getElementById('bulk-move');
+  if (!bar) return;
+  const input = document.getElementById('bulk-move-position');
+
+  const update = () => {
+    const none = selectedIds(grid).length === 0;
+    bar.querySelectorAll('button').forEach((btn) => { btn.disabled = none; });
+    if (input) {
+      input.disabled = none;
+      input.max = String(total());
+    }
+  };
+  const total = () => gridOrder(grid).length;
+
+  const clickHandler = (e) => {
+    const btn = e.target.closest('[data-move-selection]');
+    if (!btn) return;
+    e.preventDefault();
+    const ids = selectedIds(grid);
+    if (!ids.length) return;
+    const order = gridOrder(grid);
+    let index = 0;
+    switch (btn.getAttribute('data-move-selection')) {
+      case 'end':
+        index = order.length;
+        break;
+      case 'position': {
+        const position = parseInt(input?.value || '', 10);
+        if (!position || position < 1) {
+          input?.focus();
+          return;
+        }
+        index = position - 1;
+        break;
+      }
+      default:
+    }
+    const next = moveBlock(order, ids, index);
+    if (next.join(',') === order.join(',')) return;
+    applyOrder(grid, next);
+    const message = tf('admin.albums.reorder_moved_selection', { count: ids.length, position: next.indexOf(ids[0]) + 1 });
+    announce(message);
+    save(next, message);
+  };
+
+  const keyHandler = (e) => {
+    if (e.target === input && e.key === 'Enter') {
+      e.preventDefault();
+      bar.querySelector('[data-move-selection="position"]')?.click();
+    }
+  };
+
+  if (bar._moveClickHandler) bar.removeEventListener('click', bar._moveClickHandler);
+  if (bar._moveKeyHandler) bar.removeEventListener('keydown', bar._moveKeyHandler);
+  if (grid._moveChangeHandler) grid.removeEventListener('change', grid._moveChangeHandler);
+  const selectAll = document.getElementById('select-all');
+  if (selectAll?._moveChangeHandler) selectAll.removeEventListener('change', selectAll._moveChangeHandler);
+
+  // Select-all ticks the boxes in its own listener: read the state after it ran
+  const changeHandler = () => setTimeout(update, 0);
+  bar._moveClickHandler = clickHandler;
+  bar._moveKeyHandler = keyHandler;
+  grid._moveChangeHandler = changeHandler;
+  bar.addEventListener('click', clickHandler);
+  bar.addEventListener('keydown', keyHandler);
+  grid.addEventListener('change', changeHandler);
+  if (selectAll) {
+    selectAll._moveChangeHandler = changeHandler;
+    selectAll.addEventListener('change', changeHandler);
+  }
+  update();
+}
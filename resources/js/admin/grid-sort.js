@@ -0,0 +1,175 @@
+/**
+ * Sort modes for the album image grid ("Sort by" selector on the album editor).
+ *
+ * Sorting only rearranges the cards; the order is persisted with the Save order button.
+ * Keys come from data-* attributes rendered on each card (AlbumsController::edit), except
+ * the dominant hue, which is measured from the loaded thumbnails the first time it is
+ * needed and cached on the card as data-hue. Cards missing a key keep their relative
+ * order after the ones that have it. On the windowed grid the keys come from grid._virtual,
+ * so the whole album is sorted, not just the rendered cards.
+ */
+import { gridOrder } from './grid-reorder.js'
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+// Below this average chroma a thumbnail counts as neutral (B&W, grey skies): sorted after colours
+const NEUTRAL_CHROMA = 0.08;
+const HUE_SAMPLE = 24;
+
+const parseDate = (s) => new Date(s || '1970-01-01T00:00:00Z').getTime();
+
+// EXIF DateTimeOriginal ("2024:05:01 18:30:00") as a timestamp, or null
+function parseExifDate(value) {
+  if (!value) return null;
+  const iso = String(value).trim().replace(/^(\d{4}):(\d{2}):(\d{2})[ T]?/, '$1-$2-$3T');
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Sort input: each card's data-* values and a getter for its thumbnail
+function entriesOf(grid) {
+  if (grid._virtual) return grid._virtual.entries();
+  return Array.from(grid.querySelectorAll('[data-id]')).map((card) => ({
+    id: card.dataset.id,
+    data: card.dataset,
+    image: () => card.querySelector('img')
+  }));
+}
+
+const text = (data, key) => (data[key] || '').trim();
+const number = (data, key) => {
+  const value = parseFloat(data[key]);
+  return Number.isFinite(value) ? value : null;
+};
+const aspect = (data) => {
+  const w = number(data, 'w');
+  const h = number(data, 'h');
+  return w && h ? w / h : null;
+};
+
+/**
+ * Average hue of a loaded image, weighted by chroma so colourful areas dominate.
+ * @return {{hue:number, chroma:number, light:number}|null}
+ */
+function measureHue(img) {
+  if (!img || !img.complete || !img.naturalWidth) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = HUE_SAMPLE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  try {
+    ctx.drawImage(img, 0, 0, HUE_SAMPLE, HUE_SAMPLE);
+    const { data } = ctx.getImageData(0, 0, HUE_SAMPLE, HUE_SAMPLE);
+    let x = 0, y = 0, chroma = 0, light = 0;
+    const pixels = data.length / 4;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i] / 255, g = data[i + 1] / 255, b = data[i + 2] / 255;
+      const max = Math.max(r, g, b), min = Math.min(r, g, b);
+      const c = max - min;
+      light += (max + min) / 2;
+      chroma += c;
+      if (c === 0) continue;
+      let h;
+      if (max === r) h = ((g - b) / c) % 6;
+      else if (max === g) h = (b - r) / c + 2;
+      else h = (r - g) / c + 4;
+      const rad = (h * 60) * Math.PI / 180;
+      x += Math.cos(rad) * c;
+      y += Math.sin(rad) * c;
+    }
+    const hue = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    return { hue, chroma: chroma / pixels, light: light / pixels };
+  } catch (e) {
+    // Cross-origin thumbnail (CDN): cannot read pixels
+    return null;
+  }
+}
+
+async function hueOf(entry) {
+  const { data } = entry;
+  if (data.hue !== undefined) {
+    if (!data.hue) return null;
+    const [hue, chroma, light] = data.hue.split(',').map(Number);
+    return { hue, chroma, light };
+  }
+  const img = entry.image();
+  if (img && !img.complete) {
+    await new Promise((resolve) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    });
+  }
+  const measured = measureHue(img);
+  data.hue = measured ? [measured.hue.toFixed(1), measured.chroma.toFixed(3), measured.light.toFixed(3)].join(',') : '';
+  return measured;
+}
+
+// Compare two keys, keeping missing ones last whatever the direction
+function compareKeys(a, b, compare) {
+  if (a === null || a === '') return b === null || b === '' ? 0 : 1;
+  if (b === null || b === '') return -1;
+  return compare(a, b);
+}
+
+const byNumber = (dir) => (a, b) => (a - b) * dir;
+const byText = (a, b) => collator.compare(a, b);
+
+// mode → [key(data), compare(a, b)]
+const MODES = {
+  created_newest: [(data) => parseDate(data.created), byNumber(-1)],
+  created_oldest: [(data) => parseDate(data.created), byNumber(1)],
+  taken_newest: [(data) => parseExifDate(data.taken), byNumber(-1)],
+  taken_oldest: [(data) => parseExifDate(data.taken), byNumber(1)],
+  filename: [(data) => text(data, 'filename'), byText],
+  camera: [(data) => text(data, 'camera'), byText],
+  lens: [(data) => text(data, 'lens'), byText],
+  portrait_first: [aspect, byNumber(1)],
+  landscape_first: [aspect, byNumber(-1)],
+  rating: [(data) => number(data, 'rating'), byNumber(-1)],
+  id_asc: [(data) => parseInt(data.id, 10) || 0, byNumber(1)],
+  id_desc: [(data) => parseInt(data.id, 10) || 0, byNumber(-1)],
+};
+
+// Colours around the wheel from red, then neutrals from light to dark
+function compareHue(a, b) {
+  const neutralA = a.chroma < NEUTRAL_CHROMA;
+  const neutralB = b.chroma < NEUTRAL_CHROMA;
+  if (neutralA !== neutralB) return neutralA ? 1 : -1;
+  return neutralA ? b.light - a.light : a.hue - b.hue;
+}
+
+/**
+ * Card ids of the grid in `mode` order. Camera and lens sorts keep capture order within a group.
+ */
+export async function sortedIds(grid, mode) {
+  const entries = entriesOf(grid);
+  let keyed;
+  let compare;
+  if (mode === 'hue') {
+    keyed = [];
+    for (const entry of entries) keyed.push({ entry, key: await hueOf(entry) });
+    compare = compareHue;
+  } else if (MODES[mode]) {
+    const [key, cmp] = MODES[mode];
+    keyed = entries.map((entry) => ({ entry, key: key(entry.data) }));
+    compare = cmp;
+  } else {
+    return entries.map((entry) => entry.id);
+  }
+  const taken = MODES.taken_oldest[0];
+  keyed.sort((a, b) => compareKeys(a.key, b.key, compare)
+    || ((mode === 'camera' || mode === 'lens') ? compareKeys(taken(a.entry.data), taken(b.entry.data), byNumber(1)) : 0));
+  return keyed.map(({ entry }) => entry.id);
+}
+
+export function reversedIds(grid) {
+  return gridOrder(grid).reverse();
+}
+
+// Fisher–Yates
+export function shuffledIds(grid) {
+  const ids = gridOrder(grid);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return ids;
+}
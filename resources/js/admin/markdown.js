@@ -0,0 +1,441 @@
+/**
+ * Markdown <-> HTML for the rich text fields.
+ *
+ * Covers the elements the editor keeps: paragraphs, h2–h4 ("#" headings map to h2, the
+ * first level a page body uses), bullet and numbered lists, blockquotes, links, rules,
+ * bold, italic and ~~strikethrough~~, with "\" at the end of a line for a line break.
+ * Markdown links open in a new tab like the editor's (target="_blank" rel="noopener").
+ * Whatever Markdown cannot say (underline, other links, media figures) is written as
+ * inline HTML, which markdownToHtml passes through, so switching back and forth between
+ * the two views does not lose anything.
+ */
+
+const LINK_TARGET = '_blank';
+const LINK_REL = 'noopener';
+
+// Spaces and tabs only: \s would also eat the &nbsp; of intentionally empty paragraphs
+const isBlank = (line) => /^[ \t]*$/.test(line);
+const trimSpace = (text) => text.replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+/* ---------------------------------------------------------------- HTML -> Markdown */
+
+const BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'blockquote', 'hr', 'div', 'figure', 'table', 'pre'];
+
+// Only what the parser below would read as markup: "snake_case" and "R&D" stay readable
+const escapeText = (text) => text
+  .replace(/[\\*[\]~]/g, '\\$&')
+  .replace(/(^|[^\p{L}\p{N}])_|_(?=[^\p{L}\p{N}]|$)/gu, (match) => match.replace('_', '\\_'))
+  .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+  .replace(/&(?=#\d{1,7};|#x[0-9a-f]{1,6};|[a-z][a-z0-9]{1,31};)/gi, '\\&');
+
+// Text at the start of a line that would otherwise open a heading, list or rule
+function escapeLineStarts(text) {
+  return text.split('\n').map((line) => line
+    .replace(/^(#{1,6})(?=[ \t]|$)/, '\\$1')
+    .replace(/^>/, '\\>')
+    .replace(/^([-+])(?=[ \t]|$)/, '\\$1')
+    .replace(/^(-[ \t]*){3,}$/, (rule) => `\\${rule}`)
+    .replace(/^(\d{1,9})([.)])(?=[ \t]|$)/, '$1\\$2')).join('\n');
+}
+
+function openTag(el) {
+  const attrs = Array.from(el.attributes).map((attr) => ` ${attr.name}="${escapeHtml(attr.value)}"`).join('');
+  return `<${el.tagName.toLowerCase()}${attrs}>`;
+}
+
+// Emphasis markers cannot sit next to spaces; nested emphasis alternates * and _
+function wrap(marker, inner) {
+  const parts = inner.match(/^([ \t\n]*)([\s\S]*?)([ \t\n]*)$/);
+  if (!parts[2]) return inner;
+  const char = /^\*|\*$/.test(parts[2]) ? '_' : '*';
+  const delimiter = marker === '~~' ? marker : char.repeat(marker.length);
+  return `${parts[1]}${delimiter}${parts[2]}${delimiter}${parts[3]}`;
+}
+
+function inlineMarkdown(node) {
+  let out = '';
+  // Adjacent text nodes are escaped together: the lookaheads above span them
+  let text = '';
+  const flush = () => {
+    out += escapeText(text.replace(/[ \t\r\n\f]+/g, ' '));
+    text = '';
+  };
+  node.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.nodeValue;
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    flush();
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'br') {
+      out += '\\\n';
+      return;
+    }
+    const inner = inlineMarkdown(child);
+    if (tag === 'strong' || tag === 'b') out += wrap('**', inner);
+    else if (tag === 'em' || tag === 'i') out += wrap('*', inner);
+    else if (tag === 's') out += wrap('~~', inner);
+    else if (tag === 'a' && isMarkdownLink(child)) out += `[${inner}](${escapeUrl(child.getAttribute('href'))})`;
+    else out += `${openTag(child)}${inner}</${tag}>`;
+  });
+  flush();
+  return out;
+}
+
+function isMarkdownLink(a) {
+  const names = Array.from(a.attributes).map((attr) => attr.name).sort().join(',');
+  return a.getAttribute('href') && a.getAttribute('target') === LINK_TARGET && a.getAttribute('rel') === LINK_REL && names === 'href,rel,target';
+}
+
+const escapeUrl = (url) => url.replace(/[\s()<>\\]/g, (c) => encodeURIComponent(c));
+
+// Child nodes as Markdown blocks; runs of inline nodes form a paragraph
+function blocksOf(container) {
+  const blocks = [];
+  let inline = null;
+  const flush = () => {
+    if (!inline) return;
+    const text = trimSpace(inlineMarkdown(inline));
+    if (text) blocks.push(escapeLineStarts(text));
+    inline = null;
+  };
+  Array.from(container.childNodes).forEach((child) => {
+    if (child.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(child.tagName.toLowerCase())) {
+      flush();
+      const block = blockMarkdown(child);
+      if (block !== null) blocks.push(block);
+    } else {
+      inline = inline || document.createElement('div');
+      inline.appendChild(child.cloneNode(true));
+    }
+  });
+  flush();
+  return blocks;
+}
+
+function listMarkdown(list) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  const items = Array.from(list.children).filter((child) => child.tagName.toLowerCase() === 'li');
+  // Paragraphs inside items make a "loose" list: items separated by blank lines
+  const loose = items.some((li) => Array.from(li.children).some((child) => child.tagName.toLowerCase() === 'p'));
+  return items.map((li, index) => {
+    const marker = ordered ? `${index + 1}.` : '-';
+    const indent = ' '.repeat(marker.length + 1);
+    const body = blocksOf(li).join(loose ? '\n\n' : '\n');
+    const lines = body.split('\n').map((line, i) => (i === 0 || line === '' ? line : indent + line));
+    return `${marker} ${lines.join('\n')}`.replace(/[ \t]+$/, '');
+  }).join(loose ? '\n\n' : '\n');
+}
+
+function blockMarkdown(el) {
+  const tag = el.tagName.toLowerCase();
+  switch (tag) {
+    case 'p': {
+      const text = trimSpace(inlineMarkdown(el));
+      // An empty paragraph is spacing the author added on purpose
+      return text.replace(/\u00a0/g, '').trim() ? escapeLineStarts(text) : '<p></p>';
+    }
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const level = Math.min(4, Math.max(2, Number(tag[1])));
+      return `${'#'.repeat(level)} ${trimSpace(inlineMarkdown(el)).replace(/\\\n/g, ' ')}`;
+    }
+    case 'ul':
+    case 'ol':
+      return listMarkdown(el);
+    case 'blockquote':
+      return blocksOf(el).join('\n\n').split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n');
+    case 'hr':
+      return '---';
+    case 'div':
+      return blocksOf(el).join('\n\n');
+    default:
+      // HTML block: kept as is, on consecutive lines
+      return el.outerHTML.replace(/\n[ \t]*(?=\n)/g, '').replace(/\n{2,}/g, '\n');
+  }
+}
+
+export function htmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html || ''}</body></html>`, 'text/html');
+  return blocksOf(doc.body).join('\n\n');
+}
+
+/* ---------------------------------------------------------------- Markdown -> HTML */
+
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}>/;
+const LIST_RE = /^( {0,3})([-+*]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const HTML_BLOCK_RE = /^ {0,3}<\/?(?:p|div|h[1-6]|ul|ol|li|blockquote|hr|figure|figcaption|table|pre|section)(?:[\s/>]|$)/i;
+const TAG_RE = /^<\/?[a-zA-Z][a-zA-Z0-9]*(?:\s+[a-zA-Z_:][-a-zA-Z0-9_:.]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/;
+const AUTOLINK_RE = /^<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/i;
+const ENTITY_RE = /^&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/i;
+const PUNCTUATION = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+const startsBlock = (line) => HEADING_RE.test(line) || RULE_RE.test(line) || QUOTE_RE.test(line) || HTML_BLOCK_RE.test(line) || /^ {0,3}([-+*]|1[.)])[ \t]+\S/.test(line);
+const linkHtml = (href, inner) => `<a href="${escapeHtml(href)}" target="${LINK_TARGET}" rel="${LINK_REL}">${inner}</a>`;
+
+// Index of the `close` matching the `open` at `from` (backslash escapes skipped)
+function matching(text, from, open, close) {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Closing emphasis delimiter for the run at `from`, or -1
+function closingDelimiter(text, from, delimiter) {
+  const char = delimiter[0];
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(delimiter, i) && !/\s/.test(text[i - 1])) {
+      const after = text[i + delimiter.length];
+      // A single * must not close on half of a ** (strong inside em)
+      if (delimiter.length === 1 && after === char) {
+        i++;
+        continue;
+      }
+      if (char === '_' && after && /[\p{L}\p{N}]/u.test(after)) continue;
+      return i;
+    }
+  }
+  return -1;
+}
+
+function inlineHtml(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    const rest = text.slice(i);
+
+    if (c === '\\') {
+      if (text[i + 1] === '\n') {
+        out += '<br>\n';
+        i += 2;
+        continue;
+      }
+      if (text[i + 1] && PUNCTUATION.includes(text[i + 1])) {
+        out += escapeHtml(text[i + 1]);
+        i += 2;
+        continue;
+      }
+    }
+
+    if (c === ' ' && /^ {2,}\n/.test(rest)) {
+      out += '<br>\n';
+      i += rest.indexOf('\n') + 1;
+      continue;
+    }
+
+    if (c === '<') {
+      const auto = rest.match(AUTOLINK_RE);
+      if (auto) {
+        out += linkHtml(auto[1], escapeHtml(auto[1]));
+        i += auto[0].length;
+        continue;
+      }
+      const tag = rest.match(TAG_RE);
+      if (tag) {
+        out += tag[0];
+        i += tag[0].length;
+        continue;
+      }
+    }
+
+    if (c === '&') {
+      const entity = rest.match(ENTITY_RE);
+      if (entity) {
+        out += entity[0];
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    if (c === '[') {
+      const close = matching(text, i, '[', ']');
+      if (close !== -1 && text[close + 1] === '(') {
+        const end = matching(text, close + 1, '(', ')');
+        const target = end !== -1 ? text.slice(close + 2, end).trim().match(/^<?([^\s>]*)>?(?:\s+(?:"[^"]*"|'[^']*'))?$/) : null;
+        if (target && target[1]) {
+          out += linkHtml(target[1].replace(/\\(.)/g, '$1'), inlineHtml(text.slice(i + 1, close)));
+          i = end + 1;
+          continue;
+        }
+      }
+    }
+
+    if (c === '~' && rest.startsWith('~~')) {
+      const close = closingDelimiter(text, i + 2, '~~');
+      if (close > i + 2) {
+        out += `<s>${inlineHtml(text.slice(i + 2, close))}</s>`;
+        i = close + 2;
+        continue;
+      }
+    }
+
+    if ((c === '*' || c === '_') && !/\s/.test(text[i + 1] || ' ')) {
+      // Underscores inside words are just underscores
+      const leftOk = c === '*' || !/[\p{L}\p{N}]/u.test(text[i - 1] || ' ');
+      const run = rest.match(c === '*' ? /^\*+/ : /^_+/)[0].length;
+      let done = false;
+      for (const size of leftOk ? [Math.min(run, 3), 2, 1].filter((n, k, all) => n <= run && all.indexOf(n) === k) : []) {
+        const delimiter = c.repeat(size);
+        const close = closingDelimiter(text, i + size, delimiter);
+        if (close <= i + size) continue;
+        const inner = inlineHtml(text.slice(i + size, close));
+        out += size === 3 ? `<strong><em>${inner}</em></strong>` : size === 2 ? `<strong>${inner}</strong>` : `<em>${inner}</em>`;
+        i = close + size;
+        done = true;
+        break;
+      }
+      if (done) continue;
+    }
+
+    out += escapeHtml(c);
+    i++;
+  }
+  return out;
+}
+
+const paragraphHtml = (lines) => inlineHtml(lines.map((line) => line.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, ''));
+
+function parseList(lines, start) {
+  const ordered = /\d/.test(LIST_RE.exec(lines[start])[2]);
+  const sameKind = (m) => m && /\d/.test(m[2]) === ordered && m[1].length < 4;
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const m = LIST_RE.exec(lines[i]);
+    if (!sameKind(m)) break;
+    const spacing = m[3].length;
+    const contentIndent = m[1].length + m[2].length + (spacing > 0 && spacing <= 4 ? spacing : 1);
+    const itemLines = [m[4]];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+          for (; i < next; i++) itemLines.push('');
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) >= contentIndent) {
+        itemLines.push(line.replace(/\t/g, '    ').slice(contentIndent));
+        i++;
+        continue;
+      }
+      // Lazy continuation of the item's paragraph
+      if (!LIST_RE.test(line) && !startsBlock(line) && !isBlank(itemLines[itemLines.length - 1])) {
+        itemLines.push(line.trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+    if (itemLines.slice(0, -1).some(isBlank) && !isBlank(itemLines[itemLines.length - 1])) loose = true;
+    items.push(itemLines);
+
+    // A blank line between two items makes the whole list loose
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) next++;
+    if (next > i && next < lines.length && sameKind(LIST_RE.exec(lines[next]))) {
+      loose = true;
+      i = next;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const body = items.map((itemLines) => `<li>${parseBlocks(itemLines, !loose)}</li>`).join('\n');
+  return { html: `<${tag}>\n${body}\n</${tag}>`, next: i };
+}
+
+/**
+ * Blocks of `lines` as HTML. In a tight list item paragraphs are left unwrapped.
+ */
+function parseBlocks(lines, tight = false) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    if (RULE_RE.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      const level = Math.min(4, Math.max(2, heading[1].length));
+      out.push(`<h${level}>${inlineHtml(heading[2] || '')}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && (QUOTE_RE.test(lines[i]) || (!isBlank(lines[i]) && quoted.length && !isBlank(quoted[quoted.length - 1]) && !startsBlock(lines[i])))) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      out.push(`<blockquote>\n${parseBlocks(quoted)}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_RE.test(line) && !isBlank(LIST_RE.exec(line)[4])) {
+      const list = parseList(lines, i);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (HTML_BLOCK_RE.test(line)) {
+      const html = [];
+      while (i < lines.length && !isBlank(lines[i])) html.push(lines[i++]);
+      out.push(html.join('\n'));
+      continue;
+    }
+
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) paragraph.push(lines[i++]);
+    out.push(tight ? paragraphHtml(paragraph) : `<p>${paragraphHtml(paragraph)}</p>`);
+  }
+  return out.join('\n');
+}
+
+export function markdownToHtml(markdown) {
+  return parseBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+/**
+ * Whether pasted plain text is most likely Markdown (and not prose that happens to
+ * contain a dash or an asterisk).
+ */
+export function looksLikeMarkdown(text) {
+  if (!text || text.length < 3) return false;
+  const lines = text.split(/\r\n?|\n/);
+  const listItems = lines.filter((line) => LIST_RE.test(line) && !RULE_RE.test(line)).length;
+  return lines.some((line) => /^ {0,3}#{1,6}[ \t]+\S/.test(line) || /^ {0,3}>[ \t]?\S/.test(line))
+    || /\[[^\]\n]+\]\([^)\s]+\)/.test(text)
+    || /(\*\*|__)[^\s*_](?:[^\n]*?[^\s*_])?\1/.test(text)
+    || listItems >= 2;
+}
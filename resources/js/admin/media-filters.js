@@ -0,0 +1,173 @@
+/**
+ * Filter bar of the media library (admin/media/index.twig).
+ *
+ * While filters are being picked, the facet counts and the "Show N images" button follow
+ * from /admin/media/query (per_page=0: counts only); applying goes through the SPA loader
+ * like any GET form. Saved views are the filters' query string under a name, per admin.
+ */
+import { t, tf, getCsrf } from './utils.js'
+
+const COUNT_DELAY = 250;
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Query string of the form without empty fields
+function formQuery(form) {
+  const params = new URLSearchParams();
+  for (const [key, value] of new FormData(form)) {
+    if (value !== '') params.append(key, value);
+  }
+  return params;
+}
+
+function setOptionCount(select, option, count) {
+  const text = `${option.dataset.label} (${count})`;
+  if (option.text === text) return;
+  option.text = text;
+  const ts = select.tomselect;
+  if (ts && ts.options[option.value]) {
+    ts.updateOption(option.value, { ...ts.options[option.value], text });
+  }
+}
+
+function applyFacets(form, facets) {
+  form.querySelectorAll('select[data-facet]').forEach((select) => {
+    const counts = facets[select.dataset.facet] || {};
+    select.querySelectorAll('option[data-label]').forEach((option) => {
+      setOptionCount(select, option, counts[option.value] || 0);
+    });
+    select.tomselect?.refreshOptions(false);
+  });
+  form.querySelectorAll('[data-facet-count]').forEach((el) => {
+    const [facet, key] = el.dataset.facetCount.split(':');
+    el.textContent = `(${facets[facet]?.[key] || 0})`;
+  });
+}
+
+function renderViews(views) {
+  const wrap = document.getElementById('media-views');
+  const list = document.getElementById('media-views-list');
+  if (!wrap || !list) return;
+  // Filters the page was loaded with, in the server's form (MediaQueryService::toQuery)
+  const current = document.getElementById('media-filters')?.dataset.filterQuery || '';
+  const base = window.basePath || '';
+  list.innerHTML = views.map((view) => {
+    const active = view.query === current;
+    return `
+      <span class="inline-flex items-center rounded-full border text-sm ${active ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300'}">
+        <a href="${escapeHtml(`${base}/admin/media?${view.query}`)}" class="pl-3 pr-1 py-1">${escapeHtml(view.name)}</a>
+        <button type="button" class="pr-2 pl-1 py-1 opacity-60 hover:opacity-100" data-view-delete="${view.id}" aria-label="${escapeHtml(tf('admin.media.filters_view_delete', { name: view.name }))}"><i class="fas fa-times text-xs"></i></button>
+      </span>`;
+  }).join('');
+  wrap.classList.toggle('hidden', views.length === 0);
+}
+
+async function postViews(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': getCsrf() },
+    body: JSON.stringify({ ...payload, csrf: getCsrf() })
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.ok) throw new Error(data?.error || t('admin.flash.error_generic'));
+  return data.views || [];
+}
+
+export function initMediaFilters() {
+  const form = document.getElementById('media-filters');
+  if (!form || form._mediaFilters) return;
+  form._mediaFilters = true;
+
+  const panel = document.getElementById('media-filters-panel');
+  const toggle = document.getElementById('media-filters-toggle');
+  const applyBtn = document.getElementById('media-filters-apply');
+  const nameInput = document.getElementById('media-view-name');
+  let timer = null;
+  let controller = null;
+
+  toggle?.addEventListener('click', () => {
+    const open = toggle.getAttribute('aria-expanded') !== 'true';
+    toggle.setAttribute('aria-expanded', String(open));
+    panel.classList.toggle('hidden', !open);
+  });
+
+  // Empty fields stay out of the URL (the SPA loader builds it from FormData)
+  form.addEventListener('formdata', (e) => {
+    for (const key of new Set(e.formData.keys())) {
+      const values = e.formData.getAll(key).filter((value) => value !== '');
+      e.formData.delete(key);
+      values.forEach((value) => e.formData.append(key, value));
+    }
+  });
+
+  const refreshCounts = async () => {
+    controller?.abort();
+    controller = new AbortController();
+    const params = formQuery(form);
+    params.set('per_page', '0');
+    try {
+      const response = await fetch(`${form.dataset.queryUrl}?${params}`, {
+        headers: { 'Accept': 'application/json' },
+        credentials: 'same-origin',
+        signal: controller.signal
+      });
+      const data = await response.json();
+      if (!data.ok) return;
+      applyFacets(form, data.facets || {});
+      applyBtn.dataset.count = data.total;
+      applyBtn.textContent = tf('admin.media.filters_apply', { count: data.total });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Media filter counts failed:', err);
+    }
+  };
+
+  const scheduleCounts = (e) => {
+    // The header search box applies on Enter: its counts would only flicker while typing
+    if (e.target.name === 'q') return;
+    clearTimeout(timer);
+    timer = setTimeout(refreshCounts, COUNT_DELAY);
+  };
+  form.addEventListener('change', scheduleCounts);
+  form.addEventListener('input', scheduleCounts);
+  // Fields associated through form="media-filters" (header search) are outside the form element
+  document.querySelectorAll('[form="media-filters"]').forEach((el) => el.addEventListener('change', scheduleCounts));
+
+  // Enter in the name box saves the view instead of applying the filters
+  nameInput?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    document.getElementById('media-view-save')?.click();
+  });
+
+  document.getElementById('media-view-save')?.addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    const query = formQuery(form);
+    query.delete('page');
+    if (!name || !query.toString()) {
+      window.showToast?.(t('admin.media.filters_view_invalid'), 'error');
+      nameInput.focus();
+      return;
+    }
+    try {
+      renderViews(await postViews(`${window.basePath || ''}/admin/media/views`, { name, query: query.toString() }));
+      nameInput.value = '';
+      window.showToast?.(t('admin.media.filters_view_saved'), 'success');
+    } catch (err) {
+      window.showToast?.(err.message, 'error');
+    }
+  });
+
+  document.getElementById('media-views')?.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-view-delete]');
+    if (!button) return;
+    button.disabled = true;
+    try {
+      renderViews(await postViews(`${window.basePath || ''}/admin/media/views/${button.dataset.viewDelete}/delete`, {}));
+      window.showToast?.(t('admin.media.filters_view_deleted'), 'success');
+    } catch (err) {
+      button.disabled = false;
+      window.showToast?.(err.message, 'error');
+    }
+  });
+}
@@ -0,0 +1,411 @@
+/**
+ * In-browser metadata inspection and GPS privacy for album uploads.
+ *
+ * inspectImage() reads EXIF, XMP and IPTC with exifr and returns a small summary
+ * (camera, lens, capture date, GPS) used for the per-file badges. MetadataPrivacy is an
+ * Uppy pre-processor that applies the album GPS policy before any byte is sent:
+ *   - keep:  file untouched
+ *   - fuzz:  EXIF coordinates rounded to 0.1° (city level), other GPS tags and XMP GPS removed
+ *   - strip: EXIF GPS directory emptied, XMP GPS removed
+ * Only the metadata segments are rewritten; image data is passed through as Blob slices,
+ * so large originals are never loaded in memory. PNG and WebP carry EXIF/XMP as whole
+ * chunks, which are dropped for both fuzz and strip. If location data cannot be removed
+ * the file fails instead of being uploaded. HEIC/AVIF/TIFF cannot be rewritten in place:
+ * with a policy other than keep they are converted to a metadata-free JPEG in the browser,
+ * and an untouched source uploaded after its master (format-decoder.js) is dropped.
+ *
+ * The decision is stored in file.meta.gps_policy and sent with the upload session.
+ */
+import { BasePlugin } from '@uppy/core'
+import exifr from 'exifr'
+import { t } from './utils.js'
+import { decodeToJpeg } from './format-decoder.js'
+
+export const GPS_POLICIES = ['keep', 'fuzz', 'strip'];
+// Rounding step for fuzzed coordinates (~11 km)
+const GPS_FUZZ_STEP = 0.1;
+
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+// exif:GPS* attributes and elements in an XMP packet
+const XMP_GPS_ATTR = /\s+exif:GPS[A-Za-z]+\s*=\s*("[^"]*"|'[^']*')/g;
+const XMP_GPS_ELEMENT = /<exif:(GPS[A-Za-z]+)\b[^>]*?(?:\/>|>[\s\S]*?<\/exif:\1>)/g;
+
+const readBytes = async (blob, start, length) => new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const latin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+const encodeLatin1 = (str) => Uint8Array.from(str, (c) => c.charCodeAt(0) & 0xff);
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(String(value).replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3'));
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+}
+
+/**
+ * Camera/lens/date/GPS summary of an image file; null when nothing could be read.
+ */
+export async function inspectImage(blob) {
+  let data = null;
+  try {
+    data = await exifr.parse(blob, { tiff: true, exif: true, gps: true, xmp: true, iptc: true, icc: false, jfif: false, ihdr: false, mergeOutput: true });
+  } catch (e) {
+    data = null;
+  }
+  const xmpGps = await hasXmpGps(blob).catch(() => false);
+  if (!data && !xmpGps) return null;
+  data = data || {};
+
+  const make = String(data.Make || '').trim();
+  const model = String(data.Model || '').trim();
+  const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : [make, model].filter(Boolean).join(' ');
+  const lat = Number(data.latitude);
+  const lng = Number(data.longitude);
+  const hasCoords = Number.isFinite(lat) && Number.isFinite(lng) && !(lat === 0 && lng === 0);
+
+  return {
+    camera,
+    lens: String(data.LensModel || data.Lens || '').trim(),
+    date: formatDate(data.DateTimeOriginal || data.CreateDate || data.DateCreated),
+    city: String(data.City || '').trim(),
+    gps: hasCoords ? { lat, lng } : (xmpGps ? {} : null)
+  };
+}
+
+async function hasXmpGps(blob) {
+  // XMP lives near the start of the file; a bounded scan is enough for the badge
+  const head = await readBytes(blob, 0, Math.min(blob.size, 512 * 1024));
+  return /exif:GPS(Latitude|Longitude)/.test(latin1(head));
+}
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * Badge markup (camera, lens, date, GPS) for an inspectImage() summary.
+ * The GPS badge states what the album policy will do with the location.
+ */
+export function metadataBadges(info, policy = 'keep') {
+  if (!info) return '';
+  const badge = (icon, text, cls = 'bg-gray-100 text-gray-700') =>
+    `<span class="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] ${cls}" title="${escapeHtml(text)}"><i class="fas ${icon}"></i><span class="truncate max-w-[10rem]">${escapeHtml(text)}</span></span>`;
+  const out = [];
+  if (info.camera) out.push(badge('fa-camera', info.camera));
+  if (info.lens) out.push(badge('fa-circle-dot', info.lens));
+  if (info.date) out.push(badge('fa-calendar', info.date));
+  if (info.gps) {
+    const cls = policy === 'keep' ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800';
+    out.push(badge('fa-map-marker-alt', t(`admin.upload.gps_${policy}`), cls));
+  }
+  return out.join('');
+}
+
+// --- EXIF (TIFF) rewriting -------------------------------------------------
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Rewrite the GPS IFD of a TIFF block in place. Returns true when GPS data was found.
+ * `tiff` is a Uint8Array starting at the TIFF header (II/MM).
+ */
+function rewriteTiffGps(tiff, policy, coords) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const little = ascii(tiff, 0, 2) === 'II';
+  const u16 = (o) => view.getUint16(o, little);
+  const u32 = (o) => view.getUint32(o, little);
+  const inRange = (o, len) => o >= 0 && o + len <= tiff.length;
+  if (!inRange(0, 8) || u16(2) !== 42) throw new Error('Invalid TIFF header');
+
+  const ifd0 = u32(4);
+  if (!inRange(ifd0, 2)) throw new Error('Invalid IFD0 offset');
+  let gpsOffset = 0;
+  for (let i = 0, n = u16(ifd0); i < n; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (!inRange(entry, 12)) throw new Error('Truncated IFD0');
+    if (u16(entry) === 0x8825) gpsOffset = u32(entry + 8);
+  }
+  if (!gpsOffset) return false;
+  if (!inRange(gpsOffset, 2)) throw new Error('Invalid GPS IFD offset');
+
+  const count = u16(gpsOffset);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const at = gpsOffset + 2 + i * 12;
+    if (!inRange(at, 12)) throw new Error('Truncated GPS IFD');
+    const size = (TYPE_SIZES[u16(at + 2)] || 1) * u32(at + 4);
+    entries.push({ at, tag: u16(at), size, valueAt: size > 4 ? u32(at + 8) : at + 8, raw: tiff.slice(at, at + 12) });
+  }
+
+  // Wipe every GPS value (inline or out-of-line) before deciding what to keep
+  entries.forEach((e) => { if (inRange(e.valueAt, e.size)) tiff.fill(0, e.valueAt, e.valueAt + e.size); });
+
+  const kept = [];
+  if (policy === 'fuzz' && coords && Number.isFinite(coords.lat) && Number.isFinite(coords.lng)) {
+    const round = (v) => Math.round(Math.abs(v) / GPS_FUZZ_STEP) * GPS_FUZZ_STEP;
+    const writeDms = (e, value) => {
+      if (e.size !== 24 || !inRange(e.valueAt, 24)) return false;
+      const deg = Math.floor(value);
+      const min = Math.round((value - deg) * 60);
+      [[deg, 1], [min, 1], [0, 1]].forEach(([num, den], idx) => {
+        view.setUint32(e.valueAt + idx * 8, num, little);
+        view.setUint32(e.valueAt + idx * 8 + 4, den, little);
+      });
+      return true;
+    };
+    const writeRef = (e, letter) => {
+      if (e.size > 4) return false;
+      tiff[e.valueAt] = letter.charCodeAt(0);
+      return true;
+    };
+    const byTag = (tag) => entries.find((e) => e.tag === tag);
+    const latRef = byTag(1), lat = byTag(2), lngRef = byTag(3), lng = byTag(4);
+    if (latRef && lat && lngRef && lng
+      && writeRef(latRef, coords.lat < 0 ? 'S' : 'N') && writeDms(lat, round(coords.lat))
+      && writeRef(lngRef, coords.lng < 0 ? 'W' : 'E') && writeDms(lng, round(coords.lng))) {
+      kept.push(latRef, lat, lngRef, lng);
+    }
+  }
+
+  // Compact the directory to the kept entries; an empty GPS IFD is valid TIFF
+  tiff.fill(0, gpsOffset + 2, gpsOffset + 2 + count * 12);
+  view.setUint16(gpsOffset, kept.length, little);
+  kept.forEach((e, i) => tiff.set(e.raw, gpsOffset + 2 + i * 12));
+  return true;
+}
+
+function stripXmpGps(text) {
+  return text.replace(XMP_GPS_ELEMENT, '').replace(XMP_GPS_ATTR, '');
+}
+
+// --- Container walkers -----------------------------------------------------
+
+async function rewriteJpeg(blob, policy, coords) {
+  const parts = [blob.slice(0, 2)];
+  let offset = 2;
+  let changed = false;
+  for (;;) {
+    const head = await readBytes(blob, offset, 4);
+    if (head.length < 4 || head[0] !== 0xff) throw new Error('Corrupt JPEG segment');
+    const marker = head[1];
+    if (marker === 0xff) { offset++; continue; } // fill byte
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(blob.slice(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    const length = (head[2] << 8) | head[3];
+    const end = offset + 2 + length;
+    if (length < 2 || end > blob.size) throw new Error('Corrupt JPEG segment length');
+
+    if (marker === 0xe1) {
+      const payload = await readBytes(blob, offset + 4, length - 2);
+      if (ascii(payload, 0, 6) === 'Exif\0\0') {
+        const tiff = payload.subarray(6);
+        if (rewriteTiffGps(tiff, policy, coords)) {
+          changed = true;
+          parts.push(head, payload);
+          offset = end;
+          continue;
+        }
+      } else if (ascii(payload, 0, XMP_HEADER.length) === XMP_HEADER) {
+        const text = latin1(payload);
+        const cleaned = stripXmpGps(text);
+        if (cleaned !== text) {
+          changed = true;
+          const bytes = encodeLatin1(cleaned);
+          const size = bytes.length + 2;
+          parts.push(new Uint8Array([0xff, 0xe1, size >> 8, size & 0xff]), bytes);
+          offset = end;
+          continue;
+        }
+      }
+    }
+    parts.push(blob.slice(offset, end));
+    offset = end;
+  }
+  parts.push(blob.slice(offset));
+  return changed ? parts : null;
+}
+
+async function rewritePng(blob) {
+  const parts = [blob.slice(0, 8)];
+  let offset = 8;
+  let changed = false;
+  while (offset + 8 <= blob.size) {
+    const head = await readBytes(blob, offset, 8);
+    const length = new DataView(head.buffer).getUint32(0);
+    const type = ascii(head, 4, 4);
+    const end = offset + 12 + length;
+    let drop = type === 'eXIf';
+    if (type === 'iTXt') {
+      const keyword = ascii(await readBytes(blob, offset + 8, Math.min(length, 17)), 0, 17);
+      drop = keyword === 'XML:com.adobe.xmp';
+    }
+    if (drop) changed = true;
+    else parts.push(blob.slice(offset, end));
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return changed ? parts : null;
+}
+
+async function rewriteWebp(blob) {
+  const header = await readBytes(blob, 0, 12);
+  if (ascii(header, 0, 4) !== 'RIFF' || ascii(header, 8, 4) !== 'WEBP') throw new Error('Invalid WebP');
+  const chunks = [];
+  let offset = 12;
+  let changed = false;
+  while (offset + 8 <= blob.size) {
+    const head = await readBytes(blob, offset, 8);
+    const type = ascii(head, 0, 4);
+    const size = new DataView(head.buffer).getUint32(4, true);
+    const end = offset + 8 + size + (size % 2);
+    if (type === 'EXIF' || type === 'XMP ') {
+      changed = true;
+    } else if (type === 'VP8X') {
+      // Clear the EXIF (0x08) and XMP (0x04) feature flags
+      const chunk = await readBytes(blob, offset, end - offset);
+      chunk[8] &= ~0x0c;
+      chunks.push(chunk);
+    } else {
+      chunks.push(blob.slice(offset, end));
+    }
+    offset = end;
+  }
+  if (!changed) return null;
+  const total = chunks.reduce((sum, c) => sum + (c.size ?? c.length), 4);
+  const riff = new Uint8Array(12);
+  riff.set(header.subarray(0, 12));
+  new DataView(riff.buffer).setUint32(4, total, true);
+  return [riff, ...chunks];
+}
+
+/**
+ * Apply a GPS policy to an image Blob. Resolves to { data, policy }, where data is the
+ * original blob when nothing had to change.
+ */
+export async function applyGpsPolicy(file, policy, info) {
+  if (policy === 'keep' || !info?.gps) return { data: file, policy: 'keep' };
+  const head = await readBytes(file, 0, 12);
+  let parts = null;
+  let applied = policy;
+  if (head[0] === 0xff && head[1] === 0xd8) {
+    parts = await rewriteJpeg(file, policy, info.gps);
+  } else if (ascii(head, 1, 3) === 'PNG') {
+    parts = await rewritePng(file);
+    applied = 'strip';
+  } else if (ascii(head, 0, 4) === 'RIFF') {
+    parts = await rewriteWebp(file);
+    applied = 'strip';
+  } else {
+    const err = new Error('Unsupported image format');
+    err.code = 'unsupported';
+    throw err;
+  }
+  if (!parts) return { data: file, policy: applied };
+  const data = new Blob(parts, { type: file.type });
+  // Verify: the rewritten file must not expose exact coordinates anymore
+  const check = await inspectImage(data);
+  if (check?.gps && (applied === 'strip' || Object.keys(check.gps).length === 0
+    || Math.abs(check.gps.lat * 10 - Math.round(check.gps.lat * 10)) > 1e-6)) {
+    throw new Error('Location data could not be removed');
+  }
+  return { data, policy: applied };
+}
+
+export default class MetadataPrivacy extends BasePlugin {
+  constructor(uppy, opts) {
+    super(uppy, {
+      policy: 'keep', // string or function returning the album policy
+      ...opts
+    });
+    this.id = this.opts.id || 'MetadataPrivacy';
+    this.type = 'modifier';
+    this.inspections = new Map();
+    this.prepareUpload = this.prepareUpload.bind(this);
+    this.onFileAdded = this.onFileAdded.bind(this);
+    this.onFileRemoved = this.onFileRemoved.bind(this);
+  }
+
+  install() {
+    this.uppy.addPreProcessor(this.prepareUpload);
+    this.uppy.on('file-added', this.onFileAdded);
+    this.uppy.on('file-removed', this.onFileRemoved);
+  }
+
+  uninstall() {
+    this.uppy.removePreProcessor(this.prepareUpload);
+    this.uppy.off('file-added', this.onFileAdded);
+    this.uppy.off('file-removed', this.onFileRemoved);
+  }
+
+  currentPolicy() {
+    const policy = typeof this.opts.policy === 'function' ? this.opts.policy() : this.opts.policy;
+    return GPS_POLICIES.includes(policy) ? policy : 'keep';
+  }
+
+  /**
+   * Inspect once per file; the summary lands in file.meta.image_info and a
+   * 'metadata:inspected' (file, info) event is emitted for the page badges.
+   */
+  inspect(file) {
+    if (!this.inspections.has(file.id)) {
+      const pending = inspectImage(file.data).then((info) => {
+        if (this.uppy.getFile(file.id)) {
+          this.uppy.setFileMeta(file.id, { image_info: info });
+          this.uppy.emit('metadata:inspected', this.uppy.getFile(file.id), info);
+        }
+        return info;
+      });
+      this.inspections.set(file.id, pending);
+    }
+    return this.inspections.get(file.id);
+  }
+
+  onFileAdded(file) {
+    this.inspect(file);
+  }
+
+  onFileRemoved(file) {
+    this.inspections.delete(file.id);
+  }
+
+  async prepareUpload(fileIDs) {
+    await Promise.all(fileIDs.map(async (id) => {
+      const file = this.uppy.getFile(id);
+      if (!file || file.meta.gps_processed) return;
+      const info = await this.inspect(file);
+      if (!info?.gps) {
+        this.uppy.setFileMeta(id, { gps_processed: true });
+        return;
+      }
+      const policy = this.currentPolicy();
+      if (policy !== 'keep' && file.meta.source_for) {
+        // The source of a converted file cannot be cleaned: keep only its master
+        this.uppy.log(`[MetadataPrivacy] ${file.name}: source with location data not uploaded`, 'warning');
+        this.uppy.emit('metadata:source-skipped', file);
+        this.uppy.removeFile(id);
+        return;
+      }
+      try {
+        let result;
+        try {
+          result = await applyGpsPolicy(file.data, policy, info);
+        } catch (err) {
+          if (err.code !== 'unsupported') throw err;
+          // A browser re-encode carries no metadata at all; the original is not kept
+          const data = await decodeToJpeg(file.data);
+          this.uppy.setFileState(id, { type: 'image/jpeg' });
+          this.uppy.setFileMeta(id, { type: 'image/jpeg', source_format: null });
+          result = { data, policy: 'strip' };
+        }
+        const { data, policy: applied } = result;
+        if (data !== file.data) this.uppy.setFileState(id, { data, size: data.size });
+        this.uppy.setFileMeta(id, { gps_policy: applied, gps_processed: true });
+      } catch (err) {
+        // Fail closed: never upload a file whose location could not be removed
+        this.uppy.log(`[MetadataPrivacy] ${err.message}`, 'warning');
+        this.uppy.emit('upload-error', this.uppy.getFile(id), new Error(t('admin.upload.gps_strip_failed')));
+      }
+    }));
+  }
+}
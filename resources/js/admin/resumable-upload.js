@@ -0,0 +1,428 @@
+/**
+ * Resumable chunked uploader for the album upload area.
+ *
+ * Uppy uploader plugin speaking the Cimaise chunk protocol exposed under
+ * /admin/albums/{id}/upload/sessions: a session is opened (or resumed) from a
+ * file fingerprint, then the file is sent as raw chunks with an X-Upload-Offset
+ * header. The server owns the committed offset, so re-adding the same file after
+ * a network drop or a page reload continues from the last stored byte.
+ *
+ * File meta listed in `metaFields` (title, alt text, caption, tag ids set in the
+ * review queue, the GPS policy applied by MetadataPrivacy, the image picked for
+ * replacement in the duplicate prompt, the image a HEIC/AVIF/TIFF source belongs to)
+ * travels with the session request and is applied on ingest.
+ *
+ * Pausing a file (uppy.pauseResume / pauseAll) aborts the chunk in flight and frees
+ * its slot for the next queued file; resuming continues from the offset the server committed.
+ *
+ * Besides the standard Uppy events (upload-start/progress/success/error) it emits:
+ *   - 'resumable:resumed'  (file, offset)          session continued from offset > 0
+ *   - 'resumable:chunk'    (file, offset, total)   a chunk was committed
+ *   - 'resumable:retrying' (file, attempt, delay)  waiting before an automatic retry
+ *     (network errors, timeouts, 408/429 and 5xx; exponential backoff with jitter)
+ */
+import { BasePlugin } from '@uppy/core'
+
+const STORAGE_KEY = 'cimaise.resumableUploads';
+// Keep in sync with ChunkedUploadService::SESSION_TTL
+const STATE_TTL = 24 * 60 * 60 * 1000;
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(timer); reject(abortError()); }, { once: true });
+});
+
+const waitForOnline = (signal) => new Promise((resolve, reject) => {
+  if (typeof navigator === 'undefined' || navigator.onLine !== false) { resolve(); return; }
+  const onOnline = () => resolve();
+  window.addEventListener('online', onOnline, { once: true });
+  signal?.addEventListener('abort', () => { window.removeEventListener('online', onOnline); reject(abortError()); }, { once: true });
+});
+
+function abortError() {
+  const err = new Error('Upload aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Identify a local file across page reloads (the File object itself is not persisted).
+ */
+export function fileFingerprint(file) {
+  const data = file.data || {};
+  return [file.name, data.size ?? file.size, data.lastModified ?? '', file.type || ''].join('|');
+}
+
+function readState() {
+  try {
+    const state = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return state && typeof state === 'object' ? state : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeState(state) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (e) {}
+}
+
+/**
+ * Interrupted uploads recorded for an endpoint, newest first (expired entries are dropped).
+ */
+export function getPendingUploads(endpoint) {
+  const state = readState();
+  const now = Date.now();
+  let changed = false;
+  const pending = [];
+  Object.keys(state).forEach((key) => {
+    const entry = state[key];
+    if (!entry || now - (entry.updatedAt || 0) > STATE_TTL) {
+      delete state[key];
+      changed = true;
+      return;
+    }
+    if (entry.endpoint === endpoint) pending.push({ key, ...entry });
+  });
+  if (changed) writeState(state);
+  return pending.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function forgetPendingUpload(key) {
+  const state = readState();
+  delete state[key];
+  writeState(state);
+}
+
+/**
+ * Drop the resume record for a file and discard its partial upload on the server.
+ */
+export function discardPendingUpload(endpoint, fingerprint, headers = {}) {
+  const key = `${endpoint}|${fingerprint}`;
+  const entry = readState()[key];
+  if (!entry) return;
+  forgetPendingUpload(key);
+  fetch(`${endpoint}/sessions/${encodeURIComponent(entry.uploadId)}/cancel`, {
+    method: 'POST',
+    headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json', ...headers }
+  }).catch(() => {});
+}
+
+export default class ResumableUpload extends BasePlugin {
+  constructor(uppy, opts) {
+    super(uppy, {
+      limit: 3,
+      chunkSize: 5 * 1024 * 1024,
+      timeout: 120000,
+      // Exponential backoff for transient failures: base * 2^attempt (±20% jitter), capped
+      retries: 5,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 30000,
+      headers: {},
+      // (xhr) => Promise<boolean>: sees every response, resolves true to send a request that
+      // failed on the session (expired, stale CSRF token) again — session.js recoverXhr
+      recover: null,
+      metaFields: ['title', 'alt_text', 'caption', 'tags', 'gps_policy', 'replace_image_id', 'source_for'],
+      ...opts
+    });
+    this.id = this.opts.id || 'ResumableUpload';
+    this.type = 'uploader';
+    this.controllers = new Map();
+    this.chunkControllers = new Map();
+    this.handleUpload = this.handleUpload.bind(this);
+    this.onFileRemoved = this.onFileRemoved.bind(this);
+    this.onCancelAll = this.onCancelAll.bind(this);
+    this.onPause = this.onPause.bind(this);
+    this.onPauseAll = this.onPauseAll.bind(this);
+  }
+
+  install() {
+    const { capabilities } = this.uppy.getState();
+    this.uppy.setState({ capabilities: { ...capabilities, resumableUploads: true } });
+    this.uppy.addUploader(this.handleUpload);
+    this.uppy.on('file-removed', this.onFileRemoved);
+    this.uppy.on('cancel-all', this.onCancelAll);
+    this.uppy.on('upload-pause', this.onPause);
+    this.uppy.on('pause-all', this.onPauseAll);
+  }
+
+  uninstall() {
+    const { capabilities } = this.uppy.getState();
+    this.uppy.setState({ capabilities: { ...capabilities, resumableUploads: false } });
+    this.uppy.removeUploader(this.handleUpload);
+    this.uppy.off('file-removed', this.onFileRemoved);
+    this.uppy.off('cancel-all', this.onCancelAll);
+    this.uppy.off('upload-pause', this.onPause);
+    this.uppy.off('pause-all', this.onPauseAll);
+    this.onCancelAll();
+  }
+
+  stateKey(file) {
+    return `${this.opts.endpoint}|${fileFingerprint(file)}`;
+  }
+
+  onFileRemoved(file) {
+    const controller = this.controllers.get(file.id);
+    if (controller) {
+      controller.abort();
+      this.controllers.delete(file.id);
+    }
+    // Explicit removal discards the partial upload on the server as well
+    const entry = readState()[this.stateKey(file)];
+    if (entry?.uploadId) {
+      this.request('POST', `${this.opts.endpoint}/sessions/${entry.uploadId}/cancel`).catch(() => {});
+    }
+    forgetPendingUpload(this.stateKey(file));
+  }
+
+  onCancelAll() {
+    this.controllers.forEach((controller) => controller.abort());
+    this.controllers.clear();
+  }
+
+  onPause(file, isPaused) {
+    if (isPaused) this.chunkControllers.get(file?.id)?.abort();
+  }
+
+  onPauseAll() {
+    this.chunkControllers.forEach((controller) => controller.abort());
+  }
+
+  isPaused(fileId) {
+    return !!this.uppy.getFile(fileId)?.isPaused;
+  }
+
+  // Resolves once a queued file is resumed or removed (or the queue drained)
+  waitForResume(queue) {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (queue.length && !queue.some((f) => !this.uppy.getFile(f.id) || !this.isPaused(f.id))) return;
+        this.uppy.off('state-update', check);
+        resolve();
+      };
+      this.uppy.on('state-update', check);
+      check();
+    });
+  }
+
+  async handleUpload(fileIDs) {
+    const files = this.uppy.getFilesByIds(fileIDs).filter((file) => !file.error);
+    this.uppy.emit('upload-start', files.filter((file) => !file.progress.uploadStarted || !file.isRestored));
+
+    const queue = [...files];
+    const next = () => {
+      // Drop files removed meanwhile; paused files wait until resumed
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (!this.uppy.getFile(queue[i].id)) queue.splice(i, 1);
+      }
+      const index = queue.findIndex((f) => !this.isPaused(f.id));
+      return index === -1 ? null : queue.splice(index, 1)[0];
+    };
+    const worker = async () => {
+      while (queue.length) {
+        const file = next();
+        if (!file) {
+          await this.waitForResume(queue);
+          continue;
+        }
+        const outcome = await this.uploadFile(this.uppy.getFile(file.id));
+        if (outcome === 'paused') queue.push(file);
+      }
+    };
+    const workers = Array.from({ length: Math.min(this.opts.limit, queue.length) }, worker);
+    await Promise.allSettled(workers);
+  }
+
+  pickMeta(file) {
+    const meta = {};
+    this.opts.metaFields.forEach((field) => {
+      if (file.meta?.[field] !== undefined && file.meta[field] !== '') meta[field] = file.meta[field];
+    });
+    return meta;
+  }
+
+  async uploadFile(file) {
+    const controller = new AbortController();
+    this.controllers.set(file.id, controller);
+    const { signal } = controller;
+    const key = this.stateKey(file);
+    const total = file.data.size;
+
+    try {
+      if (this.isPaused(file.id)) return 'paused';
+      const session = await this.withRetry(file, signal, () => this.request('POST', `${this.opts.endpoint}/sessions`, {
+        body: JSON.stringify({ name: file.name, size: total, fingerprint: fileFingerprint(file), meta: this.pickMeta(file) }),
+        headers: { 'Content-Type': 'application/json' },
+        signal
+      }));
+      const sessionUrl = `${this.opts.endpoint}/sessions/${session.upload_id}`;
+      const chunkSize = session.chunk_size || this.opts.chunkSize;
+      let offset = session.offset || 0;
+
+      const remember = () => {
+        const state = readState();
+        state[key] = {
+          endpoint: this.opts.endpoint,
+          uploadId: session.upload_id,
+          name: file.name,
+          size: total,
+          offset,
+          updatedAt: Date.now()
+        };
+        writeState(state);
+      };
+      remember();
+
+      if (offset > 0) this.uppy.emit('resumable:resumed', file, offset);
+      this.emitProgress(file, offset, total);
+
+      // A session that already finished (its last response was lost) returns the upload result
+      let result = session.complete ? session : null;
+      while (!result) {
+        const start = offset;
+        let body;
+        try {
+          body = await this.withRetry(file, signal, () => this.sendChunk(file, sessionUrl, start, chunkSize, total, signal));
+        } catch (err) {
+          // Paused: give the slot back; the next attempt reopens the session at its committed offset
+          if (err.name === 'AbortError' && !signal.aborted && this.isPaused(file.id)) return 'paused';
+          throw err;
+        }
+
+        if (body.complete) {
+          result = body;
+          break;
+        }
+        offset = body.offset;
+        remember();
+        this.emitProgress(file, offset, total);
+        this.uppy.emit('resumable:chunk', file, offset, total);
+      }
+
+      forgetPendingUpload(key);
+      this.uppy.emit('upload-success', this.uppy.getFile(file.id), { status: 200, body: result, uploadURL: undefined });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      const current = this.uppy.getFile(file.id);
+      if (current) this.uppy.emit('upload-error', current, error, error.response);
+    } finally {
+      this.controllers.delete(file.id);
+    }
+  }
+
+  sendChunk(file, url, start, chunkSize, total, signal) {
+    if (this.isPaused(file.id)) return Promise.reject(abortError());
+    const chunkController = new AbortController();
+    const onAbort = () => chunkController.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    this.chunkControllers.set(file.id, chunkController);
+
+    return this.request('POST', url, {
+      body: file.data.slice(start, Math.min(start + chunkSize, total)),
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Upload-Offset': String(start) },
+      signal: chunkController.signal,
+      onProgress: (loaded) => this.emitProgress(file, start + loaded, total),
+      accept409: true
+    }).catch((err) => {
+      // The chunk may have landed before the connection dropped: resync before retrying
+      if (err.retryable) err.resync = () => this.request('GET', url, { signal });
+      throw err;
+    }).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+      this.chunkControllers.delete(file.id);
+    });
+  }
+
+  emitProgress(file, bytesUploaded, bytesTotal) {
+    const current = this.uppy.getFile(file.id);
+    if (!current) return;
+    this.uppy.emit('upload-progress', current, {
+      uploadStarted: current.progress.uploadStarted ?? Date.now(),
+      bytesUploaded: Math.min(bytesUploaded, bytesTotal),
+      bytesTotal
+    });
+  }
+
+  retryDelay(attempt) {
+    const wait = Math.min(this.opts.retryMaxDelay, this.opts.retryBaseDelay * 2 ** attempt);
+    // Jitter keeps parallel uploads from hammering a recovering server in lockstep
+    return Math.round(wait * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Run a request, retrying network failures, timeouts, 408/429 and 5xx responses with
+   * exponential backoff. When the browser reports offline, waits for connectivity first.
+   * Errors may carry a `resync()` request whose result replaces the retried one when
+   * it shows that the server already moved past the failed chunk.
+   */
+  async withRetry(file, signal, fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (err.name === 'AbortError' || !err.retryable || attempt >= this.opts.retries) throw err;
+        const wait = this.retryDelay(attempt);
+        this.uppy.emit('resumable:retrying', file, attempt + 1, wait);
+        await delay(wait, signal);
+        await waitForOnline(signal);
+        if (err.resync) {
+          try {
+            const status = await err.resync();
+            if (status && typeof status.offset === 'number') {
+              return { ...status, resynced: true };
+            }
+          } catch (e) {}
+        }
+      }
+    }
+  }
+
+  request(method, url, { body = null, headers = {}, signal, onProgress, accept409 = false, recoveries = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url, true);
+      xhr.timeout = this.opts.timeout;
+      const allHeaders = {
+        'X-Requested-With': 'XMLHttpRequest',
+        'Accept': 'application/json',
+        ...(typeof this.opts.headers === 'function' ? this.opts.headers() : this.opts.headers),
+        ...headers
+      };
+      Object.keys(allHeaders).forEach((name) => xhr.setRequestHeader(name, allHeaders[name]));
+
+      const fail = (message, retryable, response) => {
+        const err = new Error(message);
+        err.retryable = retryable;
+        err.response = response;
+        reject(err);
+      };
+
+      if (onProgress && xhr.upload) {
+        xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded); };
+      }
+      xhr.onload = async () => {
+        // At most twice: a stale token (419), then the expired session behind it (401)
+        if (recoveries < 2 && this.opts.recover && await this.opts.recover(xhr)) {
+          resolve(this.request(method, url, { body, headers, signal, onProgress, accept409, recoveries: recoveries + 1 }));
+          return;
+        }
+        let data = null;
+        try { data = JSON.parse(xhr.responseText); } catch (e) {}
+        const response = { status: xhr.status, body: data };
+        if ((xhr.status >= 200 && xhr.status < 300) || (accept409 && xhr.status === 409 && data)) {
+          resolve(data || {});
+          return;
+        }
+        const transient = xhr.status >= 500 || xhr.status === 408 || xhr.status === 429;
+        fail((data && (data.error || data.message)) || `HTTP ${xhr.status}`, transient, response);
+      };
+      xhr.onerror = () => fail('Network error', true);
+      xhr.ontimeout = () => fail('Request timed out', true);
+      xhr.onabort = () => reject(abortError());
+      if (signal) {
+        if (signal.aborted) { xhr.abort(); return; }
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+      xhr.send(body);
+    });
+  }
+}
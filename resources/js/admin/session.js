@@ -0,0 +1,286 @@
+/**
+ * Keeps long-lived admin tabs working: session heartbeat, CSRF token rotation and
+ * signing in again without leaving the page.
+ *
+ * Every same-origin fetch() goes through guardedFetch(): it is sent with the current CSRF
+ * token (X-CSRF-Token header and any `csrf` field of the body), the token the server returns
+ * in X-CSRF-Token is adopted page-wide (setCsrf), and when the response is
+ *   - 419 (CsrfMiddleware: the page's token is stale) the request is sent again with the new one,
+ *   - 401 (AuthMiddleware: the session is gone) a sign-in dialog opens over the page and the
+ *     request is sent again once the admin has signed in; requests failing meanwhile wait
+ *     on the same dialog.
+ * XHR uploads get the same through recoverXhr() (ResumableUpload) and xhrUploadOptions()
+ * (Uppy XHRUpload).
+ *
+ * A heartbeat (GET /admin/session) keeps the session alive while the admin is active and
+ * checks it when the tab is shown again, and before posting a form after a long pause, so
+ * the dialog comes up before any work is sent.
+ */
+import { t, getCsrf, setCsrf } from './utils.js'
+
+const HEARTBEAT_INTERVAL = 5 * 60 * 1000;
+const SESSION_ERRORS = [401, 419];
+// A request is sent at most this many more times (419 then 401 when the session expired)
+const MAX_RECOVERIES = 2;
+
+let nativeFetch = null;
+let signIn = null;
+let lastActivity = 0;
+let lastBeat = Date.now();
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const sameOrigin = (url) => {
+  try {
+    return new URL(String(url), window.location.href).origin === window.location.origin;
+  } catch (e) {
+    return false;
+  }
+};
+
+export function adoptCsrf(token) {
+  if (token && token !== getCsrf()) setCsrf(token);
+}
+
+// A `csrf` field inside a JSON or urlencoded string body
+function replaceBodyToken(body, token, contentType) {
+  try {
+    if (contentType.includes('json')) {
+      const data = JSON.parse(body);
+      return data && typeof data === 'object' && 'csrf' in data ? JSON.stringify({ ...data, csrf: token }) : body;
+    }
+    if (contentType.includes('x-www-form-urlencoded')) {
+      const params = new URLSearchParams(body);
+      if (params.has('csrf')) {
+        params.set('csrf', token);
+        return params.toString();
+      }
+    }
+  } catch (e) {}
+  return body;
+}
+
+// Request options carrying the current token (baked-in tokens of older pages are replaced)
+function withToken(init = {}) {
+  const token = getCsrf();
+  if (!token) return init;
+  const headers = new Headers(init.headers || {});
+  const method = String(init.method || 'GET').toUpperCase();
+  if (headers.has('X-CSRF-Token') || !['GET', 'HEAD'].includes(method)) headers.set('X-CSRF-Token', token);
+  let { body } = init;
+  if ((body instanceof FormData || body instanceof URLSearchParams) && body.has('csrf')) {
+    body.set('csrf', token);
+  } else if (typeof body === 'string' && body.includes('csrf')) {
+    body = replaceBodyToken(body, token, headers.get('Content-Type') || '');
+  }
+  return { ...init, headers, body };
+}
+
+async function send(input, init) {
+  const response = await nativeFetch(input, withToken(init));
+  adoptCsrf(response.headers.get('X-CSRF-Token'));
+  return response;
+}
+
+async function guardedFetch(input, init) {
+  // Request objects hold a body that can be read only once: sent as they are
+  if (input instanceof Request || !sameOrigin(input)) return nativeFetch(input, init);
+  let response = await send(input, init);
+  for (let attempt = 0; attempt < MAX_RECOVERIES && SESSION_ERRORS.includes(response.status); attempt++) {
+    if (!(await restoreSession(response.status))) break;
+    response = await send(input, init);
+  }
+  return response;
+}
+
+/**
+ * After a 401/419: resolves to whether the request can be sent again. A 419 response already
+ * brought the new token; a 401 waits for the sign-in dialog.
+ */
+export function restoreSession(status) {
+  if (status === 419) return Promise.resolve(true);
+  if (!signIn) signIn = openSignIn().finally(() => { signIn = null; });
+  return signIn;
+}
+
+/**
+ * XHR counterpart of guardedFetch for uploads: adopts the response's token and, when the
+ * request failed on the session, restores it. Resolves to whether to send it again.
+ */
+export async function recoverXhr(xhr) {
+  adoptCsrf(xhr.getResponseHeader('X-CSRF-Token'));
+  return SESSION_ERRORS.includes(xhr.status) && restoreSession(xhr.status);
+}
+
+/**
+ * Options for Uppy's XHRUpload: the token is read per request, and a request failing on the
+ * session is sent again once it is restored.
+ */
+export function xhrUploadOptions() {
+  return {
+    onBeforeRequest: (xhr) => {
+      const token = getCsrf();
+      if (token) xhr.setRequestHeader('X-CSRF-Token', token);
+    },
+    onAfterResponse: async (xhr) => {
+      if (await recoverXhr(xhr)) {
+        xhr.sessionRestored = true;
+        throw new Error('Session restored');
+      }
+    },
+    shouldRetry: (xhr) => xhr.sessionRestored === true || !SESSION_ERRORS.includes(xhr.status)
+  };
+}
+
+function openSignIn() {
+  return new Promise((resolve) => {
+    const loginUrl = `${window.basePath || ''}/admin/login`;
+    const previousFocus = document.activeElement;
+    const overlay = document.createElement('div');
+    overlay.className = 'fixed inset-0 z-[70] bg-black/50 flex items-center justify-center p-4';
+    overlay.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl w-full max-w-sm" role="dialog" aria-modal="true" aria-labelledby="session-signin-title">
+        <form method="post" class="p-6 space-y-4" novalidate>
+          <div>
+            <h2 id="session-signin-title" class="text-lg font-semibold text-gray-900">${escapeHtml(t('admin.session.expired_title'))}</h2>
+            <p class="text-sm text-gray-600 mt-1">${escapeHtml(t('admin.session.expired_text'))}</p>
+          </div>
+          <div class="hidden text-sm text-red-600" role="alert" data-signin-error></div>
+          <div>
+            <label for="session-signin-email" class="block text-xs font-medium text-gray-700 mb-1">${escapeHtml(t('admin.session.email'))}</label>
+            <input type="email" id="session-signin-email" name="email" class="form-input w-full" autocomplete="username" required value="${escapeHtml(document.body.dataset.adminEmail || '')}">
+          </div>
+          <div>
+            <label for="session-signin-password" class="block text-xs font-medium text-gray-700 mb-1">${escapeHtml(t('admin.session.password'))}</label>
+            <input type="password" id="session-signin-password" name="password" class="form-input w-full" autocomplete="current-password" required>
+          </div>
+          <div class="flex items-center justify-between gap-3 pt-2">
+            <a href="${escapeHtml(loginUrl)}" class="text-xs text-gray-500 hover:text-gray-800 underline">${escapeHtml(t('admin.session.login_page'))}</a>
+            <div class="flex gap-2">
+              <button type="button" class="btn-secondary text-sm" data-signin-cancel>${escapeHtml(t('admin.common.cancel'))}</button>
+              <button type="submit" class="btn-primary text-sm">${escapeHtml(t('admin.session.sign_in'))}</button>
+            </div>
+          </div>
+        </form>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const errorEl = overlay.querySelector('[data-signin-error]');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const emailInput = form.elements.email;
+    (emailInput.value ? form.elements.password : emailInput).focus();
+
+    const close = (restored) => {
+      document.removeEventListener('keydown', onKey, true);
+      overlay.remove();
+      if (previousFocus?.isConnected) previousFocus.focus();
+      resolve(restored);
+    };
+    const onKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      e.stopPropagation();
+      close(false);
+    };
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    };
+
+    document.addEventListener('keydown', onKey, true);
+    overlay.querySelector('[data-signin-cancel]').addEventListener('click', () => close(false));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!emailInput.value.trim() || !form.elements.password.value) {
+        showError(t('admin.session.fields_required'));
+        return;
+      }
+      submitBtn.disabled = true;
+      try {
+        let response;
+        let data = null;
+        // A stale token is answered with the current one: one more try with it
+        for (let attempt = 0; attempt < 2; attempt++) {
+          response = await nativeFetch(loginUrl, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+            body: new URLSearchParams({ email: emailInput.value.trim(), password: form.elements.password.value, csrf: getCsrf() })
+          });
+          adoptCsrf(response.headers.get('X-CSRF-Token'));
+          data = await response.json().catch(() => null);
+          if (response.status !== 419) break;
+        }
+        if (response.ok && data?.ok) {
+          adoptCsrf(data.csrf);
+          lastBeat = Date.now();
+          close(true);
+          window.showToast?.(t('admin.session.restored'), 'success');
+          return;
+        }
+        adoptCsrf(data?.csrf);
+        showError(data?.error || t(response.status === 429 ? 'admin.session.too_many_attempts' : 'admin.session.sign_in_failed'));
+        form.elements.password.value = '';
+        form.elements.password.focus();
+      } catch (err) {
+        showError(t('admin.session.sign_in_failed'));
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+  });
+}
+
+/**
+ * Ping the session. Resolves to false only when it is gone and was not restored.
+ */
+function heartbeat() {
+  lastBeat = Date.now();
+  return fetch(`${window.basePath || ''}/admin/session`, {
+    headers: { 'Accept': 'application/json' },
+    credentials: 'same-origin',
+    cache: 'no-store'
+  })
+    .then((response) => !SESSION_ERRORS.includes(response.status))
+    .catch(() => true);
+}
+
+const stale = () => Date.now() - lastBeat >= HEARTBEAT_INTERVAL;
+
+/**
+ * Route fetch() through the session guard and start the heartbeat, once per page load.
+ */
+export function initSession() {
+  if (nativeFetch) return;
+  nativeFetch = window.fetch.bind(window);
+  window.fetch = guardedFetch;
+
+  ['pointerdown', 'keydown', 'wheel'].forEach((type) => {
+    document.addEventListener(type, () => { lastActivity = Date.now(); }, { capture: true, passive: true });
+  });
+  // Kept alive only while someone works in the tab: an idle tab lets the session expire
+  setInterval(() => {
+    if (document.visibilityState === 'visible' && lastActivity > lastBeat && stale()) heartbeat();
+  }, 60 * 1000);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && stale()) heartbeat();
+  });
+
+  // Plain POST forms of the page after a long pause: make sure the session is there first
+  document.addEventListener('submit', (e) => {
+    const form = e.target;
+    // Untrusted events are scripts posting through their own fetch (dirty guard's save)
+    if (!e.isTrusted || e.defaultPrevented || form._sessionChecked || !form.closest('#page-content')
+      || String(form.method).toLowerCase() !== 'post' || !stale()) return;
+    e.preventDefault();
+    const submitter = e.submitter;
+    heartbeat().then((alive) => {
+      if (!alive || !form.isConnected) return;
+      form._sessionChecked = true;
+      form.requestSubmit(submitter?.form === form ? submitter : undefined);
+      form._sessionChecked = false;
+    });
+  });
+}
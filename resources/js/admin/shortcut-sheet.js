@@ -0,0 +1,278 @@
+/**
+ * Keyboard shortcut cheat sheet ("?"), which doubles as the editor of the user's keymap.
+ *
+ * Lists the commands registered right now (shortcuts.js): the global ones and those of the
+ * page on screen. "Customize" lets each one be recorded anew, reset or disabled; conflicts
+ * with other commands, keys the browser keeps and keys the text editor uses are flagged,
+ * and a keymap with conflicts cannot be saved.
+ */
+import { t, tf } from './utils.js'
+import {
+  registeredCommands, keysFor, keyCaps, getKeymap, saveKeymap, findConflicts, chordFromEvent,
+  normalizeKeys, alternatives, EDITOR_KEYS, RESERVED_KEYS
+} from './shortcuts.js'
+
+// Time allowed for the second key of a recorded sequence
+const RECORD_SEQUENCE_TIMEOUT = 1000;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+let sheet = null;
+
+function capsHtml(keys) {
+  if (!keys) return `<span class="text-xs text-gray-400">${escapeHtml(t('admin.shortcuts.unassigned'))}</span>`;
+  const kbd = (cap) => `<kbd class="inline-block min-w-[1.5rem] text-center px-1.5 py-0.5 text-xs font-mono bg-gray-100 border border-gray-300 rounded">${escapeHtml(cap)}</kbd>`;
+  return keyCaps(keys).map((sequence) => sequence
+    .map((chord) => chord.map(kbd).join('<span class="text-gray-400">+</span>'))
+    .join(` <span class="text-xs text-gray-400">${escapeHtml(t('admin.shortcuts.then'))}</span> `))
+    .join(' <span class="text-xs text-gray-400">/</span> ');
+}
+
+const scopeLabel = (scope) => {
+  const key = `admin.shortcuts.scope_${scope.replace(/-/g, '_')}`;
+  const label = t(key);
+  return label === key ? scope : label;
+};
+
+function createSheet() {
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 z-[60] bg-black/50 hidden items-center justify-center p-4';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'shortcut-sheet-title');
+  overlay.innerHTML = `
+    <div class="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[85vh] flex flex-col">
+      <div class="flex items-center justify-between px-5 py-4 border-b border-gray-200">
+        <h3 id="shortcut-sheet-title" class="text-lg font-semibold text-gray-900"><i class="fas fa-keyboard mr-2"></i>${escapeHtml(t('admin.shortcuts.title'))}</h3>
+        <button type="button" class="text-gray-400 hover:text-gray-600" data-sheet-action="close" aria-label="${escapeHtml(t('admin.shortcuts.close'))}"><i class="fas fa-times"></i></button>
+      </div>
+      <div class="px-5 py-4 overflow-y-auto flex-1" data-sheet-body></div>
+      <div class="flex flex-wrap items-center justify-end gap-2 px-5 py-3 border-t border-gray-200 bg-gray-50 rounded-b-lg" data-sheet-footer></div>
+    </div>`;
+  const body = overlay.querySelector('[data-sheet-body]');
+  const footer = overlay.querySelector('[data-sheet-footer]');
+
+  let editing = false;
+  let draft = {};
+  let recording = null;
+  let saving = false;
+  let previousFocus = null;
+
+  const commands = () => registeredCommands()
+    .filter((group) => group.commands.length)
+    // Global commands first, then the page's
+    .sort((a, b) => (a.scope === 'global' ? -1 : b.scope === 'global' ? 1 : 0));
+  const draftKeys = (command) => (draft[command.key] === undefined ? command.defaultKeys : draft[command.key]);
+
+  // Problems of each command's draft binding: "key" → [messages]; conflicts block saving
+  function problems() {
+    const found = new Map();
+    const add = (command, message, blocking) => {
+      if (!found.has(command.key)) found.set(command.key, []);
+      found.get(command.key).push({ message, blocking });
+    };
+    findConflicts(draft).forEach((c) => {
+      add(c.command, tf(c.type === 'same' ? 'admin.shortcuts.conflict_same' : 'admin.shortcuts.conflict_prefix', { name: t(c.other.label) }), true);
+    });
+    commands().forEach((group) => group.commands.forEach((command) => {
+      alternatives(draftKeys(command)).forEach((keys) => {
+        if (RESERVED_KEYS.has(keys)) add(command, t('admin.shortcuts.reserved'), true);
+        else if (command.inputs && EDITOR_KEYS.has(keys)) add(command, t('admin.shortcuts.editor_keys'), false);
+      });
+    }));
+    return found;
+  }
+
+  function render() {
+    const issues = editing ? problems() : new Map();
+    body.innerHTML = `
+      <p class="text-sm text-gray-600 mb-4">${escapeHtml(t('admin.shortcuts.hint'))}</p>
+      ${commands().map((group) => `
+        <h4 class="text-xs font-semibold uppercase tracking-wide text-gray-500 mt-4 mb-2">${escapeHtml(scopeLabel(group.scope))}</h4>
+        <ul class="divide-y divide-gray-100">
+          ${group.commands.map((command) => {
+            const keys = editing ? draftKeys(command) : keysFor(command);
+            const notes = issues.get(command.key) || [];
+            const isRecording = recording && recording.command === command;
+            return `
+              <li class="py-2 flex flex-wrap items-center gap-2">
+                <span class="flex-1 min-w-[12rem] text-sm text-gray-800">${escapeHtml(t(command.label))}</span>
+                <span class="text-sm">${isRecording
+                  ? `<span class="text-xs text-blue-700" aria-live="polite">${escapeHtml(t('admin.shortcuts.press_keys'))}${recording.chords.length ? ' ' + capsHtml(recording.chords.join(' ')) : ''}</span>`
+                  : capsHtml(keys)}</span>
+                ${editing ? `
+                  <span class="flex gap-1">
+                    <button type="button" class="btn-secondary text-xs px-2 py-1" data-sheet-action="record" data-command="${escapeHtml(command.key)}">${escapeHtml(t('admin.shortcuts.change'))}</button>
+                    <button type="button" class="btn-secondary text-xs px-2 py-1" data-sheet-action="disable" data-command="${escapeHtml(command.key)}" ${keys ? '' : 'disabled'}>${escapeHtml(t('admin.shortcuts.disable'))}</button>
+                    <button type="button" class="btn-secondary text-xs px-2 py-1" data-sheet-action="reset" data-command="${escapeHtml(command.key)}" ${keys === command.defaultKeys ? 'disabled' : ''}>${escapeHtml(t('admin.shortcuts.reset'))}</button>
+                  </span>` : ''}
+                ${notes.map((note) => `<span class="w-full text-xs ${note.blocking ? 'text-red-600' : 'text-yellow-700'}"><i class="fas ${note.blocking ? 'fa-exclamation-circle' : 'fa-info-circle'} mr-1"></i>${escapeHtml(note.message)}</span>`).join('')}
+              </li>`;
+          }).join('')}
+        </ul>`).join('')}`;
+
+    const blocked = Array.from(issues.values()).some((notes) => notes.some((note) => note.blocking));
+    footer.innerHTML = editing
+      ? `<button type="button" class="btn-secondary text-sm mr-auto" data-sheet-action="reset-all">${escapeHtml(t('admin.shortcuts.reset_all'))}</button>
+         <button type="button" class="btn-secondary text-sm" data-sheet-action="cancel">${escapeHtml(t('admin.shortcuts.cancel'))}</button>
+         <button type="button" class="btn-primary text-sm" data-sheet-action="save" ${blocked || saving ? 'disabled' : ''} ${blocked ? `title="${escapeHtml(t('admin.shortcuts.has_conflicts'))}"` : ''}>${escapeHtml(t(saving ? 'admin.shortcuts.saving' : 'admin.shortcuts.save'))}</button>`
+      : `<button type="button" class="btn-secondary text-sm" data-sheet-action="customize">${escapeHtml(t('admin.shortcuts.customize'))}</button>
+         <button type="button" class="btn-primary text-sm" data-sheet-action="close">${escapeHtml(t('admin.shortcuts.close'))}</button>`;
+  }
+
+  // Re-render keeping focus on the same control
+  function update() {
+    const focused = document.activeElement;
+    const action = overlay.contains(focused) ? focused.getAttribute('data-sheet-action') : null;
+    const commandKey = action ? focused.getAttribute('data-command') : null;
+    render();
+    if (!action) return;
+    const selector = `[data-sheet-action="${action}"]${commandKey ? `[data-command="${CSS.escape(commandKey)}"]` : ''}`;
+    const target = overlay.querySelector(selector);
+    (target && !target.disabled ? target : overlay.querySelector('[data-sheet-action="close"]'))?.focus();
+  }
+
+  const findCommand = (key) => commands().flatMap((group) => group.commands).find((command) => command.key === key);
+
+  function stopRecording() {
+    if (!recording) return;
+    clearTimeout(recording.timer);
+    recording = null;
+  }
+
+  function commitRecording() {
+    const { command, chords } = recording;
+    stopRecording();
+    if (chords.length) draft[command.key] = normalizeKeys(chords.join(' '));
+    update();
+  }
+
+  // Keys pressed while recording belong to the recorder, not to the page or the shortcuts
+  function onRecordKey(e) {
+    if (!recording) return;
+    const chord = chordFromEvent(e);
+    if (!chord) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (chord === 'escape' && !recording.chords.length) {
+      stopRecording();
+      update();
+      return;
+    }
+    recording.chords.push(chord);
+    clearTimeout(recording.timer);
+    // A chord with a modifier is complete; a plain key may start a two-key sequence
+    if (/^(mod|ctrl|meta|alt)\+/.test(chord) || recording.chords.length === 2) commitRecording();
+    else {
+      recording.timer = setTimeout(commitRecording, RECORD_SEQUENCE_TIMEOUT);
+      update();
+    }
+  }
+
+  function onKey(e) {
+    if (recording || e.defaultPrevented) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (editing) {
+        editing = false;
+        update();
+      } else close();
+    } else if (e.key === 'Tab') {
+      // Focus stays in the dialog
+      const focusable = Array.from(overlay.querySelectorAll('button:not([disabled])'));
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  }
+
+  async function save() {
+    // Only bindings that differ from the defaults are stored; other pages' entries are kept
+    const map = getKeymap();
+    commands().forEach((group) => group.commands.forEach((command) => {
+      const keys = draftKeys(command);
+      if (keys === command.defaultKeys) delete map[command.key];
+      else map[command.key] = keys;
+    }));
+    saving = true;
+    update();
+    try {
+      await saveKeymap(map);
+      editing = false;
+      window.showToast?.(t('admin.shortcuts.saved'), 'success');
+    } catch (e) {
+      console.error('Saving shortcuts failed:', e);
+      window.showToast?.(t('admin.shortcuts.save_failed'), 'error');
+    } finally {
+      saving = false;
+      update();
+    }
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay && !recording) {
+      close();
+      return;
+    }
+    const button = e.target.closest('[data-sheet-action]');
+    if (!button || button.disabled) return;
+    const action = button.getAttribute('data-sheet-action');
+    const command = findCommand(button.getAttribute('data-command'));
+    stopRecording();
+    switch (action) {
+      case 'close': close(); return;
+      case 'customize':
+        editing = true;
+        draft = getKeymap();
+        break;
+      case 'cancel': editing = false; break;
+      case 'save': save(); return;
+      case 'reset-all': draft = {}; break;
+      case 'reset': if (command) delete draft[command.key]; break;
+      case 'disable': if (command) draft[command.key] = ''; break;
+      case 'record': if (command) recording = { command, chords: [], timer: null }; break;
+    }
+    update();
+  });
+
+  function open() {
+    if (!overlay.classList.contains('hidden')) return;
+    previousFocus = document.activeElement;
+    editing = false;
+    document.body.appendChild(overlay);
+    overlay.classList.remove('hidden');
+    overlay.classList.add('flex');
+    window.addEventListener('keydown', onRecordKey, true);
+    document.addEventListener('keydown', onKey, true);
+    render();
+    overlay.querySelector('[data-sheet-action="close"]')?.focus();
+  }
+
+  function close() {
+    stopRecording();
+    overlay.classList.add('hidden');
+    overlay.classList.remove('flex');
+    window.removeEventListener('keydown', onRecordKey, true);
+    document.removeEventListener('keydown', onKey, true);
+    if (previousFocus?.isConnected) previousFocus.focus();
+  }
+
+  return { open, close, isOpen: () => !overlay.classList.contains('hidden') };
+}
+
+/**
+ * Show the cheat sheet, or hide it when it is already open.
+ */
+export function toggleShortcutSheet() {
+  if (!sheet) sheet = createSheet();
+  if (sheet.isOpen()) sheet.close();
+  else sheet.open();
+}
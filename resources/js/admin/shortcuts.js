@@ -0,0 +1,327 @@
+/**
+ * Keyboard shortcut registry for the admin panel.
+ *
+ * Features register their commands under a scope ("global", or a page/area such as
+ * "album-edit") and get back a function that removes them; commands of the scope
+ * registered last are matched first. Keys are written "mod+s" (Ctrl, or Cmd on macOS),
+ * "g a" (a sequence: g, then a) or "mod+shift+z, mod+y" (alternatives).
+ *
+ * Conflicts with typing: while a field, a rich text editor or a modal dialog has focus
+ * only commands marked `inputs` run, on keys with Ctrl/Cmd or Alt, and inside TinyMCE
+ * never on the keys the editor uses itself.
+ * Each admin user can rebind or disable commands; their keymap ("scope.id" → keys, ""
+ * for disabled) is stored on the server (/admin/profile/shortcuts).
+ */
+import tinymce from 'tinymce/tinymce'
+import { getCsrf } from './utils.js'
+
+// Time allowed between the keys of a sequence
+const SEQUENCE_TIMEOUT = 1000;
+const MODIFIERS = ['mod', 'ctrl', 'meta', 'alt', 'shift'];
+
+export const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// Keys the rich text editor handles itself (formatting, its own undo, the link dialog)
+export const EDITOR_KEYS = new Set([
+  'mod+a', 'mod+b', 'mod+c', 'mod+i', 'mod+k', 'mod+u', 'mod+v', 'mod+x', 'mod+y', 'mod+z', 'mod+shift+z',
+  'mod+alt+1', 'mod+alt+2', 'mod+alt+3', 'mod+alt+4', 'mod+alt+5', 'mod+alt+6', 'mod+shift+7', 'mod+shift+8'
+]);
+
+// Keys the browser keeps for itself (tabs and windows): they never reach the page
+export const RESERVED_KEYS = new Set(['mod+n', 'mod+t', 'mod+w', 'mod+q', 'mod+shift+n', 'mod+shift+t', 'mod+shift+w']);
+
+// Registered scopes in order: [{ scope, commands }]
+let layers = [];
+let keymap = {};
+let pending = '';
+let pendingTimer = null;
+let bound = false;
+const listeners = new Set();
+
+// "mod+shift+z" → { mods: ['mod', 'shift'], key: 'z' }; "mod++" is mod and the plus key
+function splitChord(chord) {
+  const [, mods, key] = /^((?:[a-z]+\+)*)(.+)$/i.exec(String(chord).trim()) || [null, '', ''];
+  return { mods: mods.split('+').filter(Boolean).map((mod) => mod.toLowerCase()), key };
+}
+
+/**
+ * Canonical form of one key combination: modifiers in a fixed order, named keys lower-case.
+ */
+export function normalizeChord(chord) {
+  const split = splitChord(chord);
+  const mods = new Set(split.mods);
+  let key = split.key.length > 1 ? split.key.toLowerCase() : split.key;
+  if (key.length === 1 && mods.size === 1 && mods.has('shift')) {
+    // Shift alone is part of the character: "shift+n" is "N", "shift+/" is typed "?"
+    mods.delete('shift');
+    key = key.toUpperCase();
+  } else if (key.length === 1 && mods.size) {
+    key = key.toLowerCase();
+  }
+  return MODIFIERS.filter((mod) => mods.has(mod)).concat(key).join('+');
+}
+
+/**
+ * Canonical form of a binding: alternatives, each a sequence of chords.
+ */
+export function normalizeKeys(keys) {
+  return String(keys || '')
+    .split(',')
+    .map((alt) => alt.trim().split(/\s+/).filter(Boolean).map(normalizeChord).join(' '))
+    .filter(Boolean)
+    .join(', ');
+}
+
+export const alternatives = (keys) => (keys ? keys.split(', ') : []);
+
+/**
+ * The chord of a keydown event, or null for a lone modifier.
+ */
+export function chordFromEvent(e) {
+  let key = e.key;
+  if (!key || ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock', 'Dead'].includes(key)) return null;
+  const mods = [];
+  if (isMac ? e.metaKey : e.ctrlKey) mods.push('mod');
+  if (isMac && e.ctrlKey) mods.push('ctrl');
+  if (!isMac && e.metaKey) mods.push('meta');
+  if (e.altKey) mods.push('alt');
+  // Alt changes the character on macOS (Option+G is "©"): the physical key counts
+  if (e.altKey && /^(Key[A-Z]|Digit[0-9])$/.test(e.code || '')) key = e.code.slice(-1);
+  if (key === ' ') key = 'space';
+  // Shift is part of printable characters ("?" or "N"); with other modifiers it is named
+  if (e.shiftKey && (key.length > 1 || mods.length)) mods.push('shift');
+  if (key.length > 1 || mods.length) key = key.toLowerCase();
+  return mods.concat(key).join('+');
+}
+
+/**
+ * Key caps of a binding for display, e.g. "mod+shift+z" → ["Ctrl", "Shift", "Z"] per chord.
+ * Returns alternatives → sequences → chords → caps.
+ */
+export function keyCaps(keys) {
+  const names = isMac
+    ? { mod: '⌘', ctrl: '⌃', meta: '⌘', alt: '⌥', shift: '⇧' }
+    : { mod: 'Ctrl', ctrl: 'Ctrl', meta: 'Win', alt: 'Alt', shift: 'Shift' };
+  const named = { arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓', escape: 'Esc', enter: '↵', space: 'Space' };
+  return alternatives(keys).map((alt) => alt.split(' ').map((chord) => {
+    const { mods, key } = splitChord(chord);
+    const cap = named[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
+    return mods.map((mod) => names[mod] || mod).concat(cap);
+  }));
+}
+
+/**
+ * Short text of a binding's first alternative: "Ctrl K", "⌘K", "G A".
+ */
+export function keysText(keys) {
+  const first = keyCaps(keys)[0];
+  return first ? first.map((chord) => chord.join(isMac ? '' : ' ')).join(' ') : '';
+}
+
+const isEditable = (el) => !!el && (el.isContentEditable
+  || ['TEXTAREA', 'SELECT'].includes(el.tagName)
+  || (el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(el.type)));
+
+// Typing, or working in a dialog (palette, cheat sheet, unsaved-changes prompt)
+const inField = (el) => isEditable(el) || !!el?.closest?.('[aria-modal="true"]');
+
+const hasModifier = (chord) => /^(mod|ctrl|meta|alt)\+/.test(chord);
+
+/**
+ * Keys currently bound to a command: the user's keymap, else the command's default.
+ */
+export function keysFor(command) {
+  const custom = keymap[command.key];
+  return custom === undefined ? command.defaultKeys : custom;
+}
+
+/**
+ * Keys bound to a registered command by its "scope.id"; '' when unbound or not registered.
+ */
+export function keysOf(key) {
+  const command = layers.flatMap((layer) => layer.commands).find((c) => c.key === key);
+  return command ? keysFor(command) : '';
+}
+
+/**
+ * Every registered command, scope by scope in registration order.
+ */
+export function registeredCommands() {
+  return layers.map((layer) => ({ scope: layer.scope, commands: layer.commands.slice() }));
+}
+
+export const getKeymap = () => ({ ...keymap });
+
+/**
+ * Commands bound to the same keys, or to keys that start another command's sequence
+ * ("g" and "g a"), among scopes that can be active together. Returns
+ * [{ command, other, keys, type: 'same' | 'prefix' }] for `commands` (all by default)
+ * under the bindings of `map`.
+ */
+export function findConflicts(map = keymap, commands = null) {
+  const all = layers.flatMap((layer) => layer.commands);
+  const bindingsOf = (command) => {
+    const custom = map[command.key];
+    return alternatives(custom === undefined ? command.defaultKeys : custom);
+  };
+  const conflicts = [];
+  (commands || all).forEach((command) => {
+    bindingsOf(command).forEach((keys) => {
+      all.forEach((other) => {
+        if (other === command || (other.scope !== command.scope && other.scope !== 'global' && command.scope !== 'global')) return;
+        bindingsOf(other).forEach((otherKeys) => {
+          if (otherKeys === keys) conflicts.push({ command, other, keys, type: 'same' });
+          else if (otherKeys.startsWith(keys + ' ') || keys.startsWith(otherKeys + ' ')) conflicts.push({ command, other, keys, type: 'prefix' });
+        });
+      });
+    });
+  });
+  return conflicts;
+}
+
+function changed() {
+  listeners.forEach((listener) => {
+    try { listener(); } catch (e) { console.error('Shortcut listener failed:', e); }
+  });
+}
+
+/**
+ * Called whenever commands or the keymap change (labels showing key caps).
+ */
+export function onShortcutsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Register commands under a scope. Each command:
+ * { id, keys, label (translation key), run(event), when?(), inputs?, repeat? }
+ * Returns a function that unregisters them.
+ */
+export function registerShortcuts(scope, commands) {
+  const layer = {
+    scope,
+    commands: commands.map((command) => ({
+      ...command,
+      scope,
+      key: `${scope}.${command.id}`,
+      defaultKeys: normalizeKeys(command.keys)
+    }))
+  };
+  layers.push(layer);
+  findConflicts(keymap, layer.commands).forEach((c) => {
+    console.warn(`Shortcut "${c.keys}" of ${c.command.key} conflicts with ${c.other.key}`);
+  });
+  changed();
+  return () => {
+    layers = layers.filter((l) => l !== layer);
+    changed();
+  };
+}
+
+function matches(sequence, e, fromEditor) {
+  const typing = fromEditor || inField(e.target);
+  const found = [];
+  let prefix = false;
+  for (let i = layers.length - 1; i >= 0; i--) {
+    for (const command of layers[i].commands) {
+      if (command.when && !command.when()) continue;
+      if (typing && !command.inputs) continue;
+      if (fromEditor && EDITOR_KEYS.has(sequence)) continue;
+      if (e.repeat && !command.repeat) continue;
+      alternatives(keysFor(command)).forEach((keys) => {
+        if (keys === sequence) found.push(command);
+        else if (keys.startsWith(sequence + ' ')) prefix = true;
+      });
+    }
+  }
+  return { command: found[0] || null, prefix };
+}
+
+function resetPending() {
+  pending = '';
+  clearTimeout(pendingTimer);
+}
+
+/**
+ * Run the command bound to a keydown, if any. `fromEditor` for events of a TinyMCE editor.
+ */
+function dispatch(e, fromEditor = false) {
+  if (e.defaultPrevented || e.isComposing) return;
+  const chord = chordFromEvent(e);
+  if (!chord) return;
+  // A typed character inside a field never continues a sequence
+  if ((fromEditor || inField(e.target)) && !hasModifier(chord)) {
+    resetPending();
+    return;
+  }
+
+  let sequence = pending ? `${pending} ${chord}` : chord;
+  let found = matches(sequence, e, fromEditor);
+  if (!found.command && !found.prefix && pending) {
+    sequence = chord;
+    found = matches(sequence, e, fromEditor);
+  }
+  resetPending();
+  if (found.command) {
+    e.preventDefault();
+    e.stopPropagation?.();
+    try {
+      found.command.run(e);
+    } catch (err) {
+      console.error(`Shortcut ${found.command.key} failed:`, err);
+    }
+  } else if (found.prefix) {
+    pending = sequence;
+    pendingTimer = setTimeout(resetPending, SEQUENCE_TIMEOUT);
+  }
+}
+
+async function loadKeymap() {
+  try {
+    const res = await fetch(`${window.basePath || ''}/admin/profile/shortcuts`, {
+      headers: { 'Accept': 'application/json' },
+      credentials: 'same-origin'
+    });
+    if (!res.ok) return;
+    const data = await res.json();
+    setKeymap(data.keymap || {});
+  } catch (e) {
+    // Defaults stay in place
+  }
+}
+
+function setKeymap(map) {
+  keymap = {};
+  Object.entries(map || {}).forEach(([key, keys]) => { keymap[key] = normalizeKeys(keys); });
+  changed();
+}
+
+/**
+ * Store the user's keymap on the server; resolves once saved.
+ */
+export async function saveKeymap(map) {
+  const res = await fetch(`${window.basePath || ''}/admin/profile/shortcuts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': getCsrf() },
+    credentials: 'same-origin',
+    body: JSON.stringify({ keymap: map })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  setKeymap(data.keymap);
+}
+
+/**
+ * Listen for shortcuts on the document and in TinyMCE editors, once per page load.
+ */
+export function initShortcuts() {
+  if (bound) return;
+  bound = true;
+  document.addEventListener('keydown', (e) => dispatch(e));
+  // Editor keystrokes happen in its iframe and never reach the document
+  const bindEditor = (editor) => editor.on('keydown', (e) => dispatch(e, true));
+  (tinymce.get() || []).forEach(bindEditor);
+  tinymce.on('AddEditor', (e) => bindEditor(e.editor));
+  loadKeymap();
+}
@@ -0,0 +1,106 @@
+/**
+ * TinyMCE plugin: Markdown source view and Markdown paste for rich text fields.
+ *
+ * A "Visual | Markdown" switch above every editor swaps TinyMCE for a plain textarea
+ * holding the content as Markdown (markdown.js), and back. While the Markdown view is
+ * open the editor is hidden, not removed: its saves (form submit, autosave) convert the
+ * Markdown, so the field always posts HTML. Plain text pasted into the visual editor
+ * that looks like Markdown is inserted formatted.
+ */
+import { t } from './utils.js'
+import { htmlToMarkdown, markdownToHtml, looksLikeMarkdown } from './markdown.js'
+
+export const MARKDOWN_PLUGIN = 'markdown';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function modeSwitch(editor) {
+  const container = editor.getContainer();
+  const bar = document.createElement('div');
+  bar.className = 'flex justify-end mb-1';
+  bar.innerHTML = `
+    <div class="inline-flex rounded border border-gray-300 overflow-hidden text-xs" role="group" aria-label="${escapeHtml(t('admin.tinymce.editor_mode'))}">
+      <button type="button" class="px-3 py-1" data-editor-mode="visual">${escapeHtml(t('admin.tinymce.mode_visual'))}</button>
+      <button type="button" class="px-3 py-1 border-l border-gray-300" data-editor-mode="markdown">${escapeHtml(t('admin.tinymce.mode_markdown'))}</button>
+    </div>`;
+  const source = document.createElement('textarea');
+  source.className = 'form-input w-full font-mono text-sm hidden';
+  source.rows = 20;
+  source.spellcheck = true;
+  source.setAttribute('aria-label', t('admin.tinymce.markdown_source'));
+  container.parentNode.insertBefore(bar, container);
+  container.parentNode.insertBefore(source, container.nextSibling);
+
+  let markdown = false;
+  const paint = () => {
+    bar.querySelectorAll('[data-editor-mode]').forEach((btn) => {
+      const active = (btn.getAttribute('data-editor-mode') === 'markdown') === markdown;
+      btn.setAttribute('aria-pressed', String(active));
+      btn.classList.toggle('bg-black', active);
+      btn.classList.toggle('text-white', active);
+      btn.classList.toggle('bg-white', !active);
+      btn.classList.toggle('text-gray-700', !active);
+    });
+  };
+
+  const setMode = (toMarkdown) => {
+    if (toMarkdown === markdown) return;
+    if (toMarkdown) {
+      source.value = htmlToMarkdown(editor.getContent());
+      editor.hide();
+      // hide() shows the original textarea: the Markdown one takes its place
+      editor.getElement().style.display = 'none';
+      markdown = true;
+      source.classList.remove('hidden');
+      source.focus();
+    } else {
+      markdown = false;
+      // show() loads the editor from the original textarea
+      editor.getElement().value = markdownToHtml(source.value);
+      source.classList.add('hidden');
+      editor.show();
+      editor.focus();
+    }
+    paint();
+  };
+
+  bar.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-editor-mode]');
+    if (btn) setMode(btn.getAttribute('data-editor-mode') === 'markdown');
+  });
+
+  // Saves of the hidden editor post the Markdown view's content
+  editor.on('SaveContent', (e) => {
+    if (markdown) e.content = markdownToHtml(source.value);
+  });
+  // Content set from outside (draft restore) while the Markdown view is open
+  editor.on('SetContent', (e) => {
+    if (markdown && !e.load) source.value = htmlToMarkdown(editor.getContent());
+  });
+  editor.on('remove', () => {
+    bar.remove();
+    source.remove();
+  });
+  paint();
+}
+
+/**
+ * Register the plugin once on the bundled TinyMCE; enable it with plugins "markdown".
+ */
+export function registerMarkdownPlugin(tinymce) {
+  if (tinymce.PluginManager.get(MARKDOWN_PLUGIN)) return;
+  tinymce.PluginManager.add(MARKDOWN_PLUGIN, (editor) => {
+    // Prepended: TinyMCE's own paste handling skips events already handled
+    editor.on('paste', (e) => {
+      const data = e.clipboardData;
+      if (!data || data.types.includes('text/html')) return;
+      const text = data.getData('text/plain');
+      if (!looksLikeMarkdown(text)) return;
+      e.preventDefault();
+      editor.execCommand('mceInsertClipboardContent', false, { html: markdownToHtml(text) });
+      editor.notificationManager.open({ text: t('admin.tinymce.markdown_pasted'), type: 'info', timeout: 4000 });
+    }, true);
+    editor.on('init', () => modeSwitch(editor));
+    return { getMetadata: () => ({ name: 'Markdown' }) };
+  });
+}
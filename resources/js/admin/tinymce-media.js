@@ -0,0 +1,167 @@
+/**
+ * TinyMCE plugin: insert a media library image into rich text fields.
+ *
+ * The "Insert image" button opens a picker filled from the media library grid
+ * (/admin/media?partial=1, with its search). Picking an image fetches its variants from
+ * GET /admin/media/images/{id}/embed and inserts a responsive figure:
+ *   <figure><img src srcset sizes alt width height loading="lazy"><figcaption>…</figcaption></figure>
+ * which is exactly the markup App\Support\Sanitizer keeps.
+ */
+import { t } from './utils.js'
+
+export const MEDIA_PLUGIN = 'medialibrary';
+// Rich text columns are at most max-w-3xl (768px) wide on the public pages
+const FIGURE_SIZES = '(min-width: 768px) 768px, 100vw';
+// MediaController::PER_PAGE
+const MEDIA_PAGE_SIZE = 60;
+
+// TinyMCE schema for the figure (valid_elements fragment)
+export const FIGURE_ELEMENTS = 'figure,figcaption,img[src|srcset|sizes|alt|width|height|loading]';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+export function figureHtml(image) {
+  const srcset = (image.srcset || []).map((v) => `${v.url} ${v.width}w`).join(', ');
+  const attrs = [
+    `src="${escapeHtml(image.src)}"`,
+    srcset ? `srcset="${escapeHtml(srcset)}" sizes="${FIGURE_SIZES}"` : '',
+    `alt="${escapeHtml(image.alt || '')}"`,
+    image.width ? `width="${Number(image.width)}"` : '',
+    image.height ? `height="${Number(image.height)}"` : '',
+    'loading="lazy"'
+  ].filter(Boolean).join(' ');
+  const caption = image.caption ? `<figcaption>${escapeHtml(image.caption)}</figcaption>` : '';
+  return `<figure><img ${attrs}>${caption}</figure><p></p>`;
+}
+
+/**
+ * Media library picker. Resolves with the picked image id, or null when closed.
+ */
+function pickMedia() {
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black/50 flex items-center justify-center p-4';
+    modal.style.zIndex = 'var(--z-modal, 1400)';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.innerHTML = `
+      <div class="bg-white w-full max-w-5xl rounded-lg shadow-xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div class="px-6 py-4 border-b flex items-center justify-between gap-4 bg-gray-50">
+          <h3 class="text-xl font-semibold text-gray-900">${escapeHtml(t('admin.tinymce.insert_image'))}</h3>
+          <input type="search" class="form-input text-sm flex-1 max-w-xs" data-media-search placeholder="${escapeHtml(t('admin.tinymce.search_media'))}">
+          <button type="button" class="text-gray-400 hover:text-gray-600 text-2xl leading-none" data-media-close aria-label="${escapeHtml(t('admin.common.close'))}">&times;</button>
+        </div>
+        <div class="p-4 overflow-auto" data-media-body></div>
+        <div class="px-6 py-3 border-t text-center hidden" data-media-more-wrap>
+          <button type="button" class="btn-secondary text-sm" data-media-more>${escapeHtml(t('admin.tinymce.load_more'))}</button>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+
+    const body = modal.querySelector('[data-media-body]');
+    const search = modal.querySelector('[data-media-search]');
+    const moreWrap = modal.querySelector('[data-media-more-wrap]');
+    let page = 1;
+    let query = '';
+    let searchTimer = null;
+
+    const finish = (id) => {
+      document.removeEventListener('keydown', onKey, true);
+      clearTimeout(searchTimer);
+      modal.remove();
+      resolve(id);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(null);
+      }
+    };
+
+    const load = async (append) => {
+      if (!append) body.innerHTML = `<div class="p-8 text-center"><i class="fas fa-spinner fa-spin"></i> ${escapeHtml(t('admin.common.loading'))}</div>`;
+      try {
+        const res = await fetch(`${window.basePath || ''}/admin/media?partial=1&page=${page}&q=${encodeURIComponent(query)}`, { headers: { 'Accept': 'text/html' } });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+        const cards = Array.from(doc.querySelectorAll('[data-media-id]'));
+        if (!append) body.innerHTML = '<div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3" data-media-grid></div>';
+        const grid = body.querySelector('[data-media-grid]');
+        cards.forEach((card) => {
+          card.setAttribute('tabindex', '0');
+          card.setAttribute('role', 'button');
+          grid.appendChild(document.importNode(card, true));
+        });
+        if (!append && !cards.length) body.innerHTML = `<p class="text-center text-gray-500 py-8">${escapeHtml(t('admin.tinymce.no_media'))}</p>`;
+        moreWrap.classList.toggle('hidden', cards.length < MEDIA_PAGE_SIZE);
+      } catch (err) {
+        console.error('Failed to load media:', err);
+        body.innerHTML = `<p class="text-center text-red-600 p-8">${escapeHtml(t('admin.media.error_loading_gallery'))}</p>`;
+      }
+    };
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal || e.target.closest('[data-media-close]')) return finish(null);
+      if (e.target.closest('[data-media-more]')) {
+        page++;
+        load(true);
+        return;
+      }
+      const card = e.target.closest('[data-media-id]');
+      if (card) finish(card.getAttribute('data-media-id'));
+    });
+    modal.addEventListener('keydown', (e) => {
+      const card = e.target.closest?.('[data-media-id]');
+      if (card && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        finish(card.getAttribute('data-media-id'));
+      }
+    });
+    search.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        query = search.value.trim();
+        page = 1;
+        load(false);
+      }, 300);
+    });
+    // Capture phase: Escape closes the picker, not the TinyMCE dialog or the page modal below it
+    document.addEventListener('keydown', onKey, true);
+    load(false);
+    search.focus();
+  });
+}
+
+async function fetchEmbed(id) {
+  const res = await fetch(`${window.basePath || ''}/admin/media/images/${encodeURIComponent(id)}/embed`, { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) throw new Error(data.error || t('admin.tinymce.insert_image_error'));
+  return data;
+}
+
+/**
+ * Register the plugin once on the bundled TinyMCE; enable it with plugins/toolbar "medialibrary".
+ */
+export function registerMediaPlugin(tinymce) {
+  if (tinymce.PluginManager.get(MEDIA_PLUGIN)) return;
+  tinymce.PluginManager.add(MEDIA_PLUGIN, (editor) => {
+    const insert = async () => {
+      const bookmark = editor.selection.getBookmark(2, true);
+      const id = await pickMedia();
+      editor.focus();
+      editor.selection.moveToBookmark(bookmark);
+      if (!id) return;
+      try {
+        editor.insertContent(figureHtml(await fetchEmbed(id)));
+      } catch (err) {
+        editor.notificationManager.open({ text: err.message, type: 'error', timeout: 5000 });
+      }
+    };
+    editor.ui.registry.addButton(MEDIA_PLUGIN, {
+      icon: 'image',
+      tooltip: t('admin.tinymce.insert_image'),
+      onAction: insert
+    });
+    return { getMetadata: () => ({ name: 'Media library' }) };
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * Page-independent album upload manager.
+ *
+ * Owns one Uppy instance per album upload endpoint for the lifetime of the admin
+ * bundle, so SPA page swaps (cleanupExistingInstances) no longer tear uploads down.
+ * Every queued file is mirrored to IndexedDB until it succeeds or is cancelled;
+ * on the next admin page load leftovers are offered for resumption (the chunked
+ * uploader then continues from the offset the server already committed).
+ *
+ * Pages and the upload tray subscribe via onUploadsChange() and talk to the Uppy
+ * instances returned by getAlbumUploader().
+ */
+import Uppy from '@uppy/core'
+import Compressor from '@uppy/compressor'
+import ResumableUpload, { fileFingerprint, discardPendingUpload } from './resumable-upload.js'
+import MetadataPrivacy from './metadata-privacy.js'
+import DuplicateCheck from './duplicate-check.js'
+import FormatDecoder, { sourceFormatOf, SOURCE_FILE_TYPES } from './format-decoder.js'
+import { getAllQueued, putQueued, deleteQueued, updateQueued } from './upload-queue-store.js'
+import { getCsrf, extractUploadErrorMessage } from './utils.js'
+import { recoverXhr } from './session.js'
+
+// Keep aligned with UploadService::MAX_FILE_SIZE and ChunkedUploadService::CHUNK_SIZE
+export const UPLOAD_MAX_FILE_SIZE = 200 * 1024 * 1024;
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+// Files above this size are treated as originals: sent untouched (no client compression)
+const UPLOAD_ORIGINAL_THRESHOLD = 25 * 1024 * 1024;
+// Finished files stay visible in the tray for a moment before being pruned
+const UPLOAD_PRUNE_DELAY = 4000;
+// Per-file metadata set in the review queue, the duplicate prompt and the format decoder; persisted so recovered uploads keep it
+const UPLOAD_META_FIELDS = ['title', 'alt_text', 'caption', 'tags', 'duplicate_checked', 'replace_image_id', 'source_for'];
+
+// Compressor that leaves large originals and HEIC/AVIF/TIFF sources untouched so they upload byte-for-byte (and can resume)
+class OriginalsAwareCompressor extends Compressor {
+  prepareUpload(fileIDs) {
+    return super.prepareUpload(fileIDs.filter((id) => {
+      const file = this.uppy.getFile(id);
+      return file && file.size <= UPLOAD_ORIGINAL_THRESHOLD && !sourceFormatOf(file);
+    }));
+  }
+}
+
+const uploaders = new Map();
+const listeners = new Set();
+let recovered = [];
+let notifyScheduled = false;
+
+function notify() {
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+  requestAnimationFrame(() => {
+    notifyScheduled = false;
+    listeners.forEach((fn) => { try { fn(); } catch (e) {} });
+  });
+}
+
+export function onUploadsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function getUploaders() {
+  return Array.from(uploaders.values());
+}
+
+export function getRecoveredUploads() {
+  return recovered;
+}
+
+export function hasActiveUploads() {
+  return getUploaders().some(({ uppy }) => uppy.getFiles().some((f) => !f.progress?.uploadComplete && !f.error));
+}
+
+const pickUploadMeta = (meta = {}) => Object.fromEntries(UPLOAD_META_FIELDS.filter((k) => meta[k] !== undefined).map((k) => [k, meta[k]]));
+
+const newQueueId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+function bindPersistence(entry) {
+  const { uppy } = entry;
+  const queueId = (file) => file?.meta?.queueId;
+
+  uppy.on('file-added', (file) => {
+    if (!queueId(file)) {
+      const id = newQueueId();
+      uppy.setFileMeta(file.id, { queueId: id });
+      putQueued({
+        id,
+        albumId: entry.albumId,
+        endpoint: entry.endpoint,
+        albumTitle: entry.title || '',
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        file: file.data,
+        meta: pickUploadMeta(file.meta),
+        status: 'queued',
+        addedAt: Date.now()
+      });
+    }
+    notify();
+  });
+  uppy.on('duplicate:resolved', (file) => {
+    if (queueId(file)) updateQueued(queueId(file), { meta: pickUploadMeta(file.meta) });
+  });
+  uppy.on('file-removed', (file) => {
+    if (queueId(file)) deleteQueued(queueId(file));
+    notify();
+  });
+  uppy.on('upload-success', (file) => {
+    if (queueId(file)) deleteQueued(queueId(file));
+    notify();
+  });
+  uppy.on('upload-error', (file, error, response) => {
+    if (queueId(file)) updateQueued(queueId(file), { status: 'error', error: extractUploadErrorMessage(error, response) });
+    notify();
+  });
+  uppy.on('upload-pause', (file, isPaused) => {
+    if (queueId(file)) updateQueued(queueId(file), { status: isPaused ? 'paused' : 'queued' });
+    notify();
+  });
+  ['pause-all', 'resume-all'].forEach((evt) => uppy.on(evt, () => {
+    uppy.getFiles().forEach((f) => { if (queueId(f)) updateQueued(queueId(f), { status: f.isPaused ? 'paused' : 'queued' }); });
+    notify();
+  }));
+  uppy.on('upload-progress', notify);
+  uppy.on('upload-start', notify);
+  uppy.on('complete', (result) => {
+    notify();
+    const done = (result?.successful || []).map((f) => f.id);
+    setTimeout(() => {
+      done.forEach((id) => { if (uppy.getFile(id)) uppy.removeFile(id); });
+    }, UPLOAD_PRUNE_DELAY);
+  });
+}
+
+/**
+ * Uppy instance for an album, created on first use and kept across SPA navigation.
+ * Callers must not close() it; page-level listeners have to be removed with uppy.off().
+ * `gpsPolicy` (keep|fuzz|strip) is the album GPS privacy policy; passing it again
+ * updates the policy used for files that have not been processed yet.
+ */
+export function getAlbumUploader({ albumId, endpoint, title = '', gpsPolicy }) {
+  const existing = uploaders.get(endpoint);
+  if (existing) {
+    if (title) existing.title = title;
+    if (gpsPolicy) existing.gpsPolicy = gpsPolicy;
+    return existing.uppy;
+  }
+
+  const entry = { albumId: String(albumId), endpoint, title, gpsPolicy: gpsPolicy || 'keep' };
+
+  const uppy = new Uppy({
+    id: `album-upload-${albumId}`,
+    autoProceed: true,
+    restrictions: {
+      // Keep client restrictions aligned with server-side validation
+      allowedFileTypes: ['image/jpeg', 'image/png', 'image/webp', ...SOURCE_FILE_TYPES],
+      maxFileSize: UPLOAD_MAX_FILE_SIZE
+    }
+  })
+    // HEIC/AVIF/TIFF the server cannot decode are converted first, so later steps see a JPEG
+    .use(FormatDecoder)
+    // Ask about look-alikes already in the library before the remaining processing
+    .use(DuplicateCheck, { endpoint, headers: () => ({ 'X-CSRF-Token': getCsrf() }) })
+    // Apply the album GPS policy before compressing: the compressor leaves large originals untouched
+    .use(MetadataPrivacy, { policy: () => entry.gpsPolicy })
+    // Compress images client-side before upload (reduces upload time significantly)
+    // Note: PNG to JPEG conversion loses transparency. convertSize set high to reduce unwanted conversions.
+    .use(OriginalsAwareCompressor, {
+      quality: 0.85,
+      maxWidth: 4000,
+      maxHeight: 4000,
+      convertTypes: ['image/png'],  // Convert PNG to JPEG for smaller uploads
+      convertSize: 2000000  // Only convert PNGs larger than 2MB (reduces unwanted transparency loss)
+    })
+    .use(ResumableUpload, {
+      endpoint,
+      limit: 3,  // Upload 3 files in parallel for faster bulk uploads
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      timeout: 120000,  // 2 minute timeout per chunk
+      // Read the token per request: the queue outlives the page that created it
+      headers: () => ({ 'X-CSRF-Token': getCsrf() }),
+      // Chunks failing on an expired session wait for the sign-in dialog, then carry on
+      recover: recoverXhr
+    });
+
+  entry.uppy = uppy;
+  uploaders.set(endpoint, entry);
+  bindPersistence(entry);
+  notify();
+  return uppy;
+}
+
+/**
+ * Load queue records left behind by a previous session (reload, crash, closed tab).
+ */
+export async function loadRecoveredUploads() {
+  const items = await getAllQueued();
+  const live = new Set();
+  getUploaders().forEach(({ uppy }) => uppy.getFiles().forEach((f) => live.add(f.meta?.queueId)));
+  recovered = items.filter((item) => !live.has(item.id) && item.file);
+  notify();
+  return recovered;
+}
+
+export function resumeRecoveredUploads() {
+  const items = recovered;
+  recovered = [];
+  items.forEach((item) => {
+    const uppy = getAlbumUploader({ albumId: item.albumId, endpoint: item.endpoint, title: item.albumTitle });
+    try {
+      uppy.addFile({ source: 'recovery', name: item.name, type: item.type, data: item.file, meta: { ...(item.meta || {}), queueId: item.id } });
+    } catch (e) {
+      // Duplicate or no longer allowed: drop the stale record
+      deleteQueued(item.id);
+    }
+  });
+  notify();
+}
+
+export function discardRecoveredUploads() {
+  const items = recovered;
+  recovered = [];
+  items.forEach((item) => {
+    deleteQueued(item.id);
+    discardPendingUpload(item.endpoint, fileFingerprint({ name: item.name, type: item.type, data: item.file }), { 'X-CSRF-Token': getCsrf() });
+  });
+  notify();
+}
@@ -0,0 +1,43 @@
+/**
+ * IndexedDB persistence for the admin upload queue.
+ *
+ * Each record keeps the original File (structured clone) next to the album it
+ * belongs to, so queued uploads can be offered again after a reload or a crash.
+ * All helpers resolve to a safe fallback when IndexedDB is unavailable
+ * (private mode, quota errors): the queue then simply lives in memory only.
+ */
+import { openDb, run as runIn, UPLOAD_QUEUE_STORE as STORE } from './admin-db.js'
+
+const run = (mode, fn, fallback) => runIn(STORE, mode, fn, fallback);
+
+export function getAllQueued() {
+  return run('readonly', (store) => store.getAll(), []).then((items) => (items || []).sort((a, b) => a.addedAt - b.addedAt));
+}
+
+export function putQueued(item) {
+  return run('readwrite', (store) => store.put(item), null);
+}
+
+export function deleteQueued(id) {
+  return run('readwrite', (store) => store.delete(id), null);
+}
+
+export async function updateQueued(id, patch) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      const req = store.get(id);
+      req.onsuccess = () => {
+        if (req.result) store.put({ ...req.result, ...patch });
+      };
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => resolve(null);
+      tx.onabort = () => resolve(null);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
@@ -0,0 +1,248 @@
+/**
+ * "Review before upload" queue for the album upload area.
+ *
+ * When the mode is on, dropped or selected files wait here instead of going straight
+ * to the upload manager. Each file gets a thumbnail with title, alt text, caption and
+ * tag fields plus camera/lens/date/GPS badges read from the file; filled bulk fields
+ * can be applied to a selection at once. Uploading
+ * hands the files to Uppy with those values in file.meta, which ResumableUpload
+ * sends along when it opens the upload session.
+ */
+import TomSelect from 'tom-select'
+import { t, tf, loadTagOptions } from './utils.js'
+import { inspectImage, metadataBadges } from './metadata-privacy.js'
+
+const STORAGE_KEY = 'cimaise.uploadReview';
+const TEXT_FIELDS = ['title', 'alt_text', 'caption'];
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+export function isReviewEnabled() {
+  try { return localStorage.getItem(STORAGE_KEY) === '1'; } catch (e) { return false; }
+}
+
+export function setReviewEnabled(enabled) {
+  try {
+    if (enabled) localStorage.setItem(STORAGE_KEY, '1');
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {}
+}
+
+function createTagSelect(el) {
+  return new TomSelect(el, {
+    plugins: ['remove_button'],
+    persist: false,
+    create: false,
+    maxItems: null,
+    valueField: 'id',
+    labelField: 'name',
+    searchField: 'name',
+    placeholder: t('admin.upload.field_tags'),
+    load: loadTagOptions,
+    onItemAdd() {
+      this.setTextboxValue('');
+      this.refreshOptions(false);
+    }
+  });
+}
+
+function fieldInput(field, label) {
+  return `<input type="text" class="form-input w-full text-sm" data-review-field="${field}" placeholder="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">`;
+}
+
+/**
+ * Mount the review queue into `container`.
+ * onCommit(file, meta) is called for every file when the user starts the upload;
+ * gpsPolicy() returns the album GPS policy shown on the location badge.
+ */
+export function createUploadReview(container, { onCommit, gpsPolicy = () => 'keep' }) {
+  const items = new Map();
+  let seq = 0;
+
+  const labels = {
+    title: t('admin.upload.field_title'),
+    alt_text: t('admin.upload.field_alt'),
+    caption: t('admin.upload.field_caption')
+  };
+
+  container.innerHTML = `
+    <div class="border border-gray-200 rounded-lg">
+      <div class="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-gray-200 bg-gray-50 rounded-t-lg">
+        <label class="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+          <input type="checkbox" data-review-select-all class="rounded border-gray-300 text-black focus:ring-black">
+          ${escapeHtml(t('admin.upload.review_select_all'))}
+        </label>
+        <span class="text-sm text-gray-600" data-review-count></span>
+        <div class="ml-auto flex items-center gap-2">
+          <button type="button" class="btn-secondary text-sm" data-review-action="clear">${escapeHtml(t('admin.common.clear'))}</button>
+          <button type="button" class="btn-primary text-sm" data-review-action="upload"><i class="fas fa-cloud-upload-alt mr-1"></i><span data-review-upload-label></span></button>
+        </div>
+      </div>
+      <div class="px-4 py-3 border-b border-gray-200 space-y-2" data-review-bulk>
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-2">
+          ${TEXT_FIELDS.map((field) => fieldInput(field, labels[field])).join('')}
+          <select multiple data-review-field="tags" aria-label="${escapeHtml(t('admin.upload.field_tags'))}"></select>
+        </div>
+        <div class="flex flex-wrap items-center gap-3">
+          <button type="button" class="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed" data-review-action="apply" disabled>${escapeHtml(t('admin.upload.review_apply'))}</button>
+          <span class="text-xs text-gray-500">${escapeHtml(t('admin.upload.review_bulk_hint'))}</span>
+        </div>
+      </div>
+      <ul class="grid grid-cols-1 lg:grid-cols-2 gap-4 p-4" data-review-list></ul>
+    </div>`;
+
+  const list = container.querySelector('[data-review-list]');
+  const bulk = container.querySelector('[data-review-bulk]');
+  const selectAll = container.querySelector('[data-review-select-all]');
+  const applyBtn = container.querySelector('[data-review-action="apply"]');
+  const bulkTags = createTagSelect(bulk.querySelector('[data-review-field="tags"]'));
+
+  const selected = () => Array.from(items.values()).filter((item) => item.selected);
+
+  function refresh() {
+    container.classList.toggle('hidden', items.size === 0);
+    container.querySelector('[data-review-count]').textContent = tf('admin.upload.review_ready', { count: items.size });
+    container.querySelector('[data-review-upload-label]').textContent = tf('admin.upload.review_upload', { count: items.size });
+    const count = selected().length;
+    selectAll.checked = items.size > 0 && count === items.size;
+    selectAll.indeterminate = count > 0 && count < items.size;
+    applyBtn.disabled = count === 0;
+  }
+
+  function removeItem(key) {
+    const item = items.get(key);
+    if (!item) return;
+    try { item.tags.destroy(); } catch (e) {}
+    URL.revokeObjectURL(item.url);
+    item.el.remove();
+    items.delete(key);
+  }
+
+  function stage(files) {
+    const staged = new Set(Array.from(items.values()).map((item) => `${item.file.name}|${item.file.size}`));
+    Array.from(files).forEach((file) => {
+      if (staged.has(`${file.name}|${file.size}`)) {
+        if (window.showToast) window.showToast(tf('admin.upload.file_already_added', { name: file.name }), 'error');
+        return;
+      }
+      staged.add(`${file.name}|${file.size}`);
+      const key = `r${++seq}`;
+      const url = URL.createObjectURL(file);
+      const el = document.createElement('li');
+      el.className = 'flex gap-3 border border-gray-200 rounded-lg p-3';
+      el.dataset.reviewKey = key;
+      el.innerHTML = `
+        <div class="relative flex-shrink-0">
+          <img src="${url}" alt="" loading="lazy" decoding="async" class="w-24 h-24 object-cover rounded bg-gray-100">
+          <input type="checkbox" class="absolute top-1 left-1 w-4 h-4 bg-white rounded border" data-review-select aria-label="${escapeHtml(file.name)}">
+        </div>
+        <div class="flex-1 min-w-0 space-y-2">
+          <div class="flex items-center gap-2">
+            <span class="text-xs font-medium text-gray-900 truncate flex-1" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</span>
+            <span class="text-xs text-gray-500">${formatSize(file.size)}</span>
+            <button type="button" class="text-gray-400 hover:text-red-600" data-review-action="remove" title="${escapeHtml(t('admin.upload.review_remove'))}" aria-label="${escapeHtml(t('admin.upload.review_remove'))}"><i class="fas fa-times text-xs"></i></button>
+          </div>
+          ${TEXT_FIELDS.map((field) => fieldInput(field, labels[field])).join('')}
+          <select multiple data-review-field="tags" aria-label="${escapeHtml(t('admin.upload.field_tags'))}"></select>
+          <div class="flex flex-wrap gap-1 empty:hidden" data-review-meta></div>
+        </div>`;
+      list.appendChild(el);
+      inspectImage(file).then((info) => {
+        const metaEl = el.querySelector('[data-review-meta]');
+        if (metaEl) metaEl.innerHTML = metadataBadges(info, gpsPolicy());
+      });
+      items.set(key, {
+        key, file, url, el,
+        selected: false,
+        tags: createTagSelect(el.querySelector('[data-review-field="tags"]'))
+      });
+    });
+    refresh();
+  }
+
+  function applyBulk() {
+    const targets = selected();
+    if (!targets.length) return;
+    const values = {};
+    TEXT_FIELDS.forEach((field) => {
+      const value = bulk.querySelector(`[data-review-field="${field}"]`).value.trim();
+      if (value) values[field] = value;
+    });
+    const tags = bulkTags.items.map((id) => bulkTags.options[id]).filter(Boolean);
+
+    targets.forEach((item, index) => {
+      Object.entries(values).forEach(([field, value]) => {
+        item.el.querySelector(`[data-review-field="${field}"]`).value = value.replaceAll('{n}', String(index + 1));
+      });
+      tags.forEach((tag) => {
+        item.tags.addOption({ id: tag.id, name: tag.name });
+        item.tags.addItem(String(tag.id), true);
+      });
+    });
+    if (window.showToast) window.showToast(tf('admin.upload.review_applied', { count: targets.length }), 'success');
+  }
+
+  function commit() {
+    Array.from(items.values()).forEach((item) => {
+      const meta = {};
+      TEXT_FIELDS.forEach((field) => {
+        const value = item.el.querySelector(`[data-review-field="${field}"]`).value.trim();
+        if (value) meta[field] = value;
+      });
+      const tagIds = item.tags.items.map(Number).filter(Boolean);
+      if (tagIds.length) meta.tags = tagIds;
+      onCommit(item.file, meta);
+      removeItem(item.key);
+    });
+    refresh();
+  }
+
+  function onClick(e) {
+    const btn = e.target.closest('[data-review-action]');
+    if (!btn) return;
+    switch (btn.dataset.reviewAction) {
+      case 'remove': removeItem(btn.closest('[data-review-key]')?.dataset.reviewKey); break;
+      case 'apply': applyBulk(); break;
+      case 'upload': commit(); break;
+      case 'clear':
+        if (!confirm(t('admin.upload.review_clear_confirm'))) return;
+        Array.from(items.keys()).forEach(removeItem);
+        break;
+      default: return;
+    }
+    refresh();
+  }
+
+  function onChange(e) {
+    if (e.target.matches('[data-review-select-all]')) {
+      items.forEach((item) => {
+        item.selected = e.target.checked;
+        item.el.querySelector('[data-review-select]').checked = e.target.checked;
+      });
+    } else if (e.target.matches('[data-review-select]')) {
+      const item = items.get(e.target.closest('[data-review-key]')?.dataset.reviewKey);
+      if (item) item.selected = e.target.checked;
+    } else {
+      return;
+    }
+    refresh();
+  }
+
+  container.addEventListener('click', onClick);
+  container.addEventListener('change', onChange);
+  refresh();
+
+  return {
+    stage,
+    count: () => items.size,
+    destroy() {
+      Array.from(items.keys()).forEach(removeItem);
+      try { bulkTags.destroy(); } catch (e) {}
+      container.removeEventListener('click', onClick);
+      container.removeEventListener('change', onChange);
+      container.innerHTML = '';
+    }
+  };
+}
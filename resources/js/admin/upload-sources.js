@@ -0,0 +1,58 @@
+/**
+ * Extra ways to feed the album uploader besides the drop zone: pasting from the
+ * clipboard and importing from a URL. Both return plain File objects, which the album
+ * editor adds to the same Uppy queue as picked or dropped files.
+ */
+import { t, getCsrf } from './utils.js'
+
+const PASTE_EXT = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/heic': 'heic', 'image/avif': 'avif', 'image/tiff': 'tif' };
+
+const isEditable = (el) => !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+/**
+ * Image files carried by a paste event. Screenshots arrive as "image.png" (or unnamed),
+ * so they get a timestamped name to stay distinguishable in the queue and the library.
+ */
+export function filesFromClipboard(event) {
+  const data = event.clipboardData;
+  if (!data) return [];
+  // Text pasted into a form field is not an upload, even when an image rides along
+  if (isEditable(event.target) && data.types.includes('text/plain')) return [];
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return Array.from(data.files || [])
+    .filter((file) => file.type.startsWith('image/'))
+    .map((file, i) => {
+      if (file.name && file.name !== 'image.png') return file;
+      const suffix = data.files.length > 1 ? `-${i + 1}` : '';
+      return new File([file], `pasted-${stamp}${suffix}.${PASTE_EXT[file.type] || 'png'}`, { type: file.type, lastModified: Date.now() });
+    });
+}
+
+/**
+ * http(s) URL pasted outside form fields, or null.
+ */
+export function urlFromClipboard(event) {
+  const data = event.clipboardData;
+  if (!data || isEditable(event.target) || (data.files && data.files.length)) return null;
+  const text = (data.getData('text/plain') || '').trim();
+  return /^https?:\/\/\S+$/i.test(text) ? text : null;
+}
+
+/**
+ * Ask the server to fetch an image from an allowlisted host; resolves to a File.
+ */
+export async function fetchUrlImport(endpoint, url) {
+  const res = await fetch(`${endpoint}/url`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrf(), 'X-Requested-With': 'XMLHttpRequest' },
+    credentials: 'same-origin',
+    body: JSON.stringify({ url })
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || t('admin.upload.url_failed'));
+  }
+  const blob = await res.blob();
+  const name = decodeURIComponent(res.headers.get('X-File-Name') || '') || 'image';
+  return new File([blob], name, { type: blob.type, lastModified: Date.now() });
+}
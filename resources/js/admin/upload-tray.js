@@ -0,0 +1,198 @@
+/**
+ * Persistent upload tray (bottom-right), mounted once on document.body so it
+ * survives SPA page swaps. Lists every album upload queue from the upload
+ * manager with pause/resume/cancel per file and per album, and offers uploads
+ * recovered from a previous session.
+ */
+import { t, tf } from './utils.js'
+import {
+  getUploaders,
+  getRecoveredUploads,
+  hasActiveUploads,
+  onUploadsChange,
+  loadRecoveredUploads,
+  resumeRecoveredUploads,
+  discardRecoveredUploads
+} from './upload-manager.js'
+
+let tray = null;
+let collapsed = false;
+let pointerDown = false;
+let renderTimer = null;
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function fileStatus(file) {
+  if (file.error) return { label: t('admin.common.error'), cls: 'text-red-600', bar: 'bg-red-500' };
+  if (file.progress?.uploadComplete) return { label: t('admin.upload.completed'), cls: 'text-green-600', bar: 'bg-green-500' };
+  if (file.isPaused) return { label: t('admin.upload.paused'), cls: 'text-amber-600', bar: 'bg-amber-500' };
+  if (file.progress?.uploadStarted) return { label: `${file.progress.percentage || 0}%`, cls: 'text-gray-500', bar: 'bg-black' };
+  return { label: t('admin.upload.queued'), cls: 'text-gray-500', bar: 'bg-gray-400' };
+}
+
+function iconButton(action, icon, title, attrs = '') {
+  return `<button type="button" class="w-6 h-6 inline-flex items-center justify-center rounded text-gray-500 hover:text-black hover:bg-gray-100" data-tray-action="${action}" ${attrs} title="${escapeHtml(title)}" aria-label="${escapeHtml(title)}"><i class="fas ${icon} text-xs"></i></button>`;
+}
+
+function renderGroup(entry) {
+  const files = entry.uppy.getFiles();
+  if (!files.length) return '';
+  const done = files.filter((f) => f.progress?.uploadComplete).length;
+  const active = files.filter((f) => !f.progress?.uploadComplete && !f.error);
+  const allPaused = active.length > 0 && active.every((f) => f.isPaused);
+  const endpointAttr = `data-endpoint="${escapeHtml(entry.endpoint)}"`;
+  const title = entry.title || tf('admin.upload.tray_album', { id: entry.albumId });
+
+  const rows = files.map((file) => {
+    const status = fileStatus(file);
+    const percent = file.progress?.uploadComplete ? 100 : (file.progress?.percentage || 0);
+    const fileAttrs = `${endpointAttr} data-file-id="${escapeHtml(file.id)}"`;
+    let actions = '';
+    if (file.error) {
+      actions = iconButton('retry', 'fa-redo', t('admin.upload.retry'), fileAttrs);
+    } else if (!file.progress?.uploadComplete) {
+      actions = file.isPaused
+        ? iconButton('resume', 'fa-play', t('admin.upload.resume'), fileAttrs)
+        : iconButton('pause', 'fa-pause', t('admin.upload.pause'), fileAttrs);
+    }
+    if (!file.progress?.uploadComplete) {
+      actions += iconButton('cancel', 'fa-times', t('admin.common.cancel'), fileAttrs);
+    }
+    return `
+      <li class="py-1.5">
+        <div class="flex items-center gap-2">
+          <span class="text-xs text-gray-700 truncate flex-1" title="${escapeHtml(file.error || file.name)}">${escapeHtml(file.name)}</span>
+          <span class="text-[11px] ${status.cls}">${escapeHtml(status.label)}</span>
+          <span class="flex items-center">${actions}</span>
+        </div>
+        <div class="w-full bg-gray-100 rounded-full h-1 mt-1">
+          <div class="${status.bar} h-1 rounded-full transition-all duration-150" style="width: ${percent}%"></div>
+        </div>
+      </li>`;
+  }).join('');
+
+  let groupActions = '';
+  if (active.length) {
+    groupActions = (allPaused
+      ? iconButton('resume-album', 'fa-play', t('admin.upload.resume_all'), endpointAttr)
+      : iconButton('pause-album', 'fa-pause', t('admin.upload.pause_all'), endpointAttr))
+      + iconButton('cancel-album', 'fa-times', t('admin.upload.cancel_all'), endpointAttr);
+  }
+
+  return `
+    <section class="border-t border-gray-100 px-3 py-2">
+      <div class="flex items-center gap-2">
+        <i class="fas fa-folder text-gray-400 text-xs"></i>
+        <span class="text-xs font-medium text-gray-900 truncate flex-1">${escapeHtml(title)}</span>
+        <span class="text-[11px] text-gray-500">${done} / ${files.length}</span>
+        <span class="flex items-center">${groupActions}</span>
+      </div>
+      <ul class="mt-1 max-h-48 overflow-y-auto">${rows}</ul>
+    </section>`;
+}
+
+function render() {
+  if (!tray) return;
+  const groups = getUploaders().map(renderGroup).filter(Boolean);
+  const recovered = getRecoveredUploads();
+  if (!groups.length && !recovered.length) {
+    tray.classList.add('hidden');
+    tray.innerHTML = '';
+    return;
+  }
+  tray.classList.remove('hidden');
+
+  const total = getUploaders().reduce((sum, { uppy }) => sum + uppy.getFiles().length, 0);
+  const busy = hasActiveUploads();
+  const recoveredHtml = recovered.length ? `
+    <div class="px-3 py-2 bg-amber-50 border-t border-amber-200">
+      <div class="text-xs text-amber-800">${escapeHtml(tf('admin.upload.tray_recovered', { count: recovered.length }))}</div>
+      <div class="mt-2 flex gap-2">
+        <button type="button" class="btn-primary text-xs px-2 py-1" data-tray-action="resume-recovered">${escapeHtml(t('admin.upload.resume'))}</button>
+        <button type="button" class="btn-secondary text-xs px-2 py-1" data-tray-action="discard-recovered">${escapeHtml(t('admin.upload.discard'))}</button>
+      </div>
+    </div>` : '';
+
+  // Progress re-renders the tray often: keep keyboard focus on the same control
+  const focused = tray.contains(document.activeElement) ? document.activeElement : null;
+  const focusKey = focused?.dataset?.trayAction ? [focused.dataset.trayAction, focused.dataset.endpoint || '', focused.dataset.fileId || ''] : null;
+
+  tray.innerHTML = `
+    <div class="flex items-center gap-2 px-3 py-2">
+      <i class="fas ${busy ? 'fa-circle-notch fa-spin' : 'fa-cloud-upload-alt'} text-gray-500 text-sm"></i>
+      <span class="text-sm font-medium text-gray-900 flex-1">${escapeHtml(t('admin.upload.tray_title'))}${total ? ` (${total})` : ''}</span>
+      ${iconButton('toggle', collapsed ? 'fa-chevron-up' : 'fa-chevron-down', collapsed ? t('admin.upload.tray_expand') : t('admin.upload.tray_collapse'))}
+    </div>
+    ${recoveredHtml}
+    <div class="${collapsed ? 'hidden' : ''}">${groups.join('')}</div>`;
+
+  if (focusKey) {
+    const match = Array.from(tray.querySelectorAll('[data-tray-action]')).find((el) =>
+      el.dataset.trayAction === focusKey[0] && (el.dataset.endpoint || '') === focusKey[1] && (el.dataset.fileId || '') === focusKey[2]);
+    if (match) match.focus();
+  }
+}
+
+// Throttled render; postponed while a button is pressed so the click is not lost to a re-render
+function scheduleRender() {
+  if (renderTimer) return;
+  renderTimer = setTimeout(() => {
+    renderTimer = null;
+    if (pointerDown) { scheduleRender(); return; }
+    render();
+  }, 200);
+}
+
+function findUppy(endpoint) {
+  return getUploaders().find((entry) => entry.endpoint === endpoint)?.uppy || null;
+}
+
+function onTrayClick(e) {
+  const btn = e.target.closest('[data-tray-action]');
+  if (!btn) return;
+  const action = btn.dataset.trayAction;
+  const uppy = btn.dataset.endpoint ? findUppy(btn.dataset.endpoint) : null;
+  const fileId = btn.dataset.fileId;
+
+  switch (action) {
+    case 'toggle': collapsed = !collapsed; break;
+    case 'pause':
+    case 'resume': if (uppy && uppy.getFile(fileId)) uppy.pauseResume(fileId); break;
+    case 'retry': if (uppy && uppy.getFile(fileId)) uppy.retryUpload(fileId); break;
+    case 'cancel': if (uppy && uppy.getFile(fileId)) uppy.removeFile(fileId); break;
+    case 'pause-album': if (uppy) uppy.pauseAll(); break;
+    // Per file rather than resumeAll(), which would also clear errors of failed files
+    case 'resume-album': if (uppy) uppy.getFiles().filter((f) => f.isPaused).forEach((f) => uppy.pauseResume(f.id)); break;
+    case 'cancel-album': if (uppy && confirm(t('admin.upload.cancel_all_confirm'))) uppy.cancelAll(); break;
+    case 'resume-recovered': resumeRecoveredUploads(); break;
+    case 'discard-recovered': discardRecoveredUploads(); break;
+    default: return;
+  }
+  render();
+}
+
+/**
+ * Mount the tray once per full page load and check IndexedDB for unfinished uploads.
+ */
+export function initUploadTray() {
+  if (tray || !document.body) return;
+  tray = document.createElement('div');
+  tray.id = 'upload-tray';
+  tray.className = 'hidden fixed bottom-4 right-4 z-40 w-80 bg-white border border-gray-200 rounded-lg shadow-xl overflow-hidden';
+  tray.setAttribute('role', 'region');
+  tray.setAttribute('aria-label', t('admin.upload.tray_title'));
+  tray.addEventListener('click', onTrayClick);
+  tray.addEventListener('pointerdown', () => { pointerDown = true; });
+  document.addEventListener('pointerup', () => { pointerDown = false; });
+  document.body.appendChild(tray);
+
+  onUploadsChange(scheduleRender);
+  loadRecoveredUploads();
+
+  // Queued files are persisted, but leaving mid-upload still interrupts the transfer
+  window.addEventListener('beforeunload', (e) => {
+    if (!hasActiveUploads()) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+}
@@ -0,0 +1,69 @@
+// Admin JS i18n helpers (translations injected in admin/_layout.twig)
+export const t = (key) => {
+  try {
+    if (typeof window !== 'undefined' && typeof window.adminT === 'function') {
+      return window.adminT(key);
+    }
+  } catch (e) {}
+  return key;
+};
+
+export const tf = (key, params = {}) => {
+  try {
+    if (typeof window !== 'undefined' && typeof window.adminTf === 'function') {
+      return window.adminTf(key, params);
+    }
+  } catch (e) {}
+  let out = t(key);
+  try {
+    Object.keys(params || {}).forEach((k) => {
+      out = String(out).replaceAll(`{${k}}`, String(params[k]));
+    });
+  } catch (e) {}
+  return out;
+};
+
+// Debug logger (disabled unless window.__ADMIN_DEBUG is true)
+export const debugLog = (...args) => {
+  try {
+    if (typeof window !== 'undefined' && window.__ADMIN_DEBUG) {
+      console.log(...args);
+    }
+  } catch (e) {}
+};
+
+// CSRF token rendered by the admin layout (hidden input[name=csrf])
+export function getCsrf() {
+  const el = document.querySelector('input[name="csrf"]');
+  return el ? el.value : '';
+}
+
+// Adopt a renewed CSRF token (session.js): every csrf field and data-csrf attribute on the page
+export function setCsrf(token) {
+  document.querySelectorAll('input[name="csrf"]').forEach((el) => { el.value = token; });
+  document.querySelectorAll('[data-csrf]').forEach((el) => { el.dataset.csrf = token; });
+}
+
+// Best-effort human readable message from an Uppy upload error/response pair
+export const extractUploadErrorMessage = (error, response) => {
+  let msg = t('admin.upload.upload_error');
+  if (response && response.body) {
+    msg = response.body.error || response.body.message || msg;
+  } else if (response && response.response) {
+    const text = response.responseText || response.response || '';
+    try {
+      const parsed = JSON.parse(text);
+      msg = parsed.error || parsed.message || msg;
+    } catch (e) {}
+  }
+  if (error && error.message && (!msg || msg === 'Upload error')) {
+    msg = error.message;
+  }
+  return msg;
+};
+
+// Async tag suggestions for TomSelect `load` (valueField 'id', labelField 'name')
+export const loadTagOptions = (q, cb) => {
+  fetch(`${window.basePath || ''}/admin/api/tags?q=${encodeURIComponent(q || '')}`, { headers: { 'Accept': 'application/json' }})
+    .then(r => r.ok ? r.json() : []).then(cb).catch(() => cb());
+};
@@ -0,0 +1,351 @@
+/**
+ * Windowed image grid for very large albums in the album editor.
+ *
+ * Above AlbumsController::VIRTUAL_GRID_THRESHOLD images the edit page renders #images-grid
+ * empty with data-virtual; card data is loaded in pages from GET /admin/albums/{id}/images/grid
+ * and only the rows around the viewport are in the DOM, with padding standing in for the rest.
+ * Order, selection and cover live in this model, so sorting, select-all, bulk actions and
+ * reordering cover the whole album: the shared helpers in grid-reorder.js (gridOrder,
+ * selectedIds, applyOrder) go through grid._virtual when it is set.
+ *
+ * Card nodes are kept once built, so edits made on them (modal saves, bound buttons,
+ * keyboard grab state) survive scrolling out of view and back.
+ */
+import { t, debugLog } from './utils.js'
+
+const OVERSCAN_ROWS = 3;
+// Rows rendered before the card height is known
+const INITIAL_ROWS = 6;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const str = (value) => (value === null || value === undefined ? '' : String(value));
+
+// data-* attributes of a card, as rendered by admin/albums/edit.twig
+function cardData(item) {
+  const data = {
+    id: str(item.id),
+    created: str(item.created_at),
+    sort: str(item.sort_order),
+    src: str(item.original_path),
+    w: str(item.width),
+    h: str(item.height),
+    title: str(item.title),
+    alt_text: str(item.alt_text),
+    caption: str(item.caption),
+    tags: JSON.stringify(item.tags || []),
+    camera_id: str(item.camera_id),
+    lens_id: str(item.lens_id),
+    film_id: str(item.film_id),
+    developer_id: str(item.developer_id),
+    lab_id: str(item.lab_id),
+    location_id: str(item.location_id),
+    custom_camera: str(item.custom_camera),
+    custom_lens: str(item.custom_lens),
+    custom_film: str(item.custom_film),
+    iso: str(item.iso),
+    shutter_speed: str(item.shutter_speed),
+    aperture: str(item.aperture),
+    filename: str(item.original_filename),
+    taken: str(item.date_original),
+    camera: str(item.camera_label),
+    lens: str(item.lens_label),
+  };
+  if (item.rating !== null && item.rating !== undefined) data.rating = str(item.rating);
+  return data;
+}
+
+function buildCard(record, isCover) {
+  const { data, preview } = record;
+  const card = document.createElement('div');
+  card.className = 'border rounded overflow-hidden group';
+  Object.entries(data).forEach(([key, value]) => { card.dataset[key] = value; });
+  const alt = data.alt_text || data.caption || 'Album image';
+  const coverClass = isCover ? 'bg-green-600 text-white border-green-600' : 'border-gray-300 text-gray-700';
+  card.innerHTML = `
+    <div class="aspect-square overflow-hidden bg-gray-100 relative cursor-pointer hover:ring-2 hover:ring-blue-500 hover:ring-opacity-50 transition-all" title="Click to edit image details">
+      <img src="${escapeHtml(preview)}" class="w-full h-full object-cover" alt="${escapeHtml(alt)}" decoding="async">
+      <input type="checkbox" class="absolute top-2 left-2 w-4 h-4 bg-white rounded border z-10" data-select-id="${escapeHtml(data.id)}">
+      <div class="absolute inset-0 bg-black/0 hover:bg-black/10 transition-all flex items-center justify-center">
+        <div class="opacity-0 group-hover:opacity-100 transition-opacity bg-white/90 text-gray-800 px-3 py-1 rounded-full text-sm font-medium">
+          <i class="fas fa-edit mr-1"></i>${escapeHtml(t('admin.albums.edit_details'))}
+        </div>
+      </div>
+    </div>
+    <div class="p-2 flex items-center justify-between text-sm">
+      <button type="button" data-cover-id="${escapeHtml(data.id)}" class="px-2 py-1 rounded border ${coverClass}">${escapeHtml(t('admin.albums.modal_cover'))}</button>
+      <button type="button" data-delete-id="${escapeHtml(data.id)}" class="px-2 py-1 rounded border border-red-300 text-red-700"><i class="fa-solid fa-trash"></i></button>
+    </div>`;
+  return card;
+}
+
+/**
+ * @param {HTMLElement} grid #images-grid with data-items-endpoint
+ * @param {{onRender?: (cards: HTMLElement[]) => void}} options onRender gets the cards added to the DOM
+ */
+export function createVirtualGrid(grid, { onRender = () => {} } = {}) {
+  const endpoint = grid.dataset.itemsEndpoint;
+  // id → { data, preview }; data becomes the card's dataset once the card is built
+  const records = new Map();
+  const nodes = new Map();
+  const selected = new Set();
+  let order = [];
+  let coverId = null;
+  let start = 0;
+  let end = 0;
+  let dragging = false;
+  let frame = 0;
+  let loadToken = 0;
+
+  grid.style.overflowAnchor = 'none';
+
+  const cardFor = (id) => {
+    let card = nodes.get(id);
+    if (!card) {
+      const record = records.get(id);
+      card = buildCard(record, String(coverId) === id);
+      record.data = card.dataset;
+      nodes.set(id, card);
+    }
+    const box = card.querySelector('[data-select-id]');
+    if (box) box.checked = selected.has(id);
+    return card;
+  };
+
+  const metrics = () => {
+    const style = getComputedStyle(grid);
+    const cols = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+    const sample = grid.querySelector(':scope > [data-id]');
+    const rowHeight = sample ? sample.offsetHeight + (parseFloat(style.rowGap) || 0) : 0;
+    return { cols, rowHeight };
+  };
+
+  function render() {
+    frame = 0;
+    const { cols, rowHeight } = metrics();
+    const rows = Math.ceil(order.length / cols);
+    let first = 0;
+    let last = Math.min(rows, INITIAL_ROWS) - 1;
+    if (rowHeight) {
+      const top = grid.getBoundingClientRect().top;
+      // Scrolled past the grid: keep the last rows rendered
+      first = Math.min(Math.max(0, rows - 1), Math.max(0, Math.floor(-top / rowHeight) - OVERSCAN_ROWS));
+      last = Math.min(rows - 1, Math.floor((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS);
+      last = Math.max(last, Math.min(rows - 1, first));
+    }
+    let nextStart = first * cols;
+    let nextEnd = Math.min(order.length, (last + 1) * cols);
+    const added = [];
+
+    if (dragging) {
+      // Sortable holds references to the rendered cards mid-drag: only extend the window
+      nextStart = Math.min(start, nextStart);
+      nextEnd = Math.max(end, nextEnd);
+      for (let i = start - 1; i >= nextStart; i--) {
+        const card = cardFor(order[i]);
+        grid.insertBefore(card, grid.firstChild);
+        added.push(card);
+      }
+      for (let i = end; i < nextEnd; i++) {
+        const card = cardFor(order[i]);
+        grid.appendChild(card);
+        added.push(card);
+      }
+    } else if (!order.length) {
+      if (!grid.querySelector('[data-empty]')) {
+        grid.innerHTML = `<div class="col-span-full text-center py-8" data-empty><p class="text-gray-500">${escapeHtml(t('admin.albums.no_images'))}</p></div>`;
+      }
+    } else {
+      const wanted = order.slice(nextStart, nextEnd).map(cardFor);
+      const keep = new Set(wanted);
+      Array.from(grid.children).forEach((child) => { if (!keep.has(child)) child.remove(); });
+      // Cards still in the DOM keep their relative order when scrolling: only new ones move in
+      let cursor = grid.firstElementChild;
+      wanted.forEach((card) => {
+        if (card === cursor) {
+          cursor = cursor.nextElementSibling;
+          return;
+        }
+        if (!card.isConnected) added.push(card);
+        grid.insertBefore(card, cursor);
+      });
+    }
+
+    start = nextStart;
+    end = nextEnd;
+    const rowsBefore = Math.floor(start / cols);
+    const rowsAfter = Math.max(0, rows - Math.ceil(end / cols));
+    grid.style.paddingTop = `${rowsBefore * rowHeight}px`;
+    grid.style.paddingBottom = `${rowsAfter * rowHeight}px`;
+    if (added.length) onRender(added);
+    // First pass without a card height: measure and render the real window
+    if (!rowHeight && order.length) schedule();
+  }
+
+  const schedule = () => {
+    if (!frame) frame = requestAnimationFrame(render);
+  };
+
+  const changeHandler = (e) => {
+    const box = e.target.closest?.('[data-select-id]');
+    if (!box) return;
+    const id = box.getAttribute('data-select-id');
+    if (box.checked) selected.add(id);
+    else selected.delete(id);
+  };
+
+  const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(schedule) : null;
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+  grid.addEventListener('change', changeHandler);
+  resizeObserver?.observe(grid);
+
+  const api = {
+    /**
+     * (Re)load every card from the endpoint. Selection is kept for images still in the album.
+     */
+    async load() {
+      const token = ++loadToken;
+      grid.setAttribute('aria-busy', 'true');
+      const items = [];
+      let offset = 0;
+      let total = Infinity;
+      let cover = null;
+      try {
+        while (offset < total) {
+          const sep = endpoint.includes('?') ? '&' : '?';
+          const res = await fetch(`${endpoint}${sep}offset=${offset}`, { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const page = await res.json();
+          items.push(...page.items);
+          total = page.total;
+          cover = page.cover_image_id;
+          offset += page.limit;
+          if (!page.items.length) break;
+        }
+      } finally {
+        if (token === loadToken) grid.removeAttribute('aria-busy');
+      }
+      // A newer load (quick successive refreshes) wins
+      if (token !== loadToken) return order.length;
+
+      records.clear();
+      nodes.clear();
+      items.forEach((item) => records.set(String(item.id), { data: cardData(item), preview: str(item.preview_path) }));
+      order = items.map((item) => String(item.id));
+      Array.from(selected).forEach((id) => { if (!records.has(id)) selected.delete(id); });
+      coverId = cover;
+      grid.dataset.total = String(order.length);
+      grid.replaceChildren();
+      start = end = 0;
+      render();
+      debugLog('Virtual grid loaded', order.length);
+      return order.length;
+    },
+
+    order: () => order.slice(),
+    total: () => order.length,
+
+    setOrder(ids) {
+      const known = ids.map(String).filter((id) => records.has(id));
+      const seen = new Set(known);
+      // Ids missing from `ids` keep their place at the end
+      order = known.concat(order.filter((id) => !seen.has(id)));
+      render();
+    },
+
+    remove(ids) {
+      const gone = new Set(ids.map(String));
+      order = order.filter((id) => !gone.has(id));
+      gone.forEach((id) => {
+        nodes.get(id)?.remove();
+        nodes.delete(id);
+        records.delete(id);
+        selected.delete(id);
+      });
+      grid.dataset.total = String(order.length);
+      render();
+    },
+
+    selectedIds: () => order.filter((id) => selected.has(id)),
+
+    selectAll(checked) {
+      selected.clear();
+      if (checked) order.forEach((id) => selected.add(id));
+      nodes.forEach((card, id) => {
+        const box = card.querySelector('[data-select-id]');
+        if (box) box.checked = selected.has(id);
+      });
+    },
+
+    coverId: () => (coverId === null ? null : String(coverId)),
+
+    // Sort input: every image's data-* values, and its thumbnail (built on demand when not rendered)
+    entries: () => order.map((id) => {
+      const record = records.get(id);
+      return {
+        id,
+        data: record.data,
+        image: () => {
+          const img = nodes.get(id)?.querySelector('img');
+          if (img) return img;
+          const probe = new Image();
+          if (record.preview) probe.src = record.preview;
+          return probe;
+        }
+      };
+    }),
+
+    // Index in the album of the first rendered card (positions of drops in the DOM)
+    offset: () => start,
+
+    /**
+     * Scroll a card into the rendered window (keyboard moves, focus).
+     */
+    reveal(id) {
+      const index = order.indexOf(String(id));
+      if (index < 0) return;
+      const { cols, rowHeight } = metrics();
+      if (rowHeight) {
+        const top = grid.getBoundingClientRect().top + Math.floor(index / cols) * rowHeight;
+        if (top < 0 || top + rowHeight > window.innerHeight) {
+          window.scrollBy(0, top - Math.max(0, (window.innerHeight - rowHeight) / 2));
+        }
+      }
+      render();
+    },
+
+    startDrag() {
+      dragging = true;
+    },
+
+    // After a drop inside the grid the rendered slice is read back from the DOM
+    endDrag(droppedInGrid) {
+      dragging = false;
+      if (droppedInGrid) {
+        const domIds = Array.from(grid.querySelectorAll(':scope > [data-id]'))
+          .map((el) => el.getAttribute('data-id'))
+          .filter((id) => records.has(id));
+        const inDom = new Set(domIds);
+        const before = order.slice(0, start).filter((id) => !inDom.has(id));
+        const after = order.slice(end).filter((id) => !inDom.has(id));
+        order = before.concat(domIds, after);
+      }
+      render();
+    },
+
+    render,
+
+    destroy() {
+      if (frame) cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      grid.removeEventListener('change', changeHandler);
+      resizeObserver?.disconnect();
+      loadToken++;
+      if (grid._virtual === api) delete grid._virtual;
+    }
+  };
+
+  grid._virtual = api;
+  return api;
+}
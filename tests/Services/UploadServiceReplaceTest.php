@@ -0,0 +1,68 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Services;
+
+use App\Services\UploadService;
+use App\Support\Database;
+use PHPUnit\Framework\TestCase;
+
+final class UploadServiceReplaceTest extends TestCase
+{
+    private string $dbFile;
+    private Database $db;
+
+    protected function setUp(): void
+    {
+        $this->dbFile = sys_get_temp_dir() . '/cimaise-replace-' . bin2hex(random_bytes(6)) . '.sqlite';
+        $this->db = new Database(database: $this->dbFile, isSqlite: true);
+        $this->db->pdo()->exec((string)file_get_contents(dirname(__DIR__, 2) . '/database/schema.sqlite.sql'));
+    }
+
+    protected function tearDown(): void
+    {
+        foreach (['', '-wal', '-shm'] as $suffix) {
+            @unlink($this->dbFile . $suffix);
+        }
+    }
+
+    public function testReplaceKeepsTagsAndTextGivenForTheUpload(): void
+    {
+        $pdo = $this->db->pdo();
+        // The schema seeds category 1
+        $pdo->exec("INSERT INTO albums (id, title, slug, category_id) VALUES (1, 'Roll', 'roll', 1)");
+        $pdo->exec("INSERT INTO tags (id, name, slug) VALUES (1, 'Kept', 'kept'), (2, 'Reviewed', 'reviewed')");
+        $target = $this->insertImage('target', 'Old alt text', 'Kept caption');
+        $source = $this->insertImage('source', null, null);
+        $pdo->exec("INSERT INTO image_tag (image_id, tag_id) VALUES ({$target}, 1)");
+
+        $svc = new UploadService($this->db);
+        // What the upload review queue sends along with the file
+        $svc->applyImageMetadata($source, ['alt_text' => 'New alt text', 'tags' => [2]]);
+        $svc->replaceImageWith($target, $source);
+
+        $tags = $pdo->query("SELECT tag_id FROM image_tag WHERE image_id = {$target} ORDER BY tag_id")->fetchAll(\PDO::FETCH_COLUMN);
+        $this->assertSame([1, 2], array_map('intval', $tags));
+
+        $row = $pdo->query("SELECT alt_text, caption, original_path FROM images WHERE id = {$target}")->fetch();
+        $this->assertSame('New alt text', $row['alt_text']);
+        $this->assertSame('Kept caption', $row['caption']);
+        $this->assertSame('/storage/originals/replace-test-source.jpg', $row['original_path']);
+
+        $this->assertSame(0, (int)$pdo->query("SELECT COUNT(*) FROM images WHERE id = {$source}")->fetchColumn());
+    }
+
+    private function insertImage(string $name, ?string $alt, ?string $caption): int
+    {
+        $stmt = $this->db->pdo()->prepare('INSERT INTO images (album_id, original_path, file_hash, width, height, mime, alt_text, caption)
+                                           VALUES (1, :path, :hash, 800, 600, :mime, :alt, :caption)');
+        $stmt->execute([
+            ':path' => '/storage/originals/replace-test-' . $name . '.jpg',
+            ':hash' => sha1($name),
+            ':mime' => 'image/jpeg',
+            ':alt' => $alt,
+            ':caption' => $caption,
+        ]);
+        return (int)$this->db->pdo()->lastInsertId();
+    }
+}